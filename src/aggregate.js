@@ -0,0 +1,239 @@
+/**
+ * 增量聚合
+ * 逐条接收交易记录，累积钱包、时间区间与价格统计，不缓存交易记录。
+ * 内存占用主要与钱包数和区间数相关；钱包聚类的相同交易数量索引只保留最近 sameSizeSeconds 内的交易数量
+ */
+
+const { HOUR } = require('./utils');
+const { createLinkIndex } = require('./clusters');
+const { createCandleBuilder, parseResolution, formatResolution } = require('./candles');
+const { toTrade } = require('./timeline');
+
+// 记录的报价（买入价优先）
+const quotedPrice = row => row.buy_price || row.sell_price;
+
+// 从 Map 中取出桶，不存在时创建
+function getBucket(map, key, create) {
+    let bucket = map.get(key);
+    if (!bucket) {
+        bucket = create();
+        map.set(key, bucket);
+    }
+    return bucket;
+}
+
+// ==== 钱包活动 ====
+function addWalletActivity(walletActivity, row) {
+    if (!row.trader_wallet_address) return;
+
+    if (!walletActivity[row.trader_wallet_address]) {
+        walletActivity[row.trader_wallet_address] = {
+            buys: { count: 0, volume: 0, value: 0 },
+            sells: { count: 0, volume: 0, value: 0 },
+            totalTransactions: 0,
+            firstSeen: row.trade_timestamp,
+            lastSeen: row.trade_timestamp,
+            netSOLChange: 0,
+            valueSOL: 0,      // 有 SOL 计价时的交易额
+            netUSDChange: 0   // 有 SOL/USD 价格表时的 USD 盈亏
+        };
+    }
+
+    const wallet = walletActivity[row.trader_wallet_address];
+
+    // 更新首次和最后一次出现时间
+    wallet.firstSeen = Math.min(wallet.firstSeen, row.trade_timestamp);
+    wallet.lastSeen = Math.max(wallet.lastSeen, row.trade_timestamp);
+
+    // 更新交易次数和交易量
+    if (row.type === 'TOKEN_BUY') {
+        wallet.buys.count++;
+        wallet.buys.volume += row.buy_amount || 0;
+        wallet.buys.value += row.transaction_value || 0;
+    } else if (row.type === 'TOKEN_SELL') {
+        wallet.sells.count++;
+        wallet.sells.volume += row.sell_amount || 0;
+        wallet.sells.value += row.transaction_value || 0;
+    }
+
+    wallet.totalTransactions++;
+    wallet.netSOLChange += row.net_sol_balance_change || 0;
+    wallet.valueSOL = row.value_sol === null || wallet.valueSOL === null ? null : wallet.valueSOL + row.value_sol;
+    wallet.netUSDChange = row.net_usd_change === null || wallet.netUSDChange === null ? null : wallet.netUSDChange + row.net_usd_change;
+}
+
+// ==== 细分区间（默认5分钟）的钱包统计，成交量与笔数取自同一分辨率的 K 线 ====
+const createDetailedBucket = () => ({
+    wallets: new Map(), // 钱包 → [买入笔数, 卖出笔数]（只计有数量的交易，供页面按时间范围汇总钱包活动）
+    largeTransactionsCount: 0,
+    whaleTransactionsCount: 0,
+    whaleWallets: new Set()
+});
+
+function addToDetailedBucket(bucket, row, trade, thresholds) {
+    let counts = bucket.wallets.get(row.trader_wallet_address);
+    if (!counts) {
+        counts = [0, 0];
+        bucket.wallets.set(row.trader_wallet_address, counts);
+    }
+    if (trade) counts[trade.isBuy ? 0 : 1]++;
+
+    if (row.transaction_value >= thresholds.medium) {
+        bucket.largeTransactionsCount++;
+    }
+    if (row.transaction_value >= thresholds.whale) {
+        bucket.whaleTransactionsCount++;
+        bucket.whaleWallets.add(row.trader_wallet_address);
+    }
+}
+
+// ==== 巨鲸买入区间（默认1小时） ====
+const createWhaleBucket = () => ({
+    transactions: 0,
+    wallets: new Set(),
+    totalBuyVolume: 0
+});
+
+/**
+ * 创建增量聚合器
+ * @param {Object} config - 生效配置
+ * @returns {{add: function(Object): void, finish: function(): Object}}
+ */
+function createAggregator(config) {
+    const { thresholds } = config;
+    const priceIntervalSeconds = config.priceChanges.intervalSeconds;
+    const detailedIntervalSeconds = config.suspiciousIntervals.intervalSeconds;
+    const whaleWindowSeconds = config.whaleEntries.windowSeconds;
+
+    let count = 0;
+    let earliest = null;
+    let latest = null;
+    const priceStats = { max: null, min: null };
+    let highestPrice;
+    let lowestPrice;
+    let transactionValue = 0;
+    let tokenVolume = 0;
+
+    const walletActivity = {};
+    const detailedBuckets = new Map();
+    const whaleBuckets = new Map();
+    const linkIndex = createLinkIndex(config.clustering);
+
+    // 各分辨率的 K 线（相同分辨率共用一个聚合器）：价格区间、细分区间、小时级图表数据与导出
+    const candleBuilders = new Map();
+    const candlesAt = seconds => getBucket(candleBuilders, seconds, () => createCandleBuilder(seconds));
+    const candleSeconds = parseResolution(config.candles.resolution);
+    const priceCandles = candlesAt(priceIntervalSeconds);
+    const detailedCandles = candlesAt(detailedIntervalSeconds);
+    const hourlyCandles = candlesAt(HOUR);
+    const exportCandles = candlesAt(candleSeconds);
+    let lastTrade = null; // 时间最晚的一笔有成交额的交易，作为最终价格
+
+    // 成交顺序：区块号 / 区块内序号列是否每笔交易都有值，以及读入顺序相对时间顺序的最大滞后（第二遍据此恢复时间顺序，见 timeline.js）
+    let tradeCount = 0;
+    let hasSlot = true;
+    let hasTxIndex = true;
+    let latestTradeTimestamp = -Infinity;
+    let maxLagSeconds = 0;
+
+    function trackOrdering(trade) {
+        tradeCount++;
+        if (trade.slot === null) hasSlot = false;
+        if (trade.txIndex === null) hasTxIndex = false;
+        latestTradeTimestamp = Math.max(latestTradeTimestamp, trade.timestamp);
+        maxLagSeconds = Math.max(maxLagSeconds, latestTradeTimestamp - trade.timestamp);
+    }
+
+    function add(row) {
+        const ts = row.trade_timestamp;
+        const seq = count++;
+
+        if (earliest === null || ts < earliest) earliest = ts;
+        if (latest === null || ts > latest) latest = ts;
+
+        // 最高和最低价格
+        if (row.price) {
+            if (!priceStats.max || row.price > priceStats.max.price) {
+                priceStats.max = { price: row.price, timestamp: ts };
+            }
+            if (!priceStats.min || row.price < priceStats.min.price) {
+                priceStats.min = { price: row.price, timestamp: ts };
+            }
+        }
+
+        // 报价极值（最低价取时间最晚的一条）
+        const quoted = quotedPrice(row);
+        if (quoted) {
+            const entry = { timestamp: ts, datetime: row.dateTime, price: quoted };
+            if (!highestPrice || quoted > highestPrice.price) highestPrice = entry;
+            if (!lowestPrice || quoted < lowestPrice.price ||
+                    (quoted === lowestPrice.price && ts >= lowestPrice.timestamp)) lowestPrice = entry;
+        }
+
+        transactionValue += row.transaction_value || 0;
+        if (row.type === 'TOKEN_BUY') tokenVolume += row.buy_amount || 0;
+        if (row.type === 'TOKEN_SELL') tokenVolume += row.sell_amount || 0;
+
+        addWalletActivity(walletActivity, row);
+        const trade = toTrade(row, seq);
+        if (trade) {
+            if (config.clustering.enabled) linkIndex.add(trade);
+            trackOrdering(trade);
+        }
+        const amount = row.type === 'TOKEN_BUY' ? row.buy_amount : row.sell_amount;
+        if (amount > 0 && row.transaction_value > 0 && (!lastTrade || ts >= lastTrade.timestamp)) {
+            lastTrade = { timestamp: ts, price: row.transaction_value / amount };
+        }
+
+        candleBuilders.forEach(builder => builder.add(row));
+
+        addToDetailedBucket(
+            getBucket(detailedBuckets, Math.floor(ts / detailedIntervalSeconds) * detailedIntervalSeconds, createDetailedBucket),
+            row,
+            trade,
+            thresholds
+        );
+
+        if (row.type === 'TOKEN_BUY' && row.transaction_value >= thresholds.whale) {
+            const whaleBucket = getBucket(whaleBuckets, Math.floor(ts / whaleWindowSeconds) * whaleWindowSeconds, createWhaleBucket);
+            whaleBucket.transactions++;
+            whaleBucket.wallets.add(row.trader_wallet_address);
+            whaleBucket.totalBuyVolume += row.buy_amount;
+        }
+    }
+
+    // 按时间戳升序输出各区间
+    const sortedEntries = map => [...map.entries()].sort((a, b) => a[0] - b[0]);
+
+    function finish() {
+        return {
+            count,
+            timeRange: { earliest, latest },
+            priceStats,
+            highestPrice,
+            lowestPrice,
+            totals: { transactionValue, tokenVolume },
+            walletActivity,
+            linkIndex: linkIndex.finish(),
+            ordering: { slot: tradeCount > 0 && hasSlot, txIndex: tradeCount > 0 && hasTxIndex },
+            maxLagSeconds,
+            lastTrade,
+            // 区间价格取收盘价
+            priceIntervals: priceCandles.finish().map(candle => ({ ...candle, price: candle.close })),
+            detailedIntervals: detailedCandles.finish().map(candle => ({ ...candle, ...detailedBuckets.get(candle.timestamp) })),
+            whaleBuckets: sortedEntries(whaleBuckets).map(([timestamp, bucket]) => ({ timestamp, ...bucket })),
+            hourly: hourlyCandles.finish(),
+            candles: {
+                resolution: formatResolution(candleSeconds),
+                seconds: candleSeconds,
+                candles: exportCandles.finish()
+            }
+        };
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    createAggregator
+};
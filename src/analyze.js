@@ -0,0 +1,907 @@
+/**
+ * 交易分析核心
+ * 输入交易记录，输出结构化分析结果（不涉及任何文件读写）
+ *
+ * 分析分两遍进行：第一遍增量聚合钱包、区间与价格统计，评分钱包并识别钱包群；
+ * 第二遍按成交顺序把交易逐笔交给钱包盈亏、三明治攻击、洗盘交易与时间窗口类检测（价格影响、拉高出货、跑路），
+ * 只缓存窗口内的交易，因此既可以处理内存中的数组，也可以处理流式读取的大文件。
+ */
+
+const _ = require('lodash');
+const { silentLogger, condition, formatTimestamp, describeTimeZone } = require('./utils');
+const { DEFAULT_CONFIG, resolveConfig } = require('./config');
+const { createNormalizer, REJECT_REASONS } = require('./schema');
+const { createAggregator } = require('./aggregate');
+const { createValuation } = require('./valuation');
+const { summarizeMultiLegWallets } = require('./transactions');
+const { createPnLTracker, summarizePnL } = require('./pnl');
+const { createOutlierDetector } = require('./outliers');
+const { detectWalletClusters } = require('./clusters');
+const { createWashTradingDetector } = require('./wash');
+const { createSandwichDetector } = require('./sandwich');
+const { createPumpDetector } = require('./pumps');
+const { createRugPullDetector } = require('./rugs');
+const { toTrade, createTimeline } = require('./timeline');
+const { selectDetailWallets, createWalletHistoryCollector } = require('./history');
+const { detectMarketPhases } = require('./phases');
+
+// 默认阈值设置
+const DEFAULT_THRESHOLDS = DEFAULT_CONFIG.thresholds;
+
+// ==== 钱包可疑评分规则 ====
+// 每条规则返回触发的规则（含观测值、阈值和得分），未触发时返回 null
+const WALLET_RULES = [
+    // 高交易价值
+    (wallet, { thresholds, walletScoring: rules }) => {
+        const extremeThreshold = thresholds.whale * rules.highValue.extremeMultiplier;
+        if (wallet.totalValue > extremeThreshold) {
+            return {
+                rule: 'highValue',
+                label: '极高交易额',
+                points: rules.highValue.extremePoints,
+                conditions: [condition('totalValue', '总交易额', wallet.totalValue, '>', extremeThreshold)]
+            };
+        }
+        if (wallet.totalValue > thresholds.whale) {
+            return {
+                rule: 'highValue',
+                label: '高交易额',
+                points: rules.highValue.points,
+                conditions: [condition('totalValue', '总交易额', wallet.totalValue, '>', thresholds.whale)]
+            };
+        }
+        return null;
+    },
+
+    // 买卖比率极度倾斜
+    (wallet, { walletScoring: rules }) => {
+        if (wallet.buyToSellRatio > rules.ratioSkew.max) {
+            return {
+                rule: 'ratioSkew',
+                label: '买入远多于卖出',
+                points: rules.ratioSkew.points,
+                conditions: [condition('buyToSellRatio', '买卖比率', wallet.buyToSellRatio, '>', rules.ratioSkew.max)]
+            };
+        }
+        if (wallet.buyToSellRatio < rules.ratioSkew.min) {
+            return {
+                rule: 'ratioSkew',
+                label: '卖出远多于买入',
+                points: rules.ratioSkew.points,
+                conditions: [condition('buyToSellRatio', '买卖比率', wallet.buyToSellRatio, '<', rules.ratioSkew.min)]
+            };
+        }
+        return null;
+    },
+
+    // 高交易频率
+    (wallet, { walletScoring: rules }) => {
+        if (wallet.transactionFrequency > rules.frequency.high) {
+            return {
+                rule: 'frequency',
+                label: '交易频率极高',
+                points: rules.frequency.highPoints,
+                conditions: [condition('transactionFrequency', '每小时交易笔数', wallet.transactionFrequency, '>', rules.frequency.high)]
+            };
+        }
+        if (wallet.transactionFrequency > rules.frequency.elevated) {
+            return {
+                rule: 'frequency',
+                label: '交易频率偏高',
+                points: rules.frequency.elevatedPoints,
+                conditions: [condition('transactionFrequency', '每小时交易笔数', wallet.transactionFrequency, '>', rules.frequency.elevated)]
+            };
+        }
+        return null;
+    },
+
+    // 短时间内大量交易
+    (wallet, { walletScoring: rules }) => {
+        if (wallet.timeActiveHours < rules.burst.maxActiveHours && wallet.transactionCount > rules.burst.minTransactions) {
+            return {
+                rule: 'burst',
+                label: '短时间内大量交易',
+                points: rules.burst.points,
+                conditions: [
+                    condition('timeActiveHours', '活跃时长(小时)', wallet.timeActiveHours, '<', rules.burst.maxActiveHours),
+                    condition('transactionCount', '交易笔数', wallet.transactionCount, '>', rules.burst.minTransactions)
+                ]
+            };
+        }
+        return null;
+    },
+
+    // 获利
+    (wallet, { walletScoring: rules }) => {
+        if (wallet.netSOLChange > rules.profit.minNetSOL) {
+            return {
+                rule: 'profit',
+                label: '获利显著',
+                points: rules.profit.points,
+                conditions: [condition('netSOLChange', '净SOL变化', wallet.netSOLChange, '>', rules.profit.minNetSOL)]
+            };
+        }
+        return null;
+    }
+];
+
+// 逐条评估钱包可疑评分规则
+function evaluateWalletRules(wallet, config) {
+    return WALLET_RULES.map(rule => rule(wallet, config)).filter(Boolean);
+}
+
+// 统计评分使用的钱包特征：sides 列出偏高（high）/偏低（low）时触发的规则名称
+const STATISTICAL_FEATURES = [
+    {
+        rule: 'highValue',
+        metric: 'totalValue',
+        label: '总交易额',
+        value: wallet => wallet.totalValue,
+        sides: { high: '交易额异常高' },
+        points: rules => rules.highValue.points
+    },
+    {
+        rule: 'ratioSkew',
+        metric: 'buySellLogRatio',
+        label: '买卖笔数对数比',
+        value: wallet => Math.log((wallet.buys.count + 1) / (wallet.sells.count + 1)), // 只买或只卖时仍为有限值
+        sides: { high: '买入远多于卖出', low: '卖出远多于买入' },
+        points: rules => rules.ratioSkew.points
+    },
+    {
+        rule: 'frequency',
+        metric: 'transactionFrequency',
+        label: '每小时交易笔数',
+        value: wallet => wallet.transactionFrequency,
+        sides: { high: '交易频率异常高' },
+        points: rules => rules.frequency.highPoints
+    },
+    {
+        rule: 'burst',
+        metric: 'transactionCount',
+        label: '交易笔数',
+        value: wallet => wallet.transactionCount,
+        sides: { high: '交易笔数异常多' },
+        points: rules => rules.burst.points
+    },
+    {
+        rule: 'profit',
+        metric: 'netSOLChange',
+        label: '净SOL变化',
+        value: wallet => wallet.netSOLChange,
+        sides: { high: '获利异常高' },
+        points: rules => rules.profit.points
+    }
+];
+
+// 按本代币所有钱包的特征分布评分，返回逐个钱包评估的函数
+function createStatisticalRules(wallets, rules) {
+    const { mode, statistical } = rules;
+    const detectors = STATISTICAL_FEATURES.map(feature => ({
+        feature,
+        detector: createOutlierDetector(wallets.map(feature.value), mode, statistical)
+    }));
+
+    return wallet => detectors.map(({ feature, detector }) => {
+        const observed = feature.value(wallet);
+        for (const [side, label] of Object.entries(feature.sides)) {
+            const statistic = detector[side](observed);
+            if (!statistic) continue;
+            return {
+                rule: feature.rule,
+                label,
+                points: feature.points(rules),
+                // 孤立分数没有换算回特征单位的分界值，条件直接比较孤立分数
+                conditions: [statistic.cutoff === null ?
+                    condition('isolationScore', `${feature.label}孤立分数`, statistic.value, '>', statistic.threshold) :
+                    condition(feature.metric, feature.label, observed, side === 'high' ? '>' : '<', statistic.cutoff)],
+                statistic: {
+                    method: statistic.method,
+                    metric: feature.metric,
+                    observed,
+                    value: statistic.value,
+                    threshold: statistic.threshold
+                }
+            };
+        }
+        return null;
+    }).filter(Boolean);
+}
+
+// ==== 识别可疑的巨鲸/操控者钱包 ====
+function scoreWallets(walletActivity, config) {
+    const suspectedManipulators = Object.entries(walletActivity)
+        .map(([address, activity]) => {
+            const totalValue = activity.buys.value + activity.sells.value;
+            const buyToSellRatio = activity.buys.count > 0 && activity.sells.count > 0 ?
+                activity.buys.count / activity.sells.count :
+                (activity.buys.count > 0 ? Infinity : 0);
+
+            // 计算活跃时长(小时)
+            const timeActiveHours = (activity.lastSeen - activity.firstSeen) / 3600;
+
+            // 计算交易频率(每小时)
+            const transactionFrequency = timeActiveHours > 0 ?
+                activity.totalTransactions / timeActiveHours :
+                activity.totalTransactions;
+
+            return {
+                address,
+                totalValue,
+                buyToSellRatio,
+                transactionCount: activity.totalTransactions,
+                timeActiveHours,
+                transactionFrequency,
+                netSOLChange: activity.netSOLChange,
+                netUSDChange: activity.netUSDChange,
+                totalValueSOL: activity.valueSOL,
+                multiLegCount: activity.multiLegCount || 0,
+                pnl: null, // 第二遍扫描后计算
+                buys: activity.buys,
+                sells: activity.sells,
+                suspiciousScore: 0, // 后续计算
+                triggeredRules: []
+            };
+        });
+
+    // 基于可疑行为对钱包进行评分，记录每条触发的规则
+    const evaluate = config.walletScoring.mode === 'threshold' ?
+        wallet => evaluateWalletRules(wallet, config) :
+        createStatisticalRules(suspectedManipulators, config.walletScoring);
+    suspectedManipulators.forEach(wallet => {
+        wallet.triggeredRules = evaluate(wallet);
+        wallet.suspiciousScore = _.sumBy(wallet.triggeredRules, 'points');
+    });
+
+    // 按可疑分数排序
+    return suspectedManipulators.sort((a, b) => b.suspiciousScore - a.suspiciousScore);
+}
+
+// ==== 按盈亏对钱包排序 ====
+function rankWalletsByPnL(pnl) {
+    const ranked = Object.entries(pnl.wallets)
+        .map(([address, walletPnL]) => ({ address, ...walletPnL }))
+        .sort((a, b) => b.total - a.total);
+    return {
+        method: pnl.method,
+        finalPrice: pnl.finalPrice,
+        finalPriceTimestamp: pnl.finalPriceTimestamp,
+        ranked
+    };
+}
+
+// ==== 识别区间之间的重大价格变化 ====
+function detectPriceChanges(sortedPriceIntervals, config) {
+    const rules = config.priceChanges;
+    const priceChanges = [];
+    for (let i = 1; i < sortedPriceIntervals.length; i++) {
+        const prev = sortedPriceIntervals[i-1];
+        const curr = sortedPriceIntervals[i];
+
+        if (prev.price && curr.price) {
+            const percentChange = ((curr.price - prev.price) / prev.price) * 100;
+
+            if (Math.abs(percentChange) > rules.minPercent) { // 只记录重大变化
+                priceChanges.push({
+                    startTimestamp: prev.timestamp,
+                    endTimestamp: curr.timestamp,
+                    startDatetime: formatTimestamp(prev.timestamp, config.timezone),
+                    endDatetime: formatTimestamp(curr.timestamp, config.timezone),
+                    startPrice: prev.price,
+                    endPrice: curr.price,
+                    percentChange,
+                    buyVolume: curr.buyVolume,
+                    sellVolume: curr.sellVolume,
+                    isSignificant: Math.abs(percentChange) > rules.significantPercent
+                });
+            }
+        }
+    }
+    return priceChanges;
+}
+
+// ==== 识别协调活动的具体时间 ====
+function detectCoordinatedActivities(suspiciousActivityIntervals, rules) {
+    return suspiciousActivityIntervals
+        .filter(interval => interval.suspiciousScore >= rules.minScore && interval.whaleTransactionsCount >= rules.minWhaleTransactions)
+        .map(interval => ({
+            timestamp: interval.timestamp,
+            datetime: interval.datetime,
+            suspiciousScore: interval.suspiciousScore,
+            whaleCount: interval.uniqueWhaleWallets,
+            description: '检测到密集交易活动，可能为协同性操作',
+            transactionCount: interval.totalTransactions,
+            buyToSellRatio: interval.buyToSellRatio
+        }));
+}
+
+
+// ==== 分析基于时间的市场操纵行为 - 寻找协调活动 ====
+function detectSuspiciousIntervals(detailedIntervals, washWalletsByInterval, config) {
+    const rules = config.suspiciousIntervals;
+
+    // 寻找具有可疑活动模式的时间间隔
+    return detailedIntervals
+        .map(bucket => {
+            const { timestamp, trades: totalTransactions, wallets, buyCount, sellCount } = bucket;
+
+            // 区间内有往返交易（洗盘）的钱包
+            const potentialWashTraders = [...(washWalletsByInterval.get(timestamp) || [])];
+
+            // 计算买卖比率
+            const buyToSellRatio = sellCount > 0 ? buyCount / sellCount : (buyCount > 0 ? Infinity : 0);
+
+            // 计算可疑评分
+            let suspiciousScore = 0;
+
+            // 高交易频率但很少的独立钱包
+            if (totalTransactions > rules.concentration.minTransactions && wallets.size < rules.concentration.maxUniqueWallets) {
+                suspiciousScore += rules.concentration.points;
+            }
+
+            // 潜在洗盘交易
+            if (potentialWashTraders.length > 0) {
+                suspiciousScore += potentialWashTraders.length * rules.washTraderPoints;
+            }
+
+            // 买卖比率极度倾斜
+            if (buyToSellRatio > rules.ratioSkew.max || buyToSellRatio < rules.ratioSkew.min) {
+                suspiciousScore += rules.ratioSkew.points;
+            }
+
+            // 多笔巨鲸交易
+            if (bucket.whaleTransactionsCount > rules.whale.minTransactions) {
+                suspiciousScore += rules.whale.points;
+            }
+
+            return {
+                timestamp,
+                datetime: formatTimestamp(timestamp, config.timezone),
+                totalTransactions,
+                uniqueWallets: wallets.size,
+                transactionsPerWallet: totalTransactions / (wallets.size || 1),
+                largeTransactionsCount: bucket.largeTransactionsCount,
+                buyCount,
+                sellCount,
+                buyToSellRatio,
+                potentialWashTraders,
+                washTradingCount: potentialWashTraders.length,
+                whaleTransactionsCount: bucket.whaleTransactionsCount,
+                uniqueWhaleWallets: bucket.whaleWallets.size,
+                suspiciousScore
+            };
+        })
+        .filter(interval => interval.suspiciousScore > 0)
+        .sort((a, b) => b.suspiciousScore - a.suspiciousScore);
+}
+
+// ==== 计算顶级钱包的市场影响 ====
+function computeWalletImpact(topSuspiciousWallets, totalTransactionValue) {
+    return topSuspiciousWallets.map(wallet => ({
+        ...wallet,
+        marketImpact: (wallet.totalValue / totalTransactionValue) * 100
+    }));
+}
+
+// ==== 识别大额巨鲸进入 ====
+function detectWhaleEntries(whaleBuckets, totalTokenVolume, config) {
+    const rules = config.whaleEntries;
+    return whaleBuckets
+        .filter(bucket => bucket.transactions >= rules.minTransactions)
+        .map(bucket => ({
+            timestamp: bucket.timestamp,
+            datetime: formatTimestamp(bucket.timestamp, config.timezone),
+            whaleCount: bucket.wallets.size,
+            totalBuyVolume: bucket.totalBuyVolume,
+            percentOfTotalSupply: (bucket.totalBuyVolume / totalTokenVolume) * 100,
+            transactions: bucket.transactions
+        }));
+}
+
+// ==== 时间窗口统计 ====
+// 以下窗口在第二遍扫描中逐条累积，每个窗口只保存计数器
+
+// 价格影响窗口：价格变化前一段时间内的巨鲸和散户交易
+function createImpactWindow(change, config) {
+    const { thresholds, priceImpacts: rules } = config;
+    const end = change.startTimestamp;
+    const start = end - rules.lookbackSeconds;
+    const window = { change, whaleBuys: 0, retailBuys: 0, whaleSells: 0 };
+
+    window.add = tx => {
+        const ts = tx.trade_timestamp;
+        if (ts < start || ts > end) return;
+        const value = tx.transaction_value;
+
+        if (tx.type === 'TOKEN_BUY') {
+            if (value >= thresholds.whale) window.whaleBuys++;
+            if (value <= thresholds.retail && value > 0) window.retailBuys++;
+        } else if (tx.type === 'TOKEN_SELL' && value >= thresholds.whale) {
+            window.whaleSells++;
+        }
+    };
+
+    return window;
+}
+
+// K 线图标记的巨鲸交易：交易额最高的 whaleMarkers 笔（交易额相同时保留较早的），按时间排序输出
+function createWhaleTradeCollector(config) {
+    const top = [];
+    const limit = config.candles.whaleMarkers;
+
+    function add(trade) {
+        if (trade.value < config.thresholds.whale || limit <= 0) return;
+        if (top.length === limit && trade.value <= _.last(top).value) return;
+        top.splice(_.sortedLastIndexBy(top, trade, entry => -entry.value), 0, trade);
+        if (top.length > limit) top.pop();
+    }
+
+    const finish = () => _.sortBy(top, ['timestamp', 'seq'])
+        .map(trade => _.pick(trade, ['timestamp', 'wallet', 'isBuy', 'amount', 'price', 'value']));
+
+    return { add, finish };
+}
+
+// ==== 查找重大价格影响 ====
+function detectPriceImpacts(impactWindows, rules) {
+    const priceImpacts = [];
+    const rises = impactWindows.filter(window => window.change.percentChange > rules.minPercent);
+    const drops = impactWindows.filter(window => window.change.percentChange < -rules.minPercent);
+
+    // 寻找导致价格上涨的巨鲸买入
+    rises.filter(window => window.whaleBuys > 0).forEach(({ change }) => {
+        priceImpacts.push({
+            timestamp: change.startTimestamp,
+            datetime: change.startDatetime,
+            event: '巨鲸买入',
+            priceChange: `+${change.percentChange.toFixed(2)}%`,
+            description: `巨鲸买入 ➝ 价格 +${change.percentChange.toFixed(2)}%`
+        });
+    });
+
+    // 寻找导致二次价格上涨的散户买入
+    rises.filter(window => window.retailBuys > rules.minRetailBuys).forEach(({ change }) => {
+        priceImpacts.push({
+            timestamp: change.startTimestamp,
+            datetime: change.startDatetime,
+            event: '散户跟风',
+            priceChange: `+${change.percentChange.toFixed(2)}%`,
+            description: `散户跟风 ➝ 价格 +${change.percentChange.toFixed(2)}%`
+        });
+    });
+
+    // 寻找导致价格下跌的巨鲸卖出
+    drops.filter(window => window.whaleSells > 0).forEach(({ change }) => {
+        priceImpacts.push({
+            timestamp: change.startTimestamp,
+            datetime: change.startDatetime,
+            event: '巨鲸卖出',
+            priceChange: `${change.percentChange.toFixed(2)}%`,
+            description: `巨鲸卖出 ➝ 价格 ${change.percentChange.toFixed(2)}%`
+        });
+    });
+
+    return priceImpacts;
+}
+
+// ==== 风险评估 ====
+function assessRisks({
+    detailedIntervals,
+    suspiciousActivityIntervals,
+    topSuspiciousWallets,
+    topWalletsImpact,
+    pumpAndDumpPatterns,
+    coordinatedActivities,
+    washTrading,
+    rugPulls,
+    priceStats
+}, config) {
+    const { risk: rules, walletScoring: { suspiciousMinScore } } = config;
+    const { weights } = rules;
+
+    // 计算可疑地址数量与市场影响
+    const suspiciousAddressesCount = topSuspiciousWallets.filter(w => w.suspiciousScore >= suspiciousMinScore).length;
+    const suspiciousWalletsImpact = _.sumBy(topWalletsImpact.filter(w => w.suspiciousScore >= suspiciousMinScore), 'marketImpact');
+
+    const priceFluctuation = priceStats.max && priceStats.min ?
+        priceStats.max.price / priceStats.min.price : null;
+
+    // 寻找买卖比例失衡的时间区间
+    const imbalancedIntervals = detailedIntervals.map(({ timestamp, buyVolume, sellVolume }) => {
+        const ratio = buyVolume > 0 && sellVolume > 0 ? sellVolume / buyVolume : 0;
+        return { timestamp, ratio, buyVolume, sellVolume };
+    }).filter(int => int.ratio > rules.imbalanceRatio);
+
+    // 寻找交易密集且钱包高度集中的时间段
+    const manipulationIntervals = suspiciousActivityIntervals.filter(int =>
+        int.totalTransactions > rules.manipulation.minTransactions &&
+        int.uniqueWallets < rules.manipulation.maxUniqueWallets &&
+        int.suspiciousScore > rules.manipulation.minScore
+    );
+
+    // 是否存在卖出笔数远超买入的区间
+    const hasSellPressure = detailedIntervals.some(int =>
+        int.sellCount > int.buyCount * rules.sellPressureRatio);
+
+    return {
+        suspiciousAddressesCount,
+        suspiciousWalletsImpact,
+        priceFluctuation,
+        hasPriceAnomaly: Boolean(priceFluctuation && priceFluctuation > rules.priceAnomalyMultiplier),
+        hasHighSuspicionInterval: suspiciousActivityIntervals.some(i => i.suspiciousScore > rules.highSuspicionScore),
+        isConcentrated: suspiciousWalletsImpact > rules.concentrationPercent,
+        washTradingPercent: washTrading.fraction * 100,
+        hasWashTrading: washTrading.fraction * 100 > config.washTrading.alertPercent,
+        hasRugPull: rugPulls.length > 0,
+        hasCriticalRugPull: rugPulls.some(event => event.severity === 'critical'),
+        imbalancedIntervals,
+        worstImbalancedInterval: imbalancedIntervals.length > 0 ? _.maxBy(imbalancedIntervals, 'ratio') : null,
+        manipulationIntervals,
+        scores: {
+            manipulation: Math.min(100, ((suspiciousAddressesCount * weights.suspiciousWallet) + (_.sumBy(pumpAndDumpPatterns, 'confidence') * weights.pumpAndDump) +
+                (coordinatedActivities.length * weights.coordinated) +
+                (priceFluctuation ? Math.min(100, priceFluctuation / rules.priceAnomalyMultiplier * weights.fluctuation) : 0))),
+            liquidity: Math.min(100, (suspiciousWalletsImpact * weights.walletImpact) + (hasSellPressure ? weights.sellPressure : 0) +
+                (rugPulls.length > 0 ? weights.rugPull : 0)),
+            washTrading: Math.min(100, washTrading.fraction * 100 * weights.washVolume),
+            volatility: priceFluctuation ? Math.min(100, Math.log10(priceFluctuation) * weights.volatility) : 0
+        }
+    };
+}
+
+// 没有有效交易记录，附带数据质量摘要便于排查列映射问题
+function noValidTradesError(dataQuality) {
+    const reasons = Object.entries(dataQuality.rejected)
+        .map(([reason, count]) => `${REJECT_REASONS[reason]} ${count} 行`)
+        .join('，');
+    const err = new Error(`没有可供分析的有效交易记录（共 ${dataQuality.totalRows} 行${reasons ? `：${reasons}` : ''}）`);
+    err.code = 'NO_VALID_TRADES';
+    err.dataQuality = dataQuality;
+    return err;
+}
+
+// 合并配置覆盖项与阈值参数
+function resolveOptions(options) {
+    const config = resolveConfig({
+        ...options.config,
+        thresholds: { ...(options.config && options.config.thresholds), ...options.thresholds }
+    });
+    return {
+        config,
+        log: options.logger || silentLogger,
+        valuation: createValuation(config.valuation, options.solPrices)
+    };
+}
+
+/**
+ * 基于第一遍聚合结果做分析，并准备第二遍扫描的时间窗口
+ * @param {Object} aggregates - createAggregator().finish() 的结果
+ * @param {Object} ingestion - 第一遍读取的结果
+ * @param {Object} ingestion.dataQuality - 数据质量摘要
+ * @param {Object[]} ingestion.multiLegTransactions - 同时包含买入和卖出的交易
+ * @param {Object[]} ingestion.sharedSignatures - 涉及多个钱包的交易签名
+ * @param {Object} ingestion.valuation - 计价摘要
+ * @param {Object} config - 生效配置
+ * @param {Object} log - 日志输出对象
+ * @returns {{scan: function(Object): void, finish: function(): Object}}
+ */
+function planAnalysis(aggregates, { dataQuality, multiLegTransactions, sharedSignatures, valuation }, config, log) {
+    const { count, timeRange, priceStats, highestPrice, lowestPrice, totals, walletActivity } = aggregates;
+
+    // 检查处理后的数据
+    log.log('处理后记录数:', count);
+    log.log('数据质量:', {
+        拒绝记录数: dataQuality.rejectedRows,
+        重复记录数: dataQuality.duplicates.rows,
+        异常价格记录数: dataQuality.outOfRangePrices.count
+    });
+    const formatTime = ts => formatTimestamp(ts, config.timezone);
+    log.log('时区:', describeTimeZone(config.timezone, timeRange.earliest));
+    log.log('计价:', { 报价货币: valuation.quoteCurrency, 报告货币: valuation.currency, SOL价格表: valuation.solPriceTable ? valuation.solPriceTable.points : '未提供' });
+    log.log('时间范围:',
+        formatTime(timeRange.earliest),
+        '至',
+        formatTime(timeRange.latest)
+    );
+    log.log('价格统计:', {
+        最高价: priceStats.max && { price: priceStats.max.price, time: formatTime(priceStats.max.timestamp) },
+        最低价: priceStats.min && { price: priceStats.min.price, time: formatTime(priceStats.min.timestamp) },
+        价格波动倍数: priceStats.max && priceStats.min ? priceStats.max.price / priceStats.min.price : 'N/A'
+    });
+
+    // ====== 交易分析 ======
+    log.log("正在进行交易数据分析...");
+
+    // 多腿交易单独标记，不计入可疑评分
+    const multiLegWallets = summarizeMultiLegWallets(multiLegTransactions);
+    multiLegWallets.forEach(({ address, count: multiLegCount }) => {
+        if (walletActivity[address]) walletActivity[address].multiLegCount = multiLegCount;
+    });
+    log.log("多腿交易:", { 交易数: multiLegTransactions.length, 涉及钱包数: multiLegWallets.length });
+
+    const suspectedManipulators = scoreWallets(walletActivity, config);
+    const topSuspiciousWallets = suspectedManipulators.slice(0, config.walletScoring.topCount);
+    log.log("识别出前5个可疑钱包:", topSuspiciousWallets.slice(0, 5));
+
+    const clusters = detectWalletClusters({
+        walletActivity,
+        linkIndex: aggregates.linkIndex,
+        sharedSignatures,
+        scoredWallets: suspectedManipulators,
+        totalTransactionValue: totals.transactionValue
+    }, config);
+    clusters.forEach(cluster => {
+        cluster.wallets.forEach(address => { walletActivity[address].clusterId = cluster.id; });
+    });
+    suspectedManipulators.forEach(wallet => { wallet.clusterId = walletActivity[wallet.address].clusterId || null; });
+    log.log("钱包群:", {
+        数量: clusters.length,
+        可疑钱包群: clusters.filter(cluster => cluster.suspiciousScore >= config.clustering.suspiciousMinScore).length
+    }, clusters.slice(0, 3).map(cluster => _.pick(cluster, ['id', 'size', 'totalValue', 'marketImpact', 'signals', 'suspiciousScore'])));
+
+    // 按时间戳排序，只保留有价格数据的区间
+    const sortedPriceIntervals = aggregates.priceIntervals.filter(interval => interval.price);
+    const priceChanges = detectPriceChanges(sortedPriceIntervals, config);
+    log.log("重大价格变动:", priceChanges.filter(change => change.isSignificant).slice(0, 5));
+
+    log.log("最高价格:", highestPrice);
+    log.log("最低价格:", lowestPrice);
+
+    const whaleEntries = detectWhaleEntries(aggregates.whaleBuckets, totals.tokenVolume, config);
+    log.log("巨鲸进入:", whaleEntries.slice(0, 5));
+
+    const marketPhases = detectMarketPhases(sortedPriceIntervals, config);
+    log.log("市场阶段:", marketPhases.segments.map(segment =>
+        _.pick(segment, ['description', 'startTime', 'endTime', 'priceChange', 'buyRatio', 'confidence'])));
+
+    // 第二遍扫描的时间窗口
+    const impactWindows = priceChanges
+        .filter(change => Math.abs(change.percentChange) > config.priceImpacts.minPercent)
+        .map(change => createImpactWindow(change, config));
+
+    // 第二遍按成交顺序逐笔检测：三明治攻击检测确定攻击交易后再交给洗盘交易检测
+    const pnlTracker = createPnLTracker(config.pnl);
+    const washTradingDetector = createWashTradingDetector({
+        clusters,
+        walletActivity,
+        hourly: aggregates.hourly,
+        totalTransactionValue: totals.transactionValue
+    }, config);
+    const sandwichDetector = createSandwichDetector(aggregates.ordering, config, washTradingDetector.add);
+    const rugPullDetector = createRugPullDetector({ clusters }, config);
+    const pumpDetector = createPumpDetector(sortedPriceIntervals, timeRange.latest, config);
+    const whaleTradeCollector = createWhaleTradeCollector(config);
+    const walletHistoryCollector = createWalletHistoryCollector(
+        selectDetailWallets(walletActivity, suspectedManipulators, config),
+        walletActivity,
+        config
+    );
+    const timeline = createTimeline(aggregates, trade => {
+        pnlTracker.add(trade);
+        sandwichDetector.add(trade);
+        rugPullDetector.add(trade);
+        pumpDetector.add(trade);
+        whaleTradeCollector.add(trade);
+        walletHistoryCollector.add(trade);
+    });
+    let seq = 0;
+
+    function scan(tx) {
+        for (const window of impactWindows) {
+            window.add(tx);
+        }
+        const trade = toTrade(tx, seq++);
+        if (trade) timeline.add(trade);
+    }
+
+    function finish() {
+        timeline.finish();
+        const priceImpacts = detectPriceImpacts(impactWindows, config.priceImpacts);
+
+        const pnl = pnlTracker.finish(aggregates.lastTrade);
+        suspectedManipulators.forEach(wallet => {
+            wallet.pnl = pnl.wallets[wallet.address] ? summarizePnL(pnl.wallets[wallet.address]) : null;
+        });
+        clusters.forEach(cluster => {
+            cluster.pnl = _.sumBy(cluster.wallets, address => (pnl.wallets[address] ? pnl.wallets[address].total : 0));
+        });
+        const walletPnL = rankWalletsByPnL(pnl);
+        log.log(`盈亏最高的前5个钱包 (${walletPnL.method}):`, walletPnL.ranked.slice(0, 5).map(wallet => ({
+            address: wallet.address,
+            ...summarizePnL(wallet)
+        })));
+
+        const sandwiches = sandwichDetector.finish();
+        log.log("三明治攻击:", {
+            排序依据: sandwiches.ordering.slot ? '时间戳、区块号' : '时间戳',
+            攻击次数: sandwiches.attacks.length,
+            攻击者: sandwiches.attackers.length,
+            受害钱包: sandwiches.victimCount,
+            攻击者获利: sandwiches.extractedValue
+        });
+
+        const washTrading = washTradingDetector.finish();
+        const washByWallet = _.keyBy(washTrading.wallets, 'address');
+        suspectedManipulators.forEach(wallet => {
+            const wash = washByWallet[wallet.address];
+            wallet.washValue = wash ? wash.washValue : 0;
+            wallet.washFraction = wash ? wash.fraction : 0;
+        });
+        log.log("洗盘交易:", {
+            往返交易: washTrading.roundTrips,
+            涉及钱包: washTrading.wallets.length,
+            交易额占比: `${(washTrading.fraction * 100).toFixed(2)}%`
+        });
+
+        const suspiciousActivityIntervals = detectSuspiciousIntervals(aggregates.detailedIntervals, washTrading.walletsByInterval, config);
+        log.log("可疑活动时间区间:", suspiciousActivityIntervals.slice(0, 5));
+
+        const topWalletsImpact = computeWalletImpact(topSuspiciousWallets, totals.transactionValue);
+        log.log("顶级钱包市场影响:", topWalletsImpact.slice(0, 5));
+
+        const coordinatedActivities = detectCoordinatedActivities(suspiciousActivityIntervals, config.coordinated);
+        log.log("协调活动:", coordinatedActivities.slice(0, 5));
+
+        const rugPulls = rugPullDetector.finish();
+        log.log("跑路 / 流动性抽离事件:", rugPulls.slice(0, 5).map(event =>
+            _.pick(event, ['wallets', 'startTimestamp', 'endTimestamp', 'supplyShare', 'extractedValue', 'priceBefore', 'lowestPrice', 'collapsePercent', 'recovered', 'activityDied', 'severity'])));
+
+        const pumpAndDumpPatterns = pumpDetector.finish();
+        log.log("潜在拉高出货模式:", pumpAndDumpPatterns.slice(0, 5).map(pattern => ({
+            ..._.pick(pattern, ['pump', 'dump', 'confidence', 'scores']),
+            关联钱包: pattern.suspiciousWallets.slice(0, 5)
+        })));
+
+        const risk = assessRisks({
+            detailedIntervals: aggregates.detailedIntervals,
+            suspiciousActivityIntervals,
+            topSuspiciousWallets,
+            topWalletsImpact,
+            pumpAndDumpPatterns,
+            coordinatedActivities,
+            washTrading,
+            rugPulls,
+            priceStats
+        }, config);
+
+        return {
+            config,
+            tradeCount: count,
+            dataQuality,
+            valuation,
+            timeRange,
+            prices: {
+                stats: priceStats,
+                highest: highestPrice,
+                lowest: lowestPrice,
+                changes: priceChanges
+            },
+            totals,
+            wallets: {
+                activity: walletActivity,
+                scored: suspectedManipulators,
+                topSuspicious: topSuspiciousWallets,
+                topImpact: topWalletsImpact,
+                multiLeg: multiLegWallets,
+                pnl: walletPnL,
+                clusters
+            },
+            intervals: {
+                price: sortedPriceIntervals,
+                suspicious: suspiciousActivityIntervals
+            },
+            patterns: {
+                pumpAndDump: pumpAndDumpPatterns,
+                coordinated: coordinatedActivities,
+                multiLeg: multiLegTransactions.map(transaction => ({ ...transaction, datetime: formatTime(transaction.timestamp) })),
+                washTrading: _.omit(washTrading, 'walletsByInterval'),
+                sandwiches,
+                rugPulls,
+                whaleEntries,
+                priceImpacts
+            },
+            cycles: marketPhases,
+            risk,
+            series: {
+                hourly: aggregates.hourly,
+                candles: aggregates.candles,
+                detailed: aggregates.detailedIntervals,
+                whaleTrades: whaleTradeCollector.finish(),
+                walletDetails: walletHistoryCollector.finish(aggregates.lastTrade)
+            }
+        };
+    }
+
+    return { scan, finish };
+}
+
+/**
+ * 对内存中的交易记录执行完整分析
+ * @param {Object[]} trades - 原始交易记录（CSV解析后的行）
+ * @param {Object} [options]
+ * @param {Object} [options.config] - 配置覆盖项（见 config.js，可含 preset 字段）
+ * @param {Object} [options.thresholds] - 巨鲸/中等/散户交易阈值，优先级高于 options.config
+ * @param {Object} [options.logger] - 日志输出对象（需提供 log 和 error 方法），默认不输出日志
+ * @param {Object[]} [options.solPrices] - SOL/USD 价格表（见 valuation.js 的 loadSolPriceTable）
+ * @returns {Object} 结构化分析结果
+ */
+function analyze(trades, options = {}) {
+    const { config, log, valuation } = resolveOptions(options);
+
+    // 预处理并按时间戳排序
+    const normalizer = createNormalizer(config, log, valuation);
+    const sortedData = _.sortBy(
+        trades.map(normalizer.normalize).filter(row => row !== null),
+        'trade_timestamp'
+    );
+    const dataQuality = normalizer.summary();
+    if (sortedData.length === 0) {
+        throw noValidTradesError(dataQuality);
+    }
+
+    const aggregator = createAggregator(config);
+    sortedData.forEach(aggregator.add);
+
+    const plan = planAnalysis(aggregator.finish(), {
+        dataQuality,
+        multiLegTransactions: normalizer.multiLegTransactions(),
+        sharedSignatures: normalizer.sharedSignatures(),
+        valuation: valuation.summary()
+    }, config, log);
+    sortedData.forEach(plan.scan);
+    return plan.finish();
+}
+
+// 流式分析的第一遍：增量聚合并记录重复记录的行号，读取结束后释放交易签名等去重状态
+async function aggregateStream(readRows, config, log, valuation) {
+    const normalizer = createNormalizer(config, log, valuation);
+    const aggregator = createAggregator(config);
+    await readRows(raw => {
+        const row = normalizer.normalize(raw);
+        if (row) aggregator.add(row);
+    });
+
+    return {
+        aggregates: aggregator.finish(),
+        dataQuality: normalizer.summary(),
+        duplicateRows: normalizer.duplicateRows(),
+        multiLegTransactions: normalizer.multiLegTransactions(),
+        sharedSignatures: normalizer.sharedSignatures()
+    };
+}
+
+/**
+ * 流式分析：数据源会被读取两遍，内存占用主要与钱包数和区间数相关
+ * @param {function(function(Object): void): Promise} readRows - 逐行读取数据源，每行调用一次回调
+ * @param {Object} [options] - 同 analyze()
+ * @returns {Promise<Object>} 结构化分析结果
+ */
+async function analyzeStream(readRows, options = {}) {
+    const { config, log, valuation } = resolveOptions(options);
+
+    const { aggregates, dataQuality, duplicateRows, multiLegTransactions, sharedSignatures } =
+        await aggregateStream(readRows, config, log, valuation);
+    if (aggregates.count === 0) {
+        throw noValidTradesError(dataQuality);
+    }
+
+    const plan = planAnalysis(aggregates, {
+        dataQuality,
+        multiLegTransactions,
+        sharedSignatures,
+        valuation: valuation.summary()
+    }, config, log);
+    // 第二遍扫描时不重复输出无效数据日志
+    const rescan = createNormalizer(config, silentLogger, valuation, { duplicateRows });
+    await readRows(raw => {
+        const row = rescan.normalize(raw);
+        if (row) plan.scan(row);
+    });
+    return plan.finish();
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    analyze,
+    analyzeStream
+};
@@ -0,0 +1,201 @@
+/**
+ * K 线（OHLCV）
+ * 按 1 秒 ~ 1 天的任意分辨率增量聚合开高低收、成交量、买卖量与成交笔数，
+ * 价格区间、细分区间、小时级图表数据与 K 线导出都由这里生成
+ */
+
+const Papa = require('papaparse');
+const { DEFAULT_TIMEZONE, formatTimestamp } = require('./utils');
+
+const MIN_RESOLUTION = 1;
+const MAX_RESOLUTION = 86400;
+
+// 常用分辨率
+const RESOLUTIONS = {
+    '1s': 1,
+    '5s': 5,
+    '15s': 15,
+    '30s': 30,
+    '1m': 60,
+    '5m': 300,
+    '10m': 600,
+    '15m': 900,
+    '30m': 1800,
+    '1h': 3600,
+    '4h': 14400,
+    '1d': 86400
+};
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// 导出 CSV 的列
+const CSV_COLUMNS = [
+    'timestamp', 'datetime', 'open', 'high', 'low', 'close', 'vwap',
+    'volume', 'buyVolume', 'sellVolume', 'value', 'buyValue', 'sellValue',
+    'trades', 'buyCount', 'sellCount'
+];
+
+/**
+ * 解析分辨率
+ * @param {string|number} value - 如 "30s"、"5m"、"4h"、"1d"，或秒数
+ * @returns {number|null} 秒数；格式无效或不在 1 秒 ~ 1 天之间时为 null
+ */
+function parseResolution(value) {
+    let seconds = null;
+    if (typeof value === 'number') {
+        seconds = value;
+    } else if (typeof value === 'string') {
+        const match = /^(\d+)([smhd])?$/.exec(value.trim());
+        if (match) seconds = Number(match[1]) * UNIT_SECONDS[match[2] || 's'];
+    }
+    return Number.isInteger(seconds) && seconds >= MIN_RESOLUTION && seconds <= MAX_RESOLUTION ? seconds : null;
+}
+
+// 秒数转为最大的整数单位，如 600 → "10m"
+function formatResolution(seconds) {
+    const unit = ['d', 'h', 'm'].find(name => seconds % UNIT_SECONDS[name] === 0) || 's';
+    return `${seconds / UNIT_SECONDS[unit]}${unit}`;
+}
+
+const createBucket = timestamp => ({
+    timestamp,
+    first: null,
+    last: null,
+    max: null,
+    min: null,
+    volume: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    value: 0,
+    buyValue: 0,
+    sellValue: 0,
+    trades: 0,
+    buyCount: 0,
+    sellCount: 0
+});
+
+function finishBucket(bucket) {
+    const hasPrice = Boolean(bucket.first);
+    return {
+        timestamp: bucket.timestamp,
+        open: hasPrice ? bucket.first.price : null,
+        high: hasPrice ? bucket.max.price : null,
+        low: hasPrice ? bucket.min.price : null,
+        close: hasPrice ? bucket.last.price : null,
+        vwap: bucket.volume > 0 && bucket.value > 0 ? bucket.value / bucket.volume : null,
+        volume: bucket.volume,
+        buyVolume: bucket.buyVolume,
+        sellVolume: bucket.sellVolume,
+        value: bucket.value,
+        buyValue: bucket.buyValue,
+        sellValue: bucket.sellValue,
+        trades: bucket.trades,
+        buyCount: bucket.buyCount,
+        sellCount: bucket.sellCount
+    };
+}
+
+/**
+ * 创建 K 线聚合器
+ * 时间桶按 Unix 时间对齐（日线为 UTC 零点），输入不要求按时间排序：
+ * 开盘价取桶内最早的一笔（时间相同时先到者优先），收盘价取最晚的一笔（时间相同时后到者优先）。
+ * 没有有效价格的交易只计入成交量和笔数。
+ * @param {number} seconds - 分辨率（秒）
+ * @returns {{add: function(Object): void, finish: function(): Object[]}}
+ */
+function createCandleBuilder(seconds) {
+    const buckets = new Map();
+
+    function add(row) {
+        const ts = row.trade_timestamp;
+        const key = Math.floor(ts / seconds) * seconds;
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = createBucket(key);
+            buckets.set(key, bucket);
+        }
+
+        const isBuy = row.type === 'TOKEN_BUY';
+        const amount = (isBuy ? row.buy_amount : row.sell_amount) || 0;
+        const value = row.transaction_value || 0;
+        bucket.trades++;
+        bucket.volume += amount;
+        bucket.value += value;
+        if (isBuy) {
+            bucket.buyCount++;
+            bucket.buyVolume += amount;
+            bucket.buyValue += value;
+        } else if (row.type === 'TOKEN_SELL') {
+            bucket.sellCount++;
+            bucket.sellVolume += amount;
+            bucket.sellValue += value;
+        }
+
+        if (!(row.price > 0)) return;
+        const point = { timestamp: ts, price: row.price };
+        if (!bucket.first || ts < bucket.first.timestamp) bucket.first = point;
+        if (!bucket.last || ts >= bucket.last.timestamp) bucket.last = point;
+        if (!bucket.max || row.price > bucket.max.price) bucket.max = point;
+        if (!bucket.min || row.price < bucket.min.price) bucket.min = point;
+    }
+
+    const sortedBuckets = () => [...buckets.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+    // 按时间升序输出 K 线
+    function finish() {
+        return sortedBuckets().map(finishBucket);
+    }
+
+    return { add, finish };
+}
+
+/**
+ * 把 K 线合并为更低的分辨率
+ * @param {Object[]} candles - 按时间升序的 K 线
+ * @param {number} seconds - 目标分辨率，应为原分辨率的整数倍
+ * @returns {Object[]} 合并后的 K 线
+ */
+function resampleCandles(candles, seconds) {
+    const merged = [];
+    candles.forEach(candle => {
+        const timestamp = Math.floor(candle.timestamp / seconds) * seconds;
+        const current = merged[merged.length - 1];
+        if (!current || current.timestamp !== timestamp) {
+            merged.push({ ...candle, timestamp });
+            return;
+        }
+        if (candle.open !== null) {
+            if (current.open === null) {
+                Object.assign(current, { open: candle.open, high: candle.high, low: candle.low });
+            } else {
+                current.high = Math.max(current.high, candle.high);
+                current.low = Math.min(current.low, candle.low);
+            }
+            current.close = candle.close;
+        }
+        ['volume', 'buyVolume', 'sellVolume', 'value', 'buyValue', 'sellValue', 'trades', 'buyCount', 'sellCount']
+            .forEach(field => { current[field] += candle[field]; });
+        current.vwap = current.volume > 0 && current.value > 0 ? current.value / current.volume : null;
+    });
+    return merged;
+}
+
+// K 线导出为 CSV（datetime 为指定时区的时间并附带偏移，空价格输出为空字段）
+function formatCandlesCSV(candles, timeZone = DEFAULT_TIMEZONE) {
+    return Papa.unparse({
+        fields: CSV_COLUMNS,
+        data: candles.map(candle => CSV_COLUMNS.map(column => {
+            if (column === 'datetime') return formatTimestamp(candle.timestamp, timeZone);
+            return candle[column] === null ? '' : candle[column];
+        }))
+    });
+}
+
+module.exports = {
+    RESOLUTIONS,
+    parseResolution,
+    formatResolution,
+    createCandleBuilder,
+    resampleCandles,
+    formatCandlesCSV
+};
@@ -0,0 +1,357 @@
+/**
+ * 命令行接口
+ * 解析命令行参数，执行分析并写出报告和图表
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const _ = require('lodash');
+const { analyzeStream, DEFAULT_THRESHOLDS } = require('./analyze');
+const { DEFAULT_CONFIG, PRESETS, QUOTE_CURRENCIES, COST_BASIS_METHODS, SCORING_MODES, loadConfigFile } = require('./config');
+const { loadSolPriceTable } = require('./valuation');
+const { isValidTimeZone } = require('./utils');
+const { parseResolution, formatCandlesCSV } = require('./candles');
+const { renderMarkdown } = require('./render/markdown');
+const { renderHTML } = require('./render/html');
+const { findMissingAssets } = require('./render/assets');
+const { INPUT_FORMATS, streamRows } = require('./readers');
+
+// 默认CSV文件路径
+const DEFAULT_CSV_PATH = 'dex_token_trade_transaction_202503311957.csv';
+// 默认输出文件名
+const REPORT_FILE = 'analysis_report';
+const CHART_FILE = 'charts.html';
+const CANDLES_FILE = 'candles';
+// 支持的报告格式及对应扩展名
+const REPORT_FORMATS = {
+    markdown: '.md',
+    json: '.json'
+};
+
+// 退出码
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,           // 运行时错误
+    USAGE: 2,             // 参数错误
+    INPUT_NOT_FOUND: 3,   // 输入文件不存在
+    NO_VALID_TRADES: 4,   // 没有有效交易记录
+    INVALID_CONFIG: 5,    // 配置文件无效
+    INVALID_INPUT: 6,     // 输入文件无法按指定格式读取
+    MISSING_ASSETS: 7     // 离线模式所需的前端库未安装
+};
+
+const HELP_TEXT = `用法: node integrated_analysis.js [选项] [输入文件路径]
+
+选项:
+  -i, --input <路径>          输入文件 (默认: ${DEFAULT_CSV_PATH})
+      --input-format <格式>   输入格式: ${INPUT_FORMATS.join(' | ')} (默认: 按扩展名判断，无法识别时为 csv)
+      --table <表名>          SQLite 输入的数据表 (数据库只有一张表时可省略)
+  -o, --out-dir <目录>        输出目录 (默认: 当前目录)
+      --report / --no-report  是否生成分析报告 (默认: 生成)
+      --charts / --no-charts  是否生成可视化图表 (默认: 生成)
+      --offline               把前端库从 node_modules 内联到图表 HTML 中，生成无需联网的单个文件 (别名: --inline-assets)
+      --candles <分辨率>      导出该分辨率的 K 线 CSV (1s ~ 1d，如 30s、5m、1h，同时用作 K 线图分辨率)
+  -f, --format <格式>         分析报告格式: markdown | json (默认: markdown)
+  -c, --config <路径>         配置文件 (JSON 或 YAML)，覆盖检测阈值与评分权重
+      --preset <名称>         配置预设: ${Object.keys(PRESETS).join(' | ')}
+      --whale <金额>          巨鲸交易阈值 (默认: ${DEFAULT_THRESHOLDS.whale})
+      --medium <金额>         中等交易阈值 (默认: ${DEFAULT_THRESHOLDS.medium})
+      --retail <金额>         散户交易阈值 (默认: ${DEFAULT_THRESHOLDS.retail})
+      --timezone <时区>       报告、图表与日志的显示时区，IANA 时区名 (默认: ${DEFAULT_CONFIG.timezone})
+      --quote <货币>          输入价格的报价货币: ${QUOTE_CURRENCIES.join(' | ')} (默认: ${DEFAULT_CONFIG.valuation.quoteCurrency})
+      --sol-prices <路径>     本地 SOL/USD 价格表 (CSV: timestamp, price)，用于 SOL 与 USD 互相换算
+      --scoring <方式>        钱包可疑评分方式: ${SCORING_MODES.join(' | ')} (默认: ${DEFAULT_CONFIG.walletScoring.mode})
+      --cost-basis <方法>     钱包盈亏的成本计算方法: ${COST_BASIS_METHODS.join(' | ')} (默认: ${DEFAULT_CONFIG.pnl.method})
+  -q, --quiet                 只输出错误信息
+  -h, --help                  显示帮助信息
+
+退出码:
+  0  成功
+  1  运行时错误
+  2  参数错误
+  3  输入文件不存在
+  4  没有有效的交易记录
+  5  配置文件无效
+  6  输入文件无法按指定格式读取
+  7  离线模式所需的前端库未安装
+`;
+
+// 参数错误
+function usageError(message) {
+    const err = new Error(message);
+    err.code = 'USAGE';
+    return err;
+}
+
+// 解析阈值参数
+function parseThreshold(name, value) {
+    if (value === undefined) return undefined;
+    const num = Number(value);
+    if (!Number.isFinite(num) || num <= 0) {
+        throw usageError(`--${name} 必须是正数: ${value}`);
+    }
+    return num;
+}
+
+// 解析命令行参数
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                input: { type: 'string', short: 'i' },
+                'input-format': { type: 'string' },
+                table: { type: 'string' },
+                'out-dir': { type: 'string', short: 'o', default: '.' },
+                report: { type: 'boolean' },
+                'no-report': { type: 'boolean' },
+                charts: { type: 'boolean' },
+                'no-charts': { type: 'boolean' },
+                offline: { type: 'boolean', default: false },
+                'inline-assets': { type: 'boolean', default: false },
+                candles: { type: 'string' },
+                format: { type: 'string', short: 'f', default: 'markdown' },
+                config: { type: 'string', short: 'c' },
+                preset: { type: 'string' },
+                whale: { type: 'string' },
+                medium: { type: 'string' },
+                retail: { type: 'string' },
+                timezone: { type: 'string' },
+                quote: { type: 'string' },
+                'sol-prices': { type: 'string' },
+                'cost-basis': { type: 'string' },
+                scoring: { type: 'string' },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        throw usageError(err.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (positionals.length > 1) {
+        throw usageError(`多余的参数: ${positionals.slice(1).join(' ')}`);
+    }
+    if (values.input && positionals.length > 0) {
+        throw usageError('不能同时使用 --input 和位置参数指定输入文件');
+    }
+    if (values['input-format'] && !INPUT_FORMATS.includes(values['input-format'])) {
+        throw usageError(`不支持的输入格式: ${values['input-format']}`);
+    }
+    if (!REPORT_FORMATS[values.format]) {
+        throw usageError(`不支持的报告格式: ${values.format}`);
+    }
+    if (values.preset && !PRESETS[values.preset]) {
+        throw usageError(`未知的配置预设: ${values.preset}`);
+    }
+    if (values.timezone !== undefined && !isValidTimeZone(values.timezone)) {
+        throw usageError(`无效的时区: ${values.timezone}（应为 IANA 时区名，如 Asia/Shanghai、UTC）`);
+    }
+    if (values.candles !== undefined && !parseResolution(values.candles)) {
+        throw usageError(`无效的 K 线分辨率: ${values.candles}（应为 1s ~ 1d，如 30s、5m、1h）`);
+    }
+    if (values.quote !== undefined && !QUOTE_CURRENCIES.includes(values.quote)) {
+        throw usageError(`无效的报价货币: ${values.quote}（可用: ${QUOTE_CURRENCIES.join(', ')}）`);
+    }
+
+    if (values['cost-basis'] !== undefined && !COST_BASIS_METHODS.includes(values['cost-basis'])) {
+        throw usageError(`无效的成本计算方法: ${values['cost-basis']}（可用: ${COST_BASIS_METHODS.join(', ')}）`);
+    }
+
+    if (values.scoring !== undefined && !SCORING_MODES.includes(values.scoring)) {
+        throw usageError(`无效的钱包评分方式: ${values.scoring}（可用: ${SCORING_MODES.join(', ')}）`);
+    }
+
+    const thresholds = _.omitBy({
+        whale: parseThreshold('whale', values.whale),
+        medium: parseThreshold('medium', values.medium),
+        retail: parseThreshold('retail', values.retail)
+    }, _.isUndefined);
+
+    return {
+        help: values.help,
+        input: values.input || positionals[0] || DEFAULT_CSV_PATH,
+        inputFormat: values['input-format'],
+        table: values.table,
+        outDir: values['out-dir'],
+        report: !values['no-report'],
+        charts: !values['no-charts'],
+        offline: values.offline || values['inline-assets'],
+        candles: values.candles,
+        format: values.format,
+        configPath: values.config,
+        preset: values.preset,
+        thresholds,
+        timezone: values.timezone,
+        quote: values.quote,
+        solPriceFile: values['sol-prices'],
+        costBasis: values['cost-basis'],
+        scoring: values.scoring,
+        quiet: values.quiet
+    };
+}
+
+/**
+ * 执行命令行分析流程
+ * @param {string[]} argv - 命令行参数（不含 node 和脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+async function run(argv) {
+    let args;
+    try {
+        args = parseCliArgs(argv);
+    } catch (err) {
+        console.error(`错误: ${err.message}`);
+        console.error('使用 --help 查看可用选项');
+        return EXIT_CODES.USAGE;
+    }
+
+    if (args.help) {
+        console.log(HELP_TEXT);
+        return EXIT_CODES.OK;
+    }
+
+    const log = args.quiet ? { log() {}, error: console.error } : console;
+
+    if (!fs.existsSync(args.input)) {
+        log.error(`错误: 输入文件不存在: ${args.input}`);
+        return EXIT_CODES.INPUT_NOT_FOUND;
+    }
+    if (args.configPath && !fs.existsSync(args.configPath)) {
+        log.error(`错误: 配置文件不存在: ${args.configPath}`);
+        return EXIT_CODES.INPUT_NOT_FOUND;
+    }
+    // 离线模式在分析之前检查前端库，避免分析完成后才失败
+    if (args.offline && args.charts) {
+        const missing = findMissingAssets();
+        if (missing.length > 0) {
+            log.error(`错误: 离线模式需要的前端库未安装: ${missing.join(', ')}（请先执行 npm install）`);
+            return EXIT_CODES.MISSING_ASSETS;
+        }
+    }
+
+    log.log(`开始分析 ${args.input} 文件...`);
+
+    try {
+        // 配置优先级: 默认配置 < 预设 < 配置文件 < 命令行参数
+        const config = args.configPath ? loadConfigFile(args.configPath) : {};
+        if (args.preset) {
+            config.preset = args.preset;
+        }
+        if (args.timezone) {
+            config.timezone = args.timezone;
+        }
+        if (args.quote || args.solPriceFile) {
+            config.valuation = _.omitBy({
+                ...config.valuation,
+                quoteCurrency: args.quote,
+                solPriceFile: args.solPriceFile
+            }, _.isUndefined);
+        }
+
+        if (args.candles) {
+            config.candles = { ...config.candles, resolution: args.candles };
+        }
+        if (args.scoring) {
+            config.walletScoring = { ...config.walletScoring, mode: args.scoring };
+        }
+        if (args.costBasis) {
+            config.pnl = { ...config.pnl, method: args.costBasis };
+        }
+
+        // SOL/USD 价格表
+        const solPriceFile = config.valuation && config.valuation.solPriceFile;
+        if (solPriceFile && !fs.existsSync(solPriceFile)) {
+            log.error(`错误: SOL/USD 价格表不存在: ${solPriceFile}`);
+            return EXIT_CODES.INPUT_NOT_FOUND;
+        }
+        const solPrices = solPriceFile ? loadSolPriceTable(solPriceFile) : undefined;
+        if (solPrices) {
+            log.log(`已加载 SOL/USD 价格表 ${solPriceFile}，共 ${solPrices.length} 条`);
+        }
+
+        // ==== 数据读取与预处理 ====
+        // 流式读取输入文件，文件会被读取两遍（聚合 + 时间窗口统计）
+        log.log("正在流式读取并解析输入数据...");
+        let pass = 0;
+        const readRows = async onRow => {
+            const count = await streamRows(args.input, onRow, { format: args.inputFormat, table: args.table });
+            if (++pass === 1) {
+                log.log(`成功读取 ${count} 条交易记录`);
+            }
+        };
+
+        const result = await analyzeStream(readRows, { config, thresholds: args.thresholds, solPrices, logger: log });
+
+        fs.mkdirSync(args.outDir, { recursive: true });
+        const outputs = [];
+
+        // ==== 生成分析报告 ====
+        if (args.report) {
+            log.log("正在生成分析报告...");
+            const reportPath = path.join(args.outDir, REPORT_FILE + REPORT_FORMATS[args.format]);
+            const analysisReport = args.format === 'json' ?
+                JSON.stringify(_.omit(result, 'series'), null, 2) :
+                renderMarkdown(result);
+            fs.writeFileSync(reportPath, analysisReport);
+            log.log(`分析报告已保存到 ${reportPath}`);
+            outputs.push(`- 分析报告: ${reportPath}`);
+        }
+
+        // ==== 生成可视化图表 ====
+        if (args.charts) {
+            log.log("正在生成可视化图表...");
+            const chartPath = path.join(args.outDir, CHART_FILE);
+            const chartsHTML = renderHTML(result, { logger: log, offline: args.offline });
+            log.log(`生成的HTML大小: ${chartsHTML.length} 字节`);
+            fs.writeFileSync(chartPath, chartsHTML);
+            log.log(`可视化图表已成功保存到 ${chartPath}${args.offline ? '（已内联前端库，可离线打开）' : ''}`);
+            outputs.push(`- 可视化图表: ${chartPath}`);
+        }
+
+        // ==== 导出 K 线 ====
+        if (args.candles) {
+            const { resolution, candles } = result.series.candles;
+            const candlesPath = path.join(args.outDir, `${CANDLES_FILE}_${resolution}.csv`);
+            fs.writeFileSync(candlesPath, formatCandlesCSV(candles, result.config.timezone));
+            log.log(`${resolution} K 线已导出到 ${candlesPath}，共 ${candles.length} 根`);
+            outputs.push(`- K 线: ${candlesPath}`);
+        }
+
+        log.log("分析与可视化已完成！");
+        outputs.forEach(line => log.log(line));
+        if (args.charts) {
+            log.log("请使用浏览器打开可视化图表查看结果。");
+        }
+        return EXIT_CODES.OK;
+    } catch (err) {
+        if (err.code === 'NO_VALID_TRADES') {
+            log.error(`错误: ${err.message}`);
+            return EXIT_CODES.NO_VALID_TRADES;
+        }
+        if (err.code === 'INVALID_CONFIG') {
+            log.error(`错误: ${err.message}`);
+            return EXIT_CODES.INVALID_CONFIG;
+        }
+        if (err.code === 'INVALID_INPUT') {
+            log.error(`错误: ${err.message}`);
+            return EXIT_CODES.INVALID_INPUT;
+        }
+        if (err.code === 'MISSING_ASSETS') {
+            log.error(`错误: ${err.message}`);
+            return EXIT_CODES.MISSING_ASSETS;
+        }
+        log.error("分析过程中出错:", err);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseCliArgs,
+    run
+};
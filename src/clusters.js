@@ -0,0 +1,325 @@
+/**
+ * 钱包聚类
+ * 按行为相似度把可能由同一操控者控制的钱包（女巫钱包）归为一组，并对钱包群单独评分
+ */
+
+const _ = require('lodash');
+const { condition } = require('./utils');
+const { createQueue } = require('./timeline');
+
+// 钱包对之间的关联信号
+const LINK_SIGNALS = {
+    firstSeen: '首次出现时间相近',
+    sameSize: '相同的交易数量',
+    mirrored: '同向交易时间同步',
+    sharedSignature: '同一交易签名'
+};
+
+const pairKey = (a, b) => (a < b ? `${a}\n${b}` : `${b}\n${a}`);
+
+// 钱包对的关联证据
+function createLinks() {
+    const links = new Map();
+    function get(a, b) {
+        const key = pairKey(a, b);
+        let link = links.get(key);
+        if (!link) {
+            const [first, second] = a < b ? [a, b] : [b, a];
+            link = { wallets: [first, second], firstSeen: false, sameSize: 0, mirrored: 0, sharedSignature: 0 };
+            links.set(key, link);
+        }
+        return link;
+    }
+    return { get, values: () => links.values() };
+}
+
+// 对同一分组内的钱包两两记录证据，分组过大时视为普遍现象跳过
+function forEachPair(wallets, maxWallets, callback) {
+    if (wallets.length < 2 || wallets.length > maxWallets) return;
+    for (let i = 0; i < wallets.length; i++) {
+        for (let j = i + 1; j < wallets.length; j++) {
+            callback(wallets[i], wallets[j]);
+        }
+    }
+}
+
+// 把钱包加入分组（每个钱包只计一次），返回新的分组：只有一个钱包时直接保存地址，超过 limit 个钱包后不再记录
+function addWallet(group, address, limit) {
+    if (group === undefined) return address;
+    if (typeof group === 'string') return group === address ? group : [group, address];
+    if (group.length <= limit && !group.includes(address)) group.push(address);
+    return group;
+}
+
+// 把钱包记入键对应的分组
+const addToGroup = (groups, key, address, limit) => groups.set(key, addWallet(groups.get(key), address, limit));
+
+// 包含多个钱包的分组
+const multiWalletGroups = groups => [...groups.values()].filter(Array.isArray);
+
+/**
+ * 创建钱包关联索引
+ * 第一遍扫描时逐笔记录相同交易数量与同一时间窗口内的同向交易涉及的钱包，不缓存交易。
+ * 分组超过 maxWalletsPerKey 个钱包时视为普遍现象，不记录证据，因此每个分组最多保存 maxWalletsPerKey + 1 个钱包。
+ * 相同交易数量只在 sameSizeSeconds 内比较：某个数量在该时长内没有再出现时，其中的钱包对计入证据并释放该分组，
+ * 因此只保留最近 sameSizeSeconds 内出现过的交易数量（按已读到的最晚时间计，输入乱序时更早的交易可能错过配对）
+ * @param {Object} rules - 配置中的 clustering 项
+ * @returns {{add: function(Object): void, finish: function(): Object}}
+ *   finish() 返回 { sameSize, mirrored, tradeCounts }：sameSize 为钱包对及其相同交易数量的次数，
+ *   mirrored 为包含多个钱包的同步窗口分组，tradeCounts 为每个钱包的交易笔数
+ */
+function createLinkIndex(rules) {
+    const sizes = new Map();                                  // 方向与交易数量 → { wallets, last }
+    const sizeQueue = createQueue();                          // 按读取顺序记录的 { key, timestamp }
+    const sizePairs = new Map();                              // 钱包对 → { wallets, count }
+    const windows = { buy: new Map(), sell: new Map() };      // 时间窗口 → 钱包
+    const tradeCounts = new Map();
+    let latest = -Infinity;
+
+    // 把相同交易数量分组中的钱包对计入证据并释放分组
+    function settleSize(key) {
+        const group = sizes.get(key).wallets;
+        sizes.delete(key);
+        if (!Array.isArray(group)) return;
+        forEachPair(group, rules.maxWalletsPerKey, (a, b) => {
+            const pair = pairKey(a, b);
+            if (!sizePairs.has(pair)) sizePairs.set(pair, { wallets: a < b ? [a, b] : [b, a], count: 0 });
+            sizePairs.get(pair).count++;
+        });
+    }
+
+    function addSize(trade) {
+        latest = Math.max(latest, trade.timestamp);
+        while (sizeQueue.length > 0 && latest - sizeQueue.at(0).timestamp > rules.sameSizeSeconds) {
+            const { key: expired, timestamp } = sizeQueue.shift();
+            if (sizes.has(expired) && sizes.get(expired).last === timestamp) settleSize(expired);
+        }
+
+        const key = `${trade.isBuy ? 'buy' : 'sell'}:${trade.amount}`;
+        if (!sizes.has(key)) sizes.set(key, { wallets: undefined, last: -Infinity });
+        const entry = sizes.get(key);
+        entry.wallets = addWallet(entry.wallets, trade.wallet, rules.maxWalletsPerKey);
+        if (trade.timestamp > entry.last) {
+            entry.last = trade.timestamp;
+            sizeQueue.push({ key, timestamp: trade.timestamp });
+        }
+    }
+
+    function add(trade) {
+        const side = trade.isBuy ? 'buy' : 'sell';
+        addSize(trade);
+        addToGroup(windows[side], Math.floor(trade.timestamp / rules.mirrorSeconds), trade.wallet, rules.maxWalletsPerKey);
+        tradeCounts.set(trade.wallet, (tradeCounts.get(trade.wallet) || 0) + 1);
+    }
+
+    function finish() {
+        [...sizes.keys()].forEach(settleSize);
+        return {
+            sameSize: [...sizePairs.values()],
+            mirrored: [...multiWalletGroups(windows.buy), ...multiWalletGroups(windows.sell)],
+            tradeCounts
+        };
+    }
+
+    return { add, finish };
+}
+
+// 收集钱包对之间的关联证据
+function collectLinks({ walletActivity, linkIndex, sharedSignatures }, rules) {
+    const links = createLinks();
+    const { maxWalletsPerKey } = rules;
+
+    // 首次出现时间相近
+    const byFirstSeen = _.sortBy(Object.keys(walletActivity), address => walletActivity[address].firstSeen);
+    byFirstSeen.forEach((address, i) => {
+        for (let j = i + 1; j < byFirstSeen.length && j - i <= maxWalletsPerKey; j++) {
+            const other = byFirstSeen[j];
+            if (walletActivity[other].firstSeen - walletActivity[address].firstSeen > rules.firstSeenSeconds) break;
+            links.get(address, other).firstSeen = true;
+        }
+    });
+
+    // 相同的交易数量（同一方向）
+    linkIndex.sameSize.forEach(({ wallets: [a, b], count }) => {
+        links.get(a, b).sameSize += count;
+    });
+
+    // 同一时间窗口内的同向交易
+    linkIndex.mirrored.forEach(wallets => {
+        forEachPair(wallets, maxWalletsPerKey, (a, b) => { links.get(a, b).mirrored++; });
+    });
+
+    // 同一交易签名
+    sharedSignatures.forEach(({ wallets }) => {
+        forEachPair(wallets, maxWalletsPerKey, (a, b) => { links.get(a, b).sharedSignature++; });
+    });
+
+    return links;
+}
+
+// 钱包对的关联得分与成立的信号
+function scoreLink(link, tradeCounts, rules) {
+    const [a, b] = link.wallets;
+    const tradeCount = Math.min(tradeCounts.get(a) || 0, tradeCounts.get(b) || 0);
+    const signals = [];
+    if (link.firstSeen) signals.push('firstSeen');
+    if (link.sameSize >= rules.minSharedSizes) signals.push('sameSize');
+    if (link.mirrored >= rules.minMirroredTrades && tradeCount > 0 && link.mirrored / tradeCount >= rules.minMirrorRatio) {
+        signals.push('mirrored');
+    }
+    if (link.sharedSignature > 0) signals.push('sharedSignature');
+    return { signals, score: _.sumBy(signals, signal => rules.weights[signal]) };
+}
+
+// 并查集
+function createUnionFind() {
+    const parent = new Map();
+    const find = x => {
+        if (!parent.has(x)) parent.set(x, x);
+        let root = x;
+        while (parent.get(root) !== root) root = parent.get(root);
+        while (parent.get(x) !== root) {
+            const next = parent.get(x);
+            parent.set(x, root);
+            x = next;
+        }
+        return root;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+    return { find, union };
+}
+
+// ==== 钱包群评分规则 ====
+const CLUSTER_RULES = [
+    // 钱包数量
+    (cluster, { clustering: { scoring } }) => (cluster.size >= scoring.size.minWallets ? {
+        rule: 'size',
+        label: '钱包数量多',
+        points: scoring.size.points,
+        conditions: [condition('walletCount', '钱包数', cluster.size, '≥', scoring.size.minWallets)]
+    } : null),
+
+    // 合计交易额
+    (cluster, { thresholds, walletScoring, clustering: { scoring } }) => {
+        const threshold = thresholds.whale * walletScoring.highValue.extremeMultiplier;
+        return cluster.totalValue > threshold ? {
+            rule: 'highValue',
+            label: '合计交易额极高',
+            points: scoring.highValue.points,
+            conditions: [condition('totalValue', '合计交易额', cluster.totalValue, '>', threshold)]
+        } : null;
+    },
+
+    // 市场影响
+    (cluster, { clustering: { scoring } }) => (cluster.marketImpact > scoring.impact.minPercent ? {
+        rule: 'impact',
+        label: '市场影响大',
+        points: scoring.impact.points,
+        conditions: [condition('marketImpact', '交易额占比(%)', cluster.marketImpact, '>', scoring.impact.minPercent)]
+    } : null),
+
+    // 共用交易签名
+    (cluster, { clustering: { scoring } }) => (cluster.signals.sharedSignature > 0 ? {
+        rule: 'sharedSignature',
+        label: '共用交易签名',
+        points: scoring.sharedSignature.points,
+        conditions: [condition('sharedSignatureLinks', '共用签名的钱包对', cluster.signals.sharedSignature, '>', 0)]
+    } : null),
+
+    // 新钱包集中出现
+    (cluster, { clustering: { scoring } }) => (
+        cluster.size >= scoring.freshWallets.minWallets && cluster.firstSeenSpreadSeconds < scoring.freshWallets.maxSpreadSeconds ? {
+            rule: 'freshWallets',
+            label: '钱包集中首次出现',
+            points: scoring.freshWallets.points,
+            conditions: [
+                condition('walletCount', '钱包数', cluster.size, '≥', scoring.freshWallets.minWallets),
+                condition('firstSeenSpreadSeconds', '首次出现时间跨度(秒)', cluster.firstSeenSpreadSeconds, '<', scoring.freshWallets.maxSpreadSeconds)
+            ]
+        } : null),
+
+    // 可疑成员
+    (cluster, { clustering: { scoring } }) => (cluster.suspiciousMembers >= scoring.suspiciousMembers.minWallets ? {
+        rule: 'suspiciousMembers',
+        label: '包含多个可疑钱包',
+        points: scoring.suspiciousMembers.points,
+        conditions: [condition('suspiciousMembers', '可疑钱包数', cluster.suspiciousMembers, '≥', scoring.suspiciousMembers.minWallets)]
+    } : null)
+];
+
+/**
+ * 识别疑似由同一操控者控制的钱包群
+ * 钱包对的关联信号：首次出现时间相近、相同的交易数量、同向交易时间同步、同一交易签名；
+ * 各信号按权重累加，达到 minLinkScore 的钱包对相连，连通的钱包组成一个钱包群。
+ * @param {Object} data
+ * @param {Object} data.walletActivity - 钱包活动聚合
+ * @param {Object} data.linkIndex - createLinkIndex().finish() 的结果
+ * @param {Object[]} data.sharedSignatures - 涉及多个钱包的交易签名
+ * @param {Object[]} data.scoredWallets - scoreWallets() 的结果
+ * @param {number} data.totalTransactionValue - 总交易额
+ * @param {Object} config - 完整配置
+ * @returns {Object[]} 按评分降序排列的钱包群（合计盈亏 pnl 在第二遍扫描后填入）
+ */
+function detectWalletClusters(data, config) {
+    const rules = config.clustering;
+    if (!rules.enabled) return [];
+
+    const { walletActivity, linkIndex, scoredWallets, totalTransactionValue } = data;
+    const unionFind = createUnionFind();
+    const linkedPairs = [];
+
+    for (const link of collectLinks(data, rules).values()) {
+        const { signals, score } = scoreLink(link, linkIndex.tradeCounts, rules);
+        if (score >= rules.minLinkScore) {
+            unionFind.union(link.wallets[0], link.wallets[1]);
+            linkedPairs.push({ ...link, signals, score });
+        }
+    }
+
+    const members = _.groupBy(_.uniq(linkedPairs.flatMap(link => link.wallets)), unionFind.find);
+    const pairsByRoot = _.groupBy(linkedPairs, link => unionFind.find(link.wallets[0]));
+    const scoredByAddress = _.keyBy(scoredWallets, 'address');
+
+    const clusters = Object.entries(members)
+        .filter(([, wallets]) => wallets.length >= rules.minWallets)
+        .map(([root, addresses]) => {
+            const wallets = _.orderBy(addresses.map(address => scoredByAddress[address]), 'totalValue', 'desc');
+            const firstSeen = _.min(addresses.map(address => walletActivity[address].firstSeen));
+            const lastFirstSeen = _.max(addresses.map(address => walletActivity[address].firstSeen));
+            const totalValue = _.sumBy(wallets, 'totalValue');
+            const pairs = pairsByRoot[root];
+            return {
+                wallets: wallets.map(wallet => wallet.address),
+                size: wallets.length,
+                totalValue,
+                buyValue: _.sumBy(wallets, wallet => wallet.buys.value),
+                sellValue: _.sumBy(wallets, wallet => wallet.sells.value),
+                transactionCount: _.sumBy(wallets, 'transactionCount'),
+                marketImpact: totalTransactionValue > 0 ? totalValue / totalTransactionValue * 100 : 0,
+                netSOLChange: _.sumBy(wallets, 'netSOLChange'),
+                pnl: 0, // 第二遍扫描后计算
+                firstSeen,
+                firstSeenSpreadSeconds: lastFirstSeen - firstSeen,
+                suspiciousMembers: wallets.filter(wallet => wallet.suspiciousScore >= config.walletScoring.suspiciousMinScore).length,
+                // 各信号成立的钱包对数
+                signals: _.mapValues(LINK_SIGNALS, (label, signal) => pairs.filter(link => link.signals.includes(signal)).length),
+                links: pairs.length,
+                suspiciousScore: 0,
+                triggeredRules: []
+            };
+        });
+
+    clusters.forEach(cluster => {
+        cluster.triggeredRules = CLUSTER_RULES.map(rule => rule(cluster, config)).filter(Boolean);
+        cluster.suspiciousScore = _.sumBy(cluster.triggeredRules, 'points');
+    });
+
+    return _.orderBy(clusters, ['suspiciousScore', 'totalValue'], ['desc', 'desc'])
+        .map((cluster, index) => ({ id: index + 1, ...cluster }));
+}
+
+module.exports = {
+    LINK_SIGNALS,
+    createLinkIndex,
+    detectWalletClusters
+};
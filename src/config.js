@@ -0,0 +1,438 @@
+/**
+ * 分析配置
+ * 所有检测阈值与评分权重的默认值、预设以及配置文件加载
+ */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./utils');
+const { COST_BASIS_METHODS } = require('./pnl');
+const { SCORING_MODES } = require('./outliers');
+const { parseResolution } = require('./candles');
+
+// 默认配置
+const DEFAULT_CONFIG = {
+    // 报告、图表与日志中时间的显示时区（IANA 时区名）
+    timezone: DEFAULT_TIMEZONE,
+
+    // 计价：交易金额按报告货币比较阈值（报价为 USD 或提供了 SOL/USD 价格表时为 USD，否则为 SOL）
+    valuation: {
+        quoteCurrency: 'USD', // 导出数据中 buy_price / sell_price 的报价货币: USD | SOL
+        solPriceFile: ''      // 本地 SOL/USD 价格表（CSV: timestamp, price），为空时不换算
+    },
+
+    // 交易金额分级阈值（报告货币）
+    thresholds: {
+        whale: 10000, // $10,000 巨鲸交易阈值
+        medium: 1000, // $1,000 中等交易阈值
+        retail: 100   // $100 散户交易阈值
+    },
+
+    // 输入数据结构：标准字段 → 可接受的源列名（不区分大小写，按顺序取第一个存在的列）
+    schema: {
+        columns: {
+            trade_timestamp: ['trade_timestamp', 'timestamp', 'block_time', 'block_timestamp', 'time', 'date'],
+            type: ['type', 'side', 'trade_type', 'direction'],
+            buy_price: ['buy_price'],
+            buy_amount: ['buy_amount'],
+            sell_price: ['sell_price'],
+            sell_amount: ['sell_amount'],
+            price: ['price', 'price_sol', 'token_price'],       // 不区分买卖方向的价格列
+            amount: ['amount', 'token_amount', 'base_amount'],  // 不区分买卖方向的数量列
+            trader_wallet_address: ['trader_wallet_address', 'wallet', 'wallet_address', 'trader', 'maker', 'owner'],
+            transaction_signature: ['transaction_signature', 'signature', 'tx_signature', 'tx_hash', 'tx_id'],
+            net_sol_balance_change: ['net_sol_balance_change', 'sol_change', 'net_sol_change'],
+            leg_index: ['leg_index', 'leg', 'instruction_index', 'inner_instruction_index'],
+            slot: ['slot', 'block_slot', 'block', 'block_number', 'block_height'],               // 可选：区块号
+            tx_index: ['tx_index', 'transaction_index', 'index_in_block', 'intra_block_index']    // 可选：区块内交易序号
+        },
+        // 买卖方向标签（不区分大小写）
+        sides: {
+            buy: ['TOKEN_BUY', 'buy', 'b'],
+            sell: ['TOKEN_SELL', 'sell', 's']
+        }
+    },
+
+    // 按交易签名去重
+    dedup: {
+        enabled: true,     // 关闭后只统计重复记录，不剔除
+        useLegIndex: true, // 存在 leg 序号列时按 签名 + 序号 去重，否则按 签名 + 钱包 + 买卖方向 + 数量
+        maxLagSeconds: 3600 // 只与时间戳不早于已读到的最晚时间该秒数的记录比较（重复记录时间戳相同，超出后释放签名）
+    },
+
+    // 钱包盈亏
+    pnl: {
+        method: 'fifo' // 已实现盈亏的成本计算方法: fifo（先进先出）| average（平均成本）
+    },
+
+    // 异常价格（记录日志、计入数据质量统计，不剔除）
+    abnormalPrice: {
+        max: 1000,
+        min: 0.00000001
+    },
+
+    // 钱包可疑评分规则
+    walletScoring: {
+        // 评分方式: threshold（固定阈值）| percentile（百分位）| robust-z（稳健 z 分数）| isolation（孤立分数）
+        // 统计方式按本代币所有钱包的特征分布判断异常，得分沿用各规则的 points
+        mode: 'threshold',
+        highValue: {
+            extremeMultiplier: 10, // 总交易额 > 巨鲸阈值 × 该倍数
+            extremePoints: 5,
+            points: 3              // 总交易额 > 巨鲸阈值
+        },
+        ratioSkew: {
+            max: 10,  // 买卖比率 > max 或 < min
+            min: 0.1,
+            points: 3
+        },
+        frequency: {
+            high: 10,          // 每小时交易笔数
+            highPoints: 3,
+            elevated: 5,
+            elevatedPoints: 2
+        },
+        burst: {
+            maxActiveHours: 1, // 活跃时长 < 该值且交易笔数 > minTransactions
+            minTransactions: 20,
+            points: 4
+        },
+        profit: {
+            minNetSOL: 10,
+            points: 3
+        },
+        statistical: {
+            percentile: 99,          // percentile: 高于该百分位（或低于 100 - 该值）视为异常
+            zScore: 3.5,             // robust-z: |z| 超过该值视为异常
+            isolationScore: 0.65,    // isolation: 孤立分数超过该值视为异常
+            isolationTrees: 100,
+            isolationSampleSize: 256,
+            seed: 42                 // 孤立树随机种子，保证结果可复现
+        },
+        suspiciousMinScore: 3, // 评分达到该值视为可疑钱包
+        topCount: 20,          // 重点展示的可疑钱包数量
+        tableMinScore: 5       // HTML 报告的可疑钱包表列出评分超过该值的全部钱包
+    },
+
+    // 钱包聚类：识别疑似由同一操控者控制的钱包群
+    clustering: {
+        enabled: true,
+        firstSeenSeconds: 10,   // 首次出现时间相差不超过该秒数
+        minSharedSizes: 2,      // 相同交易数量（同一方向）的次数 ≥ 该值
+        sameSizeSeconds: 3600,  // 相同交易数量只在该时长内比较（超出后释放，内存不随交易数增长）
+        mirrorSeconds: 5,       // 同向交易落在同一时间窗口（秒）视为同步
+        minMirroredTrades: 3,   // 同步交易次数 ≥ 该值
+        minMirrorRatio: 0.5,    // 且占交易较少一方交易笔数的比例 ≥ 该值
+        maxWalletsPerKey: 20,   // 同一时间窗口 / 同一交易数量涉及的钱包过多时视为普遍现象，不作为关联证据
+        weights: {
+            firstSeen: 1,
+            sameSize: 2,
+            mirrored: 2,
+            sharedSignature: 3
+        },
+        minLinkScore: 3,        // 钱包对的信号权重之和达到该值视为关联
+        minWallets: 2,          // 钱包群的最少钱包数
+        scoring: {
+            size: { minWallets: 5, points: 3 },
+            highValue: { points: 3 },                             // 合计交易额 > 巨鲸阈值 × walletScoring.highValue.extremeMultiplier
+            impact: { minPercent: 5, points: 3 },                 // 合计交易额占总交易额的百分比
+            sharedSignature: { points: 3 },
+            freshWallets: { minWallets: 3, maxSpreadSeconds: 300, points: 2 },
+            suspiciousMembers: { minWallets: 2, points: 2 }       // 评分达到 walletScoring.suspiciousMinScore 的成员数
+        },
+        suspiciousMinScore: 5, // 评分达到该值视为可疑钱包群
+        topCount: 10           // 重点展示的钱包群数量
+    },
+
+    // 洗盘交易：滑动窗口内数量相近的买入与卖出配对为往返交易
+    washTrading: {
+        windowSeconds: 600,    // 买入与卖出相隔不超过该秒数
+        amountTolerance: 0.05, // 数量相差不超过较大一方的该比例（净持仓变化很小）
+        matchClusters: true,   // 同一钱包群内不同钱包之间也配对
+        alertPercent: 5        // 洗盘交易额占总交易额的百分比超过该值时在风险警示中提示
+    },
+
+    // 三明治攻击：攻击者买入 → 受害者买入 → 攻击者卖出
+    sandwich: {
+        enabled: true,
+        maxSlotGap: 0,        // 有区块号列时，攻击者买入与卖出所在区块相差不超过该值
+        windowSeconds: 2,     // 没有区块号列时，攻击者买入与卖出相隔不超过该秒数
+        amountTolerance: 0.1, // 卖出数量与买入数量相差不超过较大一方的该比例
+        minVictims: 1,        // 夹在中间的其他钱包买入笔数下限
+        chartMarkers: 500     // 价格图中最多标记的攻击次数（按获利额）
+    },
+
+    // 跑路（Rug Pull）/ 流动性抽离：单个钱包或钱包群集中卖出后价格崩跌
+    rugPull: {
+        enabled: true,
+        windowSeconds: 600,      // 集中卖出的时间窗口
+        minSupplyShare: 0.2,     // 窗口内卖出量占此前全部累计买入量的比例下限
+        collapseSeconds: 3600,   // 卖出结束后观察价格低点的时长
+        minCollapsePercent: 50,  // 价格较卖出前下跌超过该百分比才记为事件
+        recoveryPercent: 50,     // 之后价格回到卖出前的该百分比即视为恢复
+        activitySeconds: 3600,   // 比较卖出前后该时长内的交易频率
+        maxActivityRatio: 0.2    // 卖出后交易频率不超过卖出前的该比例视为交易枯竭
+    },
+
+    // 区间价格变化
+    priceChanges: {
+        intervalSeconds: 600, // 10分钟价格区间
+        minPercent: 5,        // 只记录重大变化
+        significantPercent: 10
+    },
+
+    // 拉高出货模式
+    pumpAndDump: {
+        // 拉升：seconds 秒内价格较起点上涨超过 minPercent%（跨度越长要求涨幅越大）
+        horizons: [
+            { seconds: 1800, minPercent: 10 },
+            { seconds: 3600, minPercent: 20 },
+            { seconds: 14400, minPercent: 40 }
+        ],
+        accumulationSeconds: 3600,     // 拉升前的吸筹观察窗口
+        minDistributionSeconds: 1800,  // 峰值后出货观察窗口下限
+        distributionMultiplier: 1,     // 出货观察窗口 = 拉升时长 × 该系数（不低于下限）
+        minDistributedRatio: 0.5,      // 吸筹钱包在出货窗口内卖出其吸筹数量的该比例即视为关联
+        accumulationDiscount: 0.8,     // 低位吸筹：买入价 < 拉升起始价 × 该系数
+        minRetailBuys: 5,              // 拉升期间散户买入笔数 > 该值时计算散户跟风得分
+        minSmallBuys: 5,               // 典型模式：拉升期间小额买入笔数 > 该值
+        // 置信度各项得分达到满分的条件
+        drawdownPercent: 20,           // 峰值后回撤（%）
+        linkedShare: 0.3,              // 关联钱包卖出额占出货窗口卖出额的比例
+        retailIncrease: 3,             // 散户买入笔数为拉升前同等时长的倍数
+        confidenceWeights: { priceRise: 0.25, drawdown: 0.25, linkedWallets: 0.3, retailInflow: 0.2 },
+        minConfidence: 0.4             // 置信度达到该值才报告
+    },
+
+    // 可疑活动区间
+    suspiciousIntervals: {
+        intervalSeconds: 300, // 5分钟区间
+        concentration: {
+            minTransactions: 20, // 交易笔数 > 该值且独立钱包数 < maxUniqueWallets
+            maxUniqueWallets: 5,
+            points: 3
+        },
+        washTraderPoints: 2, // 区间内每个有往返交易的钱包
+        ratioSkew: {
+            max: 10,
+            min: 0.1,
+            points: 2
+        },
+        whale: {
+            minTransactions: 3, // 巨鲸交易笔数 > 该值
+            points: 3
+        }
+    },
+
+    // 协同操作
+    coordinated: {
+        minScore: 5,
+        minWhaleTransactions: 2
+    },
+
+    // 巨鲸进入
+    whaleEntries: {
+        windowSeconds: 3600,
+        minTransactions: 2
+    },
+
+    // 价格影响因素
+    priceImpacts: {
+        minPercent: 5,
+        lookbackSeconds: 1800,
+        minRetailBuys: 10 // 散户买入笔数 > 该值
+    },
+
+    // 市场阶段：对价格、交易额、买入占比做变点检测后归类为积累 / 上涨 / 分销 / 下跌
+    cycles: {
+        penalty: 1,              // 变点惩罚系数（乘以特征数与 ln(区间数)），越大分段越少
+        minSegmentSeconds: 3600, // 每个阶段的最短时长
+        maxSegments: 12,         // 分段数上限
+        movePercent: 10          // 段内涨跌幅 > 该值视为上涨 / 下跌，否则为横盘
+    },
+
+    // K 线：导出与 K 线图使用的分辨率（1s ~ 1d，如 30s、5m、1h、1d），时间桶按 UTC 对齐
+    candles: {
+        resolution: '1m',
+        chartMaxCandles: 20000,  // K 线图可切换的分辨率中，K 线数超过该值的不嵌入页面
+        chartTargetCandles: 300, // K 线图默认显示 K 线数不超过该值的最小分辨率
+        whaleMarkers: 500        // K 线图标出交易额最高的巨鲸交易笔数
+    },
+
+    // 钱包详情：HTML 页面中点击钱包查看的交易、持仓与盈亏曲线、共同交易钱包
+    drillDown: {
+        windowSeconds: 300, // 在同一时间窗口（秒，按 UTC 对齐）内有交易的其他钱包视为共同交易
+        coTraders: 20,      // 列出共同交易窗口最多的钱包数量
+        maxTrades: 2000,    // 每个钱包嵌入页面的交易笔数与曲线点数上限，超出时保留交易额最高的交易、曲线等间隔抽样（均按全部交易计算）
+        maxWallets: 200     // 收集详情的钱包数上限（钱包活动图中的钱包优先，其余按评分），其他钱包不能打开详情
+    },
+
+    // 风险评估
+    risk: {
+        priceAnomalyMultiplier: 1000, // 价格波动倍数 > 该值视为价格操纵风险
+        imbalanceRatio: 2,            // 卖出量 / 买入量 > 该值视为流动性失衡
+        manipulation: {
+            minTransactions: 20,
+            maxUniqueWallets: 10,
+            minScore: 5
+        },
+        sellPressureRatio: 3,   // 区间卖出笔数 > 买入笔数 × 该值
+        highSuspicionScore: 5,  // 区间评分 > 该值视为存在操纵痕迹
+        concentrationPercent: 30, // 可疑钱包交易额占比 > 该值视为集中度风险
+        weights: {
+            suspiciousWallet: 10,
+            pumpAndDump: 20,    // 每个拉高出货模式的置信度 × 该值
+            coordinated: 15,
+            fluctuation: 25,
+            walletImpact: 1.5,
+            sellPressure: 40,
+            washVolume: 2,      // 洗盘交易额占比(%) × 该值
+            rugPull: 60,        // 存在跑路 / 流动性抽离事件时计入流动性风险
+            volatility: 10
+        }
+    }
+};
+
+// 预设：只列出与默认配置不同的项
+const PRESETS = {
+    // 小市值、高波动的 meme 代币：金额门槛更低，对短时高频更敏感
+    memecoin: {
+        thresholds: { whale: 2000, medium: 200, retail: 20 },
+        walletScoring: {
+            frequency: { high: 20, elevated: 10 },
+            burst: { maxActiveHours: 0.5, minTransactions: 15 }
+        },
+        priceChanges: { minPercent: 10, significantPercent: 25 },
+        pumpAndDump: {
+            horizons: [{ seconds: 900, minPercent: 25 }, { seconds: 3600, minPercent: 50 }, { seconds: 14400, minPercent: 100 }],
+            minDistributionSeconds: 900
+        },
+        risk: { priceAnomalyMultiplier: 10000 }
+    },
+    // 高市值、高流动性代币：金额门槛更高，价格变化门槛更低
+    bluechip: {
+        thresholds: { whale: 100000, medium: 10000, retail: 1000 },
+        walletScoring: {
+            profit: { minNetSOL: 100 }
+        },
+        priceChanges: { minPercent: 2, significantPercent: 5 },
+        pumpAndDump: {
+            horizons: [{ seconds: 3600, minPercent: 5 }, { seconds: 14400, minPercent: 10 }, { seconds: 86400, minPercent: 20 }],
+            minDistributionSeconds: 3600
+        },
+        suspiciousIntervals: {
+            concentration: { minTransactions: 50 }
+        },
+        risk: { priceAnomalyMultiplier: 10 }
+    }
+};
+
+// 支持的报价货币
+const QUOTE_CURRENCIES = ['USD', 'SOL'];
+
+// 配置错误
+function configError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_CONFIG';
+    return err;
+}
+
+// 合并配置，数组整体替换而非逐项合并
+function mergeConfig(...sources) {
+    return _.mergeWith({}, ...sources, (objValue, srcValue) =>
+        Array.isArray(srcValue) ? srcValue : undefined
+    );
+}
+
+// 检查覆盖项是否都存在于默认配置中，避免拼写错误被静默忽略
+function validateConfig(overrides, base = DEFAULT_CONFIG, prefix = '') {
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (!(key in base)) {
+            throw configError(`未知的配置项: ${keyPath}`);
+        }
+        if (_.isPlainObject(base[key])) {
+            if (!_.isPlainObject(value)) {
+                throw configError(`配置项 ${keyPath} 应为对象`);
+            }
+            validateConfig(value, base[key], keyPath);
+        } else if (Array.isArray(base[key]) && !Array.isArray(value)) {
+            throw configError(`配置项 ${keyPath} 应为数组`);
+        } else if (typeof value !== typeof base[key]) {
+            throw configError(`配置项 ${keyPath} 类型错误: 应为 ${typeof base[key]}`);
+        }
+    });
+}
+
+/**
+ * 生成生效配置：默认配置 < 预设 < 覆盖项
+ * @param {Object} [overrides] - 配置覆盖项，可包含 preset 字段指定预设名
+ * @returns {Object} 完整的生效配置（含 preset 字段）
+ */
+function resolveConfig(overrides = {}) {
+    const { preset = null, ...rest } = overrides;
+    if (preset && !PRESETS[preset]) {
+        throw configError(`未知的配置预设: ${preset}（可用: ${Object.keys(PRESETS).join(', ')}）`);
+    }
+    validateConfig(rest);
+    const config = mergeConfig(DEFAULT_CONFIG, preset ? PRESETS[preset] : {}, rest);
+    if (!QUOTE_CURRENCIES.includes(config.valuation.quoteCurrency)) {
+        throw configError(`无效的报价货币: ${config.valuation.quoteCurrency}（可用: ${QUOTE_CURRENCIES.join(', ')}）`);
+    }
+    if (!COST_BASIS_METHODS.includes(config.pnl.method)) {
+        throw configError(`无效的成本计算方法: ${config.pnl.method}（可用: ${COST_BASIS_METHODS.join(', ')}）`);
+    }
+    if (!SCORING_MODES.includes(config.walletScoring.mode)) {
+        throw configError(`无效的钱包评分方式: ${config.walletScoring.mode}（可用: ${SCORING_MODES.join(', ')}）`);
+    }
+    const { horizons } = config.pumpAndDump;
+    const isValidHorizon = horizon => _.isPlainObject(horizon) && horizon.seconds > 0 && horizon.minPercent > 0;
+    if (!Array.isArray(horizons) || horizons.length === 0 || !horizons.every(isValidHorizon)) {
+        throw configError('配置项 pumpAndDump.horizons 应为非空数组，每项包含正数 seconds 和 minPercent');
+    }
+    if (!parseResolution(config.candles.resolution)) {
+        throw configError(`无效的 K 线分辨率: ${config.candles.resolution}（应为 1s ~ 1d，如 30s、5m、1h）`);
+    }
+    // 价格区间与细分区间同样由 K 线生成
+    ['priceChanges', 'suspiciousIntervals'].forEach(key => {
+        if (!parseResolution(config[key].intervalSeconds)) {
+            throw configError(`配置项 ${key}.intervalSeconds 应为 1 ~ 86400 之间的整数: ${config[key].intervalSeconds}`);
+        }
+    });
+    if (!(config.drillDown.windowSeconds > 0)) {
+        throw configError(`配置项 drillDown.windowSeconds 应为正数: ${config.drillDown.windowSeconds}`);
+    }
+    if (!isValidTimeZone(config.timezone)) {
+        throw configError(`无效的时区: ${config.timezone}（应为 IANA 时区名，如 Asia/Shanghai、UTC）`);
+    }
+    return { preset, ...config };
+}
+
+// 读取 JSON 或 YAML 配置文件
+function loadConfigFile(configPath) {
+    const content = fs.readFileSync(configPath, 'utf-8');
+    const ext = path.extname(configPath).toLowerCase();
+    let parsed;
+    try {
+        parsed = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (err) {
+        throw configError(`无法解析配置文件 ${configPath}: ${err.message}`);
+    }
+    if (!_.isPlainObject(parsed)) {
+        throw configError(`配置文件内容应为对象: ${configPath}`);
+    }
+    return parsed;
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    PRESETS,
+    QUOTE_CURRENCIES,
+    COST_BASIS_METHODS,
+    SCORING_MODES,
+    mergeConfig,
+    resolveConfig,
+    loadConfigFile
+};
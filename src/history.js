@@ -0,0 +1,198 @@
+/**
+ * 钱包交易明细
+ * HTML 页面的钱包详情需要单个钱包的交易、持仓与盈亏曲线以及共同交易的钱包。
+ * 第二遍扫描时只为选中的钱包（最多 drillDown.maxWallets 个）按成交顺序逐笔累计，
+ * 每个钱包保留交易额最高的 maxTrades 笔交易和等间隔抽样的曲线，不缓存全部交易
+ */
+
+const _ = require('lodash');
+const { createWalletState, applyTrade, unrealizedAt } = require('./pnl');
+
+// 钱包活动图展示的钱包数量
+const ACTIVE_WALLET_COUNT = 10;
+
+// 交易次数最多的钱包（按交易次数降序）
+const selectMostActiveWallets = (walletActivity, count = ACTIVE_WALLET_COUNT) => Object.entries(walletActivity)
+    .map(([address, activity]) => ({
+        address,
+        buys: activity.buys?.count || 0,
+        sells: activity.sells?.count || 0,
+        totalTransactions: (activity.buys?.count || 0) + (activity.sells?.count || 0)
+    }))
+    .sort((a, b) => b.totalTransactions - a.totalTransactions)
+    .slice(0, count);
+
+/**
+ * 需要钱包详情的钱包
+ * 钱包活动图中的钱包，以及可疑钱包表中的钱包（评分超过 walletScoring.tableMinScore，按评分降序），最多 drillDown.maxWallets 个
+ * @param {Object} walletActivity - 钱包活动聚合
+ * @param {Object[]} scoredWallets - 按评分降序的钱包
+ * @param {Object} config - 完整配置
+ * @returns {string[]} 钱包地址
+ */
+function selectDetailWallets(walletActivity, scoredWallets, config) {
+    const { tableMinScore } = config.walletScoring;
+    return _.uniq([
+        ...selectMostActiveWallets(walletActivity).map(wallet => wallet.address),
+        ...scoredWallets.filter(wallet => wallet.suspiciousScore > tableMinScore).map(wallet => wallet.address)
+    ]).slice(0, config.drillDown.maxWallets);
+}
+
+// 单个钱包的累计状态
+function createWalletHistory(tradeCount, maxTrades) {
+    return {
+        pnl: createWalletState(),
+        tradeCount: 0,
+        buyCount: 0,
+        sellCount: 0,
+        firstTimestamp: null,
+        lastTimestamp: null,
+        totalValue: 0,
+        price: null,   // 最近一笔有交易额的成交单价
+        top: [],       // 交易额最高的交易（交易额相同时保留较早的）
+        // 同一秒内的多笔交易只保留最后一点；点数可能超过 maxTrades 时按交易笔数等间隔抽取
+        step: Math.ceil((tradeCount + 1) / maxTrades),
+        curve: [],
+        points: 0,
+        point: null,   // 当前秒的最后一点
+        sampled: false,
+        windows: []    // 有交易的共同交易窗口（见 createWalletHistoryCollector）
+    };
+}
+
+// 曲线加入一点（按秒去重后抽样）
+function flushPoint(history) {
+    if (!history.point) return;
+    history.sampled = history.points % history.step === 0;
+    if (history.sampled) history.curve.push(history.point);
+    history.points++;
+}
+
+function addToHistory(history, trade, method, maxTrades) {
+    const index = history.tradeCount++;
+    applyTrade(history.pnl, trade, method);
+    if (trade.isBuy) history.buyCount++;
+    else history.sellCount++;
+    if (history.firstTimestamp === null) history.firstTimestamp = trade.timestamp;
+    history.lastTimestamp = trade.timestamp;
+    history.totalValue += trade.value;
+
+    const { position, realized } = history.pnl;
+    if (trade.value > 0) history.price = trade.value / trade.amount;
+    const point = { timestamp: trade.timestamp, position, total: realized + unrealizedAt(history.pnl, history.price) };
+    if (history.point && history.point.timestamp !== point.timestamp) flushPoint(history);
+    history.point = point;
+
+    const { top } = history;
+    if (top.length === maxTrades && trade.value <= _.last(top).value) return;
+    const entry = { index, timestamp: trade.timestamp, isBuy: trade.isBuy, amount: trade.amount, price: trade.price, value: trade.value, position };
+    top.splice(_.sortedLastIndexBy(top, entry, kept => -kept.value), 0, entry);
+    if (top.length > maxTrades) top.pop();
+}
+
+/**
+ * 创建钱包交易明细收集器
+ * 按成交顺序逐笔接收交易（见 timeline.js）。共同交易钱包按 drillDown.windowSeconds 窗口统计：
+ * 只保存有选中钱包交易的窗口内的钱包（以序号保存）
+ * @param {string[]} addresses - 需要详情的钱包（见 selectDetailWallets）
+ * @param {Object} walletActivity - 钱包活动聚合（交易笔数用于确定曲线抽样间隔）
+ * @param {Object} config - 完整配置
+ * @returns {{add: function(Object): void, finish: function(Object): Object}}
+ *   finish(final) 按最终价格补齐曲线，返回 钱包地址 → 明细
+ */
+function createWalletHistoryCollector(addresses, walletActivity, config) {
+    const rules = config.drillDown;
+    const method = config.pnl.method;
+    const histories = new Map(addresses.map(address => {
+        const activity = walletActivity[address];
+        return [address, createWalletHistory(activity ? activity.totalTransactions : 0, rules.maxTrades)];
+    }));
+
+    const walletIds = new Map(); // 钱包 → 序号
+    const walletList = [];
+    const windows = [];          // 有选中钱包交易的窗口中的全部钱包序号
+    let windowKey = null;
+    let windowWallets = new Set();
+
+    const idOf = address => {
+        if (!walletIds.has(address)) {
+            walletIds.set(address, walletList.length);
+            walletList.push(address);
+        }
+        return walletIds.get(address);
+    };
+
+    function closeWindow() {
+        const selected = [...windowWallets].filter(id => histories.has(walletList[id]));
+        if (selected.length > 0) {
+            selected.forEach(id => histories.get(walletList[id]).windows.push(windows.length));
+            windows.push(Int32Array.from(windowWallets));
+        }
+        windowWallets = new Set();
+    }
+
+    function add(trade) {
+        const key = Math.floor(trade.timestamp / rules.windowSeconds) * rules.windowSeconds;
+        if (key !== windowKey) {
+            closeWindow();
+            windowKey = key;
+        }
+        windowWallets.add(idOf(trade.wallet));
+
+        const history = histories.get(trade.wallet);
+        if (history) addToHistory(history, trade, method, rules.maxTrades);
+    }
+
+    // 共同交易钱包：按共同交易的窗口数降序
+    function findCoTraders(address, history) {
+        const self = walletIds.get(address);
+        const counts = new Map();
+        history.windows.forEach(index => {
+            windows[index].forEach(id => {
+                if (id !== self) counts.set(id, (counts.get(id) || 0) + 1);
+            });
+        });
+        return _.orderBy([...counts].map(([id, count]) => [walletList[id], count]), [([, count]) => count, ([other]) => other], ['desc', 'asc'])
+            .slice(0, rules.coTraders)
+            .map(([other, count]) => ({ address: other, windows: count }));
+    }
+
+    function finish(final) {
+        closeWindow();
+
+        const details = {};
+        histories.forEach((history, address) => {
+            flushPoint(history);
+            const { curve, point, pnl } = history;
+            if (point && !history.sampled) curve.push(point);
+            // 最终价格晚于最后一笔交易时，末尾追加按最终价格计的一点，与盈亏摘要一致
+            if (point && final && final.timestamp > point.timestamp) {
+                curve.push({ timestamp: final.timestamp, position: pnl.position, total: pnl.realized + unrealizedAt(pnl, final.price) });
+            }
+
+            details[address] = {
+                tradeCount: history.tradeCount,
+                buyCount: history.buyCount,
+                sellCount: history.sellCount,
+                firstTimestamp: history.firstTimestamp,
+                lastTimestamp: history.lastTimestamp,
+                totalValue: history.totalValue,
+                position: pnl.position,
+                trades: _.sortBy(history.top, 'index'),
+                curve,
+                windowCount: history.windows.length,
+                coTraders: findCoTraders(address, history)
+            };
+        });
+        return details;
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    ACTIVE_WALLET_COUNT,
+    selectMostActiveWallets,
+    selectDetailWallets,
+    createWalletHistoryCollector
+};
@@ -0,0 +1,146 @@
+/**
+ * 分布内异常值检测
+ * 按代币自身的钱包特征分布判断异常：百分位、稳健 z 分数（中位数绝对偏差）和孤立分数（一维孤立森林）
+ */
+
+const _ = require('lodash');
+
+// 钱包评分方式：threshold 为固定阈值，其余为统计方式
+const SCORING_MODES = ['threshold', 'percentile', 'robust-z', 'isolation'];
+
+// MAD 与正态分布标准差的换算系数；MAD 为 0 时改用平均绝对偏差
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// 线性插值分位数（sorted 为升序）
+function quantile(sorted, q) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// 固定种子的伪随机数（mulberry32），保证同一数据的孤立分数可复现
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 样本量为 n 时二叉搜索树的平均路径长度
+function averagePathLength(n) {
+    if (n <= 1) return 0;
+    if (n === 2) return 1;
+    return 2 * (Math.log(n - 1) + 0.5772156649) - (2 * (n - 1) / n);
+}
+
+// 构建一棵一维孤立树
+function buildIsolationTree(sample, depth, maxDepth, random) {
+    const min = _.min(sample);
+    const max = _.max(sample);
+    if (depth >= maxDepth || sample.length <= 1 || min === max) {
+        return { size: sample.length };
+    }
+    const split = min + random() * (max - min);
+    return {
+        split,
+        left: buildIsolationTree(sample.filter(v => v < split), depth + 1, maxDepth, random),
+        right: buildIsolationTree(sample.filter(v => v >= split), depth + 1, maxDepth, random)
+    };
+}
+
+function pathLength(tree, value, depth = 0) {
+    if (tree.split === undefined) return depth + averagePathLength(tree.size);
+    return pathLength(value < tree.split ? tree.left : tree.right, value, depth + 1);
+}
+
+/**
+ * 一维孤立森林
+ * @returns {function(number): number} 异常分数，取值 0~1，越接近 1 越容易被孤立
+ */
+function createIsolationForest(values, { trees, sampleSize, seed }) {
+    const random = createRandom(seed);
+    const size = Math.min(sampleSize, values.length);
+    const maxDepth = Math.ceil(Math.log2(Math.max(size, 2)));
+    const forest = _.range(trees).map(() => {
+        const sample = _.range(size).map(() => values[Math.floor(random() * values.length)]);
+        return buildIsolationTree(sample, 0, maxDepth, random);
+    });
+    const normalizer = averagePathLength(size);
+    return value => {
+        if (normalizer === 0) return 0;
+        const meanPath = _.meanBy(forest, tree => pathLength(tree, value));
+        return Math.pow(2, -meanPath / normalizer);
+    };
+}
+
+/**
+ * 按特征分布创建异常值检测器
+ * high/low 判断观测值是否偏高/偏低，未判定为异常时返回 null；
+ * 判定为异常时返回统计量（百分位、z 分数或孤立分数）、统计量阈值，以及换算回特征单位的分界值（孤立分数没有分界值）。
+ * @param {number[]} values - 所有钱包的特征值
+ * @param {string} mode - percentile | robust-z | isolation
+ * @param {Object} params - 配置中的 walletScoring.statistical 项
+ * @returns {{high: function(number): Object|null, low: function(number): Object|null}}
+ */
+function createOutlierDetector(values, mode, params) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    const median = quantile(sorted, 0.5);
+    const none = () => null;
+    if (sorted.length === 0) return { high: none, low: none };
+
+    if (mode === 'percentile') {
+        const upper = quantile(sorted, params.percentile / 100);
+        const lower = quantile(sorted, 1 - params.percentile / 100);
+        // 不超过该值的钱包占比
+        const rank = value => _.sortedLastIndex(sorted, value) / sorted.length * 100;
+        return {
+            high: value => (value > upper ? { method: 'percentile', value: rank(value), threshold: params.percentile, cutoff: upper } : null),
+            low: value => (value < lower ? { method: 'percentile', value: rank(value), threshold: 100 - params.percentile, cutoff: lower } : null)
+        };
+    }
+
+    if (mode === 'robust-z') {
+        const mad = quantile(sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b), 0.5);
+        const scale = mad > 0 ? mad * MAD_SCALE : _.meanBy(sorted, v => Math.abs(v - median)) * MEAN_AD_SCALE;
+        if (!(scale > 0)) return { high: none, low: none };
+        const z = value => (value - median) / scale;
+        return {
+            high: value => (z(value) > params.zScore ?
+                { method: 'robust-z', value: z(value), threshold: params.zScore, cutoff: median + params.zScore * scale } : null),
+            low: value => (z(value) < -params.zScore ?
+                { method: 'robust-z', value: z(value), threshold: -params.zScore, cutoff: median - params.zScore * scale } : null)
+        };
+    }
+
+    if (mode === 'isolation') {
+        const score = createIsolationForest(sorted, {
+            trees: params.isolationTrees,
+            sampleSize: params.isolationSampleSize,
+            seed: params.seed
+        });
+        const check = value => {
+            const s = score(value);
+            return s > params.isolationScore ? { method: 'isolation', value: s, threshold: params.isolationScore, cutoff: null } : null;
+        };
+        // 孤立分数不区分方向，按与中位数的关系区分偏高和偏低
+        return {
+            high: value => (value > median ? check(value) : null),
+            low: value => (value < median ? check(value) : null)
+        };
+    }
+
+    throw new Error(`未知的评分方式: ${mode}`);
+}
+
+module.exports = {
+    SCORING_MODES,
+    quantile,
+    createOutlierDetector
+};
@@ -0,0 +1,193 @@
+/**
+ * 市场阶段划分
+ * 对价格区间序列的价格、交易额和买入占比做多变量变点检测（二分分割），
+ * 再把各段归类为积累、上涨、分销或下跌，并给出置信度
+ */
+
+const _ = require('lodash');
+
+// 阶段
+const PHASES = {
+    accumulation: '积累',
+    markup: '上涨',
+    distribution: '分销',
+    markdown: '下跌'
+};
+
+// 每个区间的特征：对数价格、对数交易额、买入笔数占比
+function extractFeatures(intervals) {
+    return intervals.map(interval => [
+        Math.log(interval.price),
+        Math.log1p(interval.value),
+        interval.buyCount / ((interval.buyCount + interval.sellCount) || 1)
+    ]);
+}
+
+// 各特征标准化为均值 0、标准差 1（常数特征置 0）
+function standardize(rows) {
+    const dims = rows[0].length;
+    const columns = _.range(dims).map(d => rows.map(row => row[d]));
+    const stats = columns.map(values => {
+        const mean = _.mean(values);
+        const std = Math.sqrt(_.meanBy(values, v => (v - mean) ** 2));
+        return { mean, std };
+    });
+    return rows.map(row => row.map((v, d) => (stats[d].std > 0 ? (v - stats[d].mean) / stats[d].std : 0)));
+}
+
+// 分段代价：各特征段内平方误差之和（前缀和，O(维数)）
+function createCost(rows) {
+    const dims = rows[0].length;
+    const sum = [new Array(dims).fill(0)];
+    const sumSq = [new Array(dims).fill(0)];
+    rows.forEach((row, i) => {
+        sum.push(row.map((v, d) => sum[i][d] + v));
+        sumSq.push(row.map((v, d) => sumSq[i][d] + v * v));
+    });
+    return (from, to) => {
+        const n = to - from;
+        let cost = 0;
+        for (let d = 0; d < dims; d++) {
+            const s = sum[to][d] - sum[from][d];
+            cost += sumSq[to][d] - sumSq[from][d] - s * s / n;
+        }
+        return cost;
+    };
+}
+
+/**
+ * 二分分割
+ * 每次在所有分段中选择代价下降最多的切分点，下降量超过惩罚项才切分，直到达到分段数上限。
+ * @returns {{boundaries: number[], changePoints: Object[]}} 分段边界下标（含首尾）及每个变点的代价下降量
+ */
+function binarySegmentation(rows, { minSize, penalty, maxSegments }) {
+    const cost = createCost(rows);
+    const bestSplit = (from, to) => {
+        let best = null;
+        const total = cost(from, to);
+        for (let k = from + minSize; k <= to - minSize; k++) {
+            const gain = total - cost(from, k) - cost(k, to);
+            if (!best || gain > best.gain) best = { index: k, gain };
+        }
+        return best;
+    };
+
+    const segments = [{ from: 0, to: rows.length, split: bestSplit(0, rows.length) }];
+    const changePoints = [];
+    while (segments.length < maxSegments) {
+        const candidate = _.maxBy(segments.filter(segment => segment.split && segment.split.gain > penalty), 'split.gain');
+        if (!candidate) break;
+        const { index, gain } = candidate.split;
+        changePoints.push({ index, gain });
+        segments.splice(segments.indexOf(candidate), 1,
+            { from: candidate.from, to: index, split: bestSplit(candidate.from, index) },
+            { from: index, to: candidate.to, split: bestSplit(index, candidate.to) });
+    }
+
+    return {
+        boundaries: _.sortBy([0, rows.length, ...changePoints.map(point => point.index)]),
+        changePoints: _.sortBy(changePoints, 'index')
+    };
+}
+
+// 分段统计
+function describeSegment(intervals, from, to, bucketSeconds, priceRange) {
+    const slice = intervals.slice(from, to);
+    const buyCount = _.sumBy(slice, 'buyCount');
+    const sellCount = _.sumBy(slice, 'sellCount');
+    const meanLogPrice = _.meanBy(slice, interval => Math.log(interval.price));
+    const first = slice[0];
+    const last = slice[slice.length - 1];
+    return {
+        from,
+        to,
+        startTime: first.timestamp,
+        endTime: last.timestamp + bucketSeconds,
+        priceAtStart: first.price,
+        priceAtEnd: last.price,
+        priceChange: (last.price - first.price) / first.price * 100,
+        avgPrice: Math.exp(meanLogPrice),
+        // 平均价格在整个时间范围价格区间中的位置（0 为最低，1 为最高）
+        pricePosition: priceRange.span > 0 ? (meanLogPrice - priceRange.min) / priceRange.span : 0.5,
+        buyCount,
+        sellCount,
+        buyRatio: buyCount / ((buyCount + sellCount) || 1),
+        totalValue: _.sumBy(slice, 'value'),
+        transactionCount: _.sumBy(slice, 'trades')
+    };
+}
+
+/**
+ * 阶段归类
+ * 涨跌幅超过 movePercent 为上涨 / 下跌，置信度由涨跌幅和方向一致的买入占比决定；
+ * 其余为横盘，按价格位置（低位 / 高位）和买入占比（净买入 / 净卖出）归为积累或分销。
+ */
+function classify(segment, rules) {
+    const buyBias = Math.min(1, Math.abs(segment.buyRatio - 0.5) * 4);
+    if (Math.abs(segment.priceChange) > rules.movePercent) {
+        const rising = segment.priceChange > 0;
+        const agrees = rising === (segment.buyRatio > 0.5);
+        return {
+            phase: rising ? 'markup' : 'markdown',
+            confidence: 0.7 * Math.min(1, Math.abs(segment.priceChange) / (rules.movePercent * 2)) + 0.3 * (agrees ? buyBias : 0)
+        };
+    }
+
+    const flatness = 1 - Math.abs(segment.priceChange) / rules.movePercent;
+    const accumulation = (1 - segment.pricePosition) * 0.5 + (segment.buyRatio > 0.5 ? buyBias : 0) * 0.5;
+    const distribution = segment.pricePosition * 0.5 + (segment.buyRatio < 0.5 ? buyBias : 0) * 0.5;
+    return {
+        phase: accumulation >= distribution ? 'accumulation' : 'distribution',
+        confidence: 0.4 * flatness + 0.6 * Math.max(accumulation, distribution)
+    };
+}
+
+/**
+ * 划分市场阶段
+ * @param {Object[]} intervals - 有价格的区间（按时间升序的 K 线，price 为收盘价，见 aggregate.js 的 priceIntervals）
+ * @param {Object} config - 完整配置
+ * @returns {{segments: Object[], changePoints: Object[]}} 各阶段及阶段之间的变点（strength 为代价下降量与惩罚项之比）
+ */
+function detectMarketPhases(intervals, config) {
+    const rules = config.cycles;
+    const bucketSeconds = config.priceChanges.intervalSeconds;
+    const usable = intervals.filter(interval => interval.price > 0);
+    if (usable.length === 0) return { segments: [], changePoints: [] };
+
+    const rows = standardize(extractFeatures(usable));
+    const penalty = rules.penalty * rows[0].length * Math.log(Math.max(rows.length, 2));
+    const minSize = Math.max(1, Math.ceil(rules.minSegmentSeconds / bucketSeconds));
+    const { boundaries, changePoints } = binarySegmentation(rows, { minSize, penalty, maxSegments: rules.maxSegments });
+
+    const logPrices = usable.map(interval => Math.log(interval.price));
+    const priceRange = { min: _.min(logPrices), span: _.max(logPrices) - _.min(logPrices) };
+    const build = (from, to) => {
+        const segment = describeSegment(usable, from, to, bucketSeconds, priceRange);
+        return { ...segment, ...classify(segment, rules) };
+    };
+
+    // 相邻的同类阶段合并
+    const segments = [];
+    _.range(boundaries.length - 1).forEach(i => {
+        const segment = build(boundaries[i], boundaries[i + 1]);
+        const previous = _.last(segments);
+        if (previous && previous.phase === segment.phase) {
+            segments[segments.length - 1] = build(previous.from, segment.to);
+        } else {
+            segments.push(segment);
+        }
+    });
+
+    const starts = new Set(segments.map(segment => segment.from));
+    return {
+        segments: segments.map(segment => ({ ..._.omit(segment, ['from', 'to']), description: PHASES[segment.phase] })),
+        changePoints: changePoints
+            .filter(point => starts.has(point.index))
+            .map(point => ({ timestamp: usable[point.index].timestamp, strength: point.gain / penalty }))
+    };
+}
+
+module.exports = {
+    PHASES,
+    detectMarketPhases
+};
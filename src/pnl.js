@@ -0,0 +1,158 @@
+/**
+ * 钱包盈亏
+ * 按时间顺序逐笔累计每个钱包的买卖，计算已实现盈亏（先进先出或平均成本）、按最终价格计的未实现盈亏、批次持有时长和胜率
+ */
+
+const _ = require('lodash');
+
+// 支持的成本计算方法
+const COST_BASIS_METHODS = ['fifo', 'average'];
+
+// 浮点误差范围内视为清仓
+const EPSILON = 1e-9;
+
+// 单个钱包的盈亏状态：未平仓批次与累计值
+const createWalletState = () => ({
+    lots: [],            // 未平仓批次 { timestamp, amount, cost }
+    position: 0,
+    positionCost: 0,
+    realized: 0,
+    wins: 0,
+    closingSells: 0,
+    unmatchedSellAmount: 0,
+    closedLots: 0,       // 已平仓批次数及其持有时长的合计与最大值
+    totalHoldSeconds: 0,
+    maxHoldSeconds: null
+});
+
+/**
+ * 按时间顺序计入一笔交易
+ * 持仓按买入批次排队，卖出时按先进先出消耗批次以得到持有时长；
+ * 成本按 method 取批次成本（fifo）或卖出前的平均成本（average）。
+ * 卖出数量超过持仓的部分（数据范围之前买入的代币）成本未知，不计入已实现盈亏。
+ * @param {Object} state - createWalletState() 创建的状态
+ * @param {Object} trade - { timestamp, isBuy, amount, value }
+ * @param {string} method - fifo | average
+ */
+function applyTrade(state, trade, method) {
+    if (trade.isBuy) {
+        state.lots.push({ timestamp: trade.timestamp, amount: trade.amount, cost: trade.value });
+        state.position += trade.amount;
+        state.positionCost += trade.value;
+        return;
+    }
+
+    const { lots } = state;
+    const unitProceeds = trade.amount > 0 ? trade.value / trade.amount : 0;
+    const averageCost = state.position > 0 ? state.positionCost / state.position : 0;
+    let remaining = trade.amount;
+    let sellPnL = 0;
+    let matched = 0;
+
+    while (remaining > EPSILON && lots.length > 0) {
+        const lot = lots[0];
+        const amount = Math.min(lot.amount, remaining);
+        const lotUnitCost = lot.cost / lot.amount;
+        const cost = (method === 'average' ? averageCost : lotUnitCost) * amount;
+        const holdSeconds = trade.timestamp - lot.timestamp;
+
+        state.closedLots++;
+        state.totalHoldSeconds += holdSeconds;
+        state.maxHoldSeconds = state.maxHoldSeconds === null ? holdSeconds : Math.max(state.maxHoldSeconds, holdSeconds);
+
+        lot.cost -= lotUnitCost * amount;
+        lot.amount -= amount;
+        if (lot.amount <= EPSILON) lots.shift();
+        state.position -= amount;
+        state.positionCost -= cost;
+        remaining -= amount;
+        matched += amount;
+        sellPnL += unitProceeds * amount - cost;
+    }
+
+    if (remaining > EPSILON) state.unmatchedSellAmount += remaining;
+    if (matched > 0) {
+        state.closingSells++;
+        if (sellPnL > 0) state.wins++;
+        state.realized += sellPnL;
+    }
+    if (state.position <= EPSILON) {
+        state.position = 0;
+        state.positionCost = 0;
+    }
+}
+
+// 按价格计的未实现盈亏（没有价格时为 0）
+const unrealizedAt = (state, price) => (state.position > 0 && price ? state.position * price - state.positionCost : 0);
+
+// 单个钱包的盈亏摘要
+function summarizeWallet(state, final) {
+    const unrealized = state.position > 0 && final ? state.position * final.price - state.positionCost : 0;
+    return {
+        realized: state.realized,
+        unrealized,
+        total: state.realized + unrealized,
+        position: state.position,
+        positionCost: state.positionCost,
+        closingSells: state.closingSells,
+        wins: state.wins,
+        winRate: state.closingSells > 0 ? state.wins / state.closingSells : null,
+        closedLots: state.closedLots,
+        avgHoldSeconds: state.closedLots > 0 ? state.totalHoldSeconds / state.closedLots : null,
+        maxHoldSeconds: state.maxHoldSeconds,
+        unmatchedSellAmount: state.unmatchedSellAmount,
+        // 未平仓批次的持有时长计算到最后一笔交易
+        openLots: state.lots.map(lot => ({ ...lot, holdSeconds: final ? final.timestamp - lot.timestamp : null }))
+    };
+}
+
+/**
+ * 创建钱包盈亏累计器
+ * 逐笔更新每个钱包的未平仓批次与累计值，不缓存交易；交易需按时间顺序到达（见 timeline.js）。
+ * 金额使用报告货币的交易额（transaction_value）。
+ * @param {Object} rules - 配置中的 pnl 项
+ * @returns {{add: function(Object): void, finish: function(Object): Object}}
+ *   finish(final) 按最终价格 { price, timestamp }（时间最晚一笔交易的成交单价）计算未实现盈亏，
+ *   返回 { method, finalPrice, finalPriceTimestamp, wallets }
+ */
+function createPnLTracker(rules) {
+    const states = new Map();
+
+    function add(trade) {
+        let state = states.get(trade.wallet);
+        if (!state) {
+            state = createWalletState();
+            states.set(trade.wallet, state);
+        }
+        applyTrade(state, trade, rules.method);
+    }
+
+    function finish(final) {
+        const wallets = {};
+        states.forEach((state, address) => {
+            wallets[address] = summarizeWallet(state, final);
+        });
+        return {
+            method: rules.method,
+            finalPrice: final && final.price,
+            finalPriceTimestamp: final && final.timestamp,
+            wallets
+        };
+    }
+
+    return { add, finish };
+}
+
+// 钱包盈亏摘要（不含未平仓批次明细）
+function summarizePnL(pnl) {
+    return _.omit(pnl, 'openLots');
+}
+
+module.exports = {
+    COST_BASIS_METHODS,
+    createWalletState,
+    applyTrade,
+    unrealizedAt,
+    createPnLTracker,
+    summarizePnL
+};
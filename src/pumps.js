@@ -0,0 +1,206 @@
+/**
+ * 拉高出货检测
+ * 在多个时间跨度上滑动查找价格拉升，把拉升前吸筹、峰值后出货的钱包关联起来，并给出置信度
+ */
+
+const _ = require('lodash');
+
+/**
+ * 查找价格拉升
+ * 对每个区间，在每个时间跨度内找出之后的最高价格，涨幅超过该跨度的 minPercent 即为候选；
+ * 按涨幅与门槛之比从高到低选取互不重叠的拉升。
+ * @param {Object[]} intervals - 有价格的区间（按时间升序）
+ * @param {Object[]} horizons - 配置中的 pumpAndDump.horizons
+ * @returns {Object[]} 按开始时间排序的拉升
+ */
+function findRunUps(intervals, horizons) {
+    const candidates = [];
+    intervals.forEach((start, i) => {
+        let best = null;
+        horizons.forEach(horizon => {
+            let peak = null;
+            for (let j = i + 1; j < intervals.length && intervals[j].timestamp - start.timestamp <= horizon.seconds; j++) {
+                if (!peak || intervals[j].price > peak.price) peak = intervals[j];
+            }
+            if (!peak) return;
+            const percentChange = (peak.price - start.price) / start.price * 100;
+            const strength = percentChange / horizon.minPercent;
+            if (percentChange > horizon.minPercent && (!best || strength > best.strength)) {
+                best = { start, peak, percentChange, horizonSeconds: horizon.seconds, strength };
+            }
+        });
+        if (best) candidates.push(best);
+    });
+
+    const selected = [];
+    _.orderBy(candidates, 'strength', 'desc').forEach(candidate => {
+        const overlaps = selected.some(other =>
+            candidate.start.timestamp < other.peak.timestamp && other.start.timestamp < candidate.peak.timestamp);
+        if (!overlaps) selected.push(candidate);
+    });
+    return _.sortBy(selected, 'start.timestamp');
+}
+
+// 按钱包累计交易数量与交易额
+function addToWallet(byWallet, trade) {
+    if (!byWallet[trade.wallet]) byWallet[trade.wallet] = { amount: 0, value: 0 };
+    byWallet[trade.wallet].amount += trade.amount;
+    byWallet[trade.wallet].value += trade.value;
+}
+
+/**
+ * 一次拉升的观察窗口
+ * 第二遍扫描时逐笔累计拉升期间与之前同等时长内的散户买入、拉升前的吸筹和峰值后的出货，只保存计数器与按钱包的累计值
+ */
+function createPumpWindow({ start, peak, percentChange, horizonSeconds }, intervals, lastTimestamp, config) {
+    const { thresholds, pumpAndDump: rules } = config;
+    const bucketSeconds = config.priceChanges.intervalSeconds;
+    const duration = peak.timestamp - start.timestamp;
+    const distributionEnd = peak.timestamp + Math.max(rules.minDistributionSeconds, duration * rules.distributionMultiplier);
+    const within = (timestamp, from, to) => timestamp >= from && timestamp < to;
+    const isRetailBuy = trade => trade.isBuy && trade.value > 0 && trade.value <= thresholds.retail;
+
+    const retailBuys = { count: 0, value: 0 };
+    let beforePumpRetailBuysCount = 0;
+    let smallBuysDuringPumpCount = 0;
+    let lowPriceAccumulationCount = 0;
+    const bought = {};       // 吸筹窗口内按钱包的买入
+    const distributed = {};  // 出货窗口内按钱包的卖出
+    const whaleSells = { count: 0, value: 0 };
+    let distributionValue = 0;
+
+    function add(trade) {
+        const ts = trade.timestamp;
+
+        // 拉升期间与拉升前同等时长内的散户买入
+        if (within(ts, start.timestamp, peak.timestamp + bucketSeconds)) {
+            if (isRetailBuy(trade)) {
+                retailBuys.count++;
+                retailBuys.value += trade.value;
+            }
+            if (trade.isBuy && trade.value > 0 && trade.value < thresholds.medium) smallBuysDuringPumpCount++;
+        }
+        if (within(ts, start.timestamp - duration, start.timestamp) && isRetailBuy(trade)) beforePumpRetailBuysCount++;
+
+        // 吸筹与出货
+        if (within(ts, start.timestamp - rules.accumulationSeconds, start.timestamp + bucketSeconds) && trade.isBuy) {
+            addToWallet(bought, trade);
+            if (trade.value >= thresholds.whale && trade.price < start.price * rules.accumulationDiscount) lowPriceAccumulationCount++;
+        }
+        if (within(ts, peak.timestamp, distributionEnd) && !trade.isBuy) {
+            addToWallet(distributed, trade);
+            distributionValue += trade.value;
+            if (trade.value >= thresholds.medium) {
+                whaleSells.count++;
+                whaleSells.value += trade.value;
+            }
+        }
+    }
+
+    function finish() {
+        const weights = rules.confidenceWeights;
+
+        // 峰值后的回撤
+        const after = intervals.filter(interval => interval.timestamp > peak.timestamp && interval.timestamp < distributionEnd);
+        const lowAfterPeak = _.minBy(after, 'price');
+        const drawdownPercent = lowAfterPeak ? (peak.price - lowAfterPeak.price) / peak.price * 100 : 0;
+
+        const retailActivityIncrease = beforePumpRetailBuysCount > 0 ? retailBuys.count / beforePumpRetailBuysCount : retailBuys.count;
+        const accumulated = _.pickBy(bought, ({ value }) => value >= thresholds.medium);
+
+        const linkedWallets = _.orderBy(Object.entries(accumulated)
+            .filter(([address, walletBought]) => distributed[address] && distributed[address].amount >= walletBought.amount * rules.minDistributedRatio)
+            .map(([address, walletBought]) => {
+                const sold = distributed[address];
+                return {
+                    address,
+                    boughtAmount: walletBought.amount,
+                    buyValue: walletBought.value,
+                    soldAmount: sold.amount,
+                    sellValue: sold.value,
+                    avgBuyPrice: walletBought.value / walletBought.amount,
+                    avgSellPrice: sold.value / sold.amount
+                };
+            }), 'sellValue', 'desc');
+        const linkedSellValue = _.sumBy(linkedWallets, 'sellValue');
+
+        const scores = {
+            priceRise: Math.min(1, percentChange / (rules.horizons.find(h => h.seconds === horizonSeconds).minPercent * 2)),
+            drawdown: Math.min(1, drawdownPercent / rules.drawdownPercent),
+            linkedWallets: distributionValue > 0 ? Math.min(1, linkedSellValue / distributionValue / rules.linkedShare) : 0,
+            retailInflow: retailBuys.count > rules.minRetailBuys ? Math.min(1, retailActivityIncrease / rules.retailIncrease) : 0
+        };
+
+        return {
+            pump: {
+                startTimestamp: start.timestamp,
+                endTimestamp: peak.timestamp,
+                startPrice: start.price,
+                endPrice: peak.price,
+                percentChange,
+                durationSeconds: duration,
+                horizonSeconds
+            },
+            dump: {
+                // 出货窗口超出数据范围时截止到最后一笔交易
+                endTimestamp: Math.min(distributionEnd, lastTimestamp),
+                lowPrice: lowAfterPeak ? lowAfterPeak.price : null,
+                drawdownPercent
+            },
+            retailBuysCount: retailBuys.count,
+            retailBuysValue: retailBuys.value,
+            beforePumpRetailBuysCount,
+            retailActivityIncrease,
+            smallBuysDuringPumpCount,
+            lowPriceAccumulationCount,
+            whaleSellsCount: whaleSells.count,
+            whaleSellsValue: whaleSells.value,
+            distributionValue,
+            accumulationWalletCount: _.size(accumulated),
+            linkedWallets,
+            linkedSellValue,
+            suspiciousWallets: linkedWallets.map(wallet => wallet.address),
+            scores,
+            confidence: _.sum(Object.keys(weights).map(key => weights[key] * scores[key]))
+        };
+    }
+
+    return { add, finish };
+}
+
+/**
+ * 创建拉高出货检测器
+ * 拉升由第一遍的价格区间确定，第二遍逐笔累计各拉升的观察窗口。
+ * 吸筹钱包：拉升起点所在区间及之前 accumulationSeconds 秒内买入额达到中等交易阈值的钱包；
+ * 关联钱包：吸筹钱包中，在峰值后的出货窗口内卖出数量达到其吸筹数量 minDistributedRatio 的钱包。
+ * 置信度为涨幅、峰值后回撤、关联钱包占出货额的比例和散户跟风程度四项得分（0~1）的加权和。
+ * @param {Object[]} intervals - 有价格的区间（按时间升序）
+ * @param {number} lastTimestamp - 最后一笔交易的时间
+ * @param {Object} config - 完整配置
+ * @returns {{add: function(Object): void, finish: function(): Object[]}} finish() 返回按置信度降序排列的模式
+ */
+function createPumpDetector(intervals, lastTimestamp, config) {
+    const rules = config.pumpAndDump;
+    const windows = findRunUps(intervals, rules.horizons).map(runUp => createPumpWindow(runUp, intervals, lastTimestamp, config));
+
+    function add(trade) {
+        windows.forEach(window => window.add(trade));
+    }
+
+    function finish() {
+        return windows.map(window => window.finish())
+            .map(pattern => ({
+                ...pattern,
+                // 典型模式：低位吸筹、小额买单推高价格、关联钱包高位出货
+                isTypical: pattern.lowPriceAccumulationCount > 0 && pattern.smallBuysDuringPumpCount > rules.minSmallBuys && pattern.linkedWallets.length > 0
+            }))
+            .filter(pattern => pattern.confidence >= rules.minConfidence)
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    createPumpDetector
+};
@@ -0,0 +1,55 @@
+/**
+ * CSV 交易数据读取
+ * 支持一次性读取和逐行流式读取两种方式
+ */
+
+const fs = require('fs');
+const Papa = require('papaparse');
+
+const PARSE_OPTIONS = {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+};
+
+// 读取并解析CSV文件
+function readTradesFromCSV(csvFilePath) {
+    const csvFile = fs.readFileSync(csvFilePath, 'utf-8');
+    const { data } = Papa.parse(csvFile, PARSE_OPTIONS);
+    return data;
+}
+
+/**
+ * 流式读取CSV文件，每解析出一行调用一次 onRow，不在内存中保留整个文件
+ * @param {string} csvFilePath - CSV文件路径
+ * @param {function(Object): void} onRow - 行回调
+ * @returns {Promise<number>} 读取的行数
+ */
+function streamCSV(csvFilePath, onRow) {
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        const stream = fs.createReadStream(csvFilePath, { encoding: 'utf-8' });
+        stream.on('error', reject);
+
+        Papa.parse(stream, {
+            ...PARSE_OPTIONS,
+            step: ({ data }, parser) => {
+                count++;
+                try {
+                    onRow(data);
+                } catch (err) {
+                    parser.abort();
+                    stream.destroy();
+                    reject(err);
+                }
+            },
+            complete: () => resolve(count),
+            error: reject
+        });
+    });
+}
+
+module.exports = {
+    readTradesFromCSV,
+    streamCSV
+};
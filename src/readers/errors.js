@@ -0,0 +1,14 @@
+/**
+ * 读取错误
+ */
+
+// 输入文件无法按指定格式读取
+function inputError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_INPUT';
+    return err;
+}
+
+module.exports = {
+    inputError
+};
@@ -0,0 +1,63 @@
+/**
+ * 输入读取器
+ * 按文件扩展名或显式指定的格式选择读取器，读取器只负责逐行产出原始记录，
+ * 列映射与校验统一由 schema.js 完成
+ */
+
+const path = require('path');
+const { streamCSV } = require('./csv');
+const { streamJSONL } = require('./jsonl');
+const { streamParquet } = require('./parquet');
+const { streamSQLite } = require('./sqlite');
+const { inputError } = require('./errors');
+
+// 支持的输入格式
+const READERS = {
+    csv: streamCSV,
+    jsonl: streamJSONL,
+    parquet: streamParquet,
+    sqlite: streamSQLite
+};
+
+// 扩展名 → 输入格式
+const EXTENSIONS = {
+    '.csv': 'csv',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.parquet': 'parquet',
+    '.pq': 'parquet',
+    '.sqlite': 'sqlite',
+    '.sqlite3': 'sqlite',
+    '.db': 'sqlite'
+};
+
+// 确定输入格式：显式指定优先，其次按扩展名，无法识别时按 CSV 读取
+function detectInputFormat(filePath, format) {
+    if (format) {
+        if (!READERS[format]) {
+            throw inputError(`不支持的输入格式: ${format}（可用: ${Object.keys(READERS).join(', ')}）`);
+        }
+        return format;
+    }
+    return EXTENSIONS[path.extname(filePath).toLowerCase()] || 'csv';
+}
+
+/**
+ * 逐行读取输入文件
+ * @param {string} filePath - 输入文件路径
+ * @param {function(Object): void} onRow - 行回调
+ * @param {Object} [options]
+ * @param {string} [options.format] - 输入格式，省略时按扩展名判断
+ * @param {string} [options.table] - SQLite 数据表名
+ * @returns {Promise<number>} 读取的行数
+ */
+async function streamRows(filePath, onRow, options = {}) {
+    const format = detectInputFormat(filePath, options.format);
+    return READERS[format](filePath, onRow, options);
+}
+
+module.exports = {
+    INPUT_FORMATS: Object.keys(READERS),
+    detectInputFormat,
+    streamRows
+};
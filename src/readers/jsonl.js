@@ -0,0 +1,48 @@
+/**
+ * JSON Lines 交易数据读取
+ * 每行一个 JSON 对象，逐行流式读取
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { inputError } = require('./errors');
+
+/**
+ * 流式读取 JSON Lines 文件，空行会被跳过
+ * @param {string} filePath - 文件路径
+ * @param {function(Object): void} onRow - 行回调
+ * @returns {Promise<number>} 读取的行数
+ */
+async function streamJSONL(filePath, onRow) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf-8' }),
+        crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    let count = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+
+        let row;
+        try {
+            row = JSON.parse(line);
+        } catch (err) {
+            lines.close();
+            throw inputError(`${filePath} 第 ${lineNumber} 行不是有效的 JSON: ${err.message}`);
+        }
+        if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+            lines.close();
+            throw inputError(`${filePath} 第 ${lineNumber} 行应为 JSON 对象`);
+        }
+
+        count++;
+        onRow(row);
+    }
+    return count;
+}
+
+module.exports = {
+    streamJSONL
+};
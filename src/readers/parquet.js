@@ -0,0 +1,49 @@
+/**
+ * Parquet 交易数据读取
+ * 按行组（row group）逐组读取，内存占用与单个行组大小相关
+ */
+
+const { inputError } = require('./errors');
+
+// INT64 列会被解析为 BigInt，转为普通数字以便后续计算和 JSON 输出
+const toPlainValue = value => (typeof value === 'bigint' ? Number(value) : value);
+
+/**
+ * 流式读取 Parquet 文件
+ * @param {string} filePath - 文件路径
+ * @param {function(Object): void} onRow - 行回调
+ * @returns {Promise<number>} 读取的行数
+ */
+async function streamParquet(filePath, onRow) {
+    // hyparquet 只提供 ES 模块
+    const { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } = await import('hyparquet');
+
+    const file = await asyncBufferFromFile(filePath);
+    let metadata;
+    try {
+        metadata = await parquetMetadataAsync(file);
+    } catch (err) {
+        throw inputError(`无法读取 Parquet 文件 ${filePath}: ${err.message}`);
+    }
+
+    let count = 0;
+    let rowStart = 0;
+    for (const rowGroup of metadata.row_groups) {
+        const rowEnd = rowStart + Number(rowGroup.num_rows);
+        const rows = await parquetReadObjects({ file, metadata, rowStart, rowEnd });
+        rows.forEach(row => {
+            count++;
+            const plain = {};
+            Object.keys(row).forEach(key => {
+                plain[key] = toPlainValue(row[key]);
+            });
+            onRow(plain);
+        });
+        rowStart = rowEnd;
+    }
+    return count;
+}
+
+module.exports = {
+    streamParquet
+};
@@ -0,0 +1,70 @@
+/**
+ * SQLite 交易数据读取
+ * 逐行遍历指定数据表（数据库只有一张表时可省略表名）
+ */
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { inputError } = require('./errors');
+
+// 列出用户数据表
+function listTables(db) {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return result.length > 0 ? result[0].values.map(([name]) => name) : [];
+}
+
+// 确定要读取的数据表，表名只允许取自数据库中已有的表
+function resolveTable(db, filePath, table) {
+    const tables = listTables(db);
+    if (table) {
+        if (!tables.includes(table)) {
+            throw inputError(`${filePath} 中不存在数据表 ${table}（可用: ${tables.join(', ') || '无'}）`);
+        }
+        return table;
+    }
+    if (tables.length !== 1) {
+        throw inputError(`${filePath} 包含 ${tables.length} 张数据表，请使用 --table 指定（可用: ${tables.join(', ') || '无'}）`);
+    }
+    return tables[0];
+}
+
+/**
+ * 逐行读取 SQLite 数据表
+ * @param {string} filePath - 数据库文件路径
+ * @param {function(Object): void} onRow - 行回调
+ * @param {Object} [options]
+ * @param {string} [options.table] - 数据表名
+ * @returns {Promise<number>} 读取的行数
+ */
+async function streamSQLite(filePath, onRow, options = {}) {
+    const SQL = await initSqlJs();
+    let db;
+    try {
+        db = new SQL.Database(fs.readFileSync(filePath));
+        listTables(db); // 非 SQLite 文件在首次查询时才会报错
+    } catch (err) {
+        if (db) db.close();
+        throw inputError(`无法读取 SQLite 文件 ${filePath}: ${err.message}`);
+    }
+
+    let count = 0;
+    try {
+        const table = resolveTable(db, filePath, options.table);
+        const stmt = db.prepare(`SELECT * FROM "${table.replace(/"/g, '""')}"`);
+        try {
+            while (stmt.step()) {
+                count++;
+                onRow(stmt.getAsObject());
+            }
+        } finally {
+            stmt.free();
+        }
+    } finally {
+        db.close();
+    }
+    return count;
+}
+
+module.exports = {
+    streamSQLite
+};
@@ -0,0 +1,75 @@
+/**
+ * 页面使用的前端库
+ * 默认从 jsDelivr CDN 加载；离线模式从 node_modules 读取并内联到页面中，生成不依赖网络的单个 HTML 文件。
+ * CDN 与 node_modules 使用相同的版本（与 package.json 中固定的版本一致）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CDN_BASE = 'https://cdn.jsdelivr.net/npm';
+
+// 前端库：包名、版本与包内文件
+const ASSETS = {
+    chartjs: { package: 'chart.js', version: '4.5.1', file: 'dist/chart.umd.min.js' },
+    moment: { package: 'moment', version: '2.31.0', file: 'min/moment.min.js' },
+    momentTimezone: { package: 'moment-timezone', version: '0.6.5', file: 'builds/moment-timezone-with-data.min.js' },
+    chartjsAdapterMoment: { package: 'chartjs-adapter-moment', version: '1.0.1', file: 'dist/chartjs-adapter-moment.min.js' },
+    lightweightCharts: { package: 'lightweight-charts', version: '5.0.9', file: 'dist/lightweight-charts.standalone.production.js' },
+    bootstrapCSS: { package: 'bootstrap', version: '5.3.0', file: 'dist/css/bootstrap.min.css' },
+    bootstrapJS: { package: 'bootstrap', version: '5.3.0', file: 'dist/js/bootstrap.bundle.min.js' }
+};
+
+// 按 Node 的模块查找路径定位包内文件（部分包的 exports 不允许直接 require 内部文件）
+function resolveAsset(asset) {
+    const directories = require.resolve.paths(asset.package) || [];
+    const found = directories
+        .map(directory => path.join(directory, asset.package, asset.file))
+        .find(file => fs.existsSync(file));
+    return found || null;
+}
+
+/**
+ * 离线模式缺少的前端库
+ * @returns {string[]} 未安装的包名
+ */
+function findMissingAssets() {
+    return [...new Set(Object.values(ASSETS).filter(asset => !resolveAsset(asset)).map(asset => asset.package))];
+}
+
+// 读取库文件：去掉 source map 引用（离线时无法加载），并转义会提前结束 <script> / <style> 的片段
+function readAsset(asset, isStyle) {
+    const file = resolveAsset(asset);
+    if (!file) {
+        const err = new Error(`离线模式需要前端库 ${asset.package}，请先执行 npm install`);
+        err.code = 'MISSING_ASSETS';
+        throw err;
+    }
+    const content = fs.readFileSync(file, 'utf8').replace(/\/[/*]# sourceMappingURL=\S+(\s*\*\/)?/g, '');
+    return isStyle ?
+        content.replace(/<\/style/gi, '\\3c /style') :
+        content.replace(/<(\/script|!--)/gi, '\\x3c$1');
+}
+
+/**
+ * 生成加载前端库的标签
+ * @param {string} name - ASSETS 中的名称
+ * @param {Object} [options]
+ * @param {boolean} [options.offline=false] - 是否内联库文件
+ * @returns {string}
+ */
+function renderAssetTag(name, options = {}) {
+    const asset = ASSETS[name];
+    const isStyle = asset.file.endsWith('.css');
+    if (options.offline) {
+        return isStyle ? `<style>\n${readAsset(asset, true)}\n</style>` : `<script>\n${readAsset(asset, false)}\n</script>`;
+    }
+    const url = `${CDN_BASE}/${asset.package}@${asset.version}/${asset.file}`;
+    return isStyle ? `<link rel="stylesheet" href="${url}">` : `<script src="${url}"></script>`;
+}
+
+module.exports = {
+    ASSETS,
+    findMissingAssets,
+    renderAssetTag
+};
@@ -0,0 +1,460 @@
+/**
+ * K 线图
+ * 基于 analyze() 结果中的 K 线生成 Lightweight Charts 使用的数据（可切换的分辨率、成交量、标记与市场阶段），
+ * 以及页面中的 K 线图区块与绘制脚本；在图上选择的时间范围通过 TIME_RANGE_EVENT 事件通知页面其他部分
+ */
+
+const _ = require('lodash');
+const { RESOLUTIONS, resampleCandles, formatResolution } = require('../candles');
+const { describeTimeZone } = require('../utils');
+const { embedJSON } = require('./format');
+
+// 选择 / 清除时间范围时在 document 上派发的事件，detail 为 { from, to }（Unix 秒，to 不含）或 null
+const TIME_RANGE_EVENT = 'report:timerange';
+
+// 市场阶段底色
+const PHASE_COLORS = {
+    accumulation: 'rgba(59, 130, 246, 0.08)',
+    markup: 'rgba(16, 185, 129, 0.1)',
+    distribution: 'rgba(245, 158, 11, 0.1)',
+    markdown: 'rgba(239, 68, 68, 0.1)'
+};
+
+// 标记样式（同一根 K 线上的同类标记合并显示为 "标签 ×次数"）
+const MARKER_STYLES = {
+    whaleBuy: { label: '巨鲸买入', position: 'belowBar', shape: 'arrowUp', color: '#2563eb' },
+    whaleSell: { label: '巨鲸卖出', position: 'aboveBar', shape: 'arrowDown', color: '#7c3aed' },
+    pumpStart: { label: '拉升', position: 'belowBar', shape: 'circle', color: '#059669' },
+    pumpPeak: { label: '出货', position: 'aboveBar', shape: 'circle', color: '#dc2626' },
+    coordinated: { label: '协同', position: 'aboveBar', shape: 'square', color: '#d97706' },
+    sandwich: { label: '三明治', position: 'aboveBar', shape: 'arrowDown', color: '#f59e0b' },
+    rugPull: { label: '跑路', position: 'aboveBar', shape: 'square', color: '#991b1b' }
+};
+
+/**
+ * 可切换的分辨率
+ * 取常用分辨率中不低于导出分辨率、为其整数倍且 K 线数不超过 chartMaxCandles 的各项（导出分辨率本身不在常用列表中时也包含在内）；
+ * 默认分辨率为 K 线数不超过 chartTargetCandles 的最小分辨率。
+ */
+function selectResolutions(baseSeconds, timeRange, rules) {
+    const span = Math.max(1, timeRange.latest - timeRange.earliest);
+    const estimate = seconds => Math.ceil(span / seconds) + 1;
+    const candidates = _.sortedUniq(_.sortBy([baseSeconds, ...Object.values(RESOLUTIONS)]))
+        .filter(seconds => seconds >= baseSeconds && seconds % baseSeconds === 0);
+    const usable = candidates.filter(seconds => estimate(seconds) <= rules.chartMaxCandles);
+    const seconds = usable.length > 0 ? usable : [_.last(candidates)];
+    const preferred = seconds.find(value => estimate(value) <= rules.chartTargetCandles) || _.last(seconds);
+    return { seconds, preferred };
+}
+
+// 保留 8 位有效数字，减小页面体积
+const compact = value => (value === null ? null : Number(value.toPrecision(8)));
+
+// 每根 K 线压缩为 [时间, 开, 高, 低, 收, 成交量, 买入量, 卖出量, 笔数]
+const packCandle = candle => [
+    candle.timestamp,
+    ...[candle.open, candle.high, candle.low, candle.close, candle.volume, candle.buyVolume, candle.sellVolume].map(compact),
+    candle.trades
+];
+
+// 图上的标记：巨鲸交易、拉高出货、协同交易区间、三明治攻击与跑路事件
+function collectMarkers(result) {
+    const { config, patterns, series } = result;
+    const markers = [];
+    series.whaleTrades.forEach(trade => {
+        markers.push({ timestamp: trade.timestamp, kind: trade.isBuy ? 'whaleBuy' : 'whaleSell' });
+    });
+    patterns.pumpAndDump.forEach(pattern => {
+        markers.push({ timestamp: pattern.pump.startTimestamp, kind: 'pumpStart', label: `拉升 +${pattern.pump.percentChange.toFixed(0)}%` });
+        markers.push({ timestamp: pattern.pump.endTimestamp, kind: 'pumpPeak', label: `出货 ${(pattern.confidence * 100).toFixed(0)}%` });
+    });
+    patterns.coordinated.forEach(activity => {
+        markers.push({ timestamp: activity.timestamp, kind: 'coordinated' });
+    });
+    _.orderBy(patterns.sandwiches.attacks, 'extractedValue', 'desc')
+        .slice(0, config.sandwich.chartMarkers)
+        .forEach(attack => markers.push({ timestamp: attack.sellTimestamp, kind: 'sandwich' }));
+    patterns.rugPulls.forEach(event => {
+        markers.push({ timestamp: event.startTimestamp, kind: 'rugPull' });
+    });
+    return _.sortBy(markers, 'timestamp');
+}
+
+/**
+ * 生成 K 线图数据
+ * @param {Object} result - analyze() 的结果
+ * @returns {Object} 嵌入页面的数据：各分辨率的 K 线、标记、市场阶段与显示时区
+ */
+function createCandlestickData(result) {
+    const { config, timeRange } = result;
+    const { seconds: baseSeconds, candles } = result.series.candles;
+    const { seconds, preferred } = selectResolutions(baseSeconds, timeRange, config.candles);
+
+    return {
+        timezone: config.timezone,
+        timezoneLabel: describeTimeZone(config.timezone, timeRange.earliest),
+        resolutions: seconds.map(value => ({
+            name: formatResolution(value),
+            seconds: value,
+            candles: (value === baseSeconds ? candles : resampleCandles(candles, value)).map(packCandle)
+        })),
+        defaultResolution: formatResolution(preferred),
+        markers: collectMarkers(result),
+        markerStyles: MARKER_STYLES,
+        phases: result.cycles.segments.map(segment => ({
+            from: segment.startTime,
+            to: segment.endTime,
+            label: segment.description,
+            color: PHASE_COLORS[segment.phase]
+        }))
+    };
+}
+
+// K 线图区块：分辨率切换、图表（价格与成交量两个窗格）、y 轴缩放 / 平移滑块、x 轴缩放 / 滚动滑块与时间范围选择
+function renderCandlestickSection(data) {
+    return `
+                <div class="mb-4">
+                    <h3>代币价格 K 线</h3>
+                    <p class="text-muted">上方为 K 线，下方为同步的成交量（绿：买入量不低于卖出量，红：卖出量更多）；底色为市场阶段（蓝：积累，绿：上涨，橙：分销，红：下跌）。标记：↑ 巨鲸买入、↓ 巨鲸卖出、● 拉升起点 / 峰值出货、■ 协同交易区间 / 跑路，橙色 ↓ 为三明治攻击。十字光标处显示开高低收与成交量，时间为 ${data.timezoneLabel}。拖动坐标轴可分别缩放时间与价格，双击坐标轴复原。按住 Shift 在图上拖动（或点击“筛选可见范围”）可选择时间范围，页面顶部的统计卡片、交易量与买卖比率图、钱包活动图、可疑活动时间区间和可疑钱包列表将只统计所选范围内的交易（钱包评分与区间得分仍为基于全部数据的结果）。</p>
+                    <div class="candle-toolbar">
+                        <span class="text-muted">分辨率</span>
+                        <div class="btn-group btn-group-sm" role="group" id="candleResolutions">
+                            ${data.resolutions.map(resolution => `<button type="button" class="btn btn-outline-secondary" data-resolution="${resolution.name}">${resolution.name}</button>`).join('')}
+                        </div>
+                        <div class="form-check form-switch mb-0">
+                            <input class="form-check-input" type="checkbox" id="candleLogScale" checked>
+                            <label class="form-check-label" for="candleLogScale">对数刻度</label>
+                        </div>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="candleReset">重置视图</button>
+                        <button type="button" class="btn btn-sm btn-outline-primary" id="candleSelectVisible">筛选可见范围</button>
+                    </div>
+                    <div class="candle-body">
+                        <div class="candle-chart" id="candleChart">
+                            <div class="candle-legend" id="candleLegend"></div>
+                            <div class="candle-brush" id="candleBrush"></div>
+                        </div>
+                        <div class="candle-y-controls">
+                            <label for="candlePriceZoom">价格缩放</label>
+                            <input type="range" class="candle-vertical-range" id="candlePriceZoom" min="-3" max="3" step="0.1" value="0">
+                            <label for="candlePricePan">价格平移</label>
+                            <input type="range" class="candle-vertical-range" id="candlePricePan" min="-100" max="100" step="1" value="0">
+                        </div>
+                    </div>
+                    <div class="candle-x-controls">
+                        <label for="candleTimeZoom">时间缩放</label>
+                        <input type="range" class="form-range" id="candleTimeZoom" min="10" max="100" step="1" value="100">
+                        <label for="candleTimeScroll">时间滚动</label>
+                        <input type="range" class="form-range" id="candleTimeScroll" min="0" max="100" step="1" value="100">
+                    </div>
+                </div>`;
+}
+
+// 页面脚本中按报告时区（data.timezone）显示时间的 formatTime 与时间轴刻度 formatTick
+function renderTimeFormatScript() {
+    return `// 按报告时区显示时间
+            const dateParts = new Intl.DateTimeFormat('en-US', {
+                timeZone: data.timezone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+            const partsOf = time => Object.fromEntries(dateParts.formatToParts(new Date(time * 1000)).map(part => [part.type, part.value]));
+            const formatTime = time => {
+                const p = partsOf(time);
+                return p.year + '-' + p.month + '-' + p.day + ' ' + p.hour + ':' + p.minute + ':' + p.second;
+            };
+            const formatTick = (time, type) => {
+                const p = partsOf(time);
+                if (type === LightweightCharts.TickMarkType.Year) return p.year;
+                if (type === LightweightCharts.TickMarkType.Month || type === LightweightCharts.TickMarkType.DayOfMonth) return p.month + '-' + p.day;
+                if (type === LightweightCharts.TickMarkType.Time) return p.hour + ':' + p.minute;
+                return p.hour + ':' + p.minute + ':' + p.second;
+            };`;
+}
+
+// K 线图绘制脚本（页面加载 Lightweight Charts 之后执行）
+function renderCandlestickScript(data) {
+    return `
+        (function() {
+            const data = ${embedJSON(data)};
+            const container = document.getElementById('candleChart');
+            if (!container || typeof LightweightCharts === 'undefined') {
+                console.error('K 线图未能创建：Lightweight Charts 未加载');
+                return;
+            }
+            const UP = 'rgba(16, 185, 129, 1)';
+            const DOWN = 'rgba(239, 68, 68, 1)';
+
+            ${renderTimeFormatScript()}
+            const formatPrice = price => (Math.abs(price) < 0.01 ? price.toExponential(4) : price.toFixed(6));
+            const formatVolume = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+            const chart = LightweightCharts.createChart(container, {
+                autoSize: true,
+                layout: { background: { color: '#ffffff' }, textColor: '#374151', panes: { separatorColor: '#e5e7eb' } },
+                grid: { vertLines: { color: '#f3f4f6' }, horzLines: { color: '#f3f4f6' } },
+                crosshair: { mode: LightweightCharts.CrosshairMode.Normal },
+                localization: { timeFormatter: formatTime },
+                rightPriceScale: { mode: LightweightCharts.PriceScaleMode.Logarithmic },
+                timeScale: { timeVisible: true, secondsVisible: false, tickMarkFormatter: formatTick },
+                handleScale: { axisPressedMouseMove: { time: true, price: true }, axisDoubleClickReset: { time: true, price: true }, mouseWheel: true, pinch: true },
+                handleScroll: { mouseWheel: true, pressedMouseMove: true, horzTouchDrag: true, vertTouchDrag: false }
+            });
+
+            // 市场阶段底色：独立、不可见价格轴上的满高柱，先添加以绘制在 K 线下方
+            const phaseSeries = chart.addSeries(LightweightCharts.HistogramSeries, {
+                priceScaleId: 'phases', priceLineVisible: false, lastValueVisible: false, base: 0
+            });
+            chart.priceScale('phases').applyOptions({ visible: false, scaleMargins: { top: 0, bottom: 0 } });
+
+            // y 轴缩放 / 平移：在自动缩放得到的价格范围上变换，横向滚动后仍然生效
+            const priceZoom = document.getElementById('candlePriceZoom');
+            const pricePan = document.getElementById('candlePricePan');
+            const logScale = document.getElementById('candleLogScale');
+            const transformRange = original => {
+                const info = original();
+                const zoom = Number(priceZoom.value);
+                const pan = Number(pricePan.value);
+                if (!info || !info.priceRange || (zoom === 0 && pan === 0)) return info;
+                const log = logScale.checked && info.priceRange.minValue > 0;
+                const toAxis = value => (log ? Math.log10(value) : value);
+                const fromAxis = value => (log ? Math.pow(10, value) : value);
+                const low = toAxis(info.priceRange.minValue);
+                const high = toAxis(info.priceRange.maxValue);
+                const span = Math.max(high - low, Math.abs(high) * 1e-6 || 1e-12);
+                const center = (low + high) / 2 + span * pan / 100;
+                const half = span * Math.pow(2, -zoom) / 2;
+                return { ...info, priceRange: { minValue: fromAxis(center - half), maxValue: fromAxis(center + half) } };
+            };
+
+            const candleSeries = chart.addSeries(LightweightCharts.CandlestickSeries, {
+                upColor: UP, downColor: DOWN, wickUpColor: UP, wickDownColor: DOWN, borderVisible: false,
+                priceFormat: { type: 'custom', formatter: formatPrice, minMove: 1e-12 },
+                autoscaleInfoProvider: transformRange
+            });
+            const markers = LightweightCharts.createSeriesMarkers(candleSeries, []);
+
+            // 成交量窗格
+            const volumeSeries = chart.addSeries(LightweightCharts.HistogramSeries, {
+                priceFormat: { type: 'volume' }, priceLineVisible: false, lastValueVisible: false
+            }, 1);
+            chart.panes()[0].setStretchFactor(3);
+            chart.panes()[1].setStretchFactor(1);
+
+            const phaseAt = time => data.phases.find(phase => time >= phase.from && time < phase.to);
+
+            // 同一根 K 线上的同类标记合并
+            const buildMarkers = seconds => {
+                const groups = new Map();
+                data.markers.forEach(marker => {
+                    const time = Math.floor(marker.timestamp / seconds) * seconds;
+                    const key = time + '|' + marker.kind;
+                    const group = groups.get(key);
+                    if (group) {
+                        group.count++;
+                    } else {
+                        groups.set(key, { time, kind: marker.kind, label: marker.label, count: 1 });
+                    }
+                });
+                return [...groups.values()].sort((a, b) => a.time - b.time).map(group => {
+                    const style = data.markerStyles[group.kind];
+                    const label = group.label || style.label;
+                    return {
+                        time: group.time,
+                        position: style.position,
+                        shape: style.shape,
+                        color: style.color,
+                        text: group.count > 1 ? label + ' ×' + group.count : label
+                    };
+                });
+            };
+
+            // 十字光标处的开高低收与成交量
+            const legend = document.getElementById('candleLegend');
+            let current = null;
+            let candleByTime = new Map();
+            const renderLegend = candle => {
+                if (!candle) {
+                    legend.textContent = '';
+                    return;
+                }
+                const [time, open, high, low, close, volume, buyVolume, sellVolume, trades] = candle;
+                const phase = phaseAt(time);
+                const change = open ? ((close - open) / open * 100) : null;
+                legend.innerHTML =
+                    '<strong>' + formatTime(time) + '</strong>（' + current.name + '）' + (phase ? ' · ' + phase.label : '') + '<br>' +
+                    (open === null ? '无成交价' :
+                        '开 ' + formatPrice(open) + ' 高 ' + formatPrice(high) + ' 低 ' + formatPrice(low) + ' 收 ' + formatPrice(close) +
+                        ' <span style="color:' + (close >= open ? UP : DOWN) + '">' + (change >= 0 ? '+' : '') + change.toFixed(2) + '%</span>') + '<br>' +
+                    '成交量 ' + formatVolume(volume) + '（买 ' + formatVolume(buyVolume) + ' / 卖 ' + formatVolume(sellVolume) + '），' + trades + ' 笔';
+            };
+            chart.subscribeCrosshairMove(param => {
+                const candle = param.time !== undefined ? candleByTime.get(param.time) : null;
+                renderLegend(candle || (current && current.candles[current.candles.length - 1]));
+            });
+
+            // x 轴缩放 / 滚动：按可见的 K 线根数与右边界
+            const timeZoom = document.getElementById('candleTimeZoom');
+            const timeScroll = document.getElementById('candleTimeScroll');
+            const applyTimeControls = () => {
+                const right = Number(timeScroll.value);
+                chart.timeScale().setVisibleLogicalRange({ from: right - Number(timeZoom.value), to: right });
+            };
+            timeZoom.addEventListener('input', applyTimeControls);
+            timeScroll.addEventListener('input', applyTimeControls);
+            chart.timeScale().subscribeVisibleLogicalRangeChange(range => {
+                if (!range) return;
+                timeZoom.value = Math.round(range.to - range.from);
+                timeScroll.value = Math.round(range.to);
+            });
+
+            const refreshPriceScale = () => {
+                chart.priceScale('right').setAutoScale(true);
+                candleSeries.applyOptions({ autoscaleInfoProvider: transformRange });
+            };
+            priceZoom.addEventListener('input', refreshPriceScale);
+            pricePan.addEventListener('input', refreshPriceScale);
+            logScale.addEventListener('change', () => {
+                chart.priceScale('right').applyOptions({
+                    mode: logScale.checked ? LightweightCharts.PriceScaleMode.Logarithmic : LightweightCharts.PriceScaleMode.Normal
+                });
+                refreshPriceScale();
+            });
+
+            // 切换分辨率，保持当前可见的时间范围
+            const buttons = document.querySelectorAll('#candleResolutions [data-resolution]');
+            const setResolution = name => {
+                const visible = current ? chart.timeScale().getVisibleRange() : null;
+                current = data.resolutions.find(resolution => resolution.name === name) || data.resolutions[0];
+                const candles = current.candles;
+                candleByTime = new Map(candles.map(candle => [candle[0], candle]));
+
+                phaseSeries.setData(candles.map(candle => {
+                    const phase = phaseAt(candle[0]);
+                    return phase ? { time: candle[0], value: 1, color: phase.color } : { time: candle[0] };
+                }));
+                candleSeries.setData(candles.map(candle => (candle[1] === null ?
+                    { time: candle[0] } :
+                    { time: candle[0], open: candle[1], high: candle[2], low: candle[3], close: candle[4] })));
+                volumeSeries.setData(candles.map(candle => ({
+                    time: candle[0],
+                    value: candle[5],
+                    color: candle[6] >= candle[7] ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)'
+                })));
+                markers.setMarkers(buildMarkers(current.seconds));
+
+                timeZoom.max = Math.max(10, candles.length);
+                timeScroll.max = candles.length + 5;
+                if (visible) {
+                    chart.timeScale().setVisibleRange(visible);
+                } else {
+                    chart.timeScale().fitContent();
+                }
+                buttons.forEach(button => button.classList.toggle('active', button.dataset.resolution === current.name));
+                renderLegend(candles[candles.length - 1]);
+                renderSelection();
+            };
+            buttons.forEach(button => button.addEventListener('click', () => setResolution(button.dataset.resolution)));
+
+            // ==== 时间范围选择 ====
+            // 逻辑坐标 first ~ last 之间的 K 线覆盖的时间范围（按当前分辨率的 K 线对齐）
+            const brush = document.getElementById('candleBrush');
+            let selected = null;
+            const rangeOf = (first, last) => {
+                const candles = current.candles;
+                const clamp = index => Math.min(candles.length - 1, Math.max(0, Math.round(index)));
+                const [from, to] = [clamp(Math.min(first, last)), clamp(Math.max(first, last))];
+                return { from: candles[from][0], to: candles[to][0] + current.seconds };
+            };
+            const selectRange = range => document.dispatchEvent(new CustomEvent('${TIME_RANGE_EVENT}', { detail: range }));
+
+            // 时间不早于 time 的第一根 K 线的序号（即逻辑坐标）
+            const logicalOf = time => {
+                const candles = current.candles;
+                let low = 0;
+                let high = candles.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (candles[middle][0] < time) low = middle + 1; else high = middle;
+                }
+                return low;
+            };
+            const drawBrush = (start, end) => {
+                const width = container.clientWidth - chart.priceScale('right').width();
+                const [left, right] = [Math.max(0, Math.min(start, end)), Math.min(width, Math.max(start, end))];
+                brush.style.display = right > left ? 'block' : 'none';
+                brush.style.left = left + 'px';
+                brush.style.width = (right - left) + 'px';
+            };
+            const renderSelection = () => {
+                if (!selected || !current.candles.length) {
+                    brush.style.display = 'none';
+                    return;
+                }
+                const timeScale = chart.timeScale();
+                const first = logicalOf(selected.from);
+                const last = logicalOf(selected.to) - 1;
+                const start = timeScale.logicalToCoordinate(first - 0.5);
+                const end = timeScale.logicalToCoordinate(last + 0.5);
+                if (start === null || end === null || last < first) {
+                    brush.style.display = 'none';
+                    return;
+                }
+                drawBrush(start, end);
+            };
+            chart.timeScale().subscribeVisibleLogicalRangeChange(renderSelection);
+            document.addEventListener('${TIME_RANGE_EVENT}', event => {
+                selected = event.detail;
+                renderSelection();
+            });
+
+            // 按住 Shift 拖动：在捕获阶段拦截，不触发图表自身的平移
+            let dragStart = null;
+            const offsetX = event => event.clientX - container.getBoundingClientRect().left;
+            container.addEventListener('mousedown', event => {
+                if (event.shiftKey) event.stopPropagation();
+            }, true);
+            container.addEventListener('pointerdown', event => {
+                if (!event.shiftKey || event.button !== 0 || !current.candles.length) return;
+                event.stopPropagation();
+                event.preventDefault();
+                dragStart = offsetX(event);
+                drawBrush(dragStart, dragStart);
+            }, true);
+            window.addEventListener('pointermove', event => {
+                if (dragStart !== null) drawBrush(dragStart, offsetX(event));
+            });
+            window.addEventListener('pointerup', event => {
+                if (dragStart === null) return;
+                const start = dragStart;
+                const end = offsetX(event);
+                dragStart = null;
+                if (Math.abs(end - start) < 3) {
+                    renderSelection();
+                    return;
+                }
+                const timeScale = chart.timeScale();
+                selectRange(rangeOf(timeScale.coordinateToLogical(start), timeScale.coordinateToLogical(end)));
+            });
+            document.getElementById('candleSelectVisible').addEventListener('click', () => {
+                const visible = chart.timeScale().getVisibleLogicalRange();
+                if (visible && current.candles.length) selectRange(rangeOf(visible.from, visible.to));
+            });
+
+            document.getElementById('candleReset').addEventListener('click', () => {
+                priceZoom.value = 0;
+                pricePan.value = 0;
+                refreshPriceScale();
+                chart.timeScale().fitContent();
+            });
+
+            setResolution(data.defaultResolution);
+        })();`;
+}
+
+module.exports = {
+    TIME_RANGE_EVENT,
+    selectResolutions,
+    renderTimeFormatScript,
+    createCandlestickData,
+    renderCandlestickSection,
+    renderCandlestickScript
+};
@@ -0,0 +1,529 @@
+/**
+ * 图表配置生成
+ * 基于 analyze() 的结果生成 Chart.js 图表配置（价格 K 线图见 candlestick.js）
+ */
+
+const _ = require('lodash');
+const { createSafeDate, describeTimeZone } = require('../utils');
+const { selectMostActiveWallets } = require('../history');
+
+// ==== 通用图表配置 ====
+const chartDefaults = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+        intersect: false,
+        mode: 'index'
+    },
+    plugins: {
+        legend: {
+            position: 'top',
+            labels: {
+                padding: 20,
+                usePointStyle: true,
+                pointStyle: 'circle'
+            }
+        },
+        tooltip: {
+            backgroundColor: 'rgba(255, 255, 255, 0.95)',
+            titleColor: '#1a1a1a',
+            bodyColor: '#666',
+            bodyFont: {
+                size: 13
+            },
+            borderColor: '#f0f0f0',
+            borderWidth: 1,
+            padding: 12,
+            displayColors: true,
+            callbacks: {
+                label: function(context) {
+                    let label = context.dataset.label || '';
+                    if (label) {
+                        label += ': ';
+                    }
+                    if (context.parsed.y !== null) {
+                        label += context.parsed.y.toFixed(6);
+                    }
+                    return label;
+                }
+            }
+        }
+    }
+};
+
+// 时间轴标题，注明报告时区及偏移
+const timeAxisTitle = result =>
+    `时间 (${describeTimeZone(result.config.timezone, result.timeRange.earliest)})`;
+
+// ==== 生成交易量图表配置 ====
+const createVolumeChartConfig = (result, log = console) => {
+    const { hourly } = result.series;
+    try {
+        // 准备数据：使用聚合阶段的每小时统计
+        const intervalData = {};
+        const timeLabels = [];
+        
+        hourly.forEach(bucket => {
+            try {
+                const date = createSafeDate(bucket.timestamp);
+                if (!date) return; // 跳过无效日期
+                
+                intervalData[bucket.timestamp] = {
+                    buys: { volume: bucket.buyVolume, count: bucket.buyCount },
+                    sells: { volume: bucket.sellVolume, count: bucket.sellCount }
+                };
+                
+                // 记录时间标签
+                timeLabels.push({
+                    ts: bucket.timestamp,
+                    isoString: date.toISOString()
+                });
+            } catch (err) {
+                log.log(`交易量聚合数据错误:`, err.message);
+            }
+        });
+        
+        // 如果没有有效的时间标签，返回空图表
+        if (timeLabels.length === 0) {
+            log.log("无有效时间标签，返回空的交易量图表");
+            return {
+                id: 'volumeChart',
+                title: '交易量分布',
+                description: '无法生成交易量图表：没有有效的时间数据。',
+                config: {
+                    type: 'bar',
+                    data: { datasets: [] },
+                    options: { ...chartDefaults }
+                }
+            };
+        }
+        
+        // 按时间戳排序时间标签
+        timeLabels.sort((a, b) => a.ts - b.ts);
+        
+        // 找出最小和最大时间戳
+        const allTimestamps = timeLabels.map(item => item.ts);
+        const minTimestamp = Math.min(...allTimestamps);
+        const maxTimestamp = Math.max(...allTimestamps);
+        
+        // 填充可能缺失的时间区间
+        const completeIntervalData = {};
+        for (let ts = minTimestamp; ts <= maxTimestamp; ts += 3600) {
+            completeIntervalData[ts] = intervalData[ts] || {
+                buys: { volume: 0, count: 0 },
+                sells: { volume: 0, count: 0 }
+            };
+        }
+        
+        // 安全地重新生成完整的时间标签和数据
+        const buyData = [];
+        const sellData = [];
+        
+        for (const ts of Object.keys(completeIntervalData).sort().map(Number)) {
+            try {
+                const date = createSafeDate(ts);
+                if (!date) continue; // 跳过无效日期
+                
+                const isoString = date.toISOString();
+                
+                buyData.push({
+                    x: isoString,
+                    y: completeIntervalData[ts].buys.volume
+                });
+                
+                sellData.push({
+                    x: isoString,
+                    y: completeIntervalData[ts].sells.volume
+                });
+            } catch (err) {
+                log.log(`生成数据点错误: ${ts}`, err.message);
+            }
+        }
+        
+        // 计算总时间区间数和有交易的区间数
+        const totalIntervals = Object.keys(completeIntervalData).length;
+        const intervalsWithTrades = Object.values(completeIntervalData).filter(
+            interval => interval.buys.count > 0 || interval.sells.count > 0
+        ).length;
+        
+        return {
+            id: 'volumeChart',
+            title: '交易量分布',
+            description: `显示买入和卖出的交易量分布情况。总时间区间数: ${totalIntervals}, 有交易的区间数: ${intervalsWithTrades}。`,
+            config: {
+                type: 'bar',
+                data: {
+                    datasets: [
+                        {
+                            label: '买入量',
+                            data: buyData,
+                            backgroundColor: 'rgba(34, 197, 94, 0.85)', // 提高不透明度
+                            borderColor: 'rgba(34, 197, 94, 1)',
+                            borderWidth: 1
+                        },
+                        {
+                            label: '卖出量',
+                            data: sellData,
+                            backgroundColor: 'rgba(239, 68, 68, 0.85)', // 提高不透明度
+                            borderColor: 'rgba(239, 68, 68, 1)',
+                            borderWidth: 1
+                        }
+                    ]
+                },
+                options: {
+                    ...chartDefaults,
+                    scales: {
+                        y: {
+                            type: 'logarithmic',
+                            title: {
+                                display: true,
+                                text: '交易量 (对数刻度)',
+                                padding: 10
+                            }
+                        },
+                        x: {
+                            type: 'time',
+                            time: {
+                                unit: 'hour',
+                                displayFormats: {
+                                    hour: 'MM-DD HH:mm'
+                                },
+                                tooltipFormat: 'YYYY-MM-DD HH:mm'
+                            },
+                            title: {
+                                display: true,
+                                text: timeAxisTitle(result),
+                                padding: 10
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    } catch (err) {
+        log.log("生成交易量图表时发生严重错误:", err);
+        // 返回空的图表配置
+        return {
+            id: 'volumeChart',
+            title: '交易量分布',
+            description: '生成图表时发生错误，请检查数据。',
+            config: {
+                type: 'bar',
+                data: { datasets: [] },
+                options: { ...chartDefaults }
+            }
+        };
+    }
+};
+
+// ==== 生成买卖比率图表配置 ====
+const createBuySellRatioChartConfig = (result, log = console) => {
+    const { hourly } = result.series;
+    try {
+        // 使用与交易量图表相同的时间间隔
+        const intervalData = {};
+        
+        hourly.forEach(bucket => {
+            intervalData[bucket.timestamp] = {
+                buys: bucket.buyCount,
+                sells: bucket.sellCount
+            };
+        });
+        
+        // 安全地转换为图表数据
+        const timeLabels = [];
+        for (const tsStr of Object.keys(intervalData).sort()) {
+            try {
+                const ts = parseInt(tsStr, 10);
+                if (!isNaN(ts)) {
+                    const date = createSafeDate(ts);
+                    if (date) {
+                        timeLabels.push({
+                            ts: ts,
+                            isoString: date.toISOString()
+                        });
+                    }
+                }
+            } catch (err) {
+                log.log(`买卖比率 - 时间标签转换错误:`, err.message, tsStr);
+            }
+        }
+        
+        // 如果没有有效的时间标签，返回空图表
+        if (timeLabels.length === 0) {
+            log.log("无有效时间标签，返回空的买卖比率图表");
+            return {
+                id: 'buySellRatioChart',
+                title: '买卖比率变化',
+                description: '无法生成买卖比率图表：没有有效的时间数据。',
+                config: {
+                    type: 'bar',
+                    data: { datasets: [] },
+                    options: { ...chartDefaults }
+                }
+            };
+        }
+        
+        // 计算每个时间区间的买卖比率
+        const ratioData = [];
+        const validLabels = [];
+        
+        timeLabels.forEach(item => {
+            try {
+                const { ts, isoString } = item;
+                const { buys, sells } = intervalData[ts];
+                let ratio;
+                
+                // 避免除以零
+                if (sells === 0) {
+                    ratio = buys > 0 ? 5 : 0;  // 如果有买入但没有卖出，限制比率为5
+                } else {
+                    ratio = Math.min(buys / sells, 5);  // 限制最大比率为5以便更好地可视化
+                }
+                
+                ratioData.push(ratio);
+                validLabels.push(isoString);
+            } catch (err) {
+                log.log(`买卖比率 - 计算比率错误:`, err.message);
+            }
+        });
+        
+        // 如果没有有效数据，返回空图表
+        if (ratioData.length === 0) {
+            return {
+                id: 'buySellRatioChart',
+                title: '买卖比率变化',
+                description: '无法生成买卖比率图表：没有有效的比率数据。',
+                config: {
+                    type: 'bar',
+                    data: { datasets: [] },
+                    options: { ...chartDefaults }
+                }
+            };
+        }
+        
+        // 找出异常值（特别高或低的比率）
+        const validRatios = ratioData.filter(r => !isNaN(r) && isFinite(r));
+        const avgRatio = validRatios.length > 0 ? _.mean(validRatios) : 1;
+        const stdDev = validRatios.length > 0 
+            ? Math.sqrt(_.mean(validRatios.map(r => Math.pow(r - avgRatio, 2))))
+            : 0;
+        
+        const abnormalThreshold = avgRatio + 2 * stdDev;
+        const isAbnormal = ratioData.map(r => r > abnormalThreshold);
+        
+        return {
+            id: 'buySellRatioChart',
+            title: '买卖比率变化',
+            description: '显示每个时间区间内买入交易与卖出交易的比率，反映市场情绪变化。比率>1表示买入多于卖出。',
+            config: {
+                type: 'bar',  // 改为柱状图
+                data: {
+                    labels: validLabels,
+                    datasets: [{
+                        label: '买卖比率',
+                        data: ratioData,
+                        backgroundColor: ratioData.map(value => 
+                            value > 1 ? (value > 3 ? 'rgba(22, 163, 74, 0.85)' : 'rgba(34, 197, 94, 0.85)') : 
+                                      'rgba(239, 68, 68, 0.85)'
+                        ),
+                        borderColor: ratioData.map(value => 
+                            value > 1 ? (value > 3 ? 'rgba(22, 163, 74, 1)' : 'rgba(34, 197, 94, 1)') : 
+                                      'rgba(239, 68, 68, 1)'
+                        ),
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    ...chartDefaults,
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            title: {
+                                display: true,
+                                text: '买入/卖出比率',
+                                padding: 10
+                            },
+                            suggestedMax: 3,  // 设置合理的Y轴最大值以便更好地观察大多数数据
+                        },
+                        x: {
+                            type: 'time',
+                            time: {
+                                unit: 'hour',
+                                displayFormats: {
+                                    hour: 'MM-DD HH:mm'
+                                },
+                                tooltipFormat: 'YYYY-MM-DD HH:mm'
+                            },
+                            title: {
+                                display: true,
+                                text: timeAxisTitle(result),
+                                padding: 10
+                            }
+                        }
+                    },
+                    plugins: {
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const value = context.raw;
+                                    const label = `买卖比率: ${value.toFixed(2)}`;
+                                    
+                                    if (value > 3) {
+                                        return `${label} (异常高)`;
+                                    } else if (value > 1) {
+                                        return `${label} (买入多于卖出)`;
+                                    } else if (value === 1) {
+                                        return `${label} (买卖平衡)`;
+                                    } else {
+                                        return `${label} (卖出多于买入)`;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    } catch (err) {
+        log.log("生成买卖比率图表时发生严重错误:", err);
+        // 返回空的图表配置
+        return {
+            id: 'buySellRatioChart',
+            title: '买卖比率变化',
+            description: '生成图表时发生错误，请检查数据。',
+            config: {
+                type: 'bar',
+                data: { datasets: [] },
+                options: { ...chartDefaults }
+            }
+        };
+    }
+};
+
+// ==== 生成钱包活动图表配置 ====
+const createWalletActivityChartConfig = (result, log = console) => {
+    const walletActivity = result.wallets.activity;
+    const suspectedManipulators = result.wallets.scored;
+    const { suspiciousMinScore } = result.config.walletScoring;
+    try {
+        // 确保钱包活动数据存在且有效
+        if (!walletActivity || Object.keys(walletActivity).length === 0) {
+            log.log("警告: 钱包活动数据为空，返回默认图表配置");
+            return {
+                id: 'walletActivityChart',
+                title: '机器人交易活动',
+                description: '当前没有足够的钱包活动数据可供分析。',
+                config: {
+                    type: 'bar',
+                    data: {
+                        labels: ['无数据'],
+                        datasets: [{
+                            label: '无数据',
+                            data: [0],
+                            backgroundColor: 'rgba(200, 200, 200, 0.5)'
+                        }]
+                    },
+                    options: { ...chartDefaults }
+                }
+            };
+        }
+    
+        // 展示最活跃的前10个钱包
+        const topActiveWallets = selectMostActiveWallets(walletActivity);
+        
+        // 确保数据格式正确
+        const data = topActiveWallets.map(wallet => ({
+            address: wallet.address || 'unknown',
+            buys: wallet.buys || 0,
+            sells: wallet.sells || 0,
+            suspicious: suspectedManipulators.some(m => m.address === wallet.address && m.suspiciousScore >= suspiciousMinScore)
+        }));
+        
+        return {
+            id: 'walletActivityChart',
+            title: '钱包交易活动',
+            description: '展示最活跃的10个钱包的买入和卖出交易次数，⚠️标记表示被系统识别为可疑的机器人钱包。点击柱状条查看钱包详情。',
+            config: {
+                type: 'bar',
+                data: {
+                    // 各柱对应的钱包地址，供点击查看钱包详情和按时间范围重新汇总
+                    wallets: data.map(w => w.address),
+                    labels: data.map(w => {
+                        const shortAddress = w.address ? (w.address.slice(0, 6) + '...' + w.address.slice(-4)) : 'unknown';
+                        return w.suspicious ? '⚠️ ' + shortAddress : shortAddress;
+                    }),
+                    datasets: [
+                        {
+                            label: '买入次数',
+                            data: data.map(w => w.buys),
+                            backgroundColor: data.map(w => w.suspicious ? 'rgba(234, 179, 8, 0.8)' : 'rgba(34, 197, 94, 0.8)'),
+                            borderColor: data.map(w => w.suspicious ? 'rgba(234, 179, 8, 0.9)' : 'rgba(34, 197, 94, 0.9)'),
+                            borderWidth: 1
+                        },
+                        {
+                            label: '卖出次数',
+                            data: data.map(w => w.sells),
+                            backgroundColor: data.map(w => w.suspicious ? 'rgba(249, 115, 22, 0.8)' : 'rgba(239, 68, 68, 0.8)'),
+                            borderColor: data.map(w => w.suspicious ? 'rgba(249, 115, 22, 0.9)' : 'rgba(239, 68, 68, 0.9)'),
+                            borderWidth: 1
+                        }
+                    ]
+                },
+                options: {
+                    ...chartDefaults,
+                    indexAxis: 'y',
+                    scales: {
+                        y: {
+                            grid: {
+                                display: false
+                            }
+                        },
+                        x: {
+                            grid: {
+                                color: '#f0f0f0'
+                            },
+                            title: {
+                                display: true,
+                                text: '交易次数',
+                                padding: 10
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    } catch (error) {
+        log.error("创建钱包活动图表时出错:", error);
+        // 返回一个默认图表配置，避免整个HTML生成失败
+        return {
+            id: 'walletActivityChart',
+            title: '钱包交易活动',
+            description: '生成图表时发生错误，请检查控制台输出。',
+            config: {
+                type: 'bar',
+                data: {
+                    labels: ['错误'],
+                    datasets: [{
+                        label: '错误',
+                        data: [0],
+                        backgroundColor: 'rgba(239, 68, 68, 0.8)'
+                    }]
+                },
+                options: { ...chartDefaults }
+            }
+        };
+    }
+};
+
+// 生成全部图表配置
+const createCharts = (result, log = console) => [
+    createVolumeChartConfig(result, log),
+    createBuySellRatioChartConfig(result, log),
+    createWalletActivityChartConfig(result, log)
+];
+
+module.exports = {
+    chartDefaults,
+    createCharts
+};
@@ -0,0 +1,270 @@
+/**
+ * 钱包详情
+ * 从可疑钱包表、钱包活动图和共同交易钱包列表打开：钱包的每笔交易（标在价格走势上）、持仓与盈亏曲线、
+ * 触发的评分规则，以及在同一时间窗口内交易的其他钱包
+ */
+
+const _ = require('lodash');
+const { resampleCandles } = require('../candles');
+const { selectMostActiveWallets } = require('../history');
+const { selectResolutions, renderTimeFormatScript } = require('./candlestick');
+const { embedJSON, formatMoney, formatWinRate, formatDuration, describeTriggeredRule } = require('./format');
+
+// 保留 8 位有效数字，减小页面体积
+const compact = value => (value === null || value === undefined ? null : Number(value.toPrecision(8)));
+
+// 单个钱包的详情
+function createWalletDetail(address, detail, context) {
+    const { currency, scoredByAddress } = context;
+    const wallet = scoredByAddress[address];
+
+    return {
+        address,
+        score: wallet ? wallet.suspiciousScore : 0,
+        clusterId: wallet ? wallet.clusterId : null,
+        rules: wallet ? wallet.triggeredRules.map(rule => describeTriggeredRule(rule, currency)) : [],
+        summary: {
+            tradeCount: detail.tradeCount,
+            buyCount: detail.buyCount,
+            sellCount: detail.sellCount,
+            firstTimestamp: detail.firstTimestamp,
+            lastTimestamp: detail.lastTimestamp,
+            totalValue: formatMoney(detail.totalValue, currency),
+            pnl: wallet && wallet.pnl ? formatMoney(wallet.pnl.total, currency) : 'N/A',
+            realized: wallet && wallet.pnl ? formatMoney(wallet.pnl.realized, currency) : 'N/A',
+            winRate: wallet && wallet.pnl ? formatWinRate(wallet.pnl.winRate) : 'N/A',
+            position: compact(detail.position)
+        },
+        // [时间, 买入为 1, 数量, 成交价, 交易额, 交易后持仓]
+        trades: detail.trades.map(trade => [
+            trade.timestamp, trade.isBuy ? 1 : 0, compact(trade.amount), compact(trade.price), compact(trade.value), compact(trade.position)
+        ]),
+        // [时间, 持仓, 总盈亏]
+        curve: detail.curve.map(point => [point.timestamp, compact(point.position), compact(point.total)]),
+        windowCount: detail.windowCount,
+        coTraders: detail.coTraders.map(other => {
+            const scored = scoredByAddress[other.address];
+            return {
+                ...other,
+                score: scored ? scored.suspiciousScore : null,
+                clusterId: scored ? scored.clusterId : null
+            };
+        })
+    };
+}
+
+/**
+ * 生成钱包详情数据
+ * 包含分析时收集了明细的钱包：钱包活动图中的钱包与可疑钱包表中的钱包（评分超过 walletScoring.tableMinScore），最多 drillDown.maxWallets 个
+ * @param {Object} result - analyze() 的结果
+ * @returns {Object} 嵌入页面的数据：价格走势、按地址索引的钱包详情与钱包活动图的钱包顺序
+ */
+function createDrillDownData(result) {
+    const { config, valuation, timeRange, wallets } = result;
+    const { walletDetails, candles: candleSeries } = result.series;
+
+    const chartWallets = selectMostActiveWallets(wallets.activity).map(wallet => wallet.address);
+
+    // 价格走势使用 K 线图默认分辨率的收盘价
+    const { preferred } = selectResolutions(candleSeries.seconds, timeRange, config.candles);
+    const priceCandles = preferred === candleSeries.seconds ? candleSeries.candles : resampleCandles(candleSeries.candles, preferred);
+
+    const context = {
+        currency: valuation.currency,
+        scoredByAddress: _.keyBy(wallets.scored, 'address')
+    };
+
+    return {
+        timezone: config.timezone,
+        currency: valuation.currency,
+        windowLabel: formatDuration(config.drillDown.windowSeconds),
+        priceSeconds: preferred,
+        prices: priceCandles.filter(candle => candle.close !== null).map(candle => [candle.timestamp, compact(candle.close)]),
+        chartWallets,
+        wallets: _.mapValues(walletDetails, (detail, address) => createWalletDetail(address, detail, context))
+    };
+}
+
+// 钱包详情弹窗
+function renderDrillDownSection(data) {
+    return `
+    <div class="modal fade" id="walletDetailModal" tabindex="-1" aria-labelledby="walletDetailTitle" aria-hidden="true">
+        <div class="modal-dialog modal-xl modal-dialog-scrollable">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h5 class="modal-title text-break" id="walletDetailTitle">钱包详情</h5>
+                    <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="关闭"></button>
+                </div>
+                <div class="modal-body">
+                    <div class="wallet-detail-summary" id="walletDetailSummary"></div>
+                    <p class="text-muted small mb-1">上：价格走势（收盘价），↑ 买入、↓ 卖出（同一根 K 线内合并计数）；中：交易后的持仓；下：总盈亏（已实现 + 按当时成交价计的未实现，${data.currency}）。</p>
+                    <div class="wallet-detail-chart" id="walletDetailChart"></div>
+                    <div class="row mt-3">
+                        <div class="col-lg-6">
+                            <h6>触发的评分规则</h6>
+                            <ul id="walletDetailRules"></ul>
+                        </div>
+                        <div class="col-lg-6">
+                            <h6>共同交易钱包 <small class="text-muted">（在同一 ${data.windowLabel}窗口内有交易）</small></h6>
+                            <p class="text-muted small mb-1" id="walletDetailWindows"></p>
+                            <table class="wallet-table wallet-detail-table">
+                                <thead>
+                                    <tr><th>钱包地址</th><th>共同窗口数</th><th>可疑度评分</th><th>钱包群</th></tr>
+                                </thead>
+                                <tbody id="walletDetailCoTraders"></tbody>
+                            </table>
+                        </div>
+                    </div>
+                    <h6 class="mt-3">交易记录</h6>
+                    <p class="text-muted small mb-1" id="walletDetailTradeNote"></p>
+                    <div class="wallet-detail-trades">
+                        <table class="wallet-table wallet-detail-table">
+                            <thead>
+                                <tr><th>时间</th><th>方向</th><th>数量</th><th>成交价</th><th>交易额 (${data.currency})</th><th>交易后持仓</th></tr>
+                            </thead>
+                            <tbody id="walletDetailTrades"></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </div>`;
+}
+
+// 钱包详情脚本：点击带 data-wallet 属性的元素或钱包活动图的柱状条时打开（在图表创建之后执行）
+function renderDrillDownScript(data) {
+    return `
+        (function() {
+            const data = ${embedJSON(data)};
+            const modalElement = document.getElementById('walletDetailModal');
+            if (!modalElement || typeof bootstrap === 'undefined') {
+                console.error('钱包详情不可用：Bootstrap 未加载');
+                return;
+            }
+            const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            const walletLink = address => (data.wallets[address] ?
+                '<a href="#" data-wallet="' + escape(address) + '">' + escape(address) + '</a>' : escape(address));
+            const formatNumber = value => (value === null ? 'N/A' : value.toLocaleString('en-US', { maximumFractionDigits: 4 }));
+            const formatPrice = price => (price === null ? 'N/A' : (Math.abs(price) < 0.01 ? price.toExponential(4) : price.toFixed(6)));
+            ${renderTimeFormatScript()}
+
+            // 价格、持仓与盈亏三个窗格，首次打开时创建
+            let chart = null;
+            let priceSeries, tradeMarkers, positionSeries, pnlSeries;
+            const createChart = () => {
+                chart = LightweightCharts.createChart(document.getElementById('walletDetailChart'), {
+                    autoSize: true,
+                    layout: { background: { color: '#ffffff' }, textColor: '#374151', panes: { separatorColor: '#e5e7eb' } },
+                    grid: { vertLines: { color: '#f3f4f6' }, horzLines: { color: '#f3f4f6' } },
+                    localization: { timeFormatter: formatTime },
+                    rightPriceScale: { mode: LightweightCharts.PriceScaleMode.Logarithmic },
+                    timeScale: { timeVisible: true, secondsVisible: false, tickMarkFormatter: formatTick }
+                });
+                priceSeries = chart.addSeries(LightweightCharts.LineSeries, {
+                    color: '#6b7280', lineWidth: 1, priceLineVisible: false,
+                    priceFormat: { type: 'custom', formatter: formatPrice, minMove: 1e-12 }
+                });
+                priceSeries.setData(data.prices.map(point => ({ time: point[0], value: point[1] })));
+                tradeMarkers = LightweightCharts.createSeriesMarkers(priceSeries, []);
+                positionSeries = chart.addSeries(LightweightCharts.LineSeries, {
+                    color: '#2563eb', lineWidth: 2, lineType: LightweightCharts.LineType.WithSteps, priceLineVisible: false,
+                    priceFormat: { type: 'volume' }
+                }, 1);
+                pnlSeries = chart.addSeries(LightweightCharts.BaselineSeries, {
+                    baseValue: { type: 'price', price: 0 }, lineWidth: 2, priceLineVisible: false
+                }, 2);
+                chart.panes()[0].setStretchFactor(2);
+            };
+
+            // 同一根价格 K 线内的同向交易合并为一个标记
+            const buildMarkers = trades => {
+                const groups = new Map();
+                trades.forEach(trade => {
+                    const time = Math.floor(trade[0] / data.priceSeconds) * data.priceSeconds;
+                    const key = time + '|' + trade[1];
+                    const group = groups.get(key);
+                    if (group) {
+                        group.count++;
+                    } else {
+                        groups.set(key, { time, isBuy: trade[1] === 1, count: 1 });
+                    }
+                });
+                return [...groups.values()].sort((a, b) => a.time - b.time).map(group => ({
+                    time: group.time,
+                    position: group.isBuy ? 'belowBar' : 'aboveBar',
+                    shape: group.isBuy ? 'arrowUp' : 'arrowDown',
+                    color: group.isBuy ? '#059669' : '#dc2626',
+                    text: (group.isBuy ? '买' : '卖') + (group.count > 1 ? ' ×' + group.count : '')
+                }));
+            };
+
+            const show = address => {
+                const wallet = data.wallets[address];
+                if (!wallet) return;
+                const summary = wallet.summary;
+                document.getElementById('walletDetailTitle').textContent = '钱包详情: ' + wallet.address;
+                document.getElementById('walletDetailSummary').innerHTML = [
+                    ['可疑度评分', wallet.score],
+                    ['交易笔数', summary.tradeCount + '（买入 ' + summary.buyCount + ' / 卖出 ' + summary.sellCount + '）'],
+                    ['总交易额', summary.totalValue],
+                    ['盈亏', summary.pnl + '（已实现 ' + summary.realized + '）'],
+                    ['胜率', summary.winRate],
+                    ['当前持仓', formatNumber(summary.position)],
+                    ['钱包群', wallet.clusterId ? '#' + wallet.clusterId : '-'],
+                    ['活跃时间', summary.firstTimestamp === null ? 'N/A' : formatTime(summary.firstTimestamp) + ' 至 ' + formatTime(summary.lastTimestamp)]
+                ].map(([label, value]) => '<div><span class="text-muted">' + label + '</span><br><strong>' + escape(value) + '</strong></div>').join('');
+
+                document.getElementById('walletDetailRules').innerHTML = wallet.rules.length > 0 ?
+                    wallet.rules.map(rule => '<li>' + escape(rule) + '</li>').join('') : '<li class="text-muted">未触发评分规则</li>';
+
+                document.getElementById('walletDetailWindows').textContent = '该钱包在 ' + wallet.windowCount + ' 个窗口内有交易';
+                document.getElementById('walletDetailCoTraders').innerHTML = wallet.coTraders.length > 0 ?
+                    wallet.coTraders.map(other => '<tr><td class="text-break">' + walletLink(other.address) + '</td><td>' + other.windows + '</td><td>' +
+                        (other.score === null ? '-' : other.score) + '</td><td>' + (other.clusterId ? '#' + other.clusterId : '-') + '</td></tr>').join('') :
+                    '<tr><td colspan="4" class="text-muted">没有共同交易的钱包</td></tr>';
+
+                document.getElementById('walletDetailTradeNote').textContent = wallet.trades.length < summary.tradeCount ?
+                    '共 ' + summary.tradeCount + ' 笔，仅列出并标出交易额最高的 ' + wallet.trades.length + ' 笔；持仓与盈亏曲线按全部交易计算' :
+                    '共 ' + summary.tradeCount + ' 笔';
+                document.getElementById('walletDetailTrades').innerHTML = wallet.trades.map(trade =>
+                    '<tr><td>' + formatTime(trade[0]) + '</td><td class="' + (trade[1] ? 'text-success">买入' : 'text-danger">卖出') + '</td><td>' +
+                    formatNumber(trade[2]) + '</td><td>' + formatPrice(trade[3]) + '</td><td>' + formatNumber(trade[4]) + '</td><td>' + formatNumber(trade[5]) + '</td></tr>').join('');
+
+                bootstrap.Modal.getOrCreateInstance(modalElement).show();
+                if (typeof LightweightCharts === 'undefined') return;
+                if (!chart) createChart();
+                tradeMarkers.setMarkers(buildMarkers(wallet.trades));
+                positionSeries.setData(wallet.curve.map(point => ({ time: point[0], value: point[1] })));
+                pnlSeries.setData(wallet.curve.map(point => ({ time: point[0], value: point[2] })));
+                chart.timeScale().fitContent();
+            };
+            modalElement.addEventListener('shown.bs.modal', () => {
+                if (chart) chart.timeScale().fitContent();
+            });
+
+            document.addEventListener('click', event => {
+                const link = event.target.closest('[data-wallet]');
+                if (!link || !data.wallets[link.dataset.wallet]) return;
+                event.preventDefault();
+                show(link.dataset.wallet);
+            });
+
+            // 钱包活动图：点击柱状条
+            const activityChart = typeof Chart === 'undefined' ? null : Chart.getChart('walletActivityChart');
+            if (activityChart) {
+                activityChart.options.onClick = (event, elements) => {
+                    if (elements.length > 0) show((activityChart.data.wallets || data.chartWallets)[elements[0].index]);
+                };
+                activityChart.options.onHover = (event, elements) => {
+                    event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+                };
+                activityChart.update();
+            }
+        })();`;
+}
+
+module.exports = {
+    createDrillDownData,
+    renderDrillDownSection,
+    renderDrillDownScript
+};
@@ -0,0 +1,302 @@
+/**
+ * 报告数据导出
+ * 在 HTML 页面中把可疑钱包、可疑时间区间、价格变动和拉高出货模式下载为 CSV、JSON 或 XLSX，
+ * 可疑钱包按页面上当前的筛选条件导出。XLSX 由页面内的脚本直接写出（不压缩的 ZIP + 工作表 XML），不依赖第三方库
+ */
+
+const { formatTimestamp } = require('../utils');
+const { embedJSON } = require('./format');
+
+const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV' },
+    { format: 'json', label: 'JSON' },
+    { format: 'xlsx', label: 'XLSX' }
+];
+
+// 导出按钮组；target 为导出的数据集名称
+function renderExportButtons(target) {
+    return `<div class="btn-group btn-group-sm export-buttons" role="group" aria-label="导出">
+                    <span class="btn btn-outline-secondary disabled">导出</span>
+                    ${EXPORT_FORMATS.map(({ format, label }) => `<button type="button" class="btn btn-outline-secondary" data-export="${target}" data-format="${format}">${label}</button>`).join('')}
+                </div>`;
+}
+
+/**
+ * 生成页面中可直接导出的数据集
+ * 每个数据集包含文件名、XLSX 工作表（CSV 使用第一个工作表）和 JSON 内容（省略时与第一个工作表相同）；
+ * 时间同时给出 Unix 时间戳和报告时区的时间
+ * @param {Object} result - analyze() 的结果
+ * @returns {Object} 按数据集名称索引
+ */
+function createExportData(result) {
+    const { config, prices, intervals, patterns } = result;
+    const formatTime = ts => formatTimestamp(ts, config.timezone);
+
+    const priceChanges = prices.changes.map(change => ({
+        startTimestamp: change.startTimestamp,
+        startTime: formatTime(change.startTimestamp),
+        endTimestamp: change.endTimestamp,
+        endTime: formatTime(change.endTimestamp),
+        startPrice: change.startPrice,
+        endPrice: change.endPrice,
+        percentChange: change.percentChange,
+        buyVolume: change.buyVolume,
+        sellVolume: change.sellVolume,
+        isSignificant: change.isSignificant
+    }));
+
+    const suspiciousIntervals = intervals.suspicious.map(interval => ({
+        timestamp: interval.timestamp,
+        time: formatTime(interval.timestamp),
+        suspiciousScore: interval.suspiciousScore,
+        totalTransactions: interval.totalTransactions,
+        uniqueWallets: interval.uniqueWallets,
+        transactionsPerWallet: interval.transactionsPerWallet,
+        buyCount: interval.buyCount,
+        sellCount: interval.sellCount,
+        buyToSellRatio: interval.buyToSellRatio === Infinity ? null : interval.buyToSellRatio,
+        largeTransactionsCount: interval.largeTransactionsCount,
+        whaleTransactionsCount: interval.whaleTransactionsCount,
+        uniqueWhaleWallets: interval.uniqueWhaleWallets,
+        washTradingCount: interval.washTradingCount,
+        potentialWashTraders: interval.potentialWashTraders.join(' ')
+    }));
+
+    const pumpPatterns = patterns.pumpAndDump.map((pattern, index) => ({
+        pattern: index + 1,
+        confidence: pattern.confidence,
+        isTypical: pattern.isTypical,
+        pumpStartTimestamp: pattern.pump.startTimestamp,
+        pumpStartTime: formatTime(pattern.pump.startTimestamp),
+        pumpEndTimestamp: pattern.pump.endTimestamp,
+        pumpEndTime: formatTime(pattern.pump.endTimestamp),
+        startPrice: pattern.pump.startPrice,
+        endPrice: pattern.pump.endPrice,
+        percentChange: pattern.pump.percentChange,
+        durationSeconds: pattern.pump.durationSeconds,
+        horizonSeconds: pattern.pump.horizonSeconds,
+        dumpEndTimestamp: pattern.dump.endTimestamp,
+        dumpEndTime: formatTime(pattern.dump.endTimestamp),
+        lowPrice: pattern.dump.lowPrice,
+        drawdownPercent: pattern.dump.drawdownPercent,
+        ...Object.fromEntries(Object.entries(pattern.scores).map(([key, score]) => [`score_${key}`, score])),
+        retailBuysCount: pattern.retailBuysCount,
+        retailActivityIncrease: pattern.retailActivityIncrease,
+        whaleSellsCount: pattern.whaleSellsCount,
+        whaleSellsValue: pattern.whaleSellsValue,
+        distributionValue: pattern.distributionValue,
+        linkedSellValue: pattern.linkedSellValue,
+        linkedWallets: pattern.suspiciousWallets.join(' ')
+    }));
+    const linkedWallets = patterns.pumpAndDump.flatMap((pattern, index) =>
+        pattern.linkedWallets.map(wallet => ({ pattern: index + 1, ...wallet })));
+
+    return {
+        priceChanges: {
+            filename: 'price_changes',
+            sheets: [{ name: 'price_changes', rows: priceChanges }]
+        },
+        suspiciousIntervals: {
+            filename: 'suspicious_intervals',
+            sheets: [{ name: 'suspicious_intervals', rows: suspiciousIntervals }]
+        },
+        pumpAndDump: {
+            filename: 'pump_and_dump',
+            json: pumpPatterns.map((row, index) => ({
+                ...row,
+                linkedWallets: patterns.pumpAndDump[index].linkedWallets
+            })),
+            sheets: [
+                { name: 'patterns', rows: pumpPatterns },
+                { name: 'linked_wallets', rows: linkedWallets }
+            ]
+        }
+    };
+}
+
+// XLSX 写入脚本：toXLSX(sheets) 把 [{ name, rows }] 写为工作簿（Uint8Array）。
+// 每个工作表第一行为列名；数字写为数值、布尔值写为逻辑值，其余写为内联字符串，空值留空。
+// 工作簿只包含必需的部件，ZIP 条目不压缩（STORE），因此不需要压缩库
+function renderXLSXWriterScript() {
+    return `// ==== XLSX ====
+            const encoder = new TextEncoder();
+            const crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+            const crc32 = bytes => {
+                let crc = 0xffffffff;
+                bytes.forEach(byte => { crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8); });
+                return (crc ^ 0xffffffff) >>> 0;
+            };
+
+            // ZIP：本地文件头 + 内容，末尾为中央目录和目录结束记录（小端序）
+            const zip = files => {
+                const parts = [];
+                const directory = [];
+                let offset = 0;
+                const header = (signature, fields) => {
+                    const bytes = new Uint8Array(4 + fields.reduce((sum, [size]) => sum + size, 0));
+                    const view = new DataView(bytes.buffer);
+                    view.setUint32(0, signature, true);
+                    let position = 4;
+                    fields.forEach(([size, value]) => {
+                        if (size === 2) view.setUint16(position, value, true);
+                        else view.setUint32(position, value, true);
+                        position += size;
+                    });
+                    return bytes;
+                };
+                files.forEach(({ name, content }) => {
+                    const nameBytes = encoder.encode(name);
+                    const data = encoder.encode(content);
+                    const crc = crc32(data);
+                    // 版本 2.0、不压缩、修改时间为 1980-01-01
+                    const common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]];
+                    const local = header(0x04034b50, common);
+                    parts.push(local, nameBytes, data);
+                    directory.push(header(0x02014b50, [[2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+                    offset += local.length + nameBytes.length + data.length;
+                });
+                const directorySize = directory.reduce((sum, bytes) => sum + bytes.length, 0);
+                parts.push(...directory, header(0x06054b50, [[2, 0], [2, 0], [2, files.length], [2, files.length], [4, directorySize], [4, offset], [2, 0]]));
+                const output = new Uint8Array(offset + directorySize + 22);
+                let position = 0;
+                parts.forEach(bytes => {
+                    output.set(bytes, position);
+                    position += bytes.length;
+                });
+                return output;
+            };
+
+            // XML 转义，并去掉 XML 中不允许的控制字符
+            const escapeXML = value => String(value)
+                .replace(/[\\u0000-\\u0008\\u000b\\u000c\\u000e-\\u001f]/g, '')
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+            // 列序号（从 0 开始）→ 列名 A、B、…、AA
+            const columnName = index => (index >= 26 ? columnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+            const cellXML = (value, ref) => {
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number') return Number.isFinite(value) ? '<c r="' + ref + '"><v>' + value + '</v></c>' : '';
+                if (typeof value === 'boolean') return '<c r="' + ref + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+                return '<c r="' + ref + '" t="inlineStr"><is><t xml:space="preserve">' + escapeXML(value) + '</t></is></c>';
+            };
+            const sheetXML = rows => {
+                const columns = columnsOf(rows);
+                const rowXML = (values, index) => '<row r="' + (index + 1) + '">' +
+                    values.map((value, column) => cellXML(value, columnName(column) + (index + 1))).join('') + '</row>';
+                return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+                    [columns, ...rows.map(row => columns.map(column => row[column]))].map(rowXML).join('') +
+                    '</sheetData></worksheet>';
+            };
+
+            const toXLSX = sheets => {
+                const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+                const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+                return zip([
+                    {
+                        name: '[Content_Types].xml',
+                        content: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                            '<Default Extension="xml" ContentType="application/xml"/>' +
+                            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                            sheets.map((sheet, index) => '<Override PartName="/xl/worksheets/sheet' + (index + 1) +
+                                '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+                            '</Types>'
+                    },
+                    {
+                        name: '_rels/.rels',
+                        content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                            '<Relationship Id="rId1" Type="' + relationships + '/officeDocument" Target="xl/workbook.xml"/></Relationships>'
+                    },
+                    {
+                        name: 'xl/workbook.xml',
+                        content: xml + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="' + relationships + '"><sheets>' +
+                            sheets.map((sheet, index) => '<sheet name="' + escapeXML(sheet.name) + '" sheetId="' + (index + 1) + '" r:id="rId' + (index + 1) + '"/>').join('') +
+                            '</sheets></workbook>'
+                    },
+                    {
+                        name: 'xl/_rels/workbook.xml.rels',
+                        content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                            sheets.map((sheet, index) => '<Relationship Id="rId' + (index + 1) + '" Type="' + relationships +
+                                '/worksheet" Target="worksheets/sheet' + (index + 1) + '.xml"/>').join('') +
+                            '</Relationships>'
+                    },
+                    ...sheets.map((sheet, index) => ({ name: 'xl/worksheets/sheet' + (index + 1) + '.xml', content: sheetXML(sheet.rows) }))
+                ]);
+            };`;
+}
+
+// 导出脚本：window.reportExport.register(name, provider) 注册按当前页面状态生成数据集的函数，get(name) 取当前的数据集
+function renderExportScript(data) {
+    return `
+        (function() {
+            const datasets = ${embedJSON(data)};
+            const providers = {};
+            Object.keys(datasets).forEach(name => { providers[name] = () => datasets[name]; });
+
+            const saveBlob = (content, type, filename) => {
+                const url = URL.createObjectURL(new Blob([content], { type }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            };
+
+            // 所有行字段的并集，按首次出现的顺序
+            const columnsOf = rows => {
+                const columns = [];
+                rows.forEach(row => Object.keys(row).forEach(key => { if (!columns.includes(key)) columns.push(key); }));
+                return columns;
+            };
+
+            // CSV：含逗号、引号或换行的字段加引号；带 BOM 以便 Excel 识别 UTF-8
+            const toCSV = rows => {
+                const columns = columnsOf(rows);
+                const escape = value => {
+                    if (value === null || value === undefined) return '';
+                    const text = String(value);
+                    return /[",\\r\\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+                };
+                return '\\ufeff' + [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\\r\\n');
+            };
+
+            ${renderXLSXWriterScript()}
+
+            const download = (name, format) => {
+                const dataset = providers[name]();
+                if (format === 'csv') {
+                    saveBlob(toCSV(dataset.sheets[0].rows), 'text/csv;charset=utf-8', dataset.filename + '.csv');
+                } else if (format === 'json') {
+                    saveBlob(JSON.stringify(dataset.json || dataset.sheets[0].rows, null, 2), 'application/json', dataset.filename + '.json');
+                } else if (format === 'xlsx') {
+                    saveBlob(toXLSX(dataset.sheets), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', dataset.filename + '.xlsx');
+                }
+            };
+
+            window.reportExport = {
+                register(name, provider) { providers[name] = provider; },
+                get(name) { return providers[name](); }
+            };
+            document.addEventListener('click', event => {
+                const button = event.target.closest('[data-export]');
+                if (!button) return;
+                try {
+                    download(button.dataset.export, button.dataset.format);
+                } catch (error) {
+                    console.error('导出 ' + button.dataset.export + ' 时出错:', error);
+                }
+            });
+        })();`;
+}
+
+module.exports = {
+    renderExportButtons,
+    createExportData,
+    renderExportScript
+};
@@ -0,0 +1,223 @@
+/**
+ * 金额与盈亏格式化
+ * 按报告货币输出金额，并在可换算时附带另一种单位
+ */
+
+const { formatTimestamp } = require('../utils');
+const { LINK_SIGNALS } = require('../clusters');
+
+// 转义插入到 HTML 页面中的文本
+const escapeHTML = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 嵌入 <script> 的 JSON（转义 "<"，避免数据中的 "</script>" 提前结束脚本）
+const embedJSON = data => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// 按货币格式化金额
+function formatMoney(value, currency) {
+    return currency === 'USD' ?
+        `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}` :
+        `${value.toFixed(4)} SOL`;
+}
+
+// 交易额：报告货币为 USD 且有 SOL 计价时附带 SOL
+function formatValueWithSOL(value, valueSOL, currency) {
+    const main = formatMoney(value, currency);
+    return currency === 'USD' && valueSOL !== null && valueSOL !== undefined ?
+        `${main} (${formatMoney(valueSOL, 'SOL')})` : main;
+}
+
+// SOL 盈亏：有 SOL/USD 价格表时附带 USD
+function formatSOLWithUSD(netSOL, netUSD, digits = 4) {
+    const main = `${netSOL.toFixed(digits)} SOL`;
+    return netUSD !== null && netUSD !== undefined ? `${main} (${formatMoney(netUSD, 'USD')})` : main;
+}
+
+// 成本计算方法名称
+const COST_BASIS_LABELS = {
+    fifo: '先进先出',
+    average: '平均成本'
+};
+
+// 持有时长
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    if (seconds < 60) return `${seconds} 秒`;
+    if (seconds < 3600) return `${(seconds / 60).toFixed(1)} 分钟`;
+    if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} 小时`;
+    return `${(seconds / 86400).toFixed(1)} 天`;
+}
+
+// 胜率（没有平仓卖出时为 N/A）
+function formatWinRate(winRate) {
+    return winRate === null || winRate === undefined ? 'N/A' : `${(winRate * 100).toFixed(1)}%`;
+}
+
+// 盈亏计算说明
+function describePnLMethod(pnl, currency, timeZone) {
+    const finalPrice = pnl.finalPrice === null ? 'N/A' :
+        `${pnl.finalPrice.toExponential(4)} ${currency}（${formatTimestamp(pnl.finalPriceTimestamp, timeZone)}）`;
+    return `已实现盈亏按${COST_BASIS_LABELS[pnl.method]}计算成本，未实现盈亏按最终价格 ${finalPrice}计算；数据范围之前买入的代币成本未知，卖出时不计入盈亏`;
+}
+
+// 规则条件中的数值：金额按报告货币，SOL 变化带单位，其余保留两位小数
+function formatRuleValue(metric, value, currency) {
+    if (value === Infinity) return '∞';
+    if (metric === 'totalValue') return formatMoney(value, currency);
+    if (metric === 'marketImpact') return value.toFixed(2);
+    if (metric === 'netSOLChange') return `${value.toFixed(2)} SOL`;
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// 洗盘交易摘要，如 "已检测到 12 次往返交易，涉及 3 个钱包，占总交易额 4.20%"
+function describeWashTrading(washTrading, formatTime) {
+    if (washTrading.roundTrips === 0) return '未检测到';
+    const { peakHour } = washTrading;
+    const peak = peakHour ? `；占比最高的小时为 ${formatTime(peakHour.timestamp)}，占该小时交易额 ${(peakHour.fraction * 100).toFixed(2)}%` : '';
+    return `已检测到 ${washTrading.roundTrips} 次往返交易，涉及 ${washTrading.wallets.length} 个钱包，占总交易额 ${(washTrading.fraction * 100).toFixed(2)}%${peak}`;
+}
+
+// 拉高出货置信度的各项得分
+const PUMP_SCORE_LABELS = {
+    priceRise: '涨幅',
+    drawdown: '峰值后回撤',
+    linkedWallets: '关联钱包出货',
+    retailInflow: '散户跟风'
+};
+
+/**
+ * 拉高出货模式说明
+ * @returns {string[]} 第一行为摘要，其余为证据
+ */
+function describePumpAndDump(pattern, currency, formatTime) {
+    const { pump, dump } = pattern;
+    const linkedShare = pattern.distributionValue > 0 ? pattern.linkedSellValue / pattern.distributionValue * 100 : 0;
+    return [
+        `${formatTime(pump.startTimestamp)} 至 ${formatTime(pump.endTimestamp)} 价格上涨 ${pump.percentChange.toFixed(2)}%（用时 ${formatDuration(pump.durationSeconds)}），峰值后至 ${formatTime(dump.endTimestamp)} 回撤 ${dump.drawdownPercent.toFixed(2)}%；置信度 ${(pattern.confidence * 100).toFixed(0)}%${pattern.isTypical ? '，典型模式' : ''}`,
+        `散户跟风: 拉升期间散户买入 ${pattern.retailBuysCount} 笔（${formatMoney(pattern.retailBuysValue, currency)}），为拉升前同等时长的 ${pattern.retailActivityIncrease.toFixed(1)} 倍；小额买入 ${pattern.smallBuysDuringPumpCount} 笔`,
+        `吸筹: 拉升前 ${pattern.accumulationWalletCount} 个钱包买入达到中等交易额，巨鲸低位买入 ${pattern.lowPriceAccumulationCount} 笔`,
+        `出货: 峰值后卖出 ${formatMoney(pattern.distributionValue, currency)}，其中大额卖出 ${pattern.whaleSellsCount} 笔（${formatMoney(pattern.whaleSellsValue, currency)}）；关联钱包卖出 ${formatMoney(pattern.linkedSellValue, currency)}，占 ${linkedShare.toFixed(1)}%`,
+        `关联钱包（拉升前吸筹、峰值后出货）: ${pattern.linkedWallets.length > 0 ?
+            pattern.linkedWallets.slice(0, 5).map(wallet => `${wallet.address} (买入 ${formatMoney(wallet.buyValue, currency)} @ ${wallet.avgBuyPrice.toExponential(4)}，卖出 ${formatMoney(wallet.sellValue, currency)} @ ${wallet.avgSellPrice.toExponential(4)})`).join(', ') +
+            (pattern.linkedWallets.length > 5 ? ` 等 ${pattern.linkedWallets.length} 个` : '') :
+            '无'}`,
+        `得分: ${Object.entries(pattern.scores).map(([key, score]) => `${PUMP_SCORE_LABELS[key]} ${score.toFixed(2)}`).join('，')}`
+    ];
+}
+
+// 跑路事件严重程度
+const RUG_PULL_SEVERITY_LABELS = {
+    critical: '严重',
+    high: '高'
+};
+
+// 跑路 / 流动性抽离事件说明
+function describeRugPull(event, currency, formatTime) {
+    const who = event.clusterId ? `钱包群 #${event.clusterId}（${event.wallets.join(', ')}）` : event.wallets.join(', ');
+    const activity = event.activityRatio === null ? '之后交易频率无法判断' :
+        `交易频率 ${event.tradesPerHourBefore.toFixed(1)} → ${event.tradesPerHourAfter.toFixed(1)} 笔/小时${event.activityDied ? '（交易枯竭）' : ''}`;
+    return `[${RUG_PULL_SEVERITY_LABELS[event.severity]}] ${formatTime(event.startTimestamp)} 至 ${formatTime(event.endTimestamp)}，${who} 卖出 ${event.amount.toFixed(2)} 代币（此前累计买入量的 ${(event.supplyShare * 100).toFixed(1)}%），提取 ${formatMoney(event.extractedValue, currency)}；` +
+        `价格 ${event.priceBefore.toExponential(4)} → 最低 ${event.lowestPrice.toExponential(4)}（-${event.collapsePercent.toFixed(1)}%），${event.recovered ? `之后回升至 ${event.recoveryPrice.toExponential(4)}` : '之后未恢复'}；${activity}`;
+}
+
+// 市场阶段说明，如 "上涨: 2024-01-01 10:00:00 至 2024-01-01 14:00:00，价格 +35.2%，买入占比 62%，置信度 78%"
+function describeMarketPhase(segment, formatTime) {
+    const sign = segment.priceChange >= 0 ? '+' : '';
+    return `${segment.description}: ${formatTime(segment.startTime)} 至 ${formatTime(segment.endTime)}，价格 ${sign}${segment.priceChange.toFixed(1)}%，` +
+        `买入占比 ${(segment.buyRatio * 100).toFixed(0)}%，置信度 ${(segment.confidence * 100).toFixed(0)}%`;
+}
+
+// 三明治攻击摘要
+function describeSandwiches(sandwiches, currency) {
+    if (sandwiches.attacks.length === 0) return '未检测到';
+    return `已检测到 ${sandwiches.attacks.length} 次，攻击者 ${sandwiches.attackers.length} 个，受害钱包 ${sandwiches.victimCount} 个（${sandwiches.victimTrades} 笔买入），攻击者获利 ${formatMoney(sandwiches.extractedValue, currency)}`;
+}
+
+// 三明治攻击检测使用的成交顺序
+function describeTradeOrdering(ordering) {
+    const ties = [ordering.slot && '区块号', ordering.txIndex && '区块内交易序号', '输入顺序'].filter(Boolean);
+    return `成交时间（同一时间依次按${ties.join('、')}）`;
+}
+
+// 钱包群的关联信号说明，如 "首次出现时间相近 12 对，相同的交易数量 8 对"
+function describeClusterSignals(signals) {
+    const parts = Object.entries(LINK_SIGNALS)
+        .filter(([signal]) => signals[signal] > 0)
+        .map(([signal, label]) => `${label} ${signals[signal]} 对`);
+    return parts.length > 0 ? parts.join('，') : '无';
+}
+
+// 钱包评分方式名称
+const SCORING_MODE_LABELS = {
+    threshold: '固定阈值',
+    percentile: '百分位',
+    'robust-z': '稳健 z 分数',
+    isolation: '孤立分数'
+};
+
+// 评分方式说明
+function describeScoringMode(rules) {
+    const { mode, statistical } = rules;
+    const detail = {
+        threshold: '按配置中的绝对阈值判断',
+        percentile: `按本代币钱包特征分布判断，高于第 ${statistical.percentile} 百分位或低于第 ${100 - statistical.percentile} 百分位视为异常`,
+        'robust-z': `按本代币钱包特征分布判断，稳健 z 分数（中位数绝对偏差）绝对值超过 ${statistical.zScore} 视为异常`,
+        isolation: `按本代币钱包特征分布判断，一维孤立森林的孤立分数超过 ${statistical.isolationScore} 视为异常`
+    }[mode];
+    return `${SCORING_MODE_LABELS[mode]}（${detail}）`;
+}
+
+// 统计评分的统计量说明
+function describeStatistic(statistic, currency) {
+    if (statistic.method === 'percentile') return `，位于第 ${statistic.value.toFixed(1)} 百分位`;
+    if (statistic.method === 'robust-z') return `，z = ${statistic.value.toFixed(2)}`;
+    return `，观测值 ${formatRuleValue(statistic.metric, statistic.observed, currency)}`;
+}
+
+// 触发规则说明，如 "短时间内大量交易: 活跃时长(小时) 0.40 < 1，交易笔数 35 > 20 (+4)"
+function describeTriggeredRule(rule, currency) {
+    const conditions = rule.conditions.map(c =>
+        `${c.label} ${formatRuleValue(c.metric, c.observed, currency)} ${c.operator} ${formatRuleValue(c.metric, c.threshold, currency)}`
+    );
+    const statistic = rule.statistic ? describeStatistic(rule.statistic, currency) : '';
+    return `${rule.label}: ${conditions.join('，')}${statistic} (+${rule.points})`;
+}
+
+// 计价说明
+function describeValuation(valuation, timeRange, timeZone) {
+    const { quoteCurrency, currency, solPriceTable } = valuation;
+    let text = `报价货币 ${quoteCurrency}，金额与阈值按 ${currency} 计`;
+    if (solPriceTable) {
+        text += `，SOL/USD 按本地价格表换算（${solPriceTable.points} 条，${formatTimestamp(solPriceTable.start, timeZone)} 至 ${formatTimestamp(solPriceTable.end, timeZone)}）`;
+        if (timeRange.earliest < solPriceTable.start || timeRange.latest > solPriceTable.end) {
+            text += '；部分交易超出价格表时间范围，使用最近的价格';
+        }
+    } else if (quoteCurrency === 'SOL') {
+        text += '；未提供 SOL/USD 价格表，无法换算为 USD';
+    }
+    return text;
+}
+
+module.exports = {
+    escapeHTML,
+    embedJSON,
+    formatMoney,
+    formatValueWithSOL,
+    formatSOLWithUSD,
+    formatDuration,
+    formatWinRate,
+    describePnLMethod,
+    describeWashTrading,
+    describeRugPull,
+    describePumpAndDump,
+    describeMarketPhase,
+    describeSandwiches,
+    describeTradeOrdering,
+    describeClusterSignals,
+    describeScoringMode,
+    describeTriggeredRule,
+    describeValuation
+};
@@ -0,0 +1,824 @@
+/**
+ * HTML 可视化报告渲染
+ * 基于 analyze() 的结果生成带交互式图表的单页报告
+ */
+
+const _ = require('lodash');
+const { createCharts } = require('./charts');
+const { createCandlestickData, renderCandlestickSection, renderCandlestickScript } = require('./candlestick');
+const { renderExportButtons, createExportData, renderExportScript } = require('./exports');
+const { createDrillDownData, renderDrillDownSection, renderDrillDownScript } = require('./drilldown');
+const { renderAssetTag } = require('./assets');
+const { createTimeRangeData, renderTimeRangeSection, renderSuspiciousIntervalTable, renderTimeRangeScript } = require('./timerange');
+const { createWalletTableData, renderWalletTableSection, renderWalletActivitySection, renderWalletTableScript } = require('./wallets');
+const { describeDataQuality } = require('./quality');
+const { silentLogger, formatTimestamp, describeTimeZone } = require('../utils');
+const { escapeHTML, embedJSON, formatMoney, formatValueWithSOL, formatSOLWithUSD, formatDuration, formatWinRate, describePnLMethod, describePumpAndDump, describeMarketPhase, describeWashTrading, describeRugPull, describeSandwiches, describeTradeOrdering, describeClusterSignals, describeScoringMode, describeTriggeredRule, describeValuation } = require('./format');
+
+// 生成HTML页面；options.offline 为 true 时把前端库内联到页面中，生成可离线打开的单个文件
+// options.logger 为日志输出对象，默认不输出日志
+function renderHTML(result, options = {}) {
+    const log = options.logger || silentLogger;
+    const assetOptions = { offline: Boolean(options.offline) };
+    const { config, tradeCount, dataQuality, valuation, timeRange, prices, wallets, patterns, intervals, risk } = result;
+    const { earliest: earliestTimestamp, latest: latestTimestamp } = timeRange;
+    const priceStats = prices.stats;
+    const priceChanges = prices.changes;
+    const { highest: highestPrice, lowest: lowestPrice } = prices;
+    const suspectedManipulators = wallets.scored;
+    const topSuspiciousWallets = wallets.topSuspicious;
+    const whaleEntries = patterns.whaleEntries;
+    const pumpAndDumpPatterns = patterns.pumpAndDump;
+    const coordinatedActivities = patterns.coordinated;
+    const suspiciousActivityIntervals = intervals.suspicious;
+    const marketPhases = result.cycles.segments;
+    const formatTime = ts => formatTimestamp(ts, config.timezone);
+    const { currency } = valuation;
+    const topEarner = wallets.pnl.ranked[0];
+    const { clusters } = wallets;
+    const suspiciousClusterCount = clusters.filter(cluster => cluster.suspiciousScore >= config.clustering.suspiciousMinScore).length;
+
+    const charts = createCharts(result, log);
+    const candlestick = createCandlestickData(result);
+    const walletTable = createWalletTableData(result);
+    const exportData = createExportData(result);
+    const drillDown = createDrillDownData(result);
+    const timeRangeFilter = createTimeRangeData(result);
+    log.log(`K 线图: ${candlestick.resolutions.map(resolution => `${resolution.name} ${resolution.candles.length} 根`).join('，')}，标记 ${candlestick.markers.length} 个`);
+
+    // 计算关键统计数据
+    const suspiciousAddressesCount = risk.suspiciousAddressesCount;
+    const suspiciousWalletsImpact = risk.suspiciousWalletsImpact;
+    const significantPriceChanges = priceChanges.filter(change => change.isSignificant).length;
+    const maxPriceIncrease = _.maxBy(priceChanges, 'percentChange');
+    const maxPriceDecrease = _.minBy(priceChanges, 'percentChange');
+    const detectPumpAndDump = pumpAndDumpPatterns.length > 0 ?
+        `已检测到 ${pumpAndDumpPatterns.length} 个（最高置信度 ${(pumpAndDumpPatterns[0].confidence * 100).toFixed(0)}%）` : '未检测到';
+    const detectWashTrading = describeWashTrading(patterns.washTrading, formatTime);
+    const detectCoordination = coordinatedActivities.length > 0 ? '已检测到' : '未检测到';
+    
+    return `
+<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>代币交易分析报告</title>
+    ${renderAssetTag('chartjs', assetOptions)}
+    ${renderAssetTag('moment', assetOptions)}
+    ${renderAssetTag('momentTimezone', assetOptions)}
+    <script>
+        // 图表时间轴使用报告时区
+        moment.tz.setDefault(${JSON.stringify(config.timezone)});
+    </script>
+    ${renderAssetTag('chartjsAdapterMoment', assetOptions)}
+    ${renderAssetTag('lightweightCharts', assetOptions)}
+    ${renderAssetTag('bootstrapCSS', assetOptions)}
+    ${renderAssetTag('bootstrapJS', assetOptions)}
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            margin: 0;
+            padding: 0;
+            background-color: #f5f7fa;
+            color: #333;
+        }
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            padding: 2rem;
+        }
+        .header {
+            margin-bottom: 2rem;
+            text-align: center;
+            padding: 1.5rem 0;
+            background-color: white;
+            border-radius: 8px;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+        }
+        .header h1 {
+            font-size: 2rem;
+            font-weight: 600;
+            color: #1f2937;
+            margin-bottom: 0.5rem;
+        }
+        .header p {
+            color: #6b7280;
+            max-width: 800px;
+            margin: 0 auto;
+        }
+        .stats-container {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 1.5rem;
+            margin: 1.5rem 0;
+        }
+        .stat-card {
+            background: white;
+            border-radius: 8px;
+            padding: 1rem;
+            flex: 1 1 200px;
+            text-align: center;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+            transition: transform 0.2s;
+            max-width: 300px;
+        }
+        .stat-card:hover {
+            transform: translateY(-3px);
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+        }
+        .stat-number {
+            font-size: 1.8rem;
+            font-weight: 600;
+            color: #1f2937;
+            margin: 0.5rem 0;
+        }
+        .stat-label {
+            font-size: 0.9rem;
+            color: #6b7280;
+        }
+        .chart-container {
+            height: 400px;
+            position: relative;
+            margin-bottom: 2rem;
+        }
+        .candle-toolbar {
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 0.75rem;
+            margin-bottom: 0.75rem;
+        }
+        .candle-body {
+            display: flex;
+            gap: 0.5rem;
+        }
+        .candle-chart {
+            flex: 1;
+            height: 560px;
+            position: relative;
+        }
+        .candle-legend {
+            position: absolute;
+            top: 8px;
+            left: 8px;
+            z-index: 3;
+            padding: 0.25rem 0.5rem;
+            background-color: rgba(255, 255, 255, 0.85);
+            border-radius: 4px;
+            font-size: 0.8rem;
+            line-height: 1.4;
+            pointer-events: none;
+        }
+        .candle-y-controls {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            font-size: 0.75rem;
+            color: #6b7280;
+        }
+        .candle-vertical-range {
+            writing-mode: vertical-lr;
+            direction: rtl;
+            height: 220px;
+            margin-bottom: 0.5rem;
+        }
+        .candle-brush {
+            display: none;
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            z-index: 2;
+            background-color: rgba(37, 99, 235, 0.12);
+            border-left: 1px solid rgba(37, 99, 235, 0.6);
+            border-right: 1px solid rgba(37, 99, 235, 0.6);
+            pointer-events: none;
+        }
+        .time-range-bar {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            font-size: 0.9rem;
+        }
+        .candle-x-controls {
+            display: grid;
+            grid-template-columns: auto 1fr;
+            align-items: center;
+            column-gap: 0.75rem;
+            font-size: 0.75rem;
+            color: #6b7280;
+        }
+        .tab-content {
+            background-color: white;
+            border-radius: 0 0 8px 8px;
+            padding: 2rem;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+        }
+        .nav-tabs {
+            margin-bottom: 0;
+            border-bottom: none;
+        }
+        .nav-tabs .nav-link {
+            border-radius: 8px 8px 0 0;
+            font-weight: 500;
+            color: #6b7280;
+            padding: 0.75rem 1.5rem;
+            margin-right: 0.25rem;
+        }
+        .nav-tabs .nav-link.active {
+            color: #1f2937;
+            border-bottom: none;
+            background-color: white;
+        }
+        .markdown-content {
+            line-height: 1.6;
+        }
+        .markdown-content h2 {
+            border-bottom: 1px solid #eaeaea;
+            padding-bottom: 0.5rem;
+            margin-top: 2rem;
+            margin-bottom: 1rem;
+            font-size: 1.5rem;
+        }
+        .markdown-content h3 {
+            margin-top: 1.5rem;
+            font-size: 1.25rem;
+        }
+        .alert-warning {
+            background-color: #fffbeb;
+            border-color: #fef3c7;
+            color: #92400e;
+        }
+        .alert-danger {
+            background-color: #fef2f2;
+            border-color: #fee2e2;
+            color: #b91c1c;
+        }
+        .wallet-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 1.5rem 0;
+        }
+        .wallet-table th, .wallet-table td {
+            padding: 0.75rem;
+            border-bottom: 1px solid #eaeaea;
+            text-align: left;
+        }
+        .wallet-table th {
+            background-color: #f9fafb;
+            font-weight: 600;
+        }
+        .wallet-table tr:hover {
+            background-color: #f9fafb;
+        }
+        .wallet-table th.sortable {
+            cursor: pointer;
+            user-select: none;
+            white-space: nowrap;
+        }
+        .wallet-filters {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.5rem;
+            margin: 1rem 0 0.5rem;
+        }
+        .wallet-filters > * {
+            width: auto;
+        }
+        .wallet-filters input[type="search"] {
+            min-width: 16rem;
+        }
+        .wallet-filters input[type="number"] {
+            max-width: 7rem;
+        }
+        .wallet-detail-summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+            gap: 0.75rem;
+            margin-bottom: 1rem;
+        }
+        .wallet-detail-chart {
+            height: 480px;
+        }
+        .wallet-detail-trades {
+            max-height: 320px;
+            overflow-y: auto;
+        }
+        .wallet-detail-table {
+            margin: 0.5rem 0;
+            font-size: 0.875rem;
+        }
+        .wallet-detail-table th, .wallet-detail-table td {
+            padding: 0.4rem 0.5rem;
+        }
+        .export-buttons {
+            margin: 0.5rem 0;
+        }
+        .suspicious-score {
+            display: inline-block;
+            padding: 0.25rem 0.5rem;
+            border-radius: 4px;
+            font-weight: 600;
+        }
+        .score-high {
+            background-color: #fee2e2;
+            color: #b91c1c;
+        }
+        .score-medium {
+            background-color: #fef3c7;
+            color: #92400e;
+        }
+        .score-low {
+            background-color: #ecfdf5;
+            color: #047857;
+        }
+        .footer {
+            text-align: center;
+            padding: 1rem 0;
+            color: #6b7280;
+            font-size: 0.875rem;
+            margin-top: 2rem;
+        }
+        .tab-pane {
+            animation: fadeIn 0.3s ease-in-out;
+        }
+        @keyframes fadeIn {
+            from { opacity: 0; }
+            to { opacity: 1; }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>代币交易分析报告</h1>
+            <p>分析时间范围: ${formatTime(earliestTimestamp)} 至 ${formatTime(latestTimestamp)}</p>
+            
+            <div class="stats-container">
+                <div class="stat-card">
+                    <div class="stat-label">总交易记录</div>
+                    <div class="stat-number" id="statTrades">${tradeCount}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">可疑钱包数量</div>
+                    <div class="stat-number" id="statSuspiciousWallets">${suspiciousAddressesCount}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">最高价格</div>
+                    <div class="stat-number" id="statHighPrice">${priceStats.max ? priceStats.max.price.toFixed(4) : 'N/A'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">最低价格</div>
+                    <div class="stat-number" id="statLowPrice">${priceStats.min ? priceStats.min.price.toExponential(2) : 'N/A'}</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-label">价格波动倍数</div>
+                    <div class="stat-number" id="statPriceRatio">${priceStats.max && priceStats.min ? (priceStats.max.price / priceStats.min.price).toExponential(2) : 'N/A'}</div>
+                </div>
+            </div>
+            ${renderTimeRangeSection(timeRangeFilter)}
+        </div>
+        
+        <ul class="nav nav-tabs" id="analysisTab" role="tablist">
+            <li class="nav-item" role="presentation">
+                <button class="nav-link active" id="charts-tab" data-bs-toggle="tab" data-bs-target="#charts" type="button" role="tab" aria-controls="charts" aria-selected="true">数据图表</button>
+            </li>
+            <li class="nav-item" role="presentation">
+                <button class="nav-link" id="report-tab" data-bs-toggle="tab" data-bs-target="#report" type="button" role="tab" aria-controls="report" aria-selected="false">分析报告</button>
+            </li>
+            <li class="nav-item" role="presentation">
+                <button class="nav-link" id="wallets-tab" data-bs-toggle="tab" data-bs-target="#wallets" type="button" role="tab" aria-controls="wallets" aria-selected="false">可疑钱包</button>
+            </li>
+            <li class="nav-item" role="presentation">
+                <button class="nav-link" id="risks-tab" data-bs-toggle="tab" data-bs-target="#risks" type="button" role="tab" aria-controls="risks" aria-selected="false">风险警示</button>
+            </li>
+        </ul>
+        
+        <div class="tab-content" id="analysisTabContent">
+            <!-- 图表标签页 -->
+            <div class="tab-pane fade show active" id="charts" role="tabpanel" aria-labelledby="charts-tab">
+                ${renderCandlestickSection(candlestick)}
+                <div class="row">
+                    ${charts.map(chart => `
+                    <div class="col-md-6 mb-4">
+                        <h3>${chart.title}</h3>
+                        <p class="text-muted">${chart.description}</p>
+                        <div class="chart-container">
+                            <canvas id="${chart.id}"></canvas>
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+            
+            <!-- 分析报告标签页 -->
+            <div class="tab-pane fade" id="report" role="tabpanel" aria-labelledby="report-tab">
+                <div class="markdown-content">
+                    <h2>1. 概述</h2>
+                    <p><strong>分析时间范围:</strong> ${formatTime(earliestTimestamp)} 至 ${formatTime(latestTimestamp)}</p>
+                    <p><strong>时区:</strong> ${describeTimeZone(config.timezone, earliestTimestamp)}</p>
+                    <p><strong>计价:</strong> ${describeValuation(valuation, timeRange, config.timezone)}</p>
+                    <p><strong>数据记录总数:</strong> ${tradeCount}</p>
+                    <p><strong>价格波动范围:</strong> ${priceStats.min ? priceStats.min.price.toExponential(6) : 'N/A'} - ${priceStats.max ? priceStats.max.price.toFixed(6) : 'N/A'}</p>
+                    <p><strong>价格波动倍数:</strong> ${priceStats.max && priceStats.min ? (priceStats.max.price / priceStats.min.price).toExponential(2) : 'N/A'}</p>
+                    
+                    <h2>2. 主要发现</h2>
+                    
+                    <h3>2.1 可疑钱包活动</h3>
+                    <ul>
+                        <li>评分方式: ${describeScoringMode(config.walletScoring)}</li>
+                        <li>识别出 ${suspiciousAddressesCount} 个高度可疑的钱包地址</li>
+                        <li>这些地址累计交易额占总交易额的 ${suspiciousWalletsImpact.toFixed(2)}%</li>
+                        <li>最活跃的可疑钱包: ${topSuspiciousWallets.length > 0 ? escapeHTML(topSuspiciousWallets[0].address) : 'N/A'}，可疑评分: ${topSuspiciousWallets.length > 0 ? topSuspiciousWallets[0].suspiciousScore : 'N/A'}</li>
+                        <li>疑似同一操控者的钱包群: ${clusters.length} 个（评分达到 ${config.clustering.suspiciousMinScore} 分的 ${suspiciousClusterCount} 个）</li>
+                    </ul>
+                    
+                    <h3>2.2 价格波动分析</h3>
+                    <ul>
+                        <li>检测到 ${significantPriceChanges} 次显著价格变动 (>${config.priceChanges.significantPercent}%)</li>
+                        <li>最大单次涨幅: ${maxPriceIncrease ? '+' + maxPriceIncrease.percentChange.toFixed(2) + '%' : 'N/A'}</li>
+                        <li>最大单次跌幅: ${maxPriceDecrease ? maxPriceDecrease.percentChange.toFixed(2) + '%' : 'N/A'}</li>
+                    </ul>
+                    
+                    <h3>2.3 交易模式</h3>
+                    <ul>
+                        <li>拉高出货模式: ${detectPumpAndDump}</li>
+                        <li>洗盘交易: ${detectWashTrading}</li>
+                        <li>跑路 / 流动性抽离: ${patterns.rugPulls.length > 0 ? `已检测到 ${patterns.rugPulls.length} 起（严重 ${patterns.rugPulls.filter(event => event.severity === 'critical').length} 起）` : '未检测到'}</li>
+                        <li>三明治攻击: ${describeSandwiches(patterns.sandwiches, currency)}</li>
+                        <li>协同操作: ${detectCoordination}</li>
+                        <li>多腿交易（同一笔交易内同时买入和卖出）: ${patterns.multiLeg.length > 0 ? `已检测到 ${patterns.multiLeg.length} 笔` : '未检测到'}</li>
+                    </ul>
+                    
+                    <h2>3. 详细分析</h2>
+                    
+                    <h3>3.1 钱包行为</h3>
+                    <ul>
+                        <li>交易最频繁的钱包: ${suspectedManipulators.length > 0 ? escapeHTML(_.maxBy(suspectedManipulators, 'transactionCount').address) : 'N/A'} (${suspectedManipulators.length > 0 ? _.maxBy(suspectedManipulators, 'transactionCount').transactionCount : 'N/A'}笔交易)</li>
+                        <li>获利最多的钱包: ${topEarner ? `${escapeHTML(topEarner.address)} (盈亏${formatMoney(topEarner.total, currency)}，其中已实现${formatMoney(topEarner.realized, currency)}，胜率${formatWinRate(topEarner.winRate)}；净SOL变化${formatSOLWithUSD(wallets.activity[topEarner.address].netSOLChange, wallets.activity[topEarner.address].netUSDChange, 2)})` : 'N/A'}</li>
+                    </ul>
+                    
+                    <h3>3.2 市场阶段</h3>
+                    <p>按价格、交易额和买入占比的变点划分，价格走势图中以底色标出。</p>
+                    <ul>
+                        ${marketPhases.length > 0 ?
+                            marketPhases.map(segment => `<li>${describeMarketPhase(segment, formatTime)}</li>`).join('') :
+                            '<li>价格数据不足，无法划分</li>'}
+                    </ul>
+                    
+                    <h3>3.3 巨鲸活动</h3>
+                    <p>${whaleEntries.length > 0 ? 
+                        whaleEntries.slice(0, 5).map(entry => 
+                            `${entry.whaleCount}个巨鲸地址在${formatTime(entry.timestamp)}进入，持有${entry.percentOfTotalSupply.toFixed(2)}%的代币`
+                        ).join('<br>') : 
+                        '未检测到显著的巨鲸进入'}</p>
+                    
+                    <h2>4. 价格影响因素</h2>
+                    <p>以下为超过 ${config.priceChanges.significantPercent}% 的显著价格变动；导出包含全部 ${priceChanges.length} 个价格区间的变动。</p>
+                    ${renderExportButtons('priceChanges')}
+                    <ul>
+                        ${priceChanges.filter(change => change.isSignificant).map(impact => 
+                            `<li>${formatTime(impact.startTimestamp)}: ${impact.percentChange > 0 ? '上涨' : '下跌'} ${Math.abs(impact.percentChange).toFixed(2)}%</li>`
+                        ).join('')}
+                    </ul>
+                    
+                    <h2>6. 结论与建议</h2>
+                    <p>${pumpAndDumpPatterns.length > 0 || risk.hasHighSuspicionInterval ?
+                      '该代币交易存在明显的操纵痕迹，投资者应保持高度警惕。' :
+                      '虽然市场波动较大，但未发现明显操纵迹象，投资者在深入了解代币基本面后可以考虑适量参与。'}</p>
+                    <p>${highestPrice && lowestPrice ? `价格波动幅度异常，从${lowestPrice.price.toExponential(6)}到${highestPrice.price.toFixed(6)}，投资者需注意风险。` : '价格数据不足，无法提供完整评估。'}</p>
+                    <p>${coordinatedActivities.length > 0 ? '检测到协同操作行为，可能存在市场操纵。' : '未检测到明显的协同操作行为。'}</p>
+
+                    <h2>7. 数据质量</h2>
+                    <ul>
+                        ${describeDataQuality(dataQuality).map(line => `<li>${line}</li>`).join('')}
+                    </ul>
+
+                    <h2>8. 分析配置</h2>
+                    <p>本次分析使用的${config.preset ? `预设: <code>${config.preset}</code>，` : ''}完整生效配置如下，可保存为配置文件以复现结果：</p>
+                    <pre class="bg-light p-3 rounded"><code>${escapeHTML(JSON.stringify(_.omit(config, 'preset'), null, 2))}</code></pre>
+                </div>
+            </div>
+            
+            <!-- 可疑钱包标签页 -->
+            <div class="tab-pane fade" id="wallets" role="tabpanel" aria-labelledby="wallets-tab">
+                <h2>可疑钱包分析</h2>
+                <p class="alert alert-warning">以下钱包根据交易行为和模式被系统识别为可能的市场操纵者。高可疑度评分(≥5)表示钱包行为高度异常，可能参与市场操纵。下表列出评分超过 ${config.walletScoring.tableMinScore} 分的全部钱包，可按列排序，并按地址、评分和总交易额筛选；点击钱包地址查看该钱包的交易、持仓与盈亏曲线和共同交易钱包。</p>
+                <p><strong>评分方式:</strong> ${describeScoringMode(config.walletScoring)}</p>
+                
+                ${renderWalletTableSection(walletTable)}
+                
+                <h3>疑似同一操控者的钱包群</h3>
+                <p>根据首次出现时间相近、相同的交易数量、同向交易时间同步和同一交易签名，将行为高度相似的钱包归为一组，并对钱包群单独评分：</p>
+                ${clusters.length > 0 ? `
+                <table class="wallet-table">
+                    <thead>
+                        <tr>
+                            <th>钱包群</th>
+                            <th>评分</th>
+                            <th>钱包数</th>
+                            <th>合计交易额</th>
+                            <th>交易额占比</th>
+                            <th>合计盈亏</th>
+                            <th>关联信号</th>
+                            <th>触发规则</th>
+                            <th>钱包</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${clusters.slice(0, config.clustering.topCount).map(cluster => `
+                        <tr>
+                            <td>#${cluster.id}</td>
+                            <td>
+                                <span class="suspicious-score ${cluster.suspiciousScore >= config.clustering.suspiciousMinScore ? 'score-high' : 'score-low'}">
+                                    ${cluster.suspiciousScore}
+                                </span>
+                            </td>
+                            <td>${cluster.size}</td>
+                            <td>${formatMoney(cluster.totalValue, currency)}</td>
+                            <td>${cluster.marketImpact.toFixed(2)}%</td>
+                            <td>${formatMoney(cluster.pnl, currency)}</td>
+                            <td>${describeClusterSignals(cluster.signals)}</td>
+                            <td>${cluster.triggeredRules.length > 0 ? cluster.triggeredRules.map(rule =>
+                                `<span class="badge bg-secondary me-1" title="${escapeHTML(describeTriggeredRule(rule, currency))}">${rule.label} +${rule.points}</span>`
+                            ).join('') : '-'}</td>
+                            <td>${cluster.wallets.slice(0, 5).map(escapeHTML).join('<br>')}${cluster.size > 5 ? `<br>等 ${cluster.size} 个` : ''}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : '<p>未发现行为高度相似的钱包群。</p>'}
+
+                <h3>钱包盈亏排行</h3>
+                <p>${describePnLMethod(wallets.pnl, currency, config.timezone)}。</p>
+                <table class="wallet-table">
+                    <thead>
+                        <tr>
+                            <th>钱包地址</th>
+                            <th>总盈亏</th>
+                            <th>已实现盈亏</th>
+                            <th>未实现盈亏</th>
+                            <th>剩余持仓</th>
+                            <th>胜率</th>
+                            <th>平均持有时长</th>
+                            <th>最长持有时长</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${wallets.pnl.ranked.slice(0, config.walletScoring.topCount).map(wallet => `
+                        <tr>
+                            <td>${escapeHTML(wallet.address)}</td>
+                            <td class="${wallet.total > 0 ? 'text-success' : 'text-danger'}">${formatMoney(wallet.total, currency)}</td>
+                            <td>${formatMoney(wallet.realized, currency)}</td>
+                            <td>${formatMoney(wallet.unrealized, currency)}</td>
+                            <td>${wallet.position.toFixed(2)}</td>
+                            <td>${formatWinRate(wallet.winRate)} (${wallet.wins}/${wallet.closingSells})</td>
+                            <td>${formatDuration(wallet.avgHoldSeconds)}</td>
+                            <td>${formatDuration(wallet.maxHoldSeconds)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+
+                ${wallets.multiLeg.length > 0 ? `
+                <h3>多腿交易钱包</h3>
+                <p>以下钱包在同一笔交易内同时买入和卖出，常见于原子化的三明治攻击或套利交易包（不计入可疑度评分）：</p>
+                <table class="wallet-table">
+                    <thead>
+                        <tr>
+                            <th>钱包地址</th>
+                            <th>多腿交易笔数</th>
+                            <th>买入金额</th>
+                            <th>卖出金额</th>
+                            <th>交易签名示例</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${wallets.multiLeg.slice(0, config.walletScoring.topCount).map(wallet => `
+                        <tr>
+                            <td>${escapeHTML(wallet.address)}</td>
+                            <td>${wallet.count}</td>
+                            <td>${formatMoney(wallet.buyValue, currency)}</td>
+                            <td>${formatMoney(wallet.sellValue, currency)}</td>
+                            <td>${wallet.signatures.slice(0, 2).map(escapeHTML).join('<br>')}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                
+                ${patterns.sandwiches.attacks.length > 0 ? `
+                <h3>三明治攻击者</h3>
+                <p>按${describeTradeOrdering(patterns.sandwiches.ordering)}排序，以下钱包在其他钱包买入前买入、之后立即卖出获利（价格图中以三角形标记）。${describeSandwiches(patterns.sandwiches, currency)}：</p>
+                <table class="wallet-table">
+                    <thead>
+                        <tr>
+                            <th>钱包地址</th>
+                            <th>攻击次数</th>
+                            <th>受害钱包</th>
+                            <th>攻击者获利</th>
+                            <th>首次攻击</th>
+                            <th>最近攻击</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${patterns.sandwiches.attackers.slice(0, config.walletScoring.topCount).map(attacker => `
+                        <tr>
+                            <td>${escapeHTML(attacker.address)}</td>
+                            <td>${attacker.attacks}</td>
+                            <td>${attacker.victims}</td>
+                            <td>${formatMoney(attacker.extractedValue, currency)}</td>
+                            <td>${formatTime(attacker.firstSeen)}</td>
+                            <td>${formatTime(attacker.lastSeen)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+
+                <h3>钱包活动分析</h3>
+                <p>以下是可疑度评分达到 ${config.walletScoring.suspiciousMinScore} 分的钱包及其触发的评分规则（观测值、阈值与得分），每页 ${walletTable.activity.pageSize} 个：</p>
+                ${renderWalletActivitySection()}
+            </div>
+            
+            <!-- 风险警示标签页 -->
+            <div class="tab-pane fade" id="risks" role="tabpanel" aria-labelledby="risks-tab">
+                <h2>风险警示</h2>
+                
+                ${risk.hasRugPull ? `
+                <div class="alert alert-danger border border-3 border-danger mb-4" role="alert">
+                    <h4 class="alert-heading">${risk.hasCriticalRugPull ? '严重警示：疑似跑路（Rug Pull）' : '警示：流动性抽离'}</h4>
+                    <p><strong>检测到 ${patterns.rugPulls.length} 起单个钱包或钱包群集中卖出后价格崩跌的事件</strong></p>
+                    <hr>
+                    <ul class="mb-0">
+                        ${patterns.rugPulls.map(event => `<li>${escapeHTML(describeRugPull(event, currency, formatTime))}</li>`).join('')}
+                    </ul>
+                </div>
+                ` : ''}
+                
+                ${risk.hasPriceAnomaly ? `
+                <div class="alert alert-danger mb-4" role="alert">
+                    <h4 class="alert-heading">严重价格操纵风险</h4>
+                    <p><strong>证据：</strong>在 ${formatTime(priceStats.max.timestamp)} 至 ${formatTime(priceStats.min.timestamp)} 期间价格波动超过 ${(priceStats.max.price / priceStats.min.price).toExponential(2)} 倍</p>
+                    <hr>
+                    <p class="mb-0">最高价: ${priceStats.max.price.toFixed(6)} 出现于 ${formatTime(priceStats.max.timestamp)}<br>
+                    最低价: ${priceStats.min.price.toExponential(6)} 出现于 ${formatTime(priceStats.min.timestamp)}</p>
+                </div>
+                ` : ''}
+                
+                ${pumpAndDumpPatterns.length > 0 ? `
+                <div class="alert alert-danger mb-4" role="alert">
+                    <h4 class="alert-heading">拉高出货风险</h4>
+                    <p><strong>检测到 ${pumpAndDumpPatterns.length} 个拉高出货模式</strong>（按置信度排序，关联钱包为拉升前吸筹、峰值后出货的钱包）</p>
+                    ${renderExportButtons('pumpAndDump')}
+                    ${pumpAndDumpPatterns.map((pattern, index) => {
+                        const [summary, ...details] = describePumpAndDump(pattern, currency, formatTime);
+                        return `
+                    <hr>
+                    <p><strong>模式 #${index + 1}:</strong> ${escapeHTML(summary)}</p>
+                    <ul class="mb-0">
+                        ${details.map(line => `<li>${escapeHTML(line)}</li>`).join('')}
+                    </ul>`;
+                    }).join('')}
+                </div>
+                ` : ''}
+                
+                ${risk.hasWashTrading ? `
+                <div class="alert alert-warning mb-4" role="alert">
+                    <h4 class="alert-heading">洗盘交易风险</h4>
+                    <p><strong>洗盘交易额占总交易额的 ${risk.washTradingPercent.toFixed(2)}%</strong></p>
+                    <hr>
+                    <p>${detectWashTrading}。同一钱包（或同一钱包群）在短时间内买入并卖出相近数量，可能试图虚增交易量或操纵价格</p>
+                </div>
+                ` : ''}
+                
+                ${coordinatedActivities.length > 0 ? `
+                <div class="alert alert-warning mb-4" role="alert">
+                    <h4 class="alert-heading">协同操作风险</h4>
+                    <p><strong>检测到 ${coordinatedActivities.length} 个可能的协同操作时间段</strong></p>
+                    <hr>
+                    <p>多个钱包在同一时间段内进行相似操作，可能存在协同市场操纵行为</p>
+                </div>
+                ` : ''}
+                
+                ${risk.isConcentrated ? `
+                <div class="alert alert-danger mb-4" role="alert">
+                    <h4 class="alert-heading">交易集中度风险</h4>
+                    <p><strong>可疑钱包占总交易额的 ${suspiciousWalletsImpact.toFixed(2)}%</strong></p>
+                    <hr>
+                    <p>交易高度集中于少数可疑钱包，市场可能被少数参与者控制</p>
+                </div>
+                ` : ''}
+                
+                <h3>可疑活动时间区间</h3>
+                <p id="suspiciousIntervalSummary">按 ${formatDuration(config.suspiciousIntervals.intervalSeconds)}的区间统计交易集中度、往返交易钱包、买卖比率和巨鲸交易，共 ${suspiciousActivityIntervals.length} 个区间得分大于 0${suspiciousActivityIntervals.length > 0 ? `，最高 ${_.maxBy(suspiciousActivityIntervals, 'suspiciousScore').suspiciousScore} 分` : ''}。</p>
+                ${renderSuspiciousIntervalTable()}
+                ${renderExportButtons('suspiciousIntervals')}
+                
+                <h3>风险评估总结</h3>
+                
+                <div class="row mt-4">
+                    <div class="col-md-6">
+                        <h4>市场操纵风险</h4>
+                        <div class="progress mb-3">
+                            <div class="progress-bar bg-danger" role="progressbar" style="width: ${risk.scores.manipulation}%"></div>
+                        </div>
+                    </div>
+                    
+                    <div class="col-md-6">
+                        <h4>流动性风险</h4>
+                        <div class="progress mb-3">
+                            <div class="progress-bar bg-warning" role="progressbar" style="width: ${risk.scores.liquidity}%"></div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="row mt-3">
+                    <div class="col-md-6">
+                        <h4>洗盘交易风险 <small class="text-muted">（洗盘交易额占比 ${risk.washTradingPercent.toFixed(2)}%）</small></h4>
+                        <div class="progress mb-3">
+                            <div class="progress-bar bg-warning" role="progressbar" style="width: ${risk.scores.washTrading}%"></div>
+                        </div>
+                    </div>
+                    
+                    <div class="col-md-6">
+                        <h4>价格波动风险</h4>
+                        <div class="progress mb-3">
+                            <div class="progress-bar bg-danger" role="progressbar" style="width: ${risk.scores.volatility}%"></div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="alert alert-info mt-4">
+                    <h4 class="alert-heading">投资建议</h4>
+                    <p>${pumpAndDumpPatterns.length > 0 || risk.hasHighSuspicionInterval || risk.hasPriceAnomaly ?
+                      '该代币交易存在明显的操纵痕迹，投资者应当保持高度警惕，避免在缺乏深入了解的情况下进行投资。' :
+                      '虽然市场波动较大，但未发现明显操纵迹象，投资者在深入了解代币基本面后可以考虑适量参与。'}</p>
+                </div>
+            </div>
+        </div>
+        
+        <div class="footer">
+            <p>分析报告生成时间: ${formatTime(Date.now() / 1000)}</p>
+            <p>本报告数据仅供参考，不构成投资建议</p>
+        </div>
+    </div>
+    ${renderDrillDownSection(drillDown)}
+    
+    <script>
+        document.addEventListener('DOMContentLoaded', function() {
+            // 导出
+            ${renderExportScript(exportData)}
+
+            // 价格 K 线图
+            ${renderCandlestickScript(candlestick)}
+
+            // 可疑钱包表与钱包活动列表
+            ${renderWalletTableScript(walletTable)}
+
+            // 创建图表
+            ${charts.map(chart => `
+            (function() {
+                try {
+                    const ctx = document.getElementById('${chart.id}').getContext('2d');
+                    var chartData = ${embedJSON(chart.config)};
+                    
+                    // 将ISO日期字符串转换回Date对象
+                    if (chartData.data.datasets) {
+                        chartData.data.datasets.forEach(dataset => {
+                            if (dataset.data && dataset.data.length > 0 && typeof dataset.data[0].x === 'string') {
+                                dataset.data = dataset.data.map(point => ({
+                                    ...point,
+                                    x: new Date(point.x)
+                                }));
+                            }
+                        });
+                    }
+                    
+                    new Chart(ctx, chartData);
+                    console.log("${chart.id} 创建成功");
+                } catch (error) {
+                    console.error("创建图表 ${chart.id} 时出错:", error);
+                }
+            })();
+            `).join('\n')}
+
+            // 钱包详情（图表创建之后绑定钱包活动图的点击）
+            ${renderDrillDownScript(drillDown)}
+
+            // 时间范围筛选（图表与导出脚本之后）
+            ${renderTimeRangeScript(timeRangeFilter)}
+        });
+    </script>
+</body>
+</html>
+    `;
+}
+
+module.exports = {
+    renderHTML
+};
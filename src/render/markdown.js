@@ -0,0 +1,249 @@
+/**
+ * Markdown 分析报告渲染
+ * 基于 analyze() 的结果生成分析报告文本
+ */
+
+const _ = require('lodash');
+const { describeDataQuality } = require('./quality');
+const { formatTimestamp, describeTimeZone } = require('../utils');
+const { formatMoney, formatSOLWithUSD, formatDuration, formatWinRate, describePnLMethod, describePumpAndDump, describeMarketPhase, describeWashTrading, describeRugPull, describeSandwiches, describeTradeOrdering, describeClusterSignals, describeScoringMode, describeTriggeredRule, describeValuation } = require('./format');
+
+// 基于所有收集的数据生成最终分析报告
+function renderMarkdown(result) {
+    const { config, tradeCount, dataQuality, valuation, timeRange, prices, wallets, patterns, cycles, intervals, risk } = result;
+    const priceStats = prices.stats;
+    const priceChanges = prices.changes;
+    const { highest: highestPrice, lowest: lowestPrice } = prices;
+    const suspectedManipulators = wallets.scored;
+    const topSuspiciousWallets = wallets.topSuspicious;
+    const pumpAndDumpPatterns = patterns.pumpAndDump;
+    const coordinatedActivities = patterns.coordinated;
+    const suspiciousActivityIntervals = intervals.suspicious;
+    const formatTime = ts => formatTimestamp(ts, config.timezone);
+    const { currency } = valuation;
+
+    // 1. 确定选定的时间范围
+    const selectedTimeRange = `${formatTime(timeRange.earliest)} 至 ${formatTime(timeRange.latest)}`;
+
+    // 2. 计算可疑地址数量
+    const suspiciousAddressesCount = risk.suspiciousAddressesCount;
+
+    // 3. 计算市场影响
+    const suspiciousWalletsImpact = risk.suspiciousWalletsImpact;
+
+    // 4. 查找协调活动的时间段
+    const coordinatedTimeframes = coordinatedActivities.length > 0 ?
+        coordinatedActivities.map(activity => formatTime(activity.timestamp)).join(', ') :
+        '未检测到明显的协同性操作';
+
+    // 5. 查找巨鲸进入
+    const topWhaleEntries = _.sortBy(patterns.whaleEntries, 'totalBuyVolume').reverse().slice(0, 5);
+    const whaleEntriesDescription = topWhaleEntries.length > 0 ?
+        topWhaleEntries.map(entry => `${entry.whaleCount}个巨鲸地址在${formatTime(entry.timestamp)}进入，持有${entry.percentOfTotalSupply.toFixed(2)}%的代币`).join('\n') :
+        '未检测到显著的巨鲸进入';
+
+    // 可疑钱包触发的评分规则
+    const suspiciousWalletRules = topSuspiciousWallets
+        .filter(wallet => wallet.suspiciousScore >= config.walletScoring.suspiciousMinScore)
+        .slice(0, 5)
+        .map(wallet => `- ${wallet.address}（${wallet.suspiciousScore} 分）\n${wallet.triggeredRules.map(rule => `  - ${describeTriggeredRule(rule, currency)}`).join('\n')}`)
+        .join('\n');
+
+    // 疑似同一操控者的钱包群
+    const { clusters } = wallets;
+    const suspiciousClusters = clusters.filter(cluster => cluster.suspiciousScore >= config.clustering.suspiciousMinScore);
+    const clusterSection = clusters.length > 0 ?
+        clusters.slice(0, config.clustering.topCount).map(cluster => `- 钱包群 #${cluster.id}（${cluster.size} 个钱包，评分 ${cluster.suspiciousScore}）: 合计交易额 ${formatMoney(cluster.totalValue, currency)}，占总交易额 ${cluster.marketImpact.toFixed(2)}%，盈亏 ${formatMoney(cluster.pnl, currency)}
+  - 关联信号: ${describeClusterSignals(cluster.signals)}
+  - 钱包: ${cluster.wallets.slice(0, 10).join(', ')}${cluster.size > 10 ? ` 等 ${cluster.size} 个` : ''}
+${cluster.triggeredRules.map(rule => `  - ${describeTriggeredRule(rule, currency)}`).join('\n')}`).join('\n') :
+        '未发现行为高度相似的钱包群';
+
+    // 三明治攻击
+    const { sandwiches } = patterns;
+    const sandwichSection = sandwiches.attacks.length > 0 ? `按${describeTradeOrdering(sandwiches.ordering)}排序，查找“攻击者买入 → 受害者买入 → 攻击者卖出”的模式。${describeSandwiches(sandwiches, currency)}。
+
+| 攻击者 | 攻击次数 | 受害钱包 | 攻击者获利 | 首次攻击 | 最近攻击 |
+| --- | --- | --- | --- | --- | --- |
+${sandwiches.attackers.slice(0, 10).map(attacker => `| ${attacker.address} | ${attacker.attacks} | ${attacker.victims} | ${formatMoney(attacker.extractedValue, currency)} | ${formatTime(attacker.firstSeen)} | ${formatTime(attacker.lastSeen)} |`).join('\n')}
+
+攻击最频繁的小时:
+${_.orderBy(sandwiches.hourly, ['attacks', 'extractedValue'], ['desc', 'desc']).slice(0, 5).map(hour => `- ${formatTime(hour.timestamp)}: ${hour.attacks} 次，攻击者获利 ${formatMoney(hour.extractedValue, currency)}`).join('\n')}` :
+        `按${describeTradeOrdering(sandwiches.ordering)}排序，未发现“攻击者买入 → 受害者买入 → 攻击者卖出”的模式`;
+
+    // 钱包盈亏排行
+    const pnlRanking = wallets.pnl.ranked.slice(0, 10);
+    const topEarner = pnlRanking[0];
+    const pnlTable = pnlRanking.length > 0 ? `| 钱包 | 总盈亏 | 已实现 | 未实现 | 剩余持仓 | 胜率 | 平均持有时长 |
+| --- | --- | --- | --- | --- | --- | --- |
+${pnlRanking.map(wallet => `| ${wallet.address} | ${formatMoney(wallet.total, currency)} | ${formatMoney(wallet.realized, currency)} | ${formatMoney(wallet.unrealized, currency)} | ${wallet.position.toFixed(2)} | ${formatWinRate(wallet.winRate)} | ${formatDuration(wallet.avgHoldSeconds)} |`).join('\n')}` :
+        '无可计算盈亏的钱包';
+
+    // 6. 查找重大价格影响
+    const priceImpacts = patterns.priceImpacts;
+
+    // 7. 拉高出货模式（按置信度排序）
+    const pumpAndDumpSection = pumpAndDumpPatterns.length > 0 ?
+        pumpAndDumpPatterns.map((pattern, index) => {
+            const [summary, ...details] = describePumpAndDump(pattern, currency, formatTime);
+            return `- 模式 #${index + 1}: ${summary}
+${details.map(line => `  - ${line}`).join('\n')}`;
+        }).join('\n') :
+        '未检测到拉高出货模式';
+
+    // 8. 价格异常分析
+    let priceAnomalySection = '';
+    if (priceStats.max && priceStats.min) {
+        const fluctuationMultiplier = risk.priceFluctuation;
+        if (risk.hasPriceAnomaly) {
+            priceAnomalySection = `
+### 5.1 价格操纵风险
+- 证据：在 ${formatTime(priceStats.max.timestamp)} 至 ${formatTime(priceStats.min.timestamp)} 期间价格波动超过 ${fluctuationMultiplier.toFixed(2)} 倍
+- 最高价：${priceStats.max.price.toFixed(6)} 出现于 ${formatTime(priceStats.max.timestamp)}
+- 最低价：${priceStats.min.price.toExponential(6)} 出现于 ${formatTime(priceStats.min.timestamp)}
+- 影响：导致市场信心严重受损，典型的价格操纵行为
+
+### 5.2 流动性风险
+- 证据：`
+            // 买卖比例失衡最严重的时间区间
+            if (risk.worstImbalancedInterval) {
+                const worstInterval = risk.worstImbalancedInterval;
+                priceAnomalySection += `${formatTime(worstInterval.timestamp)}期间卖出量是买入量的${worstInterval.ratio.toFixed(1)}倍\n`;
+                priceAnomalySection += `- 影响：造成价格快速下跌\n\n`;
+            } else {
+                priceAnomalySection += `未发现显著的流动性失衡\n`;
+            }
+
+            priceAnomalySection += `
+### 5.3 市场操纵风险
+- 证据：`;
+
+            // 交易密集且钱包高度集中的时间段
+            if (risk.manipulationIntervals.length > 0) {
+                const worstInterval = risk.manipulationIntervals[0];
+                priceAnomalySection += `${formatTime(worstInterval.timestamp)}期间${worstInterval.uniqueWallets}个钱包完成${worstInterval.totalTransactions}笔交易\n`;
+                priceAnomalySection += `- 影响：市场秩序混乱，交易高度集中于少数钱包\n`;
+            } else {
+                priceAnomalySection += `未发现明显的交易集中现象\n`;
+            }
+        }
+    }
+
+    // 跑路 / 流动性抽离事件置于风险警示之首
+    const rugPulls = patterns.rugPulls;
+    const rugPullSection = rugPulls.length > 0 ? `### ${risk.hasCriticalRugPull ? '严重警示：疑似跑路（Rug Pull）' : '警示：流动性抽离'}
+检测到 ${rugPulls.length} 起单个钱包或钱包群集中卖出后价格崩跌的事件（严重 ${rugPulls.filter(event => event.severity === 'critical').length} 起）：
+
+${rugPulls.map(event => `- ${describeRugPull(event, currency, formatTime)}`).join('\n')}
+
+` : '';
+
+    // 9. 编译最终报告
+    const report = `# 代币交易分析报告
+
+## 1. 概述
+分析时间范围: ${selectedTimeRange}
+时区: ${describeTimeZone(config.timezone, timeRange.earliest)}
+计价: ${describeValuation(valuation, timeRange, config.timezone)}
+数据记录总数: ${tradeCount}
+价格波动范围: ${priceStats.min ? priceStats.min.price.toExponential(6) : 'N/A'} - ${priceStats.max ? priceStats.max.price.toFixed(6) : 'N/A'}
+价格波动倍数: ${priceStats.max && priceStats.min ? (priceStats.max.price / priceStats.min.price).toFixed(2) : 'N/A'}
+
+## 2. 主要发现
+
+### 2.1 可疑钱包活动
+- 评分方式: ${describeScoringMode(config.walletScoring)}
+- 识别出 ${suspiciousAddressesCount} 个高度可疑的钱包地址
+- 这些地址累计交易额占总交易额的 ${suspiciousWalletsImpact.toFixed(2)}%
+- 最活跃的可疑钱包: ${topSuspiciousWallets.length > 0 ? topSuspiciousWallets[0].address : 'N/A'}，可疑评分: ${topSuspiciousWallets.length > 0 ? topSuspiciousWallets[0].suspiciousScore : 'N/A'}
+${suspiciousWalletRules}
+- 疑似同一操控者的钱包群: ${clusters.length} 个（评分达到 ${config.clustering.suspiciousMinScore} 分的 ${suspiciousClusters.length} 个）
+
+### 2.2 价格波动分析
+- 检测到 ${priceChanges.filter(change => change.isSignificant).length} 次显著价格变动 (>${config.priceChanges.significantPercent}%)
+- 最大单次涨幅: ${_.maxBy(priceChanges, 'percentChange') ? '+' + _.maxBy(priceChanges, 'percentChange').percentChange.toFixed(2) + '%' : 'N/A'}
+- 最大单次跌幅: ${_.minBy(priceChanges, 'percentChange') ? _.minBy(priceChanges, 'percentChange').percentChange.toFixed(2) + '%' : 'N/A'}
+
+### 2.3 交易模式
+- 拉高出货模式: ${pumpAndDumpPatterns.length > 0 ? `已检测到 ${pumpAndDumpPatterns.length} 个（最高置信度 ${(pumpAndDumpPatterns[0].confidence * 100).toFixed(0)}%）` : '未检测到'}
+- 洗盘交易: ${describeWashTrading(patterns.washTrading, formatTime)}
+- 跑路 / 流动性抽离: ${patterns.rugPulls.length > 0 ? `已检测到 ${patterns.rugPulls.length} 起（严重 ${patterns.rugPulls.filter(event => event.severity === 'critical').length} 起）` : '未检测到'}
+- 三明治攻击: ${describeSandwiches(patterns.sandwiches, currency)}
+- 协同操作: ${coordinatedActivities.length > 0 ? '已检测到' : '未检测到'}
+- 多腿交易（同一笔交易内同时买入和卖出）: ${patterns.multiLeg.length > 0 ? `已检测到 ${patterns.multiLeg.length} 笔` : '未检测到'}
+
+## 3. 详细分析
+
+### 3.1 钱包行为
+- 交易最频繁的钱包: ${suspectedManipulators.length > 0 ? _.maxBy(suspectedManipulators, 'transactionCount').address : 'N/A'} (${suspectedManipulators.length > 0 ? _.maxBy(suspectedManipulators, 'transactionCount').transactionCount : 'N/A'}笔交易)
+- 获利最多的钱包: ${topEarner ? `${topEarner.address} (盈亏${formatMoney(topEarner.total, currency)}，其中已实现${formatMoney(topEarner.realized, currency)}，胜率${formatWinRate(topEarner.winRate)}；净SOL变化${formatSOLWithUSD(wallets.activity[topEarner.address].netSOLChange, wallets.activity[topEarner.address].netUSDChange, 2)})` : 'N/A'}
+- 洗盘交易额最高的钱包: ${patterns.washTrading.wallets.length > 0 ? patterns.washTrading.wallets.slice(0, 5).map(wallet => `${wallet.address} (${wallet.roundTrips}次往返，占其交易额${(wallet.fraction * 100).toFixed(1)}%)`).join(', ') : '无'}
+- 多腿交易钱包（常见于原子化的三明治攻击或套利交易包）: ${wallets.multiLeg.length > 0 ? wallets.multiLeg.slice(0, 5).map(wallet => `${wallet.address} (${wallet.count}笔)`).join(', ') : '无'}
+
+### 3.2 钱包盈亏排行
+${describePnLMethod(wallets.pnl, currency, config.timezone)}。
+
+${pnlTable}
+
+### 3.3 钱包群
+根据首次出现时间相近、相同的交易数量、同向交易时间同步和同一交易签名，将行为高度相似、疑似由同一操控者控制的钱包归为一组：
+
+${clusterSection}
+
+### 3.4 三明治攻击
+${sandwichSection}
+
+### 3.5 拉高出货
+在 ${config.pumpAndDump.horizons.map(horizon => `${formatDuration(horizon.seconds)}内上涨超过 ${horizon.minPercent}%`).join('、')}的拉升中，关联拉升前吸筹、峰值后出货的钱包：
+
+${pumpAndDumpSection}
+
+### 3.6 市场阶段
+按价格、交易额和买入占比的变点划分：
+
+${cycles.segments.length > 0 ? cycles.segments.map(segment => `- ${describeMarketPhase(segment, formatTime)}`).join('\n') : '- 价格数据不足，无法划分'}
+
+### 3.7 巨鲸活动
+${whaleEntriesDescription}
+
+## 4. 价格影响因素
+${priceImpacts.length > 0 ? priceImpacts.map(impact => `- ${formatTime(impact.timestamp)}: ${impact.description}`).join('\n') : '无'}
+
+## 5. 风险警示
+
+${rugPullSection}${priceAnomalySection ? priceAnomalySection : `### 5.1 交易风险
+未检测到明显的交易风险`}
+
+## 6. 结论与建议
+
+基于以上分析，我们得出以下结论：
+
+${pumpAndDumpPatterns.length > 0 || risk.hasHighSuspicionInterval ?
+    '- 该代币交易存在明显的操纵痕迹，投资者应保持高度警惕。\n- 建议监管部门对相关可疑钱包进行进一步调查。' :
+    '- 该代币交易未显示明显操纵迹象，但市场波动仍然较大。\n- 建议投资者在投资前充分了解代币基本面。'}
+- ${highestPrice && lowestPrice ? `价格波动幅度异常，从${lowestPrice.price.toExponential(6)}到${highestPrice.price.toFixed(6)}，投资者需注意风险。` : '价格数据不足，无法提供完整评估。'}
+- ${coordinatedActivities.length > 0 ? '检测到协同操作行为，可能存在市场操纵。' : '未检测到明显的协同操作行为。'}
+
+## 7. 数据质量
+
+${describeDataQuality(dataQuality).map(line => `- ${line}`).join('\n')}
+
+## 8. 分析配置
+
+本次分析使用的${config.preset ? `预设: \`${config.preset}\`，` : ''}完整生效配置如下，可保存为配置文件以复现结果：
+
+\`\`\`json
+${JSON.stringify(_.omit(config, 'preset'), null, 2)}
+\`\`\`
+
+---
+*本报告由自动分析系统生成，仅供参考，不构成投资建议。*
+*生成时间: ${formatTime(Date.now() / 1000)}*
+`;
+
+    return report;
+}
+
+module.exports = {
+    renderMarkdown
+};
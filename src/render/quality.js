@@ -0,0 +1,41 @@
+/**
+ * 数据质量摘要文本
+ * Markdown 报告与 HTML 页面共用
+ */
+
+const { REJECT_REASONS } = require('../schema');
+
+// 生成数据质量摘要的逐条描述
+function describeDataQuality(dataQuality) {
+    const { rejected, duplicates, outOfRangePrices, columns } = dataQuality;
+
+    const rejectedText = Object.keys(rejected).length > 0 ?
+        Object.entries(rejected).map(([reason, count]) => `${REJECT_REASONS[reason]} ${count} 行`).join('，') :
+        '无';
+
+    const duplicateKey = duplicates.key === 'signature+leg' ? '交易签名 + leg 序号' : '交易签名 + 钱包 + 买卖方向 + 数量';
+    const duplicateText = duplicates.rows > 0 ?
+        `${duplicates.rows} 条（按${duplicateKey}判断，涉及 ${duplicates.signatures} 个签名，${duplicates.enabled ? '已剔除' : '未剔除'}；示例: ${duplicates.examples.join(', ')}）` :
+        '未发现';
+
+    const outOfRangeText = outOfRangePrices.count > 0 ?
+        `${outOfRangePrices.count} 条（高于 ${outOfRangePrices.max} 的 ${outOfRangePrices.tooHigh} 条，低于 ${outOfRangePrices.min} 的 ${outOfRangePrices.tooLow} 条），未剔除` :
+        `未发现（有效范围 ${outOfRangePrices.min} - ${outOfRangePrices.max}）`;
+
+    const mappingText = Object.entries(columns)
+        .filter(([field, column]) => field !== column)
+        .map(([field, column]) => `${field} ← ${column}`)
+        .join(', ');
+
+    return [
+        `读取记录: ${dataQuality.totalRows} 行，有效 ${dataQuality.acceptedRows} 行，拒绝 ${dataQuality.rejectedRows} 行${duplicates.enabled && duplicates.rows > 0 ? `，剔除重复 ${duplicates.rows} 行` : ''}`,
+        `拒绝原因: ${rejectedText}`,
+        `重复记录: ${duplicateText}`,
+        `异常价格: ${outOfRangeText}`,
+        `列映射: ${mappingText || '标准列名，无需映射'}`
+    ];
+}
+
+module.exports = {
+    describeDataQuality
+};
@@ -0,0 +1,328 @@
+/**
+ * 时间范围筛选
+ * 在 K 线图上选择时间范围后，在浏览器中按细分区间重新汇总统计卡片、交易量与买卖比率图、
+ * 钱包活动图、可疑活动时间区间和可疑钱包列表；清除选择后恢复为全部数据。
+ * 钱包评分与区间得分需要完整的检测流程，不在浏览器中重新计算，始终为基于全部数据的结果
+ */
+
+const { TIME_RANGE_EVENT, renderTimeFormatScript } = require('./candlestick');
+const { embedJSON, formatDuration } = require('./format');
+
+// 重新汇总的交易量与买卖比率图最多显示的柱数
+const MAX_BARS = 96;
+// 可疑活动时间区间表显示的区间数
+const INTERVAL_TABLE_SIZE = 10;
+
+// 保留 8 位有效数字，减小页面体积
+const compact = value => (value === null || value === undefined ? null : Number(value.toPrecision(8)));
+
+/**
+ * 页面中按时间范围重新汇总所需的数据
+ * 时间均以细分区间（suspiciousIntervals.intervalSeconds）相对第一个区间的序号表示：
+ * buckets 为 [序号, 笔数, 买入笔数, 卖出笔数, 买入量, 卖出量, 最高价, 最低价]，
+ * activity 为 [序号, 钱包序号, 买入笔数, 卖出笔数]，
+ * intervals 为可疑区间 [序号, 得分, 笔数, 独立钱包数, 买入笔数, 卖出笔数, 巨鲸交易数, 往返交易钱包数]
+ * @param {Object} result - analyze() 的结果
+ * @returns {Object}
+ */
+function createTimeRangeData(result) {
+    const { config, wallets, intervals, series } = result;
+    const bucketSeconds = config.suspiciousIntervals.intervalSeconds;
+    const { suspiciousMinScore } = config.walletScoring;
+    const start = series.detailed.length > 0 ? series.detailed[0].timestamp : 0;
+    const offsetOf = timestamp => Math.round((Math.floor(timestamp / bucketSeconds) * bucketSeconds - start) / bucketSeconds);
+
+    // 钱包标记：1 为钱包活动图中的可疑钱包，2 计入"可疑钱包数量"
+    const flagged = new Set(wallets.scored.filter(wallet => wallet.suspiciousScore >= suspiciousMinScore).map(wallet => wallet.address));
+    const counted = new Set(wallets.topSuspicious.filter(wallet => wallet.suspiciousScore >= suspiciousMinScore).map(wallet => wallet.address));
+
+    // 钱包按首次交易的区间编号
+    const indexes = new Map();
+    const flags = [];
+    const activity = [];
+    series.detailed.forEach(bucket => {
+        const offset = offsetOf(bucket.timestamp);
+        bucket.wallets.forEach(([buys, sells], address) => {
+            if (buys + sells === 0) return;
+            if (!indexes.has(address)) {
+                indexes.set(address, indexes.size);
+                flags.push((flagged.has(address) ? 1 : 0) | (counted.has(address) ? 2 : 0));
+            }
+            activity.push([offset, indexes.get(address), buys, sells]);
+        });
+    });
+
+    return {
+        timezone: config.timezone,
+        event: TIME_RANGE_EVENT,
+        start,
+        bucketSeconds,
+        maxBars: MAX_BARS,
+        tableSize: INTERVAL_TABLE_SIZE,
+        buckets: series.detailed.map(bucket => [
+            offsetOf(bucket.timestamp), bucket.trades, bucket.buyCount, bucket.sellCount,
+            compact(bucket.buyVolume), compact(bucket.sellVolume), bucket.high, bucket.low
+        ]),
+        wallets: [...indexes.keys()],
+        flags,
+        activity,
+        intervals: intervals.suspicious.map(interval => [
+            offsetOf(interval.timestamp), interval.suspiciousScore, interval.totalTransactions, interval.uniqueWallets,
+            interval.buyCount, interval.sellCount, interval.whaleTransactionsCount, interval.potentialWashTraders.length
+        ])
+    };
+}
+
+// 页面顶部的时间范围栏
+function renderTimeRangeSection(data) {
+    return `
+            <div class="time-range-bar" id="timeRangeBar">
+                <span class="text-muted">统计范围：</span>
+                <strong id="timeRangeLabel">全部数据</strong>
+                <span class="text-muted" id="timeRangeHint">（在 K 线图上按住 Shift 拖动选择时间范围，按 ${formatDuration(data.bucketSeconds)}区间只统计范围内的交易；钱包评分、区间得分、风险评分与分析报告始终基于全部数据）</span>
+                <button type="button" class="btn btn-sm btn-outline-secondary" id="timeRangeClear" disabled>清除</button>
+            </div>`;
+}
+
+// 可疑活动时间区间表（内容由脚本按当前时间范围生成）
+function renderSuspiciousIntervalTable() {
+    return `
+                <div class="table-responsive">
+                    <table class="table table-sm table-striped" id="suspiciousIntervalTable">
+                        <thead>
+                            <tr>
+                                <th>区间开始</th>
+                                <th>得分</th>
+                                <th>交易笔数</th>
+                                <th>独立钱包</th>
+                                <th>买入 / 卖出</th>
+                                <th>巨鲸交易</th>
+                                <th>往返交易钱包</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>`;
+}
+
+// 时间范围筛选脚本（在 Chart.js 图表和导出脚本之后执行）
+function renderTimeRangeScript(data) {
+    return `
+        (function() {
+            const data = ${embedJSON(data)};
+            const bar = document.getElementById('timeRangeBar');
+            if (!bar) return;
+            ${renderTimeFormatScript()}
+            const size = data.bucketSeconds;
+            const timeOf = offset => data.start + offset * size;
+            // 与所选范围有重叠的细分区间
+            const within = (offset, range) => !range || (timeOf(offset) + size > range.from && timeOf(offset) < range.to);
+            const getChart = id => (typeof Chart === 'undefined' ? null : Chart.getChart(id));
+
+            // ==== 统计卡片 ====
+            const cards = ['statTrades', 'statSuspiciousWallets', 'statHighPrice', 'statLowPrice', 'statPriceRatio']
+                .map(id => document.getElementById(id));
+            const originalCards = cards.map(card => card && card.textContent);
+            const updateCards = (range, buckets, activeWallets) => {
+                if (!range) {
+                    cards.forEach((card, index) => { if (card) card.textContent = originalCards[index]; });
+                    return;
+                }
+                let high = null;
+                let low = null;
+                buckets.forEach(bucket => {
+                    if (bucket[6] === null) return;
+                    if (high === null || bucket[6] > high) high = bucket[6];
+                    if (low === null || bucket[7] < low) low = bucket[7];
+                });
+                const values = [
+                    buckets.reduce((sum, bucket) => sum + bucket[1], 0),
+                    [...activeWallets.keys()].filter(index => data.flags[index] & 2).length,
+                    high !== null ? high.toFixed(4) : 'N/A',
+                    low !== null ? low.toExponential(2) : 'N/A',
+                    high !== null && low ? (high / low).toExponential(2) : 'N/A'
+                ];
+                cards.forEach((card, index) => { if (card) card.textContent = values[index]; });
+            };
+
+            // ==== 交易量与买卖比率图 ====
+            // 按不超过 maxBars 根柱重新分桶，空桶补零
+            const rebucket = (buckets, range) => {
+                const from = Math.floor(range.from / size) * size;
+                const to = Math.ceil(range.to / size) * size;
+                const step = size * Math.max(1, Math.ceil((to - from) / size / data.maxBars));
+                const bars = [];
+                for (let time = from; time < to; time += step) bars.push({ time, buyCount: 0, sellCount: 0, buyVolume: 0, sellVolume: 0 });
+                buckets.forEach(bucket => {
+                    const bar = bars[Math.floor((timeOf(bucket[0]) - from) / step)];
+                    if (!bar) return;
+                    bar.buyCount += bucket[2];
+                    bar.sellCount += bucket[3];
+                    bar.buyVolume += bucket[4];
+                    bar.sellVolume += bucket[5];
+                });
+                return { step, bars };
+            };
+            const ratioColor = (value, alpha) =>
+                value > 1 ? (value > 3 ? 'rgba(22, 163, 74, ' + alpha + ')' : 'rgba(34, 197, 94, ' + alpha + ')') : 'rgba(239, 68, 68, ' + alpha + ')';
+
+            // 保存原图表内容，清除选择时恢复
+            const snapshot = chart => chart && {
+                labels: chart.data.labels,
+                wallets: chart.data.wallets,
+                datasets: chart.data.datasets.map(dataset => ({ ...dataset })),
+                unit: chart.options.scales && chart.options.scales.x.time ? chart.options.scales.x.time.unit : null
+            };
+            const restore = (chart, original) => {
+                chart.data.labels = original.labels;
+                chart.data.wallets = original.wallets;
+                chart.data.datasets.forEach((dataset, index) => Object.assign(dataset, original.datasets[index]));
+                if (original.unit) chart.options.scales.x.time.unit = original.unit;
+                chart.update();
+            };
+            const setTimeUnit = (chart, step) => {
+                const unit = step < 3600 ? 'minute' : 'hour';
+                chart.options.scales.x.time.unit = unit;
+                chart.options.scales.x.time.displayFormats = { ...chart.options.scales.x.time.displayFormats, [unit]: 'MM-DD HH:mm' };
+            };
+
+            const volumeChart = getChart('volumeChart');
+            const ratioChart = getChart('buySellRatioChart');
+            const activityChart = getChart('walletActivityChart');
+            const originals = new Map([volumeChart, ratioChart, activityChart].filter(Boolean).map(chart => [chart, snapshot(chart)]));
+
+            const updateVolumeChart = (range, buckets) => {
+                if (!volumeChart || volumeChart.data.datasets.length < 2) return;
+                if (!range) return restore(volumeChart, originals.get(volumeChart));
+                const { step, bars } = rebucket(buckets, range);
+                volumeChart.data.datasets[0].data = bars.map(bar => ({ x: new Date(bar.time * 1000), y: bar.buyVolume }));
+                volumeChart.data.datasets[1].data = bars.map(bar => ({ x: new Date(bar.time * 1000), y: bar.sellVolume }));
+                setTimeUnit(volumeChart, step);
+                volumeChart.update();
+            };
+
+            const updateRatioChart = (range, buckets) => {
+                if (!ratioChart || ratioChart.data.datasets.length < 1) return;
+                if (!range) return restore(ratioChart, originals.get(ratioChart));
+                const { step, bars } = rebucket(buckets, range);
+                // 与生成报告时相同：没有卖出时有买入记为 5，比率上限为 5
+                const ratios = bars.map(bar => (bar.sellCount === 0 ? (bar.buyCount > 0 ? 5 : 0) : Math.min(bar.buyCount / bar.sellCount, 5)));
+                const dataset = ratioChart.data.datasets[0];
+                ratioChart.data.labels = bars.map(bar => new Date(bar.time * 1000).toISOString());
+                dataset.data = ratios;
+                dataset.backgroundColor = ratios.map(value => ratioColor(value, 0.85));
+                dataset.borderColor = ratios.map(value => ratioColor(value, 1));
+                setTimeUnit(ratioChart, step);
+                ratioChart.update();
+            };
+
+            // ==== 钱包活动图 ====
+            const updateActivityChart = (range, activeWallets) => {
+                if (!activityChart || activityChart.data.datasets.length < 2 || !originals.get(activityChart).wallets) return;
+                if (!range) return restore(activityChart, originals.get(activityChart));
+                const top = [...activeWallets.entries()]
+                    .sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]))
+                    .slice(0, originals.get(activityChart).wallets.length);
+                const suspicious = top.map(([index]) => Boolean(data.flags[index] & 1));
+                const [buys, sells] = activityChart.data.datasets;
+                activityChart.data.wallets = top.map(([index]) => data.wallets[index]);
+                activityChart.data.labels = top.map(([index], position) => {
+                    const address = data.wallets[index];
+                    const shortAddress = address.slice(0, 6) + '...' + address.slice(-4);
+                    return suspicious[position] ? '⚠️ ' + shortAddress : shortAddress;
+                });
+                buys.data = top.map(([, counts]) => counts[0]);
+                buys.backgroundColor = suspicious.map(flag => (flag ? 'rgba(234, 179, 8, 0.8)' : 'rgba(34, 197, 94, 0.8)'));
+                buys.borderColor = suspicious.map(flag => (flag ? 'rgba(234, 179, 8, 0.9)' : 'rgba(34, 197, 94, 0.9)'));
+                sells.data = top.map(([, counts]) => counts[1]);
+                sells.backgroundColor = suspicious.map(flag => (flag ? 'rgba(249, 115, 22, 0.8)' : 'rgba(239, 68, 68, 0.8)'));
+                sells.borderColor = suspicious.map(flag => (flag ? 'rgba(249, 115, 22, 0.9)' : 'rgba(239, 68, 68, 0.9)'));
+                activityChart.update();
+            };
+
+            // ==== 可疑活动时间区间 ====
+            const summary = document.getElementById('suspiciousIntervalSummary');
+            const originalSummary = summary && summary.innerHTML;
+            const intervalBody = document.querySelector('#suspiciousIntervalTable tbody');
+            const updateIntervals = (range, intervals) => {
+                if (summary) {
+                    summary.innerHTML = !range ? originalSummary :
+                        '所选时间范围内共 ' + intervals.length + ' 个区间得分大于 0' +
+                        (intervals.length > 0 ? '，最高 ' + intervals.reduce((max, interval) => Math.max(max, interval[1]), 0) + ' 分' : '') + '。';
+                }
+                if (!intervalBody) return;
+                const rows = [...intervals].sort((a, b) => b[1] - a[1] || a[0] - b[0]).slice(0, data.tableSize);
+                intervalBody.innerHTML = rows.length === 0 ?
+                    '<tr><td colspan="7" class="text-muted">没有得分大于 0 的区间</td></tr>' :
+                    rows.map(interval => '<tr><td>' + formatTime(timeOf(interval[0])) + '</td><td>' + interval[1] + '</td><td>' + interval[2] +
+                        '</td><td>' + interval[3] + '</td><td>' + interval[4] + ' / ' + interval[5] + '</td><td>' + interval[6] +
+                        '</td><td>' + interval[7] + '</td></tr>').join('');
+            };
+
+            // 导出的可疑区间跟随所选范围
+            let currentRange = null;
+            if (window.reportExport) {
+                const allIntervals = window.reportExport.get('suspiciousIntervals');
+                window.reportExport.register('suspiciousIntervals', () => (!currentRange ? allIntervals : {
+                    ...allIntervals,
+                    sheets: allIntervals.sheets.map(sheet => ({
+                        ...sheet,
+                        rows: sheet.rows.filter(row => row.timestamp + size > currentRange.from && row.timestamp < currentRange.to)
+                    }))
+                }));
+            }
+
+            // 范围内有交易的钱包：钱包序号 → [买入笔数, 卖出笔数]
+            const walletActivity = range => {
+                const activeWallets = new Map();
+                data.activity.forEach(([offset, index, buys, sells]) => {
+                    if (!within(offset, range)) return;
+                    const counts = activeWallets.get(index) || [0, 0];
+                    counts[0] += buys;
+                    counts[1] += sells;
+                    activeWallets.set(index, counts);
+                });
+                return activeWallets;
+            };
+            // 供可疑钱包列表按所选范围筛选：钱包地址 → [买入笔数, 卖出笔数]
+            window.reportTimeRange = {
+                walletActivity: range => new Map([...walletActivity(range)].map(([index, counts]) => [data.wallets[index], counts]))
+            };
+
+            // ==== 应用时间范围 ====
+            const label = document.getElementById('timeRangeLabel');
+            const clear = document.getElementById('timeRangeClear');
+            const apply = range => {
+                currentRange = range;
+                const buckets = data.buckets.filter(bucket => within(bucket[0], range));
+                const activeWallets = walletActivity(range);
+
+                label.textContent = range ? formatTime(range.from) + ' 至 ' + formatTime(range.to) : '全部数据';
+                clear.disabled = !range;
+                [
+                    () => updateCards(range, buckets, activeWallets),
+                    () => updateVolumeChart(range, buckets),
+                    () => updateRatioChart(range, buckets),
+                    () => updateActivityChart(range, activeWallets),
+                    () => updateIntervals(range, data.intervals.filter(interval => within(interval[0], range)))
+                ].forEach(update => {
+                    try {
+                        update();
+                    } catch (error) {
+                        console.error('按时间范围更新页面时出错:', error);
+                    }
+                });
+            };
+
+            document.addEventListener(data.event, event => apply(event.detail));
+            clear.addEventListener('click', () => document.dispatchEvent(new CustomEvent(data.event, { detail: null })));
+            updateIntervals(null, data.intervals);
+        })();`;
+}
+
+module.exports = {
+    createTimeRangeData,
+    renderTimeRangeSection,
+    renderSuspiciousIntervalTable,
+    renderTimeRangeScript
+};
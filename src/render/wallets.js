@@ -0,0 +1,364 @@
+/**
+ * 可疑钱包表与钱包活动列表
+ * 把评分超过 walletScoring.tableMinScore 的全部钱包嵌入页面，
+ * 在浏览器中分页、按列排序，并按地址、评分和交易额筛选；导出时只包含符合当前筛选条件的钱包。
+ * 在 K 线图上选择时间范围后只列出范围内有交易的钱包，交易次数列改为范围内的笔数
+ */
+
+const _ = require('lodash');
+const { renderExportButtons } = require('./exports');
+const { TIME_RANGE_EVENT } = require('./candlestick');
+const { escapeHTML, embedJSON, formatMoney, formatValueWithSOL, formatSOLWithUSD, formatWinRate, describeTriggeredRule } = require('./format');
+
+// 每页行数
+const TABLE_PAGE_SIZES = [20, 50];
+const ACTIVITY_PAGE_SIZE = 50;
+
+// 交易次数列的序号（选择时间范围后显示范围内的笔数）
+const TRADES_COLUMN = 3;
+
+// 表格列：sortValue 为排序用的原始值（null 总是排在最后），withUSD 的列在有 SOL/USD 价格表时附带 USD
+const COLUMNS = [
+    { label: '钱包地址', sortValue: wallet => wallet.address },
+    { label: '可疑度评分', sortValue: wallet => wallet.suspiciousScore },
+    { label: '触发规则', sortValue: wallet => wallet.triggeredRules.length },
+    { label: '交易次数', sortValue: wallet => wallet.transactionCount },
+    { label: '总交易额', sortValue: wallet => wallet.totalValue },
+    // 只买不卖时比率为 Infinity，JSON 中无法表示，用最大数代替
+    { label: '买卖比率', sortValue: wallet => (wallet.buyToSellRatio === Infinity ? Number.MAX_VALUE : wallet.buyToSellRatio) },
+    { label: '活跃时长(小时)', sortValue: wallet => wallet.timeActiveHours },
+    { label: '盈亏', sortValue: wallet => (wallet.pnl ? wallet.pnl.total : null) },
+    { label: '胜率', sortValue: wallet => (wallet.pnl ? wallet.pnl.winRate : null) },
+    { label: '净SOL变化', withUSD: true, sortValue: wallet => wallet.netSOLChange },
+    { label: '洗盘占比', sortValue: wallet => wallet.washFraction },
+    { label: '多腿交易', sortValue: wallet => wallet.multiLegCount },
+    { label: '钱包群', sortValue: wallet => wallet.clusterId }
+];
+
+// 表格一行的各单元格
+function renderWalletCells(wallet, config, currency) {
+    const scoreClass = wallet.suspiciousScore >= 5 ? 'score-high' :
+        (wallet.suspiciousScore >= config.walletScoring.suspiciousMinScore ? 'score-medium' : 'score-low');
+    return [
+        `<a href="#" data-wallet="${escapeHTML(wallet.address)}" title="查看钱包详情">${escapeHTML(wallet.address)}</a>`,
+        `<span class="suspicious-score ${scoreClass}">${wallet.suspiciousScore}</span>`,
+        wallet.triggeredRules.length > 0 ? wallet.triggeredRules.map(rule =>
+            `<span class="badge bg-secondary me-1" title="${escapeHTML(describeTriggeredRule(rule, currency))}">${rule.label} +${rule.points}</span>`
+        ).join('') : '-',
+        `${wallet.transactionCount}`,
+        formatValueWithSOL(wallet.totalValue, wallet.totalValueSOL, currency),
+        wallet.buyToSellRatio === Infinity ? '∞' : wallet.buyToSellRatio.toFixed(2),
+        wallet.timeActiveHours.toFixed(2),
+        `<span class="${wallet.pnl && wallet.pnl.total > 0 ? 'text-success' : 'text-danger'}">${wallet.pnl ? formatMoney(wallet.pnl.total, currency) : 'N/A'}</span>`,
+        wallet.pnl ? formatWinRate(wallet.pnl.winRate) : 'N/A',
+        `<span class="${wallet.netSOLChange > 0 ? 'text-success' : 'text-danger'}">${formatSOLWithUSD(wallet.netSOLChange, wallet.netUSDChange)}</span>`,
+        wallet.washFraction > 0 ? `${(wallet.washFraction * 100).toFixed(1)}%` : '-',
+        wallet.multiLegCount > 0 ? `<span class="badge bg-warning text-dark">${wallet.multiLegCount}</span>` : '-',
+        wallet.clusterId ? `<span class="badge bg-info text-dark">#${wallet.clusterId}</span>` : '-'
+    ];
+}
+
+/**
+ * 导出用的钱包记录
+ * 每条评分规则的得分单独成列（rule_<规则名>，未触发为 0），triggeredRules 列为规则说明
+ */
+function createWalletRecord(wallet, ruleNames, currency) {
+    const pointsByRule = _.mapValues(_.keyBy(wallet.triggeredRules, 'rule'), 'points');
+    return {
+        address: wallet.address,
+        suspiciousScore: wallet.suspiciousScore,
+        ...Object.fromEntries(ruleNames.map(name => [`rule_${name}`, pointsByRule[name] || 0])),
+        triggeredRules: wallet.triggeredRules.map(rule => describeTriggeredRule(rule, currency)).join('; '),
+        transactionCount: wallet.transactionCount,
+        buyCount: wallet.buys.count,
+        sellCount: wallet.sells.count,
+        totalValue: wallet.totalValue,
+        totalValueSOL: wallet.totalValueSOL,
+        // 只买不卖时为 Infinity，导出为空
+        buyToSellRatio: wallet.buyToSellRatio === Infinity ? null : wallet.buyToSellRatio,
+        timeActiveHours: wallet.timeActiveHours,
+        transactionFrequency: wallet.transactionFrequency,
+        pnlTotal: wallet.pnl ? wallet.pnl.total : null,
+        pnlRealized: wallet.pnl ? wallet.pnl.realized : null,
+        pnlUnrealized: wallet.pnl ? wallet.pnl.unrealized : null,
+        winRate: wallet.pnl ? wallet.pnl.winRate : null,
+        netSOLChange: wallet.netSOLChange,
+        netUSDChange: wallet.netUSDChange,
+        washValue: wallet.washValue,
+        washFraction: wallet.washFraction,
+        multiLegCount: wallet.multiLegCount,
+        clusterId: wallet.clusterId
+    };
+}
+
+// 钱包活动列表中的一项
+function renderActivityItem(wallet, currency) {
+    const address = escapeHTML(`${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)}`);
+    return `<li title="${escapeHTML(wallet.address)}">
+                        <strong>${address}</strong>（${wallet.suspiciousScore} 分）:
+                        <ul>
+                            ${wallet.triggeredRules.map(rule => `<li>${escapeHTML(describeTriggeredRule(rule, currency))}</li>`).join('')}
+                        </ul>
+                    </li>`;
+}
+
+/**
+ * 生成钱包表与钱包活动列表的数据
+ * @param {Object} result - analyze() 的结果
+ * @returns {Object} 嵌入页面的数据：表格列、评分超过门槛的钱包行（含导出记录与评分规则明细）与钱包活动列表项
+ */
+function createWalletTableData(result) {
+    const { config, valuation } = result;
+    const { currency } = valuation;
+    const { tableMinScore, suspiciousMinScore } = config.walletScoring;
+    const scored = result.wallets.scored;
+    const tableWallets = scored.filter(wallet => wallet.suspiciousScore > tableMinScore);
+    const ruleNames = _.uniq(tableWallets.flatMap(wallet => wallet.triggeredRules.map(rule => rule.rule)));
+
+    return {
+        minScore: tableMinScore,
+        currency,
+        timeRangeEvent: TIME_RANGE_EVENT,
+        tradesColumn: TRADES_COLUMN,
+        pageSizes: TABLE_PAGE_SIZES,
+        columns: COLUMNS.map(column => (column.withUSD && valuation.solPriceTable ? `${column.label} (USD)` : column.label)),
+        rows: tableWallets.map(wallet => ({
+            address: wallet.address,
+            score: wallet.suspiciousScore,
+            totalValue: wallet.totalValue,
+            sort: COLUMNS.map(column => column.sortValue(wallet)),
+            cells: renderWalletCells(wallet, config, currency),
+            record: createWalletRecord(wallet, ruleNames, currency),
+            rules: wallet.triggeredRules
+        })),
+        activity: {
+            minScore: suspiciousMinScore,
+            pageSize: ACTIVITY_PAGE_SIZE,
+            items: scored.filter(wallet => wallet.suspiciousScore >= suspiciousMinScore).map(wallet => ({
+                address: wallet.address,
+                html: renderActivityItem(wallet, currency)
+            }))
+        }
+    };
+}
+
+// 可疑钱包表：筛选条件、表格与分页
+function renderWalletTableSection(data) {
+    return `
+                <div class="wallet-filters">
+                    <input type="search" class="form-control form-control-sm" id="walletSearch" placeholder="搜索钱包地址">
+                    <div class="input-group input-group-sm">
+                        <span class="input-group-text">评分</span>
+                        <input type="number" class="form-control" id="walletScoreMin" placeholder="最低" step="1">
+                        <input type="number" class="form-control" id="walletScoreMax" placeholder="最高" step="1">
+                    </div>
+                    <div class="input-group input-group-sm">
+                        <span class="input-group-text">总交易额 (${data.currency})</span>
+                        <input type="number" class="form-control" id="walletValueMin" placeholder="最低" step="any">
+                        <input type="number" class="form-control" id="walletValueMax" placeholder="最高" step="any">
+                    </div>
+                    <div class="input-group input-group-sm wallet-page-size">
+                        <span class="input-group-text">每页</span>
+                        <select class="form-select" id="walletPageSize">
+                            ${data.pageSizes.map(size => `<option value="${size}">${size}</option>`).join('')}
+                        </select>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" id="walletFilterReset">清除筛选</button>
+                    ${renderExportButtons('suspiciousWallets')}
+                </div>
+                <p class="text-muted mb-0" id="walletTableSummary"></p>
+                <div class="table-responsive">
+                    <table class="wallet-table" id="walletTable">
+                        <thead>
+                            <tr>
+                                ${data.columns.map((label, index) => `<th class="sortable" data-column="${index}">${label}<span class="sort-indicator"></span></th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody id="walletTableBody"></tbody>
+                    </table>
+                </div>
+                <nav aria-label="可疑钱包分页"><ul class="pagination pagination-sm flex-wrap" id="walletTablePager"></ul></nav>`;
+}
+
+// 钱包活动列表与分页
+function renderWalletActivitySection() {
+    return `
+                <ul id="walletActivityList"></ul>
+                <nav aria-label="钱包活动分页"><ul class="pagination pagination-sm flex-wrap" id="walletActivityPager"></ul></nav>`;
+}
+
+// 钱包表与钱包活动列表的脚本
+function renderWalletTableScript(data) {
+    return `
+        (function() {
+            const data = ${embedJSON(data)};
+
+            // 分页导航：上一页、首末页与当前页附近的页码、下一页
+            const renderPager = (pager, page, pageCount, onSelect) => {
+                const items = [];
+                const item = (label, target, options = {}) => items.push(
+                    '<li class="page-item' + (options.disabled ? ' disabled' : '') + (options.active ? ' active' : '') + '">' +
+                    (target === null ? '<span class="page-link">' + label + '</span>' :
+                        '<a class="page-link" href="#" data-page="' + target + '">' + label + '</a>') + '</li>');
+                item('上一页', page > 0 ? page - 1 : null, { disabled: page === 0 });
+                let previous = -1;
+                for (let i = 0; i < pageCount; i++) {
+                    if (i !== 0 && i !== pageCount - 1 && Math.abs(i - page) > 2) continue;
+                    if (i - previous > 1) item('…', null, { disabled: true });
+                    item(String(i + 1), i, { active: i === page });
+                    previous = i;
+                }
+                item('下一页', page < pageCount - 1 ? page + 1 : null, { disabled: page >= pageCount - 1 });
+                pager.innerHTML = pageCount > 1 ? items.join('') : '';
+                pager.querySelectorAll('[data-page]').forEach(link => link.addEventListener('click', event => {
+                    event.preventDefault();
+                    onSelect(Number(link.dataset.page));
+                }));
+            };
+
+            // ==== 可疑钱包表 ====
+            const body = document.getElementById('walletTableBody');
+            const summary = document.getElementById('walletTableSummary');
+            const tablePager = document.getElementById('walletTablePager');
+            const inputs = {
+                search: document.getElementById('walletSearch'),
+                scoreMin: document.getElementById('walletScoreMin'),
+                scoreMax: document.getElementById('walletScoreMax'),
+                valueMin: document.getElementById('walletValueMin'),
+                valueMax: document.getElementById('walletValueMax'),
+                pageSize: document.getElementById('walletPageSize')
+            };
+            const headers = document.querySelectorAll('#walletTable th[data-column]');
+            // 默认按评分降序
+            const state = { page: 0, column: 1, descending: true };
+            // 所选时间范围内各钱包的 [买入笔数, 卖出笔数]，未选择时间范围时为 null
+            let rangeActivity = null;
+            const rangeTrades = row => {
+                const counts = rangeActivity.get(row.address);
+                return counts[0] + counts[1];
+            };
+            const sortValue = row => (rangeActivity && state.column === data.tradesColumn ? rangeTrades(row) : row.sort[state.column]);
+            const cellsOf = row => (!rangeActivity ? row.cells :
+                row.cells.map((cell, index) => (index === data.tradesColumn ? rangeTrades(row) + '（全部 ' + cell + '）' : cell)));
+
+            const numberOf = input => (input.value.trim() === '' ? null : Number(input.value));
+            const filterRows = () => {
+                const search = inputs.search.value.trim().toLowerCase();
+                const scoreMin = numberOf(inputs.scoreMin);
+                const scoreMax = numberOf(inputs.scoreMax);
+                const valueMin = numberOf(inputs.valueMin);
+                const valueMax = numberOf(inputs.valueMax);
+                return data.rows.filter(row =>
+                    (!rangeActivity || rangeActivity.has(row.address)) &&
+                    (!search || row.address.toLowerCase().includes(search)) &&
+                    (scoreMin === null || row.score >= scoreMin) &&
+                    (scoreMax === null || row.score <= scoreMax) &&
+                    (valueMin === null || row.totalValue >= valueMin) &&
+                    (valueMax === null || row.totalValue <= valueMax));
+            };
+            const compare = (a, b) => {
+                const x = sortValue(a);
+                const y = sortValue(b);
+                if (x === null || y === null) return (x === null) - (y === null);
+                const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+                return state.descending ? -order : order;
+            };
+
+            const renderTable = () => {
+                const rows = filterRows().sort(compare);
+                const pageSize = Number(inputs.pageSize.value);
+                const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+                state.page = Math.min(state.page, pageCount - 1);
+                const start = state.page * pageSize;
+                const pageRows = rows.slice(start, start + pageSize);
+                body.innerHTML = pageRows.length > 0 ?
+                    pageRows.map(row => '<tr>' + cellsOf(row).map(cell => '<td>' + cell + '</td>').join('') + '</tr>').join('') :
+                    '<tr><td colspan="' + data.columns.length + '" class="text-muted">没有符合条件的钱包</td></tr>';
+                summary.textContent = '评分超过 ' + data.minScore + ' 分的钱包共 ' + data.rows.length + ' 个' +
+                    (rangeActivity ? '（评分基于全部数据，交易次数为所选时间范围内的笔数）' : '') +
+                    (rows.length < data.rows.length ? '，' + (rangeActivity ? '所选时间范围内有交易且' : '') + '符合筛选条件 ' + rows.length + ' 个' : '') +
+                    (rows.length > 0 ? '，当前显示第 ' + (start + 1) + ' ~ ' + (start + pageRows.length) + ' 个' : '');
+                headers.forEach(header => {
+                    const sorted = Number(header.dataset.column) === state.column;
+                    header.querySelector('.sort-indicator').textContent = sorted ? (state.descending ? ' ▼' : ' ▲') : '';
+                });
+                renderPager(tablePager, state.page, pageCount, page => {
+                    state.page = page;
+                    renderTable();
+                });
+            };
+
+            headers.forEach(header => header.addEventListener('click', () => {
+                const column = Number(header.dataset.column);
+                // 再次点击同一列切换升降序；地址默认升序，其余列默认降序
+                state.descending = column === state.column ? !state.descending : column !== 0;
+                state.column = column;
+                state.page = 0;
+                renderTable();
+            }));
+            Object.values(inputs).forEach(input => input.addEventListener('input', () => {
+                state.page = 0;
+                renderTable();
+            }));
+            document.getElementById('walletFilterReset').addEventListener('click', () => {
+                ['search', 'scoreMin', 'scoreMax', 'valueMin', 'valueMax'].forEach(key => { inputs[key].value = ''; });
+                state.page = 0;
+                renderTable();
+            });
+            renderTable();
+
+            // 导出符合当前筛选条件的钱包（按当前排序）；JSON 另附每个钱包触发的规则，XLSX 另附每个钱包每条规则、每个条件一行的明细
+            window.reportExport.register('suspiciousWallets', () => {
+                const rows = filterRows().sort(compare);
+                return {
+                    filename: 'suspicious_wallets',
+                    json: rows.map(row => ({ ...row.record, triggeredRules: row.rules })),
+                    sheets: [
+                        { name: 'wallets', rows: rows.map(row => row.record) },
+                        {
+                            name: 'rules',
+                            rows: rows.flatMap(row => row.rules.flatMap(rule => rule.conditions.map(condition => ({
+                                address: row.address,
+                                rule: rule.rule,
+                                label: rule.label,
+                                points: rule.points,
+                                metric: condition.metric,
+                                observed: condition.observed,
+                                operator: condition.operator,
+                                threshold: condition.threshold
+                            }))))
+                        }
+                    ]
+                };
+            });
+
+            // ==== 钱包活动列表 ====
+            const list = document.getElementById('walletActivityList');
+            const activityPager = document.getElementById('walletActivityPager');
+            const renderActivity = page => {
+                const { pageSize } = data.activity;
+                const items = data.activity.items.filter(item => !rangeActivity || rangeActivity.has(item.address));
+                const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+                list.innerHTML = items.length > 0 || !rangeActivity ?
+                    items.slice(page * pageSize, (page + 1) * pageSize).map(item => item.html).join('') :
+                    '<li class="text-muted">所选时间范围内没有可疑钱包的交易</li>';
+                renderPager(activityPager, page, pageCount, renderActivity);
+            };
+            renderActivity(0);
+
+            // ==== 时间范围 ====
+            document.addEventListener(data.timeRangeEvent, event => {
+                rangeActivity = event.detail && window.reportTimeRange ? window.reportTimeRange.walletActivity(event.detail) : null;
+                state.page = 0;
+                renderTable();
+                renderActivity(0);
+            });
+        })();`;
+}
+
+module.exports = {
+    createWalletTableData,
+    renderWalletTableSection,
+    renderWalletActivitySection,
+    renderWalletTableScript
+};
@@ -0,0 +1,216 @@
+/**
+ * 跑路（Rug Pull）/ 流动性抽离检测
+ * 单个钱包或钱包群在几分钟内卖出此前累计买入量的很大比例，随后价格崩跌且不再恢复、交易逐渐停止。
+ * 按成交顺序逐笔接收交易（见 timeline.js），只缓存尚在观察中的时间窗口内的交易
+ */
+
+const _ = require('lodash');
+const { createQueue } = require('./timeline');
+
+/**
+ * 创建跑路 / 流动性抽离检测器
+ * 集中卖出：每个钱包（或钱包群）在 windowSeconds 秒内卖出量占此前累计买入量的比例达到 minSupplyShare 的时段，重叠的时段合并。
+ * 集中卖出之后 collapseSeconds 秒内价格较卖出前下跌超过 minCollapsePercent% 即记为事件；
+ * 之后价格始终未回到卖出前的 recoveryPercent% 记为未恢复，卖出后交易频率不超过卖出前的 maxActivityRatio 记为交易枯竭。
+ * 两者同时成立的事件为严重事件。
+ * @param {Object} data
+ * @param {Object[]} data.clusters - detectWalletClusters() 的结果
+ * @param {Object} config - 完整配置
+ * @returns {{add: function(Object): void, finish: function(): Object[]}} finish() 返回按卖出额降序排列的事件
+ */
+function createRugPullDetector({ clusters }, config) {
+    const rules = config.rugPull;
+
+    const clusterOf = {};
+    clusters.forEach(cluster => cluster.wallets.forEach(address => { clusterOf[address] = cluster.id; }));
+    const entityOf = address => (clusterOf[address] ? `cluster:${clusterOf[address]}` : address);
+
+    // 最近的交易 { position, timestamp, price }：保留新的集中卖出可能用到的时长，以及尚在观察中的集中卖出开始之后的全部交易
+    const recent = createQueue();
+    const retainSeconds = rules.windowSeconds + rules.activitySeconds;
+    const sellWindows = new Map(); // 钱包或钱包群 → 窗口内的卖出与当前的集中卖出
+    const observing = [];          // 等待观察期结束的集中卖出
+    const events = [];             // 已观察结束的集中卖出（价格回升在之后的交易中继续更新）
+    let position = 0;
+    let bought = 0;                // 累计买入量
+    let lastPrice = null;          // 最近一笔有成交价的交易的价格
+    let latest = null;
+
+    // 观察期结束：集中卖出不会再延长，价格低点与卖出后交易频率的统计时长都已过去
+    const isObserved = (dump, timestamp) =>
+        timestamp - dump.endTimestamp > rules.windowSeconds &&
+        timestamp >= dump.endTimestamp + 1 + Math.max(rules.collapseSeconds, rules.activitySeconds);
+
+    // [from, to) 内的交易笔数
+    const tradeCount = (from, to) => {
+        let total = 0;
+        for (let i = 0; i < recent.length; i++) {
+            const { timestamp } = recent.at(i);
+            if (timestamp >= from && timestamp < to) total++;
+        }
+        return total;
+    };
+
+    // 在缓存的交易中统计价格低点与卖出后的交易频率
+    function evaluate(dump) {
+        const collapseEnd = dump.endTimestamp + rules.collapseSeconds + 1;
+        const observedSeconds = Math.min(rules.activitySeconds, latest - dump.endTimestamp);
+        let lowest = null;
+        let priceAfter = null;
+        for (let i = 0; i < recent.length; i++) {
+            const trade = recent.at(i);
+            if (trade.position < dump.startIndex) continue;
+            if (trade.timestamp < collapseEnd && trade.price > 0) {
+                if (!lowest || trade.price < lowest.price) lowest = trade;
+                priceAfter = trade.price;
+            }
+        }
+
+        // 价格低点之后的最高价格，用于判断是否恢复（之后的交易继续更新）
+        let recoveryPrice = 0;
+        if (lowest) {
+            for (let i = 0; i < recent.length; i++) {
+                const trade = recent.at(i);
+                if (trade.position > lowest.position) recoveryPrice = Math.max(recoveryPrice, trade.price || 0);
+            }
+        }
+
+        const collapsePercent = lowest && dump.priceBefore > 0 ? (dump.priceBefore - lowest.price) / dump.priceBefore * 100 : 0;
+        events.push({
+            ...dump,
+            lowestPrice: lowest ? lowest.price : null,
+            lowestTimestamp: lowest ? lowest.timestamp : null,
+            priceAfter,
+            collapsePercent,
+            recoveryPrice,
+            // 卖出后的观察时长不足一分钟时无法判断，不视为交易枯竭
+            tradesPerHourAfter: observedSeconds >= 60 ?
+                tradeCount(dump.endTimestamp + 1, dump.endTimestamp + 1 + observedSeconds) / observedSeconds * 3600 :
+                null,
+            // 只有价格崩跌的事件需要继续跟踪价格回升
+            tracking: collapsePercent > rules.minCollapsePercent
+        });
+    }
+
+    function startDump(entity, sells) {
+        const first = sells.at(0);
+        const dump = {
+            entity,
+            startTimestamp: first.timestamp,
+            endTimestamp: first.timestamp,
+            startIndex: first.position,
+            lastSell: first.index - 1,
+            wallets: [],
+            sellCount: 0,
+            amount: 0,
+            extractedValue: 0,
+            bought: 0,
+            // 卖出前最后成交价（之前没有成交价时取第一笔卖出的价格）
+            priceBefore: first.priceBefore !== null ? first.priceBefore : first.price,
+            // 卖出前的交易频率（每小时笔数）
+            tradesPerHourBefore: tradeCount(first.timestamp - rules.activitySeconds, first.timestamp) / rules.activitySeconds * 3600
+        };
+        observing.push(dump);
+        return dump;
+    }
+
+    // 把窗口内尚未计入的卖出计入集中卖出
+    function extendDump(dump, sells, sell) {
+        for (let i = 0; i < sells.length; i++) {
+            const record = sells.at(i);
+            if (record.index <= dump.lastSell) continue;
+            dump.lastSell = record.index;
+            if (!dump.wallets.includes(record.wallet)) dump.wallets.push(record.wallet);
+            dump.sellCount++;
+            dump.amount += record.amount;
+            dump.extractedValue += record.value;
+        }
+        dump.endTimestamp = sell.timestamp;
+        dump.bought = bought;
+    }
+
+    function addSell(trade, tradePosition, priceBefore) {
+        const entity = entityOf(trade.wallet);
+        let window = sellWindows.get(entity);
+        if (!window) {
+            window = { sells: createQueue(), count: 0, amount: 0, current: null };
+            sellWindows.set(entity, window);
+        }
+        const { sells } = window;
+        sells.push({ ...trade, position: tradePosition, index: window.count++, priceBefore });
+        window.amount += trade.amount;
+        while (trade.timestamp - sells.at(0).timestamp > rules.windowSeconds) {
+            window.amount -= sells.shift().amount;
+        }
+        if (!(bought > 0) || window.amount / bought < rules.minSupplyShare) return;
+
+        if (!window.current || sells.at(0).timestamp > window.current.endTimestamp) {
+            window.current = startDump(entity, sells);
+        }
+        extendDump(window.current, sells, trade);
+    }
+
+    function add(trade) {
+        if (!rules.enabled) return;
+        latest = trade.timestamp;
+
+        _.remove(observing, dump => isObserved(dump, trade.timestamp)).forEach(evaluate);
+        events.forEach(event => {
+            if (event.tracking) event.recoveryPrice = Math.max(event.recoveryPrice, trade.price || 0);
+        });
+
+        const tradePosition = position++;
+        recent.push({ position: tradePosition, timestamp: trade.timestamp, price: trade.price });
+        if (trade.isBuy) {
+            bought += trade.amount;
+        } else {
+            addSell(trade, tradePosition, lastPrice);
+        }
+        if (trade.price > 0) lastPrice = trade.price;
+
+        const keepFrom = observing.length > 0 ? _.minBy(observing, 'startIndex').startIndex : position;
+        while (recent.length > 0 && recent.at(0).position < keepFrom && recent.at(0).timestamp < trade.timestamp - retainSeconds) {
+            recent.shift();
+        }
+    }
+
+    function finish() {
+        observing.splice(0).forEach(evaluate);
+
+        return _.orderBy(events.map(event => {
+            const recovered = event.recoveryPrice >= event.priceBefore * rules.recoveryPercent / 100;
+            const { tradesPerHourBefore, tradesPerHourAfter } = event;
+            const activityRatio = tradesPerHourAfter === null || tradesPerHourBefore === 0 ? null : tradesPerHourAfter / tradesPerHourBefore;
+            const activityDied = activityRatio !== null && activityRatio <= rules.maxActivityRatio;
+
+            return {
+                clusterId: event.entity.startsWith('cluster:') ? Number(event.entity.slice('cluster:'.length)) : null,
+                wallets: event.wallets,
+                startTimestamp: event.startTimestamp,
+                endTimestamp: event.endTimestamp,
+                sellCount: event.sellCount,
+                amount: event.amount,
+                supplyShare: event.amount / event.bought,
+                extractedValue: event.extractedValue,
+                priceBefore: event.priceBefore,
+                lowestPrice: event.lowestPrice,
+                lowestTimestamp: event.lowestTimestamp,
+                priceAfter: event.priceAfter,
+                collapsePercent: event.collapsePercent,
+                recovered,
+                recoveryPrice: event.recoveryPrice,
+                tradesPerHourBefore,
+                tradesPerHourAfter,
+                activityRatio,
+                activityDied,
+                severity: !recovered && activityDied ? 'critical' : 'high'
+            };
+        }).filter(event => event.collapsePercent > rules.minCollapsePercent), 'extractedValue', 'desc');
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    createRugPullDetector
+};
@@ -0,0 +1,138 @@
+/**
+ * 三明治攻击检测
+ * 按成交顺序（时间戳、区块号、区块内交易序号、输入顺序，见 timeline.js）查找“攻击者买入 → 受害者买入 → 攻击者卖出”的模式，
+ * 统计攻击者、受害者、攻击者获利额及攻击频率。逐笔接收交易，只缓存仍可能构成攻击的最近交易
+ */
+
+const _ = require('lodash');
+const { HOUR, isNearEqual } = require('./utils');
+const { createQueue } = require('./timeline');
+
+/**
+ * 创建三明治攻击检测器
+ * 攻击者的买入与其后一笔数量相近、获利的卖出之间（有区块号时相差不超过 maxSlotGap 个区块，否则不超过 windowSeconds 秒），
+ * 至少夹有 minVictims 笔其他钱包的买入。每笔卖出最多与一笔买入配对。
+ * 交易确定不再属于新的攻击后按原顺序交给 onTrade(trade, isLeg)，isLeg 表示该交易是攻击的买入或卖出（洗盘交易检测据此排除）
+ * @param {{slot: boolean, txIndex: boolean}} ordering - 参与排序的区块号 / 区块内序号列（见 aggregate.js）
+ * @param {Object} config - 完整配置
+ * @param {function(Object, boolean): void} onTrade
+ * @returns {{add: function(Object): void, finish: function(): Object}} finish() 返回攻击明细、攻击者与按小时的攻击频率
+ */
+function createSandwichDetector(ordering, config, onTrade) {
+    const rules = config.sandwich;
+    const recent = createQueue(); // 最早的未判定买入及之后的交易 { trade, position, isLeg }
+    const open = createQueue();   // 尚未判定的买入
+    const attacks = [];
+    let position = 0;
+
+    const inRange = (buy, trade) => (ordering.slot ?
+        trade.slot - buy.slot <= rules.maxSlotGap :
+        trade.timestamp - buy.timestamp <= rules.windowSeconds);
+
+    // 在买入之后的交易中查找攻击者的卖出
+    function evaluate(entry) {
+        const buy = entry.trade;
+        const attacker = buy.wallet;
+        const victims = [];
+        for (let i = entry.position - recent.at(0).position + 1; i < recent.length; i++) {
+            const candidate = recent.at(i);
+            const sell = candidate.trade;
+            if (sell.wallet !== attacker) {
+                if (sell.isBuy) victims.push(sell);
+                continue;
+            }
+            if (!inRange(buy, sell)) break;
+            if (sell.isBuy || candidate.isLeg || !isNearEqual(buy.amount, sell.amount, rules.amountTolerance)) continue;
+
+            const extractedValue = sell.value - buy.value;
+            if (extractedValue <= 0 || victims.length < rules.minVictims) continue;
+
+            entry.isLeg = true;
+            candidate.isLeg = true;
+            attacks.push({
+                attacker,
+                slot: ordering.slot ? buy.slot : null,
+                buyTimestamp: buy.timestamp,
+                sellTimestamp: sell.timestamp,
+                buyPrice: buy.price,
+                sellPrice: sell.price,
+                amount: Math.min(buy.amount, sell.amount),
+                victims: _.uniq(victims.map(trade => trade.wallet)),
+                victimTrades: victims.length,
+                victimValue: _.sumBy(victims, 'value'),
+                extractedValue
+            });
+            return;
+        }
+    }
+
+    // 最早的未判定买入之前的交易不会再成为攻击的一部分
+    function release() {
+        const keepFrom = open.length > 0 ? open.at(0).position : position;
+        while (recent.length > 0 && recent.at(0).position < keepFrom) {
+            const { trade, isLeg } = recent.shift();
+            onTrade(trade, isLeg);
+        }
+    }
+
+    function add(trade) {
+        if (!rules.enabled) {
+            onTrade(trade, false);
+            return;
+        }
+        // 超出范围的买入之后不会再有可配对的卖出
+        while (open.length > 0 && !inRange(open.at(0).trade, trade)) evaluate(open.shift());
+
+        const entry = { trade, position: position++, isLeg: false };
+        recent.push(entry);
+        if (trade.isBuy) open.push(entry);
+        release();
+    }
+
+    function finish() {
+        while (open.length > 0) evaluate(open.shift());
+        release();
+
+        const empty = {
+            ordering,
+            attacks: [],
+            attackers: [],
+            victimCount: 0,
+            victimTrades: 0,
+            extractedValue: 0,
+            hourly: []
+        };
+        if (attacks.length === 0) return empty;
+
+        const attackers = _.orderBy(_.map(_.groupBy(attacks, 'attacker'), (list, address) => ({
+            address,
+            attacks: list.length,
+            victims: _.uniq(list.flatMap(attack => attack.victims)).length,
+            extractedValue: _.sumBy(list, 'extractedValue'),
+            firstSeen: _.minBy(list, 'buyTimestamp').buyTimestamp,
+            lastSeen: _.maxBy(list, 'sellTimestamp').sellTimestamp
+        })), 'extractedValue', 'desc');
+
+        const hourly = _.sortBy(_.map(_.groupBy(attacks, attack => Math.floor(attack.buyTimestamp / HOUR) * HOUR), (list, hour) => ({
+            timestamp: Number(hour),
+            attacks: list.length,
+            extractedValue: _.sumBy(list, 'extractedValue')
+        })), 'timestamp');
+
+        return {
+            ordering,
+            attacks: _.sortBy(attacks, 'buyTimestamp'),
+            attackers,
+            victimCount: _.uniq(attacks.flatMap(attack => attack.victims)).length,
+            victimTrades: _.sumBy(attacks, 'victimTrades'),
+            extractedValue: _.sumBy(attacks, 'extractedValue'),
+            hourly
+        };
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    createSandwichDetector
+};
@@ -0,0 +1,243 @@
+/**
+ * 输入数据结构
+ * 将不同来源的列名与买卖标签映射为标准字段，校验每条记录并汇总数据质量
+ */
+
+const _ = require('lodash');
+const { MAX_EXAMPLES, formatTimestamp } = require('./utils');
+const { createTransactionTracker } = require('./transactions');
+
+// 拒绝原因
+const REJECT_REASONS = {
+    missing_timestamp: '缺少时间戳',
+    invalid_timestamp: '时间戳无法解析',
+    missing_side: '缺少买卖方向',
+    unknown_side: '无法识别的买卖方向',
+    missing_amount: '缺少交易数量'
+};
+
+// 大于该值的数字时间戳视为毫秒
+const MILLISECOND_TIMESTAMP = 1e11;
+
+// 不带时区偏移的 ISO 日期时间（日期与时间之间可为 T 或空格）
+const LOCAL_ISO_DATETIME = /^\s*(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(:\d{2}(\.\d+)?)?)\s*$/;
+
+// 解析时间戳：支持秒/毫秒数字、数字字符串、ISO 日期字符串和 Date 对象，返回秒；无法解析返回 NaN
+// 不带时区偏移的日期字符串按 UTC 解析，结果不随运行环境的时区变化
+function parseTimestamp(value) {
+    let ms;
+    if (value instanceof Date) {
+        ms = value.getTime();
+    } else if (typeof value === 'number' || /^\s*\d+(\.\d+)?\s*$/.test(value)) {
+        const num = Number(value);
+        ms = num > MILLISECOND_TIMESTAMP ? num : num * 1000;
+    } else {
+        const local = LOCAL_ISO_DATETIME.exec(value);
+        ms = Date.parse(local ? `${local[1]}T${local[2]}Z` : value);
+    }
+    return Math.floor(ms / 1000);
+}
+
+// 解析数值，空值和无法解析的值返回 undefined
+function parseNumber(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const num = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isNaN(num) ? undefined : num;
+}
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+/**
+ * 创建列映射：按记录的列名确定每个标准字段对应的源列
+ * JSON Lines 等来源的记录可能缺少部分列，因此每种列名组合分别确定一次映射并缓存
+ * @param {Object} schema - 配置中的 schema 项
+ * @returns {{mapRow: function(Object): Object, mapping: Object}} mapping 为各列名组合的映射合并（先出现的优先）
+ */
+function createColumnMapping(schema) {
+    const sideLabels = {};
+    schema.sides.buy.forEach(label => { sideLabels[String(label).toLowerCase()] = 'TOKEN_BUY'; });
+    schema.sides.sell.forEach(label => { sideLabels[String(label).toLowerCase()] = 'TOKEN_SELL'; });
+
+    const mappings = new Map(); // 排序后的列名 → 映射
+    let last = null;            // 上一条记录的列名与映射（相邻记录的列名通常相同）
+
+    // 按配置顺序为每个标准字段选取第一个存在的源列
+    function resolve(keys) {
+        const byLowerCase = _.keyBy(keys, key => key.trim().toLowerCase());
+        return _.omitBy(
+            _.mapValues(schema.columns, candidates =>
+                _.find(candidates.map(name => byLowerCase[name.toLowerCase()]), Boolean)),
+            _.isUndefined
+        );
+    }
+
+    function mappingFor(raw) {
+        const keys = Object.keys(raw);
+        if (last && keys.length === last.keys.length && keys.every((key, i) => key === last.keys[i])) return last.mapping;
+
+        const id = [...keys].sort().join('\n');
+        if (!mappings.has(id)) mappings.set(id, resolve(keys));
+        last = { keys, mapping: mappings.get(id) };
+        return last.mapping;
+    }
+
+    // 映射为标准字段，买卖方向统一为 TOKEN_BUY / TOKEN_SELL
+    function mapRow(raw) {
+        const row = _.mapValues(mappingFor(raw), column => raw[column]);
+
+        const side = isBlank(row.type) ? '' : String(row.type).trim();
+        row.type = side === '' ? null : (sideLabels[side.toLowerCase()] || side);
+
+        // 不区分方向的价格/数量列按买卖方向填入对应字段
+        if (row.type === 'TOKEN_BUY') {
+            if (isBlank(row.buy_price)) row.buy_price = row.price;
+            if (isBlank(row.buy_amount)) row.buy_amount = row.amount;
+        } else if (row.type === 'TOKEN_SELL') {
+            if (isBlank(row.sell_price)) row.sell_price = row.price;
+            if (isBlank(row.sell_amount)) row.sell_amount = row.amount;
+        }
+        delete row.price;
+        delete row.amount;
+
+        return row;
+    }
+
+    return {
+        mapRow,
+        get mapping() {
+            return mappings.size > 0 ? _.defaults({}, ...mappings.values()) : null;
+        }
+    };
+}
+
+// 校验映射后的记录，返回拒绝原因，有效记录返回 null
+function validateRow(row) {
+    if (isBlank(row.trade_timestamp)) return 'missing_timestamp';
+    if (Number.isNaN(parseTimestamp(row.trade_timestamp))) return 'invalid_timestamp';
+    if (!row.type) return 'missing_side';
+    if (row.type !== 'TOKEN_BUY' && row.type !== 'TOKEN_SELL') return 'unknown_side';
+
+    const amount = row.type === 'TOKEN_BUY' ? row.buy_amount : row.sell_amount;
+    if (!parseNumber(amount)) return 'missing_amount';
+    return null;
+}
+
+/**
+ * 创建记录标准化器：列映射 + 校验 + 计价换算 + 去重 + 数据质量统计
+ * @param {Object} config - 生效配置
+ * @param {Object} log - 日志输出对象
+ * @param {Object} valuation - createValuation() 创建的计价换算器
+ * @param {Object} [options]
+ * @param {Set<number>} [options.duplicateRows] - 重新读取同一数据源时传入第一遍的 duplicateRows()，按行号去重而不再跟踪交易签名
+ * @returns {{normalize: function(Object): (Object|null), summary: function(): Object, duplicateRows: function(): Set<number>,
+ *   multiLegTransactions: function(): Object[], sharedSignatures: function(): Object[]}}
+ */
+function createNormalizer(config, log, valuation, options = {}) {
+    const columns = createColumnMapping(config.schema);
+    const { abnormalPrice } = config;
+    const transactions = createTransactionTracker(config.dedup);
+    const duplicateRows = options.duplicateRows || new Set(); // 作为重复记录丢弃的行号（从 1 开始）
+
+    let totalRows = 0;
+    let acceptedRows = 0;
+    const rejected = _.mapValues(REJECT_REASONS, () => 0);
+    const rejectedExamples = [];
+    const outOfRange = { count: 0, tooHigh: 0, tooLow: 0, examples: [] };
+
+    function reject(reason, raw) {
+        rejected[reason]++;
+        if (rejectedExamples.length < MAX_EXAMPLES) {
+            rejectedExamples.push({ reason, row: raw });
+        }
+        log.log(`发现无效数据行 (${REJECT_REASONS[reason]}):`, raw);
+        return null;
+    }
+
+    function normalize(raw) {
+        totalRows++;
+        const mapped = columns.mapRow(raw);
+        const reason = validateRow(mapped);
+        if (reason) return reject(reason, raw);
+
+        const row = {
+            ...mapped,
+            trade_timestamp: parseTimestamp(mapped.trade_timestamp),
+            buy_price: parseNumber(mapped.buy_price),
+            sell_price: parseNumber(mapped.sell_price),
+            net_sol_balance_change: parseNumber(mapped.net_sol_balance_change),
+            slot: parseNumber(mapped.slot),
+            tx_index: parseNumber(mapped.tx_index)
+        };
+        row.dateTime = new Date(row.trade_timestamp * 1000);
+
+        const isBuy = row.type === 'TOKEN_BUY';
+        const price = isBuy ? row.buy_price : row.sell_price;
+        row.buy_amount = isBuy ? parseNumber(mapped.buy_amount) : 0;
+        row.sell_amount = isBuy ? 0 : parseNumber(mapped.sell_amount);
+        row.transaction_value = price ? price * (row.buy_amount || row.sell_amount) : 0;
+        row.price = price;
+        valuation.convert(row);
+
+        // 重复记录（同一签名下已出现过的 leg）
+        if (options.duplicateRows ? duplicateRows.has(totalRows) : !transactions.add(row)) {
+            duplicateRows.add(totalRows);
+            return null;
+        }
+        acceptedRows++;
+
+        // 记录异常价格
+        if (price > abnormalPrice.max || price < abnormalPrice.min) {
+            outOfRange.count++;
+            if (price > abnormalPrice.max) outOfRange.tooHigh++;
+            else outOfRange.tooLow++;
+            if (outOfRange.examples.length < MAX_EXAMPLES) {
+                outOfRange.examples.push({ timestamp: row.trade_timestamp, price, type: row.type, signature: row.transaction_signature });
+            }
+            log.log('发现异常价格:', {
+                时间: formatTimestamp(row.trade_timestamp, config.timezone),
+                价格: price,
+                类型: row.type,
+                交易签名: row.transaction_signature
+            });
+        }
+
+        return row;
+    }
+
+    // 数据质量摘要
+    function summary() {
+        return {
+            totalRows,
+            acceptedRows,
+            rejectedRows: _.sum(Object.values(rejected)),
+            rejected: _.pickBy(rejected, count => count > 0),
+            rejectedExamples,
+            duplicates: transactions.summary(),
+            outOfRangePrices: {
+                min: abnormalPrice.min,
+                max: abnormalPrice.max,
+                count: outOfRange.count,
+                tooHigh: outOfRange.tooHigh,
+                tooLow: outOfRange.tooLow,
+                examples: outOfRange.examples
+            },
+            columns: columns.mapping || {}
+        };
+    }
+
+    return {
+        normalize,
+        summary,
+        duplicateRows: () => duplicateRows,
+        multiLegTransactions: transactions.multiLegTransactions,
+        sharedSignatures: transactions.sharedSignatures
+    };
+}
+
+module.exports = {
+    REJECT_REASONS,
+    parseTimestamp,
+    createColumnMapping,
+    validateRow,
+    createNormalizer
+};
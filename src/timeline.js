@@ -0,0 +1,133 @@
+/**
+ * 交易时间线
+ * 第二遍扫描时把逐条读入的交易按成交顺序交给时间窗口类检测，不缓存全部交易：
+ * 输入已按时间升序时交易读入即输出；乱序输入按第一遍记录的最大乱序时长暂存，只缓存该时长内的交易
+ */
+
+// 精简的钱包交易记录；没有钱包地址或交易数量的记录返回 null
+function toTrade(row, seq) {
+    const wallet = row.trader_wallet_address;
+    const isBuy = row.type === 'TOKEN_BUY';
+    const amount = (isBuy ? row.buy_amount : row.sell_amount) || 0;
+    if (!wallet || amount <= 0) return null;
+    return {
+        timestamp: row.trade_timestamp,
+        seq,
+        wallet,
+        slot: row.slot === undefined ? null : row.slot,
+        txIndex: row.tx_index === undefined ? null : row.tx_index,
+        isBuy,
+        amount,
+        price: row.price,
+        value: row.transaction_value || 0
+    };
+}
+
+/**
+ * 成交顺序：时间戳，同一时间依次按区块号、区块内交易序号（每笔交易都有值时才参与比较）和输入顺序
+ * @param {{slot: boolean, txIndex: boolean}} ordering
+ * @returns {function(Object, Object): number}
+ */
+function createOrderComparator(ordering) {
+    return (a, b) =>
+        a.timestamp - b.timestamp ||
+        (ordering.slot ? a.slot - b.slot : 0) ||
+        (ordering.txIndex ? a.txIndex - b.txIndex : 0) ||
+        a.seq - b.seq;
+}
+
+// 先进先出队列：出队只移动队首位置，已出队的元素累积较多时再整体移除
+function createQueue() {
+    let items = [];
+    let head = 0;
+    return {
+        get length() {
+            return items.length - head;
+        },
+        at: index => items[head + index],
+        push: item => { items.push(item); },
+        shift() {
+            const item = items[head++];
+            if (head > 1024 && head * 2 > items.length) {
+                items = items.slice(head);
+                head = 0;
+            }
+            return item;
+        }
+    };
+}
+
+// 二叉最小堆
+function createHeap(compare) {
+    const items = [];
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+    return {
+        get size() {
+            return items.length;
+        },
+        peek: () => items[0],
+        push(item) {
+            items.push(item);
+            for (let i = items.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (compare(items[i], items[parent]) >= 0) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                for (let i = 0; ;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && compare(items[left], items[smallest]) < 0) smallest = left;
+                    if (right < items.length && compare(items[right], items[smallest]) < 0) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+/**
+ * 创建时间线
+ * 读入的交易早于已读入的最晚时间不超过 maxLagSeconds 秒（第一遍统计），
+ * 因此时间早于“最晚时间 − maxLagSeconds”的暂存交易之后不会再有更早的交易，可以按成交顺序输出
+ * @param {Object} options
+ * @param {{slot: boolean, txIndex: boolean}} options.ordering - 参与排序的区块号 / 区块内序号列
+ * @param {number} options.maxLagSeconds - 最大乱序时长
+ * @param {function(Object): void} onTrade - 按成交顺序接收交易
+ * @returns {{add: function(Object): void, finish: function(): void}}
+ */
+function createTimeline({ ordering, maxLagSeconds }, onTrade) {
+    const pending = createHeap(createOrderComparator(ordering));
+    let latest = -Infinity;
+
+    function add(trade) {
+        pending.push(trade);
+        latest = Math.max(latest, trade.timestamp);
+        while (pending.size > 0 && pending.peek().timestamp < latest - maxLagSeconds) {
+            onTrade(pending.pop());
+        }
+    }
+
+    function finish() {
+        while (pending.size > 0) onTrade(pending.pop());
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    toTrade,
+    createOrderComparator,
+    createQueue,
+    createTimeline
+};
@@ -0,0 +1,184 @@
+/**
+ * 交易签名跟踪
+ * 按交易签名去重，并识别同一笔交易内同时包含买入和卖出的多腿交易
+ */
+
+const _ = require('lodash');
+const { MAX_EXAMPLES } = require('./utils');
+const { createQueue } = require('./timeline');
+
+// 买卖方向位掩码
+const SIDE_MASK = { TOKEN_BUY: 1, TOKEN_SELL: 2 };
+const BOTH_SIDES = SIDE_MASK.TOKEN_BUY | SIDE_MASK.TOKEN_SELL;
+
+const hasLegIndex = row => row.leg_index !== null && row.leg_index !== undefined && row.leg_index !== '';
+
+/**
+ * 创建交易签名跟踪器
+ * 去重键：存在 leg 序号时为 签名 + 序号，否则为 签名 + 钱包 + 买卖方向 + 数量
+ * （同一签名下不同钱包或不同方向、数量的记录视为不同的 leg）。
+ * 重复记录与原记录的时间戳相同，因此只保留最近 maxLagSeconds 内（相对已读到的最晚时间）出现的签名：
+ * 每个签名保存第一条 leg 的字段，其余 leg 另存；更早的签名被释放，之后再出现时视为新的签名。
+ * @param {Object} rules - 配置中的 dedup 项
+ * @returns {{add: function(Object): boolean, summary: function(): Object, multiLegTransactions: function(): Object[], sharedSignatures: function(): Object[]}}
+ */
+function createTransactionTracker(rules) {
+    const signatures = new Map(); // 签名 → 第一条 leg { signature, mask, timestamp, type, wallet, amount, value, others, legIndexes, duplicated }
+    const window = createQueue(); // 按读取顺序排列的签名记录，用于释放超出 maxLagSeconds 的签名
+    const multiLeg = new Map();   // 签名 → 多腿交易
+    const shared = new Map();     // 签名 → 涉及的多个钱包
+    const duplicates = { rows: 0, signatures: 0, examples: [] };
+    let keyedByLeg = false;
+    let latest = -Infinity;
+
+    const legOf = row => ({
+        type: row.type,
+        wallet: row.trader_wallet_address,
+        amount: row.type === 'TOKEN_BUY' ? row.buy_amount : row.sell_amount
+    });
+    const isSameLeg = (a, b) => a.type === b.type && a.wallet === b.wallet && a.amount === b.amount;
+
+    // 同一签名下已出现过的 leg（isNew 为 true 时 entry 由该记录创建）
+    function isDuplicate(row, entry, isNew) {
+        if (rules.useLegIndex && hasLegIndex(row)) {
+            keyedByLeg = true;
+            const legIndex = String(row.leg_index);
+            if (!entry.legIndexes) entry.legIndexes = new Set();
+            if (entry.legIndexes.has(legIndex)) return true;
+            entry.legIndexes.add(legIndex);
+            return false;
+        }
+        if (isNew) return false;
+        const leg = legOf(row);
+        if (isSameLeg(entry, leg) || (entry.others && entry.others.some(other => isSameLeg(other, leg)))) return true;
+        if (entry.others) entry.others.push(leg);
+        else entry.others = [leg];
+        return false;
+    }
+
+    function addLeg(transaction, wallet, type, value) {
+        transaction.legs++;
+        transaction.wallets.add(wallet);
+        if (type === 'TOKEN_BUY') transaction.buyValue += value;
+        else transaction.sellValue += value;
+    }
+
+    // 同一签名出现不同钱包（重复记录也计入）
+    function addSharedWallet(signature, entry, wallet) {
+        if (shared.has(signature)) {
+            shared.get(signature).add(wallet);
+        } else if (wallet && entry.wallet && wallet !== entry.wallet) {
+            shared.set(signature, new Set([entry.wallet, wallet]));
+        }
+    }
+
+    // 释放早于最晚时间超过 maxLagSeconds 的签名
+    function evict(timestamp) {
+        latest = Math.max(latest, timestamp);
+        while (window.length > 0 && latest - window.at(0).timestamp > rules.maxLagSeconds) {
+            const expired = window.shift();
+            if (signatures.get(expired.signature) === expired) signatures.delete(expired.signature);
+        }
+    }
+
+    // 返回 false 表示该记录是重复记录
+    function add(row) {
+        const signature = row.transaction_signature;
+        if (signature === null || signature === undefined || signature === '') return true;
+        evict(row.trade_timestamp);
+
+        let entry = signatures.get(signature);
+        const isNew = !entry;
+        if (isNew) {
+            // 第一条 leg 的摘要，出现另一方向时用于组成多腿交易
+            entry = { signature, mask: 0, timestamp: row.trade_timestamp, ...legOf(row), value: row.transaction_value, others: null, legIndexes: null, duplicated: false };
+            signatures.set(signature, entry);
+            window.push(entry);
+        } else {
+            addSharedWallet(signature, entry, row.trader_wallet_address);
+        }
+        if (isDuplicate(row, entry, isNew)) {
+            duplicates.rows++;
+            if (!entry.duplicated) {
+                entry.duplicated = true;
+                duplicates.signatures++;
+            }
+            if (duplicates.examples.length < MAX_EXAMPLES && !duplicates.examples.includes(signature)) {
+                duplicates.examples.push(signature);
+            }
+            if (rules.enabled) return false;
+        }
+        entry.mask |= SIDE_MASK[row.type];
+
+        let transaction = multiLeg.get(signature);
+        if (transaction) {
+            addLeg(transaction, row.trader_wallet_address, row.type, row.transaction_value);
+        } else if (entry.mask === BOTH_SIDES) {
+            transaction = {
+                signature,
+                timestamp: entry.timestamp,
+                legs: 0,
+                wallets: new Set(),
+                buyValue: 0,
+                sellValue: 0
+            };
+            addLeg(transaction, entry.wallet, entry.type, entry.value);
+            addLeg(transaction, row.trader_wallet_address, row.type, row.transaction_value);
+            multiLeg.set(signature, transaction);
+        }
+        return true;
+    }
+
+    // 去重摘要
+    function summary() {
+        return {
+            enabled: rules.enabled,
+            key: keyedByLeg ? 'signature+leg' : 'signature+wallet+side+amount',
+            rows: duplicates.rows,
+            signatures: duplicates.signatures,
+            examples: duplicates.examples
+        };
+    }
+
+    // 同一笔交易内同时包含买入和卖出的交易，按时间排序
+    function multiLegTransactions() {
+        return _.sortBy([...multiLeg.values()], 'timestamp').map(transaction => ({
+            ...transaction,
+            wallets: [...transaction.wallets]
+        }));
+    }
+
+    // 涉及多个钱包的交易签名
+    function sharedSignatures() {
+        return [...shared.entries()].map(([signature, wallets]) => ({ signature, wallets: [...wallets] }));
+    }
+
+    return { add, summary, multiLegTransactions, sharedSignatures };
+}
+
+/**
+ * 按钱包汇总多腿交易
+ * @param {Object[]} transactions - multiLegTransactions() 的结果
+ * @returns {Object[]} 按多腿交易笔数降序排列的钱包列表
+ */
+function summarizeMultiLegWallets(transactions) {
+    const wallets = {};
+    transactions.forEach(transaction => {
+        transaction.wallets.forEach(address => {
+            if (!wallets[address]) {
+                wallets[address] = { address, count: 0, buyValue: 0, sellValue: 0, signatures: [] };
+            }
+            const wallet = wallets[address];
+            wallet.count++;
+            wallet.buyValue += transaction.buyValue;
+            wallet.sellValue += transaction.sellValue;
+            if (wallet.signatures.length < MAX_EXAMPLES) wallet.signatures.push(transaction.signature);
+        });
+    });
+    return _.orderBy(Object.values(wallets), ['count', 'buyValue'], ['desc', 'desc']);
+}
+
+module.exports = {
+    createTransactionTracker,
+    summarizeMultiLegWallets
+};
@@ -0,0 +1,158 @@
+/**
+ * 通用辅助函数
+ * 时区格式化、安全日期处理，以及各检测模块共用的常量与小工具
+ */
+
+// 默认时区
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// 不输出任何内容的日志对象，作为库调用时的默认日志输出
+const silentLogger = { log() {}, error() {} };
+
+const HOUR = 3600;
+
+// 摘要与明细中保留的示例数量
+const MAX_EXAMPLES = 5;
+
+// 数量是否相近（两者之差不超过较大一方的 tolerance）
+const isNearEqual = (a, b, tolerance) => Math.abs(a - b) <= Math.max(a, b) * tolerance;
+
+// 评分规则的触发条件：指标的观测值与阈值
+const condition = (metric, label, observed, operator, threshold) => ({ metric, label, observed, operator, threshold });
+
+// 每个时区的格式化器缓存
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23',
+            timeZoneName: 'longOffset'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// 辅助函数：检查是否为有效的 IANA 时区名
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// 辅助函数：秒级时间戳在指定时区的各组成部分
+function getTimeParts(timestamp, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(timestamp * 1000)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    // longOffset 在零时区输出 "GMT"，其余为 "GMT+08:00" 形式
+    parts.offset = parts.timeZoneName === 'GMT' ? 'UTC+00:00' : parts.timeZoneName.replace('GMT', 'UTC');
+    return parts;
+}
+
+// 辅助函数：时间戳所在时刻相对 UTC 的偏移，如 "UTC+08:00"
+function getUTCOffset(timestamp, timeZone) {
+    return getTimeParts(timestamp, timeZone).offset;
+}
+
+// 辅助函数：格式化为指定时区的日期，如 "2025-03-31"
+function formatDate(timestamp, timeZone) {
+    const { year, month, day } = getTimeParts(timestamp, timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+// 辅助函数：格式化为指定时区的时间并附带偏移，如 "2025-03-31 19:57:00 UTC+08:00"
+function formatTimestamp(timestamp, timeZone) {
+    const { year, month, day, hour, minute, second, offset } = getTimeParts(timestamp, timeZone);
+    return `${year}-${month}-${day} ${hour}:${minute}:${second} ${offset}`;
+}
+
+// 辅助函数：时区说明，如 "Asia/Shanghai, UTC+08:00"
+function describeTimeZone(timeZone, timestamp = Date.now() / 1000) {
+    return `${timeZone}, ${getUTCOffset(timestamp, timeZone)}`;
+}
+
+// 辅助函数：验证时间戳是否有效
+const isValidTimestamp = (timestamp) => {
+    // 检查是否为有效数字
+    if (typeof timestamp !== 'number' || isNaN(timestamp)) {
+        return false;
+    }
+
+    // 检查是否在合理的JavaScript日期范围内
+    // JavaScript Date支持的最小和最大时间戳 (-8.64e15到8.64e15)
+    if (timestamp < -8640000000000000 || timestamp > 8640000000000000) {
+        return false;
+    }
+
+    // 进一步验证：确保可以创建有效的Date对象
+    const date = new Date(timestamp);
+    return date instanceof Date && !isNaN(date.getTime());
+};
+
+// 创建一个安全的日期处理函数
+function createSafeDate(timestamp) {
+    try {
+        if (timestamp === undefined || timestamp === null) {
+            console.log("警告: 时间戳为undefined或null");
+            return null;
+        }
+
+        // 支持UNIX秒级时间戳和毫秒级时间戳
+        let ts = timestamp;
+        if (typeof timestamp === 'number') {
+            // 如果时间戳太小，可能是以秒为单位
+            if (timestamp < 10000000000) { // 判断是秒还是毫秒
+                ts = timestamp * 1000;
+            }
+        } else if (typeof timestamp === 'string') {
+            ts = parseInt(timestamp, 10);
+            if (isNaN(ts)) {
+                console.log(`警告: 无法解析时间戳字符串: ${timestamp}`);
+                return null;
+            }
+            if (ts < 10000000000) {
+                ts = ts * 1000;
+            }
+        }
+
+        const date = new Date(ts);
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            console.log(`警告: 创建的日期对象无效: ${timestamp}`);
+            return null;
+        }
+
+        return date;
+    } catch (err) {
+        console.log(`警告: 创建日期时出错: ${timestamp}`, err);
+        return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    silentLogger,
+    HOUR,
+    MAX_EXAMPLES,
+    isNearEqual,
+    condition,
+    isValidTimeZone,
+    getUTCOffset,
+    formatDate,
+    formatTimestamp,
+    describeTimeZone,
+    isValidTimestamp,
+    createSafeDate
+};
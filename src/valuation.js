@@ -0,0 +1,117 @@
+/**
+ * 计价换算
+ * 按报价货币（USD 或 SOL）和可选的本地 SOL/USD 价格表，将交易金额、价格与 SOL 盈亏统一换算为 USD
+ */
+
+const fs = require('fs');
+const Papa = require('papaparse');
+const _ = require('lodash');
+const { parseTimestamp } = require('./schema');
+
+// SOL/USD 价格表中可接受的列名（不区分大小写）
+const PRICE_TABLE_COLUMNS = {
+    timestamp: ['timestamp', 'time', 'date', 'open_time'],
+    price: ['price', 'sol_usd', 'close', 'usd']
+};
+
+// 随交易金额一起换算为报告货币的价格字段
+const PRICE_FIELDS = ['price', 'buy_price', 'sell_price'];
+
+// 价格表读取错误
+function priceTableError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_INPUT';
+    return err;
+}
+
+/**
+ * 读取 SOL/USD 价格表（CSV，包含时间戳和价格两列），按时间升序返回
+ * @param {string} filePath - 价格表路径
+ * @returns {{timestamp: number, price: number}[]}
+ */
+function loadSolPriceTable(filePath) {
+    const { data, meta } = Papa.parse(fs.readFileSync(filePath, 'utf-8'), {
+        header: true,
+        dynamicTyping: true,
+        skipEmptyLines: true
+    });
+
+    const fields = _.keyBy(meta.fields || [], field => field.trim().toLowerCase());
+    const findColumn = candidates => _.find(candidates.map(name => fields[name]), Boolean);
+    const timestampColumn = findColumn(PRICE_TABLE_COLUMNS.timestamp);
+    const priceColumn = findColumn(PRICE_TABLE_COLUMNS.price);
+    if (!timestampColumn || !priceColumn) {
+        throw priceTableError(`SOL/USD 价格表 ${filePath} 缺少时间戳列（${PRICE_TABLE_COLUMNS.timestamp.join('/')}）或价格列（${PRICE_TABLE_COLUMNS.price.join('/')}）`);
+    }
+
+    const points = data
+        .map(row => ({ timestamp: parseTimestamp(row[timestampColumn]), price: Number(row[priceColumn]) }))
+        .filter(point => !Number.isNaN(point.timestamp) && point.price > 0);
+    if (points.length === 0) {
+        throw priceTableError(`SOL/USD 价格表 ${filePath} 没有有效的价格记录`);
+    }
+    return _.sortBy(points, 'timestamp');
+}
+
+// 取时间戳之前最近的一条 SOL/USD 价格，早于价格表起点时取第一条
+function lookupSolPrice(table, timestamp) {
+    const index = _.sortedLastIndexBy(table, { timestamp }, 'timestamp') - 1;
+    return table[Math.max(index, 0)].price;
+}
+
+/**
+ * 创建计价换算器
+ * 报价货币为 USD 时交易金额直接使用；为 SOL 时需要价格表才能换算为 USD，否则以 SOL 作为报告货币。
+ * 阈值（巨鲸/中等/散户）始终按报告货币比较。
+ * @param {Object} rules - 配置中的 valuation 项
+ * @param {Object[]|null} solPrices - loadSolPriceTable() 的结果
+ * @returns {{currency: string, convert: function(Object): void, summary: function(): Object}}
+ */
+function createValuation(rules, solPrices) {
+    const { quoteCurrency } = rules;
+    const table = solPrices && solPrices.length > 0 ? solPrices : null;
+    const currency = quoteCurrency === 'USD' || table ? 'USD' : 'SOL';
+
+    // 为记录补充 USD/SOL 两种单位的交易金额和 SOL 盈亏，交易金额与价格换算为报告货币
+    function convert(row) {
+        const quoteValue = row.transaction_value;
+        const solPrice = table ? lookupSolPrice(table, row.trade_timestamp) : null;
+
+        if (quoteCurrency === 'USD') {
+            row.value_usd = quoteValue;
+            row.value_sol = solPrice ? quoteValue / solPrice : null;
+        } else {
+            row.value_sol = quoteValue;
+            row.value_usd = solPrice ? quoteValue * solPrice : null;
+        }
+        row.net_usd_change = solPrice ? (row.net_sol_balance_change || 0) * solPrice : null;
+        row.transaction_value = currency === 'USD' ? row.value_usd : row.value_sol;
+
+        // 报价为 SOL、报告货币为 USD 时价格按同一汇率换算，与交易金额单位一致
+        if (currency !== quoteCurrency) {
+            PRICE_FIELDS.forEach(field => {
+                if (row[field]) row[field] *= solPrice;
+            });
+        }
+    }
+
+    // 计价摘要
+    function summary() {
+        return {
+            quoteCurrency,
+            currency,
+            solPriceTable: table ? {
+                points: table.length,
+                start: table[0].timestamp,
+                end: _.last(table).timestamp
+            } : null
+        };
+    }
+
+    return { currency, convert, summary };
+}
+
+module.exports = {
+    loadSolPriceTable,
+    createValuation
+};
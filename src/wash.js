@@ -0,0 +1,203 @@
+/**
+ * 洗盘交易检测
+ * 在滑动时间窗口内把买入与数量相近的卖出配对为往返交易（同一钱包，或同一钱包群内的不同钱包），
+ * 按钱包、钱包群和小时统计往返交易额占交易额的比例
+ */
+
+const _ = require('lodash');
+const { HOUR, MAX_EXAMPLES, isNearEqual } = require('./utils');
+const { createQueue } = require('./timeline');
+
+/**
+ * 创建往返交易配对器
+ * 按成交顺序逐笔接收交易，每笔交易与窗口内最早的、方向相反且数量相近的未配对交易配对，每笔交易最多参与一次配对。
+ * @param {Object} rules - 配置中的 washTrading 项
+ * @param {boolean} crossWallet - 只配对不同钱包的交易（钱包群内）
+ * @param {function(Object, Object): void} onRoundTrip - 接收配对的买入与卖出
+ * @returns {function(Object): Object} 计入一笔交易 { timestamp, isBuy, amount, value, wallet }，
+ *   返回 { trade, matched }（未配对的交易之后仍可能被配对，matched 随之更新）
+ */
+function createRoundTripMatcher(rules, crossWallet, onRoundTrip) {
+    const pending = createQueue();
+
+    return trade => {
+        while (pending.length > 0 && (pending.at(0).matched || trade.timestamp - pending.at(0).trade.timestamp > rules.windowSeconds)) {
+            pending.shift();
+        }
+
+        let match = null;
+        for (let i = 0; i < pending.length && !match; i++) {
+            const candidate = pending.at(i);
+            if (!candidate.matched &&
+                    candidate.trade.isBuy !== trade.isBuy &&
+                    (!crossWallet || candidate.trade.wallet !== trade.wallet) &&
+                    isNearEqual(candidate.trade.amount, trade.amount, rules.amountTolerance)) {
+                match = candidate;
+            }
+        }
+
+        if (!match) {
+            const entry = { trade, matched: false };
+            pending.push(entry);
+            return entry;
+        }
+        match.matched = true;
+        onRoundTrip(...(match.trade.isBuy ? [match.trade, trade] : [trade, match.trade]));
+        return { trade, matched: true };
+    };
+}
+
+/**
+ * 创建洗盘交易检测器
+ * 先在每个钱包内部配对，剩余未配对的交易再在同一钱包群的不同钱包之间配对。已识别为三明治攻击的交易不参与配对。
+ * 按成交顺序逐笔接收交易，只缓存 windowSeconds 内的交易：交易在钱包内部不会再被配对后才交给钱包群配对
+ * @param {Object} data
+ * @param {Object[]} data.clusters - detectWalletClusters() 的结果
+ * @param {Object} data.walletActivity - 钱包活动聚合
+ * @param {Object[]} data.hourly - 小时 K 线
+ * @param {number} data.totalTransactionValue - 总交易额
+ * @param {Object} config - 完整配置
+ * @returns {{add: function(Object, boolean): void, finish: function(): Object}}
+ *   add(trade, excluded) 计入一笔交易，excluded 为 true 时不参与配对；
+ *   finish() 返回往返交易次数、按钱包对的往返交易统计、最早的几次往返交易示例，
+ *   以及按钱包、钱包群、小时的洗盘交易额占比，walletsByInterval 为各细分区间内有往返交易的钱包
+ */
+function createWashTradingDetector(data, config) {
+    const rules = config.washTrading;
+    const { clusters, walletActivity, hourly, totalTransactionValue } = data;
+    const intervalSeconds = config.suspiciousIntervals.intervalSeconds;
+
+    const clusterOf = new Map();
+    clusters.forEach(cluster => cluster.wallets.forEach(address => clusterOf.set(address, cluster.id)));
+
+    // 只保留计数与累计值（按钱包对、钱包、钱包群、小时和细分区间）和少量示例，不保留每次往返交易
+    let roundTripCount = 0;
+    const examples = [];
+    const byPair = new Map();
+    const byCluster = new Map();
+    const byWallet = {};
+    const byHour = new Map();
+    const walletsByInterval = new Map();
+
+    function record(buy, sell, clusterId) {
+        const wallets = _.uniq([buy.wallet, sell.wallet]);
+        roundTripCount++;
+        if (examples.length < MAX_EXAMPLES) {
+            examples.push({
+                wallets,
+                buyTimestamp: buy.timestamp,
+                sellTimestamp: sell.timestamp,
+                buyAmount: buy.amount,
+                sellAmount: sell.amount,
+                buyValue: buy.value,
+                sellValue: sell.value,
+                clusterId
+            });
+        }
+
+        const pairKey = wallets.join('\n');
+        if (!byPair.has(pairKey)) byPair.set(pairKey, { wallets, clusterId, roundTrips: 0, washValue: 0 });
+        const pair = byPair.get(pairKey);
+        pair.roundTrips++;
+        pair.washValue += buy.value + sell.value;
+
+        _.uniq(wallets.filter(address => clusterOf.has(address)).map(address => clusterOf.get(address)))
+            .forEach(id => byCluster.set(id, (byCluster.get(id) || 0) + 1));
+
+        [buy, sell].forEach(leg => {
+            if (!byWallet[leg.wallet]) byWallet[leg.wallet] = { roundTrips: 0, washValue: 0 };
+            byWallet[leg.wallet].washValue += leg.value;
+
+            const hour = Math.floor(leg.timestamp / HOUR) * HOUR;
+            byHour.set(hour, (byHour.get(hour) || 0) + leg.value);
+
+            const interval = Math.floor(leg.timestamp / intervalSeconds) * intervalSeconds;
+            if (!walletsByInterval.has(interval)) walletsByInterval.set(interval, new Set());
+            walletsByInterval.get(interval).add(leg.wallet);
+        });
+        wallets.forEach(address => { byWallet[address].roundTrips++; });
+    }
+
+    const walletMatchers = new Map();  // 钱包 → { match, last }：窗口内有交易的钱包
+    const clusterMatchers = new Map(); // 钱包群 id → 配对器
+    const window = createQueue();      // 窗口内的交易（配对器返回的记录）
+
+    // 交易在钱包内部的配对已确定：未配对的交给钱包群配对；钱包最近的交易超出窗口后释放该钱包的配对器
+    function settle(entry) {
+        const { wallet } = entry.trade;
+        if (walletMatchers.get(wallet).last === entry) walletMatchers.delete(wallet);
+        if (entry.matched || !rules.matchClusters || !clusterOf.has(wallet)) return;
+
+        const clusterId = clusterOf.get(wallet);
+        if (!clusterMatchers.has(clusterId)) {
+            clusterMatchers.set(clusterId, createRoundTripMatcher(rules, true, (buy, sell) => record(buy, sell, clusterId)));
+        }
+        clusterMatchers.get(clusterId)(entry.trade);
+    }
+
+    function add(trade, excluded) {
+        while (window.length > 0 && trade.timestamp - window.at(0).trade.timestamp > rules.windowSeconds) {
+            settle(window.shift());
+        }
+        if (excluded) return;
+
+        let matcher = walletMatchers.get(trade.wallet);
+        if (!matcher) {
+            matcher = { match: createRoundTripMatcher(rules, false, (buy, sell) => record(buy, sell, null)), last: null };
+            walletMatchers.set(trade.wallet, matcher);
+        }
+        matcher.last = matcher.match(trade);
+        window.push(matcher.last);
+    }
+
+    function finish() {
+        while (window.length > 0) settle(window.shift());
+
+        const washValue = _.sum([...byHour.values()]);
+        const fraction = (value, total) => (total > 0 ? value / total : 0);
+
+        const wallets = _.orderBy(Object.entries(byWallet).map(([address, stats]) => {
+            const activity = walletActivity[address];
+            const totalValue = activity.buys.value + activity.sells.value;
+            return { address, ...stats, totalValue, fraction: fraction(stats.washValue, totalValue) };
+        }), 'washValue', 'desc');
+
+        const clusterStats = clusters.map(cluster => {
+            const members = wallets.filter(wallet => cluster.wallets.includes(wallet.address));
+            const clusterWashValue = _.sumBy(members, 'washValue');
+            return {
+                id: cluster.id,
+                roundTrips: byCluster.get(cluster.id) || 0,
+                washValue: clusterWashValue,
+                fraction: fraction(clusterWashValue, cluster.totalValue)
+            };
+        }).filter(cluster => cluster.roundTrips > 0);
+
+        const hourlyStats = hourly.map(({ timestamp, value }) => ({
+            timestamp,
+            washValue: byHour.get(timestamp) || 0,
+            totalValue: value,
+            fraction: fraction(byHour.get(timestamp) || 0, value)
+        }));
+
+        return {
+            roundTrips: roundTripCount,
+            pairs: _.orderBy([...byPair.values()], 'washValue', 'desc'),
+            examples: _.sortBy(examples, 'buyTimestamp'),
+            washValue,
+            totalValue: totalTransactionValue,
+            fraction: fraction(washValue, totalTransactionValue),
+            wallets,
+            clusters: clusterStats,
+            hourly: hourlyStats,
+            peakHour: _.maxBy(hourlyStats.filter(hour => hour.washValue > 0), 'fraction') || null,
+            walletsByInterval
+        };
+    }
+
+    return { add, finish };
+}
+
+module.exports = {
+    createWashTradingDetector
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../src/analyze');
+const { renderHTML } = require('../src/render/html');
+
+const T0 = 1743033600;
+
+const records = [
+    { trade_timestamp: T0, type: 'TOKEN_BUY', buy_price: 1, buy_amount: 100, trader_wallet_address: 'w1' },
+    { trade_timestamp: T0 + 60, type: 'TOKEN_BUY', buy_price: 1.1, buy_amount: 50, trader_wallet_address: 'w2' },
+    { trade_timestamp: T0 + 120, type: 'TOKEN_SELL', sell_price: 1.2, sell_amount: 100, trader_wallet_address: 'w1' }
+];
+
+// 临时替换 console.log，返回调用期间输出的行
+function captureConsole(fn) {
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.log = original;
+    }
+    return lines;
+}
+
+test('作为库调用时默认不输出日志', () => {
+    const lines = captureConsole(() => renderHTML(analyze(records)));
+    assert.deepEqual(lines, []);
+});
+
+test('传入 logger 时输出进度', () => {
+    const lines = [];
+    const logger = { log: (...args) => lines.push(args.join(' ')), error() {} };
+    analyze(records, { logger });
+
+    assert.ok(lines.some(line => line.startsWith('处理后记录数')));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ASSETS, findMissingAssets, renderAssetTag } = require('../src/render/assets');
+const { analyze } = require('../src/analyze');
+const { renderHTML } = require('../src/render/html');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const result = analyze([
+    { timestamp: T0, wallet: 'w1', side: 'buy', amount: 100, price: 1 },
+    { timestamp: T0 + 60, wallet: 'w2', side: 'sell', amount: 50, price: 1.1 }
+]);
+
+// 在子进程中为 fixture 包（位于 NODE_PATH 下的临时目录）内联库文件，返回生成的标签
+function renderFixtureTag(file, content) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+    try {
+        fs.mkdirSync(path.join(directory, 'asset-fixture'));
+        fs.writeFileSync(path.join(directory, 'asset-fixture', file), content);
+        const script = `
+            const { ASSETS, renderAssetTag } = require(${JSON.stringify(path.join(__dirname, '../src/render/assets'))});
+            ASSETS.fixture = { package: 'asset-fixture', version: '1.0.0', file: ${JSON.stringify(file)} };
+            process.stdout.write(renderAssetTag('fixture', { offline: true }));`;
+        const { status, stdout, stderr } = spawnSync(process.execPath, ['-e', script], {
+            env: { ...process.env, NODE_PATH: directory },
+            encoding: 'utf8'
+        });
+        assert.equal(status, 0, stderr);
+        return stdout;
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('默认从 CDN 加载与 node_modules 相同版本的前端库', () => {
+    Object.entries(ASSETS).forEach(([name, asset]) => {
+        const url = `https://cdn.jsdelivr.net/npm/${asset.package}@${asset.version}/${asset.file}`;
+        // 部分包的 exports 不包含 package.json，直接读取文件
+        const installed = JSON.parse(fs.readFileSync(path.join(__dirname, '../node_modules', asset.package, 'package.json'), 'utf8')).version;
+
+        assert.equal(asset.version, installed, asset.package);
+        assert.equal(renderAssetTag(name), asset.file.endsWith('.css') ?
+            `<link rel="stylesheet" href="${url}">` : `<script src="${url}"></script>`);
+    });
+});
+
+test('离线模式内联库文件并去掉 source map 引用', () => {
+    assert.deepEqual(findMissingAssets(), []);
+
+    const script = renderAssetTag('chartjs', { offline: true });
+    assert.ok(script.startsWith('<script>\n') && script.endsWith('\n</script>'));
+    assert.ok(script.includes('Chart.js v4.5.1'));
+    assert.ok(!script.includes('sourceMappingURL'));
+
+    const style = renderAssetTag('bootstrapCSS', { offline: true });
+    assert.ok(style.startsWith('<style>\n') && style.endsWith('\n</style>'));
+    assert.ok(!style.includes('sourceMappingURL'));
+});
+
+test('内联脚本和样式中会提前结束标签的片段被转义', () => {
+    const script = renderFixtureTag('lib.js', 'var a = "</script><!-- </SCRIPT>";\n//# sourceMappingURL=lib.js.map');
+    assert.equal(script, '<script>\nvar a = "\\x3c/script>\\x3c!-- \\x3c/SCRIPT>";\n\n</script>');
+
+    const style = renderFixtureTag('lib.css', 'a::after { content: "</style>"; }\n/*# sourceMappingURL=lib.css.map */');
+    assert.equal(style, '<style>\na::after { content: "\\3c /style>"; }\n\n</style>');
+});
+
+test('离线页面是不引用任何外部资源的单个文件', () => {
+    const online = renderHTML(result);
+    const offline = renderHTML(result, { offline: true });
+
+    assert.ok(online.includes('https://cdn.jsdelivr.net/npm/'));
+    assert.ok(!offline.includes('cdn.jsdelivr.net'));
+    assert.doesNotMatch(offline, /<script[^>]*\ssrc=/i);
+    assert.doesNotMatch(offline, /<link[^>]*\shref=/i);
+    // 每个 <script> 都在预期的位置结束
+    assert.equal((offline.match(/<script\b/gi) || []).length, (offline.match(/<\/script>/gi) || []).length);
+    Object.keys(ASSETS).forEach(name => assert.ok(offline.includes(renderAssetTag(name, { offline: true })), name));
+});
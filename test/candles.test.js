@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCandleBuilder, resampleCandles, parseResolution, formatCandlesCSV } = require('../src/candles');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const row = (ts, side, amount, price) => ({
+    trade_timestamp: ts,
+    type: side === 'buy' ? 'TOKEN_BUY' : 'TOKEN_SELL',
+    buy_amount: side === 'buy' ? amount : 0,
+    sell_amount: side === 'buy' ? 0 : amount,
+    price,
+    transaction_value: price ? amount * price : 0
+});
+
+// 输入不要求按时间排序
+const build = () => {
+    const builder = createCandleBuilder(60);
+    [
+        row(T0 + 30, 'buy', 10, 2),
+        row(T0 + 5, 'sell', 20, 1),
+        row(T0 + 50, 'buy', 10, 3),
+        row(T0 + 59, 'sell', 5, null),
+        row(T0 + 150, 'buy', 4, 5)
+    ].forEach(builder.add);
+    return builder.finish();
+};
+
+test('按时间桶聚合开高低收与成交量', () => {
+    const [first, second] = build();
+
+    assert.equal(first.timestamp, T0);
+    assert.deepEqual([first.open, first.high, first.low, first.close], [1, 3, 1, 3]);
+    assert.equal(first.volume, 45);
+    assert.equal(first.buyVolume, 20);
+    assert.equal(first.sellVolume, 25);
+    assert.equal(first.trades, 4);
+    // 成交均价只按有成交额的交易计：(20 + 20 + 30) / 45
+    assert.equal(first.vwap, 70 / 45);
+    assert.equal(second.timestamp, T0 + 120);
+});
+
+test('合并为更低的分辨率', () => {
+    const [merged] = resampleCandles(build(), 300);
+
+    assert.equal(merged.timestamp, T0);
+    assert.deepEqual([merged.open, merged.high, merged.low, merged.close], [1, 5, 1, 5]);
+    assert.equal(merged.volume, 49);
+    assert.equal(merged.trades, 5);
+    assert.equal(merged.buyCount, 3);
+});
+
+test('解析分辨率', () => {
+    assert.equal(parseResolution('30s'), 30);
+    assert.equal(parseResolution('5m'), 300);
+    assert.equal(parseResolution('1d'), 86400);
+    assert.equal(parseResolution('2d'), null);
+});
+
+test('导出的 CSV 使用指定时区的时间', () => {
+    const [header, line] = formatCandlesCSV(build().slice(0, 1), 'UTC').split(/\r?\n/);
+
+    assert.ok(header.startsWith('timestamp,datetime,open,high,low,close'));
+    assert.ok(line.startsWith(`${T0},2025-03-27 00:00:00 UTC+00:00,1,3,1,3,`));
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectResolutions, createCandlestickData, renderCandlestickScript } = require('../src/render/candlestick');
+const { analyze } = require('../src/analyze');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const rules = { chartMaxCandles: 2000, chartTargetCandles: 300 };
+
+test('可切换的分辨率不低于导出分辨率且 K 线数不超过上限', () => {
+    // 一天的数据，导出分辨率 1 分钟
+    const { seconds, preferred } = selectResolutions(60, { earliest: T0, latest: T0 + 86400 }, rules);
+
+    assert.deepEqual(seconds, [60, 300, 600, 900, 1800, 3600, 14400, 86400]);
+    // 1 分钟 1441 根、5 分钟 289 根
+    assert.equal(preferred, 300);
+});
+
+test('导出分辨率不在常用列表中时也可切换', () => {
+    const { seconds } = selectResolutions(120, { earliest: T0, latest: T0 + 3600 }, rules);
+    assert.deepEqual(seconds, [120, 600, 1800, 3600, 14400, 86400]);
+});
+
+test('K 线压缩为数组并带有巨鲸交易标记', () => {
+    const result = analyze([
+        { timestamp: T0, side: 'buy', amount: 20000, price: 1, wallet: 'whale' },
+        { timestamp: T0 + 30, side: 'sell', amount: 10, price: 1.5, wallet: 'w2' },
+        { timestamp: T0 + 90, side: 'sell', amount: 10, price: 1.2, wallet: 'w2' }
+    ]);
+    const data = createCandlestickData(result);
+    const base = data.resolutions[0];
+
+    assert.equal(base.name, '1m');
+    // [时间, 开, 高, 低, 收, 成交量, 买入量, 卖出量, 笔数]
+    assert.deepEqual(base.candles[0], [T0, 1, 1.5, 1, 1.5, 20010, 20000, 10, 2]);
+    assert.deepEqual(data.markers, [{ timestamp: T0, kind: 'whaleBuy' }]);
+});
+
+test('嵌入脚本的数据转义 "<"', () => {
+    const script = renderCandlestickScript({ phases: [{ label: '</script><script>alert(1)</script>' }] });
+
+    assert.ok(!script.includes('</script>'));
+    assert.ok(script.includes('\\u003c/script>'));
+});
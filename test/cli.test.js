@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseCliArgs, EXIT_CODES } = require('../src/cli');
+
+const ROOT = path.join(__dirname, '..');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const CSV = [
+    'timestamp,side,amount,price,wallet',
+    `${T0},buy,100,1,w1`,
+    `${T0 + 60},buy,50,1.1,w2`,
+    `${T0 + 120},sell,100,1.2,w1`
+].join('\n');
+
+// 在临时目录中运行命令行，files 为需要预先写入的文件（相对临时目录）
+function runCli(args, files = {}, script = path.join(ROOT, 'integrated_analysis.js')) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    try {
+        Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(directory, name), content));
+        const { status, stdout, stderr } = spawnSync(process.execPath, [script, ...args], { cwd: directory, encoding: 'utf8' });
+        const outputs = fs.existsSync(path.join(directory, 'out')) ? fs.readdirSync(path.join(directory, 'out')).sort() : [];
+        return { status, stdout, stderr, outputs };
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('参数解析：默认值、位置参数与开关', () => {
+    const args = parseCliArgs(['trades.csv']);
+    assert.equal(args.input, 'trades.csv');
+    assert.equal(args.outDir, '.');
+    assert.equal(args.format, 'markdown');
+    assert.equal(args.report, true);
+    assert.equal(args.charts, true);
+    assert.equal(args.offline, false);
+    assert.deepEqual(args.thresholds, {});
+
+    const flags = parseCliArgs(['-i', 'a.csv', '--no-charts', '--inline-assets', '-f', 'json', '--whale', '5000', '-q']);
+    assert.equal(flags.input, 'a.csv');
+    assert.equal(flags.charts, false);
+    assert.equal(flags.offline, true);
+    assert.equal(flags.format, 'json');
+    assert.deepEqual(flags.thresholds, { whale: 5000 });
+    assert.equal(flags.quiet, true);
+});
+
+test('参数解析：无效的参数值报告参数错误', () => {
+    [
+        ['--whale', '-1'],
+        ['--format', 'pdf'],
+        ['--timezone', 'Mars/Base'],
+        ['--candles', '7d'],
+        ['--quote', 'EUR'],
+        ['--preset', 'unknown'],
+        ['--scoring', 'magic'],
+        ['--cost-basis', 'random'],
+        ['--input-format', 'xls'],
+        ['--unknown-flag'],
+        ['a.csv', 'b.csv'],
+        ['-i', 'a.csv', 'b.csv']
+    ].forEach(argv => assert.throws(() => parseCliArgs(argv), { code: 'USAGE' }, argv.join(' ')));
+});
+
+test('成功时按选项写出报告、图表和 K 线', () => {
+    const { status, stdout, outputs } = runCli(['-q', '-o', 'out', '-f', 'json', '--candles', '1m', 'trades.csv'], { 'trades.csv': CSV });
+    assert.equal(status, EXIT_CODES.OK);
+    assert.equal(stdout, '');
+    assert.deepEqual(outputs, ['analysis_report.json', 'candles_1m.csv', 'charts.html']);
+
+    const onlyReport = runCli(['-q', '-o', 'out', '--no-charts', 'trades.csv'], { 'trades.csv': CSV });
+    assert.deepEqual(onlyReport.outputs, ['analysis_report.md']);
+});
+
+test('--help 输出帮助并成功退出', () => {
+    const { status, stdout } = runCli(['--help']);
+    assert.equal(status, EXIT_CODES.OK);
+    assert.match(stdout, /^用法:/);
+});
+
+test('参数错误以退出码 2 退出', () => {
+    const { status, stderr } = runCli(['--whale', 'abc']);
+    assert.equal(status, EXIT_CODES.USAGE);
+    assert.match(stderr, /--whale 必须是正数/);
+});
+
+test('输入文件、配置文件或价格表不存在时以退出码 3 退出', () => {
+    assert.equal(runCli(['-q', 'missing.csv']).status, EXIT_CODES.INPUT_NOT_FOUND);
+    assert.equal(runCli(['-q', '-c', 'missing.yaml', 'trades.csv'], { 'trades.csv': CSV }).status, EXIT_CODES.INPUT_NOT_FOUND);
+    assert.equal(runCli(['-q', '--sol-prices', 'missing.csv', 'trades.csv'], { 'trades.csv': CSV }).status, EXIT_CODES.INPUT_NOT_FOUND);
+});
+
+test('没有有效交易记录时以退出码 4 退出', () => {
+    const { status, stderr, outputs } = runCli(['-q', '-o', 'out', 'trades.csv'], { 'trades.csv': 'timestamp,side\n,buy\n' });
+    assert.equal(status, EXIT_CODES.NO_VALID_TRADES);
+    assert.match(stderr, /没有可供分析的有效交易记录/);
+    assert.deepEqual(outputs, []);
+});
+
+test('配置文件无效时以退出码 5 退出', () => {
+    const files = { 'trades.csv': CSV, 'config.json': JSON.stringify({ valuation: { quoteCurrency: 'EUR' } }) };
+    const { status, stderr } = runCli(['-q', '-c', 'config.json', 'trades.csv'], files);
+    assert.equal(status, EXIT_CODES.INVALID_CONFIG);
+    assert.match(stderr, /无效的报价货币: EUR/);
+});
+
+test('输入文件无法按指定格式读取时以退出码 6 退出', () => {
+    const { status, stderr } = runCli(['-q', '--input-format', 'parquet', 'trades.csv'], { 'trades.csv': CSV });
+    assert.equal(status, EXIT_CODES.INVALID_INPUT);
+    assert.match(stderr, /无法读取 Parquet 文件/);
+});
+
+test('离线模式缺少前端库时在分析前以退出码 7 退出', () => {
+    // 在临时目录中复制程序，node_modules 中缺少 lightweight-charts
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-offline-'));
+    try {
+        fs.cpSync(path.join(ROOT, 'src'), path.join(directory, 'src'), { recursive: true });
+        fs.copyFileSync(path.join(ROOT, 'integrated_analysis.js'), path.join(directory, 'integrated_analysis.js'));
+        fs.mkdirSync(path.join(directory, 'node_modules'));
+        fs.readdirSync(path.join(ROOT, 'node_modules'))
+            .filter(name => name !== 'lightweight-charts')
+            .forEach(name => fs.symlinkSync(path.join(ROOT, 'node_modules', name), path.join(directory, 'node_modules', name)));
+
+        const { status, stderr, stdout, outputs } = runCli(['-o', 'out', '--offline', 'trades.csv'], { 'trades.csv': CSV },
+            path.join(directory, 'integrated_analysis.js'));
+        assert.equal(status, EXIT_CODES.MISSING_ASSETS);
+        assert.match(stderr, /lightweight-charts/);
+        assert.doesNotMatch(stdout, /开始分析/);
+        assert.deepEqual(outputs, []);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
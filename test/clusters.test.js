@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../src/analyze');
+const { createLinkIndex } = require('../src/clusters');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 单价固定为 1，聚类只看钱包、时间、数量和签名
+const trade = (offset, wallet, side, amount, signature) => ({ timestamp: T0 + offset, wallet, side, amount, price: 1, signature });
+
+// 各钱包首次出现的时间相隔较远、交易数量各不相同，只有构造的信号把钱包相连
+const fixture = [
+    // a-b、b-c 各共用一个交易签名：a、b、c 连通为一个钱包群
+    trade(0, 'a', 'buy', 101, 's1'),
+    trade(0, 'b', 'sell', 102, 's1'),
+    trade(1000, 'b', 'buy', 103, 's2'),
+    trade(1000, 'c', 'sell', 104, 's2'),
+    // e、f 三次在同一时间窗口买入相同数量：另一个钱包群
+    ...[0, 600, 1200].flatMap((offset, i) => [
+        trade(2000 + offset, 'e', 'buy', 200 + i),
+        trade(2001 + offset, 'f', 'buy', 200 + i)
+    ]),
+    // d 与其他钱包没有关联
+    trade(5000, 'd', 'buy', 301),
+    trade(6000, 'd', 'sell', 302)
+];
+
+test('关联的钱包对按并查集合并为钱包群', () => {
+    const { clusters } = analyze(fixture).wallets;
+    const groups = clusters.map(cluster => [...cluster.wallets].sort());
+
+    assert.equal(clusters.length, 2);
+    assert.deepEqual(groups.sort(), [['a', 'b', 'c'], ['e', 'f']]);
+    assert.ok(!clusters.some(cluster => cluster.wallets.includes('d')));
+});
+
+test('钱包群记录成立的关联信号', () => {
+    const { clusters } = analyze(fixture).wallets;
+    const abc = clusters.find(cluster => cluster.wallets.includes('a'));
+    const ef = clusters.find(cluster => cluster.wallets.includes('e'));
+
+    assert.equal(abc.signals.sharedSignature, 2);
+    assert.equal(abc.links, 2);
+    assert.equal(ef.signals.sameSize, 1);
+    assert.equal(ef.signals.mirrored, 1);
+});
+
+test('关闭钱包聚类时不输出钱包群', () => {
+    const { clusters } = analyze(fixture, { config: { clustering: { enabled: false } } }).wallets;
+    assert.deepEqual(clusters, []);
+});
+
+test('相同交易数量只在 sameSizeSeconds 内比较', () => {
+    const index = createLinkIndex(resolveConfig().clustering);
+    const buy = (offset, wallet, amount) => index.add({ timestamp: T0 + offset, wallet, isBuy: true, amount });
+
+    // 100 在一小时内两次由 x、y 买入；200 由 x、y 买入但相隔两小时
+    buy(0, 'x', 100);
+    buy(10, 'y', 100);
+    buy(20, 'x', 200);
+    buy(7220, 'y', 200);
+    buy(7230, 'x', 100);
+    buy(7240, 'y', 100);
+
+    assert.deepEqual(index.finish().sameSize, [{ wallets: ['x', 'y'], count: 2 }]);
+});
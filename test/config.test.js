@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, PRESETS, resolveConfig, loadConfigFile } = require('../src/config');
+const { run, EXIT_CODES } = require('../src/cli');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 在临时目录中写入文件后执行 fn(目录)，结束后删除目录
+async function withFiles(files, fn) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    try {
+        Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(directory, name), content));
+        return await fn(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('预设覆盖默认配置，覆盖项优先于预设', () => {
+    const config = resolveConfig({ preset: 'memecoin', thresholds: { whale: 3000 } });
+
+    assert.equal(config.preset, 'memecoin');
+    assert.equal(config.thresholds.whale, 3000);
+    assert.equal(config.thresholds.medium, PRESETS.memecoin.thresholds.medium);
+    assert.equal(config.walletScoring.frequency.high, PRESETS.memecoin.walletScoring.frequency.high);
+    // 预设未涉及的项保持默认值
+    assert.equal(config.walletScoring.suspiciousMinScore, DEFAULT_CONFIG.walletScoring.suspiciousMinScore);
+    assert.equal(resolveConfig().preset, null);
+});
+
+test('数组配置整体替换而不是逐项合并', () => {
+    const horizons = [{ seconds: 600, minPercent: 30 }];
+    assert.deepEqual(resolveConfig({ preset: 'bluechip', pumpAndDump: { horizons } }).pumpAndDump.horizons, horizons);
+});
+
+test('未知的配置项、类型错误和无效的取值报告配置错误', () => {
+    [
+        { preset: 'unknown' },
+        { thresold: {} },
+        { thresholds: { whale: '1000' } },
+        { thresholds: 1000 },
+        { schema: { columns: { trade_timestamp: 'time' } } },
+        { valuation: { quoteCurrency: 'EUR' } },
+        { pnl: { method: 'random' } },
+        { walletScoring: { mode: 'magic' } },
+        { pumpAndDump: { horizons: [] } },
+        { candles: { resolution: '2d' } },
+        { suspiciousIntervals: { intervalSeconds: 0 } },
+        { timezone: 'Mars/Base' }
+    ].forEach(overrides => assert.throws(() => resolveConfig(overrides), { code: 'INVALID_CONFIG' }, JSON.stringify(overrides)));
+});
+
+test('读取 JSON 和 YAML 配置文件', async () => {
+    await withFiles({
+        'config.json': JSON.stringify({ thresholds: { whale: 5000 } }),
+        'config.yaml': 'preset: bluechip\nthresholds:\n  whale: 6000\n'
+    }, directory => {
+        assert.deepEqual(loadConfigFile(path.join(directory, 'config.json')), { thresholds: { whale: 5000 } });
+        assert.deepEqual(loadConfigFile(path.join(directory, 'config.yaml')), { preset: 'bluechip', thresholds: { whale: 6000 } });
+    });
+});
+
+test('配置文件无法解析或不是对象时报告配置错误', async () => {
+    await withFiles({ 'broken.json': '{ "thresholds": ', 'list.yml': '- 1\n- 2\n' }, directory => {
+        assert.throws(() => loadConfigFile(path.join(directory, 'broken.json')), { code: 'INVALID_CONFIG' });
+        assert.throws(() => loadConfigFile(path.join(directory, 'list.yml')), { code: 'INVALID_CONFIG' });
+    });
+});
+
+test('命令行中的优先级：默认配置 < 预设 < 配置文件 < 命令行参数', async () => {
+    const csv = ['timestamp,side,amount,price,wallet', `${T0},buy,100,1,w1`, `${T0 + 60},sell,100,1.1,w1`].join('\n');
+    const config = 'preset: memecoin\nthresholds:\n  whale: 5000\n  medium: 500\ntimezone: UTC\n';
+
+    await withFiles({ 'trades.csv': csv, 'config.yaml': config }, async directory => {
+        const out = path.join(directory, 'out');
+        const code = await run([
+            '-q', '--no-charts', '-f', 'json', '-o', out, '-c', path.join(directory, 'config.yaml'),
+            '--preset', 'bluechip', '--whale', '7000', '--timezone', 'America/New_York', path.join(directory, 'trades.csv')
+        ]);
+        const report = JSON.parse(fs.readFileSync(path.join(out, 'analysis_report.json'), 'utf8'));
+
+        assert.equal(code, EXIT_CODES.OK);
+        // 命令行的预设替换配置文件中的预设
+        assert.equal(report.config.preset, 'bluechip');
+        assert.equal(report.config.priceChanges.minPercent, PRESETS.bluechip.priceChanges.minPercent);
+        // 配置文件覆盖预设，命令行参数覆盖配置文件
+        assert.equal(report.config.thresholds.medium, 500);
+        assert.equal(report.config.thresholds.retail, PRESETS.bluechip.thresholds.retail);
+        assert.equal(report.config.thresholds.whale, 7000);
+        assert.equal(report.config.timezone, 'America/New_York');
+    });
+});
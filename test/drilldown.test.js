@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { analyze } = require('../src/analyze');
+const { resolveConfig } = require('../src/config');
+const { selectMostActiveWallets, selectDetailWallets } = require('../src/history');
+const { createDrillDownData, renderDrillDownScript } = require('../src/render/drilldown');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const trade = (offset, wallet, side, amount, price) => ({ timestamp: T0 + offset, wallet, side, amount, price });
+
+// 第一个 5 分钟窗口 w1、w2 买入；第三个窗口 w1、w2 卖出，w3 买入；一小时后 w3 再次买入
+const trades = [
+    trade(0, 'w1', 'buy', 100, 1),
+    trade(60, 'w2', 'buy', 10, 1),
+    trade(600, 'w1', 'sell', 50, 2),
+    trade(620, 'w2', 'sell', 10, 2),
+    trade(630, 'w3', 'buy', 10, 3),
+    trade(3600, 'w3', 'buy', 10, 4)
+];
+
+test('钱包明细按成交顺序记录交易、持仓与盈亏曲线', () => {
+    const { w1 } = analyze(trades).series.walletDetails;
+
+    assert.equal(w1.tradeCount, 2);
+    assert.equal(w1.buyCount, 1);
+    assert.equal(w1.sellCount, 1);
+    assert.equal(w1.firstTimestamp, T0);
+    assert.equal(w1.lastTimestamp, T0 + 600);
+    assert.equal(w1.position, 50);
+    assert.deepEqual(w1.trades.map(t => [t.timestamp, t.isBuy, t.value, t.position]), [[T0, true, 100, 100], [T0 + 600, false, 100, 50]]);
+    // 卖出后已实现 50，剩余 50 按成交价 2 计未实现 50；末尾按最终价格 4 补一点
+    assert.deepEqual(w1.curve, [
+        { timestamp: T0, position: 100, total: 0 },
+        { timestamp: T0 + 600, position: 50, total: 100 },
+        { timestamp: T0 + 3600, position: 50, total: 200 }
+    ]);
+});
+
+test('共同交易钱包按同一时间窗口统计，按共同窗口数降序', () => {
+    const details = analyze(trades).series.walletDetails;
+
+    assert.equal(details.w1.windowCount, 2);
+    assert.deepEqual(details.w1.coTraders, [{ address: 'w2', windows: 2 }, { address: 'w3', windows: 1 }]);
+    // w3 一小时后的交易所在窗口没有其他钱包
+    assert.equal(details.w3.windowCount, 2);
+    assert.deepEqual(details.w3.coTraders, [{ address: 'w1', windows: 1 }, { address: 'w2', windows: 1 }]);
+
+    // 窗口改为 10 秒后 w1 不再与其他钱包共同交易
+    const narrow = analyze(trades, { config: { drillDown: { windowSeconds: 10 } } }).series.walletDetails;
+    assert.deepEqual(narrow.w1.coTraders, []);
+});
+
+test('交易笔数超过上限时保留交易额最高的交易，曲线抽样但终点不变', () => {
+    // w1 买入 10 笔，交易额依次为 10、20、…、100
+    const many = Array.from({ length: 10 }, (_, i) => trade(i * 60, 'w1', 'buy', 10 * (i + 1), 1));
+    const full = analyze(many).series.walletDetails.w1;
+    const { w1 } = analyze(many, { config: { drillDown: { maxTrades: 3 } } }).series.walletDetails;
+
+    assert.equal(w1.tradeCount, 10);
+    assert.deepEqual(w1.trades.map(t => t.value), [80, 90, 100]);
+    assert.ok(w1.curve.length < full.curve.length);
+    assert.deepEqual(w1.curve[0], full.curve[0]);
+    assert.deepEqual(w1.curve.at(-1), full.curve.at(-1));
+});
+
+test('收集明细的钱包：钱包活动图中的钱包优先，其余按评分，不超过上限', () => {
+    const activity = {
+        a: { buys: { count: 5 }, sells: { count: 0 } },
+        b: { buys: { count: 1 }, sells: { count: 1 } },
+        c: { buys: { count: 1 }, sells: { count: 0 } }
+    };
+    const scored = [{ address: 'd', suspiciousScore: 9 }, { address: 'a', suspiciousScore: 6 }, { address: 'e', suspiciousScore: 1 }];
+    const config = resolveConfig({ walletScoring: { tableMinScore: 5 } });
+
+    assert.deepEqual(selectMostActiveWallets(activity, 2).map(wallet => wallet.address), ['a', 'b']);
+    assert.deepEqual(selectDetailWallets(activity, scored, config), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(selectDetailWallets(activity, scored, resolveConfig({ drillDown: { maxWallets: 2 } })), ['a', 'b']);
+});
+
+test('钱包详情数据附带评分规则说明和共同交易钱包的评分', () => {
+    const result = analyze([...trades, trade(700, 'whale', 'buy', 50000, 1)]);
+    const data = createDrillDownData(result);
+    const whale = result.wallets.scored.find(wallet => wallet.address === 'whale');
+
+    assert.equal(data.windowLabel, '5.0 分钟');
+    assert.deepEqual(data.chartWallets, selectMostActiveWallets(result.wallets.activity).map(wallet => wallet.address));
+    assert.equal(data.wallets.whale.score, whale.suspiciousScore);
+    assert.equal(data.wallets.whale.rules.length, whale.triggeredRules.length);
+    assert.match(data.wallets.whale.rules[0], /\(\+\d+\)$/);
+    // [时间, 买入为 1, 数量, 成交价, 交易额, 交易后持仓]
+    assert.deepEqual(data.wallets.w1.trades[1], [T0 + 600, 0, 50, 2, 100, 50]);
+    assert.deepEqual(data.wallets.w1.curve[1], [T0 + 600, 50, 100]);
+    const coTrader = data.wallets.w3.coTraders.find(other => other.address === 'whale');
+    assert.equal(coTrader.score, whale.suspiciousScore);
+});
+
+// 运行钱包详情脚本：document 上的点击与钱包活动图的点击同步派发，返回按 id 取元素与点击的接口
+function createPage(data) {
+    const elements = new Map();
+    const listeners = {};
+    const shown = [];
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, { id, textContent: '', innerHTML: '', addEventListener() {} });
+            return elements.get(id);
+        },
+        addEventListener(type, listener) { listeners[type] = listener; }
+    };
+    const activityChart = { options: {}, data: {}, update() {} };
+    const context = vm.createContext({
+        document,
+        console,
+        bootstrap: { Modal: { getOrCreateInstance: element => ({ show: () => shown.push(element.id) }) } },
+        Chart: { getChart: id => (id === 'walletActivityChart' ? activityChart : null) }
+    });
+    vm.runInContext(renderDrillDownScript(data), context);
+
+    return {
+        shown,
+        text: id => document.getElementById(id).textContent,
+        html: id => document.getElementById(id).innerHTML,
+        // 点击带 data-wallet 属性的元素，返回是否阻止了默认行为
+        click(wallet) {
+            let prevented = false;
+            const link = wallet === null ? null : { dataset: { wallet } };
+            listeners.click({ target: { closest: () => link }, preventDefault: () => { prevented = true; } });
+            return prevented;
+        },
+        clickBar: index => activityChart.options.onClick({}, [{ index }])
+    };
+}
+
+test('点击钱包地址打开钱包详情，列出交易、评分规则与共同交易钱包', () => {
+    const data = createDrillDownData(analyze(trades, { config: { timezone: 'UTC' } }));
+    const page = createPage(data);
+
+    assert.equal(page.click('w1'), true);
+    assert.deepEqual(page.shown, ['walletDetailModal']);
+    assert.equal(page.text('walletDetailTitle'), '钱包详情: w1');
+    assert.ok(page.html('walletDetailSummary').includes('<strong>2（买入 1 / 卖出 1）</strong>'));
+    assert.ok(page.html('walletDetailSummary').includes('2025-03-27 00:00:00 至 2025-03-27 00:10:00'));
+    assert.equal(page.text('walletDetailWindows'), '该钱包在 2 个窗口内有交易');
+    // 有详情的共同交易钱包可以继续打开
+    assert.ok(page.html('walletDetailCoTraders').includes('<a href="#" data-wallet="w2">w2</a></td><td>2</td>'));
+    assert.equal(page.text('walletDetailTradeNote'), '共 2 笔');
+    assert.ok(page.html('walletDetailTrades').includes('<td>2025-03-27 00:10:00</td><td class="text-danger">卖出</td>'));
+    // 规则说明转义后列出
+    assert.ok(data.wallets.w1.rules.length > 0);
+    assert.equal(page.html('walletDetailRules'), data.wallets.w1.rules.map(rule => `<li>${rule.replace(/>/g, '&gt;')}</li>`).join(''));
+
+    // 没有详情的钱包或不是钱包链接时不处理
+    assert.equal(page.click('unknown'), false);
+    assert.equal(page.click(null), false);
+    assert.equal(page.shown.length, 1);
+});
+
+test('点击钱包活动图的柱状条打开对应钱包的详情', () => {
+    const data = createDrillDownData(analyze(trades));
+    const page = createPage(data);
+
+    page.clickBar(1);
+    assert.equal(page.text('walletDetailTitle'), `钱包详情: ${data.chartWallets[1]}`);
+});
+
+test('只列出部分交易时说明按全部交易计算曲线', () => {
+    const many = Array.from({ length: 5 }, (_, i) => trade(i * 60, 'w1', 'buy', 10 * (i + 1), 1));
+    const page = createPage(createDrillDownData(analyze(many, { config: { drillDown: { maxTrades: 2 } } })));
+
+    page.click('w1');
+    assert.equal(page.text('walletDetailTradeNote'), '共 5 笔，仅列出并标出交易额最高的 2 笔；持仓与盈亏曲线按全部交易计算');
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const zlib = require('zlib');
+const { analyze } = require('../src/analyze');
+const { createExportData, renderExportScript, renderExportButtons } = require('../src/render/exports');
+const { createWalletTableData, renderWalletTableScript } = require('../src/render/wallets');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 价格翻倍后回落，产生价格变动记录
+const result = analyze([
+    { timestamp: T0, wallet: 'w1', side: 'buy', amount: 100, price: 1 },
+    { timestamp: T0 + 3600, wallet: 'w2', side: 'buy', amount: 100, price: 2 },
+    { timestamp: T0 + 7200, wallet: 'w1', side: 'sell', amount: 100, price: 1.5 }
+]);
+
+// 运行导出脚本，点击导出按钮后返回下载的文件 { filename, type, bytes }
+async function download(data, target, format, provider) {
+    let clickListener = null;
+    const downloads = [];
+    const blobs = [];
+    const document = {
+        addEventListener: (type, listener) => { clickListener = listener; },
+        // 下载链接被点击时记录文件名和对应的 Blob
+        createElement: () => {
+            const link = { click: () => downloads.push({ filename: link.download, blob: blobs[link.href] }), remove() {} };
+            return link;
+        },
+        body: { appendChild() {} }
+    };
+    const URL = {
+        createObjectURL: blob => blobs.push(blob) - 1,
+        revokeObjectURL() {}
+    };
+    const context = vm.createContext({ document, URL, Blob, TextEncoder, DataView, Uint8Array, console, setTimeout });
+    context.window = context;
+    vm.runInContext(renderExportScript(data), context);
+    if (provider) context.window.reportExport.register(target, provider);
+
+    const button = { dataset: { export: target, format } };
+    clickListener({ target: { closest: () => button } });
+    assert.equal(downloads.length, 1);
+    const [{ filename, blob }] = downloads;
+    return { filename, type: blob.type, bytes: Buffer.from(await blob.arrayBuffer()) };
+}
+
+// 读取不压缩的 ZIP：文件名 → 内容，并校验 CRC
+function readZip(bytes) {
+    const files = {};
+    let offset = 0;
+    while (bytes.readUInt32LE(offset) === 0x04034b50) {
+        assert.equal(bytes.readUInt16LE(offset + 8), 0, '条目应不压缩');
+        const crc = bytes.readUInt32LE(offset + 14);
+        const size = bytes.readUInt32LE(offset + 18);
+        const nameLength = bytes.readUInt16LE(offset + 26);
+        const name = bytes.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const content = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        assert.equal(zlib.crc32(content), crc, `${name} 的 CRC 不正确`);
+        files[name] = content.toString('utf8');
+        offset += 30 + nameLength + size;
+    }
+    assert.equal(bytes.readUInt32LE(offset), 0x02014b50, '缺少中央目录');
+    // 目录结束记录中的条目数
+    assert.equal(bytes.readUInt16LE(bytes.length - 12), Object.keys(files).length);
+    return files;
+}
+
+test('导出按钮包含 CSV、JSON 和 XLSX', () => {
+    const buttons = renderExportButtons('priceChanges');
+    ['csv', 'json', 'xlsx'].forEach(format => assert.ok(buttons.includes(`data-format="${format}"`)));
+});
+
+test('CSV 使用第一个工作表并带 BOM', async () => {
+    const data = createExportData(result);
+    const { filename, bytes } = await download(data, 'priceChanges', 'csv');
+    const [header, first] = bytes.toString('utf8').replace(/^\ufeff/, '').split('\r\n');
+
+    assert.equal(filename, 'price_changes.csv');
+    assert.equal(header, Object.keys(data.priceChanges.sheets[0].rows[0]).join(','));
+    assert.ok(first.startsWith(`${T0},`));
+});
+
+test('XLSX 中数据集的每个工作表写为一个工作表部件', async () => {
+    const data = createExportData(result);
+    const { filename, type, bytes } = await download(data, 'priceChanges', 'xlsx');
+    const files = readZip(bytes);
+
+    assert.equal(filename, 'price_changes.xlsx');
+    assert.equal(type, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.deepEqual(Object.keys(files), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.ok(files['xl/workbook.xml'].includes('<sheet name="price_changes" sheetId="1" r:id="rId1"/>'));
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.ok(sheet.includes('<c r="A1" t="inlineStr"><is><t xml:space="preserve">startTimestamp</t></is></c>'));
+    // 数字写为数值，布尔值写为逻辑值
+    assert.ok(sheet.includes(`<c r="A2"><v>${T0}</v></c>`));
+    assert.match(sheet, /<c r="J2" t="b"><v>[01]<\/v><\/c>/);
+});
+
+test('XLSX 写入多个工作表并转义字符串', async () => {
+    const provider = () => ({
+        filename: 'suspicious_wallets',
+        sheets: [
+            { name: 'wallets', rows: [{ address: 'a<&>"b', suspiciousScore: 6, buyToSellRatio: null }] },
+            { name: 'rules', rows: [{ address: 'a<&>"b', rule: 'whale', points: 3, observed: 20000, operator: '>', threshold: 10000 }] }
+        ]
+    });
+    const files = readZip((await download({}, 'suspiciousWallets', 'xlsx', provider)).bytes);
+
+    assert.ok(files['xl/workbook.xml'].includes('<sheet name="rules" sheetId="2" r:id="rId2"/>'));
+    assert.ok(files['xl/_rels/workbook.xml.rels'].includes('Target="worksheets/sheet2.xml"'));
+    assert.ok(files['xl/worksheets/sheet1.xml'].includes('a&lt;&amp;&gt;&quot;b'));
+    // 空值不写单元格
+    assert.ok(!files['xl/worksheets/sheet1.xml'].includes('r="C2"'));
+    assert.ok(files['xl/worksheets/sheet2.xml'].includes('<c r="E2" t="inlineStr"><is><t xml:space="preserve">&gt;</t></is></c>'));
+});
+
+test('拉高出货的 XLSX 另附关联钱包工作表', () => {
+    const { pumpAndDump } = createExportData(result);
+    assert.deepEqual(pumpAndDump.sheets.map(sheet => sheet.name), ['patterns', 'linked_wallets']);
+});
+
+test('可疑钱包导出另附每个钱包每条规则、每个条件一行的工作表', () => {
+    // 巨鲸买入触发评分规则
+    const scored = analyze([
+        { timestamp: T0, wallet: 'whale', side: 'buy', amount: 50000, price: 1 },
+        { timestamp: T0 + 60, wallet: 'w2', side: 'buy', amount: 10, price: 1 }
+    ]);
+    const element = (value = '') => ({ value, dataset: {}, addEventListener() {}, querySelector: () => element(), querySelectorAll: () => [] });
+    const providers = {};
+    const context = vm.createContext({
+        document: { getElementById: id => element(id === 'walletPageSize' ? '20' : ''), querySelectorAll: () => [], addEventListener() {} },
+        reportExport: { register: (name, provider) => { providers[name] = provider; } }
+    });
+    context.window = context;
+    vm.runInContext(renderWalletTableScript(createWalletTableData(scored)), context);
+
+    const [wallets, rules] = providers.suspiciousWallets().sheets;
+    const whale = scored.wallets.scored.find(wallet => wallet.address === 'whale');
+    // 页面脚本中创建的数组来自另一个 vm 上下文，比较前复制为本上下文的数组
+    assert.deepEqual(Array.from(wallets.rows, row => row.address), ['whale']);
+    assert.equal(rules.name, 'rules');
+    assert.equal(rules.rows.length, whale.triggeredRules.flatMap(rule => rule.conditions).length);
+    assert.deepEqual(Object.keys(rules.rows[0]), ['address', 'rule', 'label', 'points', 'metric', 'observed', 'operator', 'threshold']);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../src/analyze');
+const { renderHTML } = require('../src/render/html');
+const { escapeHTML } = require('../src/render/format');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 输入中的钱包地址带有 HTML 标签
+const EVIL = '<img src=x onerror=alert(1)>';
+
+const trade = (offset, wallet, side, amount, price, signature) => ({ timestamp: T0 + offset, wallet, side, amount, price, signature });
+
+// 标题之后到下一个结束标签之间的页面内容
+function section(html, heading, end = '</table>') {
+    const start = html.indexOf(heading);
+    assert.ok(start >= 0, `缺少 ${heading}`);
+    return html.slice(start, html.indexOf(end, start));
+}
+
+test('钱包盈亏排行转义钱包地址', () => {
+    const html = renderHTML(analyze([
+        trade(0, EVIL, 'buy', 100, 1),
+        trade(600, EVIL, 'sell', 100, 2),
+        trade(1200, 'w2', 'buy', 10, 2)
+    ]));
+
+    const table = section(html, '<h3>钱包盈亏排行</h3>');
+    assert.ok(table.includes(escapeHTML(EVIL)));
+    assert.ok(!table.includes(EVIL));
+    assert.ok(!section(html, '获利最多的钱包', '</li>').includes(EVIL));
+});
+
+test('多腿交易表转义钱包地址和交易签名', () => {
+    const signature = `sig${EVIL}`;
+    const html = renderHTML(analyze([
+        trade(0, EVIL, 'buy', 100, 1, signature),
+        trade(0, EVIL, 'sell', 50, 1, signature),
+        trade(600, 'w2', 'buy', 10, 1)
+    ]));
+
+    const table = section(html, '<h3>多腿交易钱包</h3>');
+    assert.ok(table.includes(escapeHTML(EVIL)));
+    assert.ok(table.includes(escapeHTML(signature)));
+    assert.ok(!table.includes(EVIL));
+});
+
+test('三明治攻击者表转义钱包地址', () => {
+    const html = renderHTML(analyze([
+        trade(0, EVIL, 'buy', 1000, 1),
+        trade(0, `victim${EVIL}`, 'buy', 500, 1.05),
+        trade(1, EVIL, 'sell', 1000, 1.08),
+        trade(600, 'w2', 'buy', 10, 1)
+    ]));
+
+    const table = section(html, '<h3>三明治攻击者</h3>');
+    assert.ok(table.includes(escapeHTML(EVIL)));
+    assert.ok(!table.includes(EVIL));
+});
+
+test('钱包群表和钱包摘要转义钱包地址', () => {
+    const html = renderHTML(analyze([
+        trade(0, EVIL, 'buy', 20000, 1, 's1'),
+        trade(0, 'w2', 'sell', 10, 1, 's1'),
+        ...[600, 1200, 1800].map(offset => trade(offset, EVIL, 'sell', 5000, 1.5)),
+        trade(2400, 'w3', 'buy', 10, 1)
+    ]));
+
+    const table = section(html, '<h3>疑似同一操控者的钱包群</h3>');
+    assert.ok(table.includes(escapeHTML(EVIL)));
+    assert.ok(!table.includes(EVIL));
+    assert.ok(section(html, '最活跃的可疑钱包', '</li>').includes(escapeHTML(EVIL)));
+    assert.ok(!section(html, '最活跃的可疑钱包', '</li>').includes(EVIL));
+    assert.ok(section(html, '交易最频繁的钱包', '</li>').includes(escapeHTML(EVIL)));
+    assert.ok(!section(html, '交易最频繁的钱包', '</li>').includes(EVIL));
+});
+
+test('生效配置中的字符串转义后输出', () => {
+    // 配置文件中的列名别名原样进入生效配置
+    const column = `</code>${EVIL}`;
+    const records = [
+        { timestamp: T0, side: 'buy', amount: 100, price: 1, [column]: 'w1' },
+        { timestamp: T0 + 600, side: 'sell', amount: 100, price: 2, [column]: 'w1' }
+    ];
+    const html = renderHTML(analyze(records, { config: { schema: { columns: { trader_wallet_address: [column] } } } }));
+
+    const code = section(html, '<h2>8. 分析配置</h2>', '</pre>');
+    assert.ok(code.includes(escapeHTML(EVIL)));
+    assert.ok(!code.includes(EVIL));
+});
+
+test('图表数据中的钱包地址不会提前结束脚本', () => {
+    const wallet = '</script><script>alert(1)</script>';
+    const html = renderHTML(analyze([
+        trade(0, wallet, 'buy', 20000, 1),
+        trade(600, wallet, 'sell', 20000, 2),
+        trade(1200, 'w2', 'buy', 10, 2)
+    ]));
+
+    assert.ok(!html.includes(wallet));
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const _ = require('lodash');
+const { DEFAULT_CONFIG } = require('../src/config');
+const { quantile, createOutlierDetector } = require('../src/outliers');
+const { analyze } = require('../src/analyze');
+const { renderMarkdown } = require('../src/render/markdown');
+const { renderHTML } = require('../src/render/html');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const PARAMS = DEFAULT_CONFIG.walletScoring.statistical;
+
+// 100~199 的 100 个值，外加一个远离分布的值
+const VALUES = [..._.range(100, 200), 5000];
+
+// 50 个钱包各买卖一次，交易额 100~149 USD；大户交易额 2000 USD，低于固定的巨鲸阈值
+const trades = [..._.range(50).map(i => [`w${i}`, 100 + i]), ['big', 2000]].flatMap(([wallet, amount], i) => [
+    { timestamp: T0 + i * 60, wallet, side: 'buy', amount, price: 1 },
+    { timestamp: T0 + i * 60 + 3600, wallet, side: 'sell', amount, price: 1 }
+]);
+
+// 触发交易额规则的钱包
+function flaggedByValue(result) {
+    return result.wallets.scored
+        .filter(wallet => wallet.triggeredRules.some(rule => rule.rule === 'highValue'))
+        .map(wallet => wallet.address);
+}
+
+test('线性插值分位数', () => {
+    assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+    assert.equal(quantile([1, 2, 3, 4], 1), 4);
+    assert.ok(Number.isNaN(quantile([], 0.5)));
+});
+
+test('百分位：高于上分位或低于下分位视为异常，分界值为特征单位', () => {
+    const detector = createOutlierDetector(VALUES, 'percentile', PARAMS);
+    const statistic = detector.high(5000);
+
+    assert.equal(statistic.method, 'percentile');
+    assert.equal(statistic.threshold, 99);
+    assert.equal(statistic.cutoff, quantile(VALUES, 0.99));
+    assert.equal(statistic.value, 100);
+    assert.equal(detector.high(150), null);
+    assert.equal(detector.low(120), null);
+    assert.equal(detector.low(50).threshold, 1);
+});
+
+test('稳健 z 分数：按中位数和中位数绝对偏差换算，阈值可配置', () => {
+    const detector = createOutlierDetector(VALUES, 'robust-z', PARAMS);
+    const median = quantile(VALUES, 0.5);
+    const statistic = detector.high(5000);
+
+    assert.equal(statistic.method, 'robust-z');
+    assert.equal(statistic.threshold, PARAMS.zScore);
+    assert.ok(statistic.value > PARAMS.zScore);
+    // 分界值对应 z 分数恰好等于阈值
+    assert.ok(Math.abs((statistic.cutoff - median) / (5000 - median) * statistic.value - PARAMS.zScore) < 1e-9);
+    assert.equal(detector.high(199), null);
+    assert.equal(detector.low(-5000).threshold, -PARAMS.zScore);
+
+    // 阈值放宽后不再判定为异常
+    assert.equal(createOutlierDetector(VALUES, 'robust-z', { ...PARAMS, zScore: 1000 }).high(5000), null);
+});
+
+test('稳健 z 分数：中位数绝对偏差为 0 时改用平均绝对偏差，所有值相同时不判定异常', () => {
+    const mostlyEqual = [...Array(10).fill(1), 100];
+    assert.equal(createOutlierDetector(mostlyEqual, 'robust-z', PARAMS).high(100).method, 'robust-z');
+
+    const constant = createOutlierDetector(Array(10).fill(1), 'robust-z', PARAMS);
+    assert.equal(constant.high(1000), null);
+    assert.equal(constant.low(-1000), null);
+});
+
+test('孤立分数：固定种子下结果可复现，只按与中位数的关系区分方向', () => {
+    const first = createOutlierDetector(VALUES, 'isolation', PARAMS).high(5000);
+    const second = createOutlierDetector(VALUES, 'isolation', PARAMS).high(5000);
+
+    assert.deepEqual(first, second);
+    assert.equal(first.method, 'isolation');
+    assert.equal(first.cutoff, null);
+    assert.ok(first.value > PARAMS.isolationScore && first.value <= 1);
+
+    const detector = createOutlierDetector(VALUES, 'isolation', PARAMS);
+    assert.equal(detector.high(150), null);
+    assert.equal(detector.low(5000), null);
+});
+
+test('没有有效值时不判定异常，未知的评分方式报错', () => {
+    const empty = createOutlierDetector([NaN, Infinity], 'percentile', PARAMS);
+    assert.equal(empty.high(1), null);
+    assert.throws(() => createOutlierDetector(VALUES, 'magic', PARAMS), /未知的评分方式: magic/);
+});
+
+test('固定阈值下交易额未达到巨鲸阈值的大户不触发规则，统计方式按分布识别', () => {
+    assert.deepEqual(flaggedByValue(analyze(trades)), []);
+
+    ['percentile', 'robust-z', 'isolation'].forEach(mode => {
+        const result = analyze(trades, { config: { walletScoring: { mode } } });
+        const [rule] = result.wallets.scored.find(wallet => wallet.address === 'big').triggeredRules
+            .filter(triggered => triggered.rule === 'highValue');
+
+        assert.ok(flaggedByValue(result).includes('big'), mode);
+        assert.equal(rule.points, DEFAULT_CONFIG.walletScoring.highValue.points);
+        assert.equal(rule.statistic.method, mode);
+        assert.equal(rule.statistic.metric, 'totalValue');
+        assert.equal(rule.statistic.observed, 4000);
+    });
+
+    // 孤立分数没有分界值，条件直接比较孤立分数
+    const isolation = analyze(trades, { config: { walletScoring: { mode: 'isolation' } } });
+    const [condition] = isolation.wallets.scored.find(wallet => wallet.address === 'big').triggeredRules
+        .find(triggered => triggered.rule === 'highValue').conditions;
+    assert.equal(condition.metric, 'isolationScore');
+});
+
+test('报告注明产生可疑钱包列表的评分方式', () => {
+    const threshold = analyze(trades);
+    assert.ok(renderMarkdown(threshold).includes('评分方式: 固定阈值（按配置中的绝对阈值判断）'));
+
+    const result = analyze(trades, { config: { walletScoring: { mode: 'robust-z' } } });
+    const markdown = renderMarkdown(result);
+    assert.ok(markdown.includes(`评分方式: 稳健 z 分数（按本代币钱包特征分布判断，稳健 z 分数（中位数绝对偏差）绝对值超过 ${PARAMS.zScore} 视为异常）`));
+    assert.match(markdown, /交易额异常高: 总交易额 .+ > .+，z = \d+\.\d{2} \(\+3\)/);
+    assert.ok(renderHTML(result).includes('<strong>评分方式:</strong> 稳健 z 分数'));
+    assert.equal(result.config.walletScoring.mode, 'robust-z');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectMarketPhases } = require('../src/phases');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 10 分钟区间：4 小时低位横盘净买入，4 小时放量上涨，4 小时净卖出下跌
+const interval = (i, price, value, buyCount, sellCount) => ({ timestamp: T0 + i * 600, price, value, buyCount, sellCount, trades: buyCount + sellCount });
+const intervals = [
+    ...Array.from({ length: 24 }, (_, i) => interval(i, 1 + (i % 2) * 0.01, 1000, 8, 2)),
+    ...Array.from({ length: 24 }, (_, i) => interval(24 + i, 1 + (i + 1) / 24, 5000, 9, 1)),
+    ...Array.from({ length: 24 }, (_, i) => interval(48 + i, 2 - (i + 1) * 0.05, 3000, 1, 9))
+];
+
+test('按变点划分积累、上涨和下跌阶段', () => {
+    const { segments, changePoints } = detectMarketPhases(intervals, resolveConfig());
+
+    assert.deepEqual(segments.map(segment => segment.phase), ['accumulation', 'markup', 'markdown']);
+    assert.deepEqual(changePoints.map(point => point.timestamp), [T0 + 24 * 600, T0 + 48 * 600]);
+    assert.equal(segments[0].startTime, T0);
+    assert.equal(segments[2].endTime, T0 + 72 * 600);
+    assert.equal(segments[1].description, '上涨');
+    segments.forEach(segment => assert.ok(segment.confidence > 0 && segment.confidence <= 1));
+});
+
+test('没有价格的区间不参与划分', () => {
+    assert.deepEqual(detectMarketPhases([{ timestamp: T0, price: null }], resolveConfig()), { segments: [], changePoints: [] });
+});
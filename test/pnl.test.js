@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPnLTracker } = require('../src/pnl');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 钱包 w1 的逐笔交易，只含盈亏计算用到的字段
+const trades = list => list.map(([offset, side, amount, price]) => ({
+    timestamp: T0 + offset,
+    wallet: 'w1',
+    isBuy: side === 'buy',
+    amount,
+    value: amount * price
+}));
+
+// 买入 100 @1、买入 100 @2，之后卖出 150 @3
+const fixture = trades([
+    [0, 'buy', 100, 1],
+    [100, 'buy', 100, 2],
+    [400, 'sell', 150, 3]
+]);
+
+const run = (method, list = fixture, final = { price: 4, timestamp: T0 + 1000 }) => {
+    const tracker = createPnLTracker({ method });
+    list.forEach(tracker.add);
+    return tracker.finish(final);
+};
+
+test('先进先出：卖出依次消耗最早的买入批次', () => {
+    const pnl = run('fifo');
+    const wallet = pnl.wallets.w1;
+
+    assert.equal(pnl.method, 'fifo');
+    // 成本 100 × 1 + 50 × 2 = 200，卖出 450
+    assert.equal(wallet.realized, 250);
+    assert.equal(wallet.position, 50);
+    assert.equal(wallet.positionCost, 100);
+    // 剩余 50 按最终价格 4 计
+    assert.equal(wallet.unrealized, 100);
+    assert.equal(wallet.total, 350);
+    assert.equal(wallet.closedLots, 2);
+    assert.equal(wallet.avgHoldSeconds, (400 + 300) / 2);
+    assert.equal(wallet.maxHoldSeconds, 400);
+    assert.deepEqual(wallet.openLots, [{ timestamp: T0 + 100, amount: 50, cost: 100, holdSeconds: 900 }]);
+});
+
+test('平均成本：卖出按卖出前的平均成本计', () => {
+    const wallet = run('average').wallets.w1;
+
+    // 平均成本 1.5，卖出 150 的成本 225
+    assert.equal(wallet.realized, 450 - 225);
+    assert.equal(wallet.position, 50);
+    assert.equal(wallet.positionCost, 75);
+    assert.equal(wallet.unrealized, 200 - 75);
+});
+
+test('超出持仓的卖出不计入已实现盈亏', () => {
+    const wallet = run('fifo', trades([
+        [0, 'sell', 50, 2],
+        [10, 'buy', 10, 1],
+        [20, 'sell', 30, 2]
+    ])).wallets.w1;
+
+    assert.equal(wallet.realized, 10);
+    assert.equal(wallet.unmatchedSellAmount, 70);
+    assert.equal(wallet.closingSells, 1);
+    assert.equal(wallet.winRate, 1);
+    assert.equal(wallet.position, 0);
+});
+
+test('没有最终价格时未实现盈亏为 0', () => {
+    const pnl = run('fifo', fixture, null);
+
+    assert.equal(pnl.finalPrice, null);
+    assert.equal(pnl.wallets.w1.unrealized, 0);
+    assert.equal(pnl.wallets.w1.openLots[0].holdSeconds, null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPumpDetector } = require('../src/pumps');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 10 分钟价格区间：横盘后 30 分钟内从 1 涨到 1.5，随后回落
+const prices = [1, 1, 1, 1, 1, 1, 1.2, 1.4, 1.5, 1.3, 1.1];
+const intervals = prices.map((price, i) => ({ timestamp: T0 + i * 600, price }));
+const lastTimestamp = T0 + 6100;
+
+// 拉升检测用到的逐笔交易字段
+const trade = (offset, wallet, side, amount, price) => ({
+    timestamp: T0 + offset,
+    wallet,
+    isBuy: side === 'buy',
+    amount,
+    price,
+    value: amount * price
+});
+
+// 拉升前低位吸筹、峰值后卖出的钱包，以及拉升期间的散户买入
+const fixture = [
+    trade(2500, 'insider', 'buy', 2000, 0.95),
+    ...[3100, 3700, 4300].map((offset, i) => trade(offset, `retail${i}`, 'buy', 50, 1.2)),
+    trade(5000, 'insider', 'sell', 2000, 1.45),
+    trade(6050, 'retail0', 'sell', 50, 1.1)
+];
+
+const run = (overrides = {}) => {
+    const detector = createPumpDetector(intervals, lastTimestamp, resolveConfig(overrides));
+    fixture.forEach(detector.add);
+    return detector.finish();
+};
+
+test('识别拉升并关联吸筹后出货的钱包', () => {
+    const patterns = run();
+
+    assert.equal(patterns.length, 1);
+    const [pattern] = patterns;
+    assert.equal(pattern.pump.startTimestamp, T0 + 3000);
+    assert.equal(pattern.pump.endTimestamp, T0 + 4800);
+    assert.ok(Math.abs(pattern.pump.percentChange - 50) < 1e-9);
+    assert.deepEqual(pattern.suspiciousWallets, ['insider']);
+    assert.equal(pattern.retailBuysCount, 3);
+    assert.ok(pattern.confidence >= 0.8 - 1e-9);
+});
+
+test('出货窗口截止到最后一笔交易', () => {
+    const [pattern] = run();
+
+    // 出货观察窗口到峰值后 30 分钟（T0 + 6600），数据在 T0 + 6100 结束
+    assert.equal(pattern.dump.endTimestamp, lastTimestamp);
+    assert.ok(Math.abs(pattern.dump.lowPrice - 1.1) < 1e-9);
+});
+
+test('涨幅未达到任何时间跨度的门槛时不报告', () => {
+    const patterns = run({ pumpAndDump: { horizons: [{ seconds: 1800, minPercent: 60 }] } });
+    assert.deepEqual(patterns, []);
+});
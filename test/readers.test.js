@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { detectInputFormat, streamRows } = require('../src/readers');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 在临时目录中执行 fn(目录)，结束后删除目录
+async function withDirectory(fn) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'readers-test-'));
+    try {
+        return await fn(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+// 读取全部行
+async function readAll(filePath, options) {
+    const rows = [];
+    const count = await streamRows(filePath, row => rows.push(row), options);
+    assert.equal(count, rows.length);
+    return rows;
+}
+
+// 写入 SQLite 数据库，tables 为 表名 → 行
+async function writeSQLite(filePath, tables) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    Object.entries(tables).forEach(([name, rows]) => {
+        const table = `"${name.replace(/"/g, '""')}"`;
+        db.run(`CREATE TABLE ${table} (block_time INTEGER, side TEXT, qty REAL, maker TEXT)`);
+        rows.forEach(row => db.run(`INSERT INTO ${table} VALUES (?, ?, ?, ?)`, row));
+    });
+    fs.writeFileSync(filePath, db.export());
+    db.close();
+}
+
+test('按扩展名判断输入格式，显式指定优先', () => {
+    assert.equal(detectInputFormat('trades.CSV'), 'csv');
+    assert.equal(detectInputFormat('trades.ndjson'), 'jsonl');
+    assert.equal(detectInputFormat('trades.pq'), 'parquet');
+    assert.equal(detectInputFormat('trades.db'), 'sqlite');
+    assert.equal(detectInputFormat('trades.txt'), 'csv');
+    assert.equal(detectInputFormat('trades.csv', 'jsonl'), 'jsonl');
+    assert.throws(() => detectInputFormat('trades.csv', 'xls'), { code: 'INVALID_INPUT' });
+});
+
+test('JSON Lines：跳过空行，各行可以缺少不同的字段', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.jsonl');
+        fs.writeFileSync(file, `{"timestamp":${T0},"side":"buy"}\n\n{"timestamp":${T0 + 60},"signature":"s1"}\r\n`);
+
+        assert.deepEqual(await readAll(file), [
+            { timestamp: T0, side: 'buy' },
+            { timestamp: T0 + 60, signature: 's1' }
+        ]);
+    });
+});
+
+test('JSON Lines：无效的行报告行号', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.jsonl');
+        fs.writeFileSync(file, `{"timestamp":${T0}}\n{"timestamp":\n`);
+        await assert.rejects(readAll(file), { code: 'INVALID_INPUT', message: /第 2 行不是有效的 JSON/ });
+
+        fs.writeFileSync(file, `{"timestamp":${T0}}\n[1, 2]\n`);
+        await assert.rejects(readAll(file), { code: 'INVALID_INPUT', message: /第 2 行应为 JSON 对象/ });
+    });
+});
+
+test('Parquet：逐个行组读取，INT64 转为普通数字', async () => {
+    const { parquetWriteFile } = await import('hyparquet-writer');
+
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.parquet');
+        parquetWriteFile({
+            filename: file,
+            columnData: [
+                { name: 'block_time', data: [BigInt(T0), BigInt(T0 + 60), BigInt(T0 + 120)], type: 'INT64' },
+                { name: 'side', data: ['buy', 'sell', 'buy'], type: 'STRING' },
+                { name: 'qty', data: [100, 50.5, 20], type: 'DOUBLE' }
+            ],
+            // 每个行组 2 行
+            rowGroupSize: 2
+        });
+
+        assert.deepEqual(await readAll(file), [
+            { block_time: T0, side: 'buy', qty: 100 },
+            { block_time: T0 + 60, side: 'sell', qty: 50.5 },
+            { block_time: T0 + 120, side: 'buy', qty: 20 }
+        ]);
+    });
+});
+
+test('Parquet：不是 Parquet 文件时报告输入错误', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.parquet');
+        fs.writeFileSync(file, 'timestamp,side\n');
+        await assert.rejects(readAll(file), { code: 'INVALID_INPUT', message: /无法读取 Parquet 文件/ });
+    });
+});
+
+test('SQLite：只有一张表时自动选择', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.sqlite');
+        await writeSQLite(file, { trades: [[T0, 'buy', 100, 'w1'], [T0 + 60, 'sell', 50, 'w2']] });
+
+        assert.deepEqual(await readAll(file), [
+            { block_time: T0, side: 'buy', qty: 100, maker: 'w1' },
+            { block_time: T0 + 60, side: 'sell', qty: 50, maker: 'w2' }
+        ]);
+    });
+});
+
+test('SQLite：多张表时需要指定表名，表名按原样引用', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.db');
+        await writeSQLite(file, { 'dex "trades"': [[T0, 'buy', 100, 'w1']], other: [] });
+
+        await assert.rejects(readAll(file), { code: 'INVALID_INPUT', message: /包含 2 张数据表/ });
+        await assert.rejects(readAll(file, { table: 'missing' }), { code: 'INVALID_INPUT', message: /不存在数据表 missing/ });
+        assert.deepEqual(await readAll(file, { table: 'dex "trades"' }), [{ block_time: T0, side: 'buy', qty: 100, maker: 'w1' }]);
+    });
+});
+
+test('SQLite：不是 SQLite 文件时报告输入错误', async () => {
+    await withDirectory(async directory => {
+        const file = path.join(directory, 'trades.sqlite');
+        fs.writeFileSync(file, 'timestamp,side\n'.repeat(100));
+        await assert.rejects(readAll(file), { code: 'INVALID_INPUT', message: /无法读取 SQLite 文件/ });
+    });
+});
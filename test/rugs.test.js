@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRugPullDetector } = require('../src/rugs');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 跑路检测用到的逐笔交易字段
+const trade = (offset, wallet, side, amount, price) => ({
+    timestamp: T0 + offset,
+    wallet,
+    isBuy: side === 'buy',
+    amount,
+    price
+});
+
+// 一小时内每分钟一笔散户买入，dev 持有最多的代币后在 40 秒内分 5 笔卖出，价格崩跌且交易停止
+const fixture = [
+    trade(0, 'dev', 'buy', 5000, 1),
+    ...Array.from({ length: 60 }, (_, i) => trade(60 + i * 60, `retail${i}`, 'buy', 100, 1)),
+    ...[0.9, 0.7, 0.5, 0.3, 0.2].map((price, i) => trade(4000 + i * 10, 'dev', 'sell', 1000, price)),
+    trade(4100, 'retail0', 'sell', 100, 0.2),
+    trade(8000, 'retail1', 'sell', 100, 0.25)
+];
+
+const run = (list, overrides = {}) => {
+    const detector = createRugPullDetector({ clusters: [] }, resolveConfig(overrides));
+    list.forEach(detector.add);
+    return detector.finish();
+};
+
+test('集中卖出后价格崩跌且交易枯竭记为严重事件', () => {
+    const events = run(fixture);
+
+    assert.equal(events.length, 1);
+    const [event] = events;
+    assert.deepEqual(event.wallets, ['dev']);
+    assert.equal(event.clusterId, null);
+    assert.equal(event.startTimestamp, T0 + 4000);
+    assert.equal(event.endTimestamp, T0 + 4040);
+    assert.equal(event.sellCount, 5);
+    assert.equal(event.priceBefore, 1);
+    assert.equal(event.lowestPrice, 0.2);
+    assert.ok(Math.abs(event.collapsePercent - 80) < 1e-9);
+    assert.equal(event.recovered, false);
+    assert.equal(event.activityDied, true);
+    assert.equal(event.severity, 'critical');
+});
+
+test('价格回到卖出前的一半以上视为恢复', () => {
+    const recovered = [...fixture, trade(9000, 'retail2', 'buy', 100, 0.6)];
+    const [event] = run(recovered);
+
+    assert.equal(event.recovered, true);
+    assert.equal(event.recoveryPrice, 0.6);
+    assert.equal(event.severity, 'high');
+});
+
+test('卖出占比不足时不记为事件', () => {
+    const events = run(fixture, { rugPull: { minSupplyShare: 0.5 } });
+    assert.deepEqual(events, []);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSandwichDetector } = require('../src/sandwich');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 三明治检测用到的逐笔交易字段，seq 为输入顺序
+const trades = list => list.map(([offset, wallet, side, amount, price, slot = null], seq) => ({
+    timestamp: T0 + offset,
+    seq,
+    slot,
+    txIndex: null,
+    wallet,
+    isBuy: side === 'buy',
+    amount,
+    price,
+    value: amount * price
+}));
+
+const ordering = { slot: false, txIndex: false };
+
+const run = (list, overrides = {}) => {
+    const received = [];
+    const detector = createSandwichDetector(ordering, resolveConfig(overrides), (trade, isLeg) => received.push({ seq: trade.seq, isLeg }));
+    list.forEach(detector.add);
+    return { result: detector.finish(), received };
+};
+
+test('攻击者买入 → 受害者买入 → 攻击者获利卖出', () => {
+    const { result, received } = run(trades([
+        [0, 'bot', 'buy', 1000, 1],
+        [0, 'victim', 'buy', 500, 1.05],
+        [1, 'bot', 'sell', 1000, 1.08],
+        [30, 'other', 'buy', 10, 1.02]
+    ]));
+
+    assert.equal(result.attacks.length, 1);
+    const [attack] = result.attacks;
+    assert.equal(attack.attacker, 'bot');
+    assert.deepEqual(attack.victims, ['victim']);
+    assert.equal(attack.victimTrades, 1);
+    assert.ok(Math.abs(attack.extractedValue - 80) < 1e-9);
+    assert.deepEqual(result.attackers.map(attacker => attacker.address), ['bot']);
+
+    // 交易按原顺序交出，攻击的买入与卖出标记为 leg
+    assert.deepEqual(received, [
+        { seq: 0, isLeg: true },
+        { seq: 1, isLeg: false },
+        { seq: 2, isLeg: true },
+        { seq: 3, isLeg: false }
+    ]);
+});
+
+test('没有受害者、未获利或超出时间窗口时不记为攻击', () => {
+    const noVictim = run(trades([
+        [0, 'bot', 'buy', 1000, 1],
+        [1, 'bot', 'sell', 1000, 1.1]
+    ]));
+    const noProfit = run(trades([
+        [0, 'bot', 'buy', 1000, 1],
+        [0, 'victim', 'buy', 500, 1],
+        [1, 'bot', 'sell', 1000, 0.9]
+    ]));
+    const tooLate = run(trades([
+        [0, 'bot', 'buy', 1000, 1],
+        [1, 'victim', 'buy', 500, 1],
+        [10, 'bot', 'sell', 1000, 1.1]
+    ]));
+
+    [noVictim, noProfit, tooLate].forEach(({ result, received }) => {
+        assert.deepEqual(result.attacks, []);
+        assert.ok(received.every(entry => !entry.isLeg));
+    });
+});
+
+test('有区块号时按区块范围配对', () => {
+    const list = trades([
+        [0, 'bot', 'buy', 1000, 1, 100],
+        [5, 'victim', 'buy', 500, 1.05, 100],
+        [10, 'bot', 'sell', 1000, 1.08, 100]
+    ]);
+    const received = [];
+    const detector = createSandwichDetector({ slot: true, txIndex: false }, resolveConfig(), trade => received.push(trade));
+    list.forEach(detector.add);
+    const result = detector.finish();
+
+    assert.equal(result.attacks.length, 1);
+    assert.equal(result.attacks[0].slot, 100);
+    assert.equal(received.length, 3);
+});
+
+test('关闭检测时交易直接交出', () => {
+    const { result, received } = run(trades([
+        [0, 'bot', 'buy', 1000, 1],
+        [0, 'victim', 'buy', 500, 1.05],
+        [1, 'bot', 'sell', 1000, 1.08]
+    ]), { sandwich: { enabled: false } });
+
+    assert.deepEqual(result.attacks, []);
+    assert.equal(received.length, 3);
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createColumnMapping, validateRow, parseTimestamp } = require('../src/schema');
+const { analyze, analyzeStream } = require('../src/analyze');
+const { streamRows } = require('../src/readers');
+const { resolveConfig } = require('../src/config');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const { schema } = resolveConfig();
+
+test('列名按别名映射为标准字段（不区分大小写）', () => {
+    const columns = createColumnMapping(schema);
+    const row = columns.mapRow({ Block_Time: '1743033600', Side: 'buy', Price: '0.5', Amount: '100', Wallet: 'w1', Signature: 's1' });
+
+    assert.deepEqual(row, {
+        trade_timestamp: '1743033600',
+        type: 'TOKEN_BUY',
+        buy_price: '0.5',
+        buy_amount: '100',
+        trader_wallet_address: 'w1',
+        transaction_signature: 's1'
+    });
+    assert.equal(columns.mapping.trade_timestamp, 'Block_Time');
+});
+
+test('不区分方向的价格和数量按买卖方向填入', () => {
+    const columns = createColumnMapping(schema);
+    const row = columns.mapRow({ timestamp: 1, side: 'S', price: 2, amount: 3, wallet: 'w1' });
+
+    assert.equal(row.type, 'TOKEN_SELL');
+    assert.equal(row.sell_price, 2);
+    assert.equal(row.sell_amount, 3);
+    assert.equal(row.buy_price, undefined);
+});
+
+test('列名不同的记录分别确定映射', () => {
+    const columns = createColumnMapping(schema);
+    const buy = columns.mapRow({ timestamp: 1, type: 'buy', buy_price: 1, buy_amount: 10, wallet: 'w1' });
+    const sell = columns.mapRow({ timestamp: 2, type: 'sell', sell_price: 1, sell_amount: 5, wallet: 'w1', signature: 's1' });
+
+    assert.equal(validateRow(buy), null);
+    assert.equal(validateRow(sell), null);
+    assert.equal(sell.sell_amount, 5);
+    assert.equal(sell.transaction_signature, 's1');
+    assert.equal(columns.mapping.transaction_signature, 'signature');
+    assert.equal(columns.mapping.buy_amount, 'buy_amount');
+});
+
+test('JSON 记录缺少部分字段时后续记录仍按各自的列映射', () => {
+    // 第一条买入没有卖出列和签名，之后的卖出带签名且重复出现
+    const records = [
+        { trade_timestamp: T0, type: 'TOKEN_BUY', buy_price: 1, buy_amount: 100, trader_wallet_address: 'w1' },
+        { trade_timestamp: T0 + 60, type: 'TOKEN_SELL', sell_price: 1.1, sell_amount: 50, trader_wallet_address: 'w1', transaction_signature: 's1' },
+        { trade_timestamp: T0 + 60, type: 'TOKEN_SELL', sell_price: 1.1, sell_amount: 50, trader_wallet_address: 'w1', transaction_signature: 's1' }
+    ];
+    const result = analyze(records);
+
+    assert.equal(result.dataQuality.rejectedRows, 0);
+    assert.equal(result.dataQuality.duplicates.rows, 1);
+    assert.equal(result.tradeCount, 2);
+    assert.equal(result.wallets.activity.w1.sells.count, 1);
+});
+
+test('JSON Lines 文件第一行没有签名时仍按签名去重', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-test-'));
+    const file = path.join(directory, 'trades.jsonl');
+    fs.writeFileSync(file, [
+        { timestamp: T0, side: 'buy', price: 1, amount: 100, wallet: 'w1' },
+        { timestamp: T0 + 10, side: 'buy', price: 1, amount: 20, wallet: 'w2', signature: 's1' },
+        { timestamp: T0 + 10, side: 'buy', price: 1, amount: 20, wallet: 'w2', signature: 's1' },
+        { timestamp: T0 + 60, side: 'sell', price: 1.2, amount: 100, wallet: 'w1', signature: 's2' }
+    ].map(row => JSON.stringify(row)).join('\n'));
+
+    try {
+        const result = await analyzeStream(onRow => streamRows(file, onRow));
+        assert.equal(result.dataQuality.duplicates.rows, 1);
+        assert.equal(result.tradeCount, 3);
+        assert.equal(result.wallets.activity.w2.buys.count, 1);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('校验记录并给出拒绝原因', () => {
+    const columns = createColumnMapping(schema);
+    const validate = raw => validateRow(columns.mapRow({ timestamp: 1, side: 'buy', amount: 1, wallet: 'w', ...raw }));
+
+    assert.equal(validate({}), null);
+    assert.equal(validate({ timestamp: '' }), 'missing_timestamp');
+    assert.equal(validate({ timestamp: 'not a date' }), 'invalid_timestamp');
+    assert.equal(validate({ side: '' }), 'missing_side');
+    assert.equal(validate({ side: 'swap' }), 'unknown_side');
+    assert.equal(validate({ amount: 0 }), 'missing_amount');
+});
+
+test('时间戳支持秒、毫秒和日期字符串', () => {
+    assert.equal(parseTimestamp(1743033600), 1743033600);
+    assert.equal(parseTimestamp('1743033600000'), 1743033600);
+    assert.equal(parseTimestamp('2025-03-27T00:00:00Z'), 1743033600);
+    assert.ok(Number.isNaN(parseTimestamp('yesterday')));
+});
+
+test('不带时区偏移的日期字符串按 UTC 解析', () => {
+    assert.equal(parseTimestamp('2025-03-27T00:00:00'), 1743033600);
+    assert.equal(parseTimestamp('2025-03-27 00:00:00'), 1743033600);
+    assert.equal(parseTimestamp('2025-03-27 08:00'), 1743033600 + 8 * 3600);
+    assert.equal(parseTimestamp('2025-03-27T08:00:00+08:00'), 1743033600);
+});
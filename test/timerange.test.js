@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { analyze } = require('../src/analyze');
+const { createTimeRangeData, renderTimeRangeScript } = require('../src/render/timerange');
+const { createWalletTableData, renderWalletTableScript } = require('../src/render/wallets');
+const { TIME_RANGE_EVENT } = require('../src/render/candlestick');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const trade = (offset, wallet, side, amount = 10) => ({ timestamp: T0 + offset, wallet, side, amount, price: 1 });
+
+// 第一个小时 w1、w2 买入，第二个小时 w2 卖出、w3 买入两次
+const result = analyze([
+    trade(0, 'w1', 'buy'),
+    trade(60, 'w2', 'buy'),
+    trade(3600, 'w2', 'sell'),
+    trade(3660, 'w3', 'buy'),
+    trade(3720, 'w3', 'buy')
+], { config: { walletScoring: { tableMinScore: -1 } } });
+
+// 只提供脚本用到的 DOM 接口的页面：按 id 取元素，document 上的事件同步派发
+function createPage() {
+    const elements = new Map();
+    const listeners = new Map();
+    const element = () => ({
+        textContent: '', innerHTML: '', value: '', disabled: false, dataset: {},
+        addEventListener() {},
+        querySelector: () => element(),
+        querySelectorAll: () => []
+    });
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, element());
+            return elements.get(id);
+        },
+        querySelector: selector => document.getElementById(selector),
+        querySelectorAll: () => [],
+        addEventListener(type, listener) {
+            listeners.set(type, [...(listeners.get(type) || []), listener]);
+        },
+        dispatchEvent(event) {
+            (listeners.get(event.type) || []).forEach(listener => listener(event));
+        }
+    };
+    const providers = { suspiciousIntervals: () => ({ sheets: [{ rows: [] }] }) };
+    const reportExport = {
+        register(name, provider) { providers[name] = provider; },
+        get: name => providers[name]()
+    };
+    const context = vm.createContext({ document, console, reportExport });
+    context.window = context;
+
+    document.getElementById('statTrades').textContent = String(result.tradeCount);
+    document.getElementById('walletPageSize').value = '20';
+    vm.runInContext(renderWalletTableScript(createWalletTableData(result)), context);
+    vm.runInContext(renderTimeRangeScript(createTimeRangeData(result)), context);
+
+    return {
+        // 与浏览器一样，textContent 读出时为字符串
+        text: id => String(document.getElementById(id).textContent),
+        html: id => document.getElementById(id).innerHTML,
+        select: range => document.dispatchEvent({ type: TIME_RANGE_EVENT, detail: range })
+    };
+}
+
+test('选择时间范围后统计卡片只统计范围内的交易', () => {
+    const page = createPage();
+
+    page.select({ from: T0 + 3600, to: T0 + 7200 });
+    assert.equal(page.text('statTrades'), '3');
+    assert.notEqual(page.text('timeRangeLabel'), '全部数据');
+
+    page.select(null);
+    assert.equal(page.text('statTrades'), '5');
+    assert.equal(page.text('timeRangeLabel'), '全部数据');
+});
+
+test('选择时间范围后钱包表只列出范围内有交易的钱包', () => {
+    const page = createPage();
+    assert.ok(page.html('walletTableBody').includes('data-wallet="w1"'));
+
+    page.select({ from: T0 + 3600, to: T0 + 7200 });
+    const body = page.html('walletTableBody');
+    assert.ok(!body.includes('data-wallet="w1"'));
+    assert.ok(body.includes('data-wallet="w3"'));
+    // 交易次数列为范围内的笔数
+    assert.ok(body.includes('<td>1（全部 2）</td>'));
+    assert.match(page.text('walletTableSummary'), /评分基于全部数据/);
+
+    page.select(null);
+    assert.ok(page.html('walletTableBody').includes('data-wallet="w1"'));
+});
+
+test('时间范围数据按细分区间记录交易和钱包', () => {
+    const data = createTimeRangeData(result);
+    const size = result.config.suspiciousIntervals.intervalSeconds;
+
+    assert.equal(data.start, T0);
+    assert.equal(data.bucketSeconds, size);
+    assert.deepEqual(data.wallets, ['w1', 'w2', 'w3']);
+    // [序号, 钱包序号, 买入笔数, 卖出笔数]
+    assert.deepEqual(data.activity.filter(([offset]) => offset === 3600 / size), [[3600 / size, 1, 0, 1], [3600 / size, 2, 2, 0]]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTimestamp, formatDate, getUTCOffset, describeTimeZone, isValidTimeZone } = require('../src/utils');
+const { formatCandlesCSV } = require('../src/candles');
+const { analyze } = require('../src/analyze');
+const { renderMarkdown } = require('../src/render/markdown');
+const { renderHTML } = require('../src/render/html');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const trades = [
+    { timestamp: T0, side: 'buy', amount: 100, price: 1, wallet: 'w1' },
+    { timestamp: T0 + 3600, side: 'sell', amount: 100, price: 2, wallet: 'w1' }
+];
+
+test('按 IANA 时区格式化时间并附带 UTC 偏移', () => {
+    assert.equal(formatTimestamp(T0, 'UTC'), '2025-03-27 00:00:00 UTC+00:00');
+    assert.equal(formatTimestamp(T0, 'Asia/Shanghai'), '2025-03-27 08:00:00 UTC+08:00');
+    assert.equal(formatTimestamp(T0, 'Asia/Kolkata'), '2025-03-27 05:30:00 UTC+05:30');
+    // 跨日
+    assert.equal(formatDate(T0, 'America/New_York'), '2025-03-26');
+});
+
+test('偏移随夏令时变化', () => {
+    // 2025-03-09 凌晨美国东部进入夏令时
+    assert.equal(getUTCOffset(Date.UTC(2025, 2, 8) / 1000, 'America/New_York'), 'UTC-05:00');
+    assert.equal(getUTCOffset(Date.UTC(2025, 2, 10) / 1000, 'America/New_York'), 'UTC-04:00');
+    assert.equal(describeTimeZone('Europe/London', T0), 'Europe/London, UTC+00:00');
+});
+
+test('只接受有效的 IANA 时区名', () => {
+    assert.equal(isValidTimeZone('Asia/Shanghai'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Base'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(8), false);
+});
+
+test('分析结果、报告、图表坐标轴和 K 线导出使用同一时区', () => {
+    const result = analyze(trades, { config: { timezone: 'America/New_York' } });
+    const markdown = renderMarkdown(result);
+    const html = renderHTML(result);
+
+    assert.equal(result.prices.changes[0].startDatetime, '2025-03-26 20:00:00 UTC-04:00');
+    assert.ok(markdown.includes('分析时间范围: 2025-03-26 20:00:00 UTC-04:00 至 2025-03-26 21:00:00 UTC-04:00'));
+    assert.ok(markdown.includes('时区: America/New_York, UTC-04:00'));
+    assert.ok(html.includes('时间 (America/New_York, UTC-04:00)'));
+    assert.ok(!html.includes('UTC+08:00'));
+
+    const csv = formatCandlesCSV(result.series.candles.candles, result.config.timezone);
+    assert.ok(csv.split('\n')[1].includes('2025-03-26 20:00:00 UTC-04:00'));
+});
+
+test('默认时区为 Asia/Shanghai', () => {
+    const result = analyze(trades);
+    assert.equal(result.config.timezone, 'Asia/Shanghai');
+    assert.ok(renderMarkdown(result).includes('分析时间范围: 2025-03-27 08:00:00 UTC+08:00'));
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransactionTracker } = require('../src/transactions');
+const { analyze } = require('../src/analyze');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+const row = (signature, side, wallet = 'w1', extra = {}) => ({
+    transaction_signature: signature,
+    type: side === 'buy' ? 'TOKEN_BUY' : 'TOKEN_SELL',
+    trader_wallet_address: wallet,
+    trade_timestamp: T0,
+    buy_amount: side === 'buy' ? 10 : 0,
+    sell_amount: side === 'buy' ? 0 : 10,
+    transaction_value: 10,
+    ...extra
+});
+
+test('同一签名下钱包、方向和数量都相同的记录视为重复', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true });
+
+    assert.equal(tracker.add(row('s1', 'buy')), true);
+    assert.equal(tracker.add(row('s1', 'buy')), false);
+    assert.equal(tracker.add(row('s1', 'sell')), true);
+    assert.equal(tracker.add(row('', 'buy')), true);
+    assert.equal(tracker.add(row('', 'buy')), true);
+
+    const summary = tracker.summary();
+    assert.equal(summary.key, 'signature+wallet+side+amount');
+    assert.equal(summary.rows, 1);
+    assert.deepEqual(summary.examples, ['s1']);
+});
+
+test('同一签名下不同钱包或不同数量的同向 leg 都保留', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true });
+
+    assert.equal(tracker.add(row('s1', 'buy', 'w1')), true);
+    assert.equal(tracker.add(row('s1', 'buy', 'w2')), true);
+    assert.equal(tracker.add(row('s1', 'buy', 'w1', { buy_amount: 20 })), true);
+    assert.equal(tracker.add(row('s1', 'buy', 'w2')), false);
+    assert.equal(tracker.add(row('s1', 'buy', 'w1', { buy_amount: 20 })), false);
+    assert.equal(tracker.summary().rows, 2);
+    assert.deepEqual(tracker.sharedSignatures(), [{ signature: 's1', wallets: ['w1', 'w2'] }]);
+});
+
+test('重复记录中的钱包也计入共用签名', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true });
+
+    tracker.add(row('s1', 'buy', 'w1', { leg_index: 0 }));
+    assert.equal(tracker.add(row('s1', 'buy', 'w2', { leg_index: 0 })), false);
+    assert.deepEqual(tracker.sharedSignatures(), [{ signature: 's1', wallets: ['w1', 'w2'] }]);
+});
+
+test('有 leg 序号时按签名 + 序号去重', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true });
+
+    assert.equal(tracker.add(row('s1', 'buy', 'w1', { leg_index: 0 })), true);
+    assert.equal(tracker.add(row('s1', 'buy', 'w1', { leg_index: 1 })), true);
+    assert.equal(tracker.add(row('s1', 'buy', 'w1', { leg_index: 1 })), false);
+    assert.equal(tracker.summary().key, 'signature+leg');
+});
+
+test('只与 maxLagSeconds 内的记录比较，更早的签名被释放', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true, maxLagSeconds: 3600 });
+
+    assert.equal(tracker.add(row('s1', 'buy')), true);
+    assert.equal(tracker.add(row('s2', 'buy', 'w1', { trade_timestamp: T0 + 3600 })), true);
+    // 仍在窗口内
+    assert.equal(tracker.add(row('s1', 'buy')), false);
+    assert.equal(tracker.add(row('s3', 'buy', 'w1', { trade_timestamp: T0 + 3601 })), true);
+    // s1 已超出窗口，不再参与去重
+    assert.equal(tracker.add(row('s1', 'buy')), true);
+    assert.equal(tracker.add(row('s2', 'buy', 'w1', { trade_timestamp: T0 + 3600 })), false);
+
+    const summary = tracker.summary();
+    assert.equal(summary.rows, 2);
+    assert.equal(summary.signatures, 2);
+});
+
+test('关闭去重时只统计重复记录', () => {
+    const tracker = createTransactionTracker({ enabled: false, useLegIndex: true });
+
+    assert.equal(tracker.add(row('s1', 'buy')), true);
+    assert.equal(tracker.add(row('s1', 'buy')), true);
+    assert.equal(tracker.summary().rows, 1);
+});
+
+test('同一签名包含买入和卖出时记为多腿交易', () => {
+    const tracker = createTransactionTracker({ enabled: true, useLegIndex: true });
+    tracker.add(row('s1', 'buy', 'w1'));
+    tracker.add(row('s1', 'sell', 'w2'));
+    tracker.add(row('s2', 'buy', 'w1'));
+
+    const [transaction] = tracker.multiLegTransactions();
+    assert.equal(tracker.multiLegTransactions().length, 1);
+    assert.equal(transaction.signature, 's1');
+    assert.equal(transaction.legs, 2);
+    assert.deepEqual(transaction.wallets, ['w1', 'w2']);
+    assert.deepEqual(tracker.sharedSignatures(), [{ signature: 's1', wallets: ['w1', 'w2'] }]);
+});
+
+test('完整分析中剔除重复记录', () => {
+    const records = [
+        { timestamp: T0, wallet: 'w1', side: 'buy', amount: 100, price: 1, signature: 's1' },
+        { timestamp: T0, wallet: 'w1', side: 'buy', amount: 100, price: 1, signature: 's1' },
+        { timestamp: T0 + 60, wallet: 'w1', side: 'sell', amount: 100, price: 1.1, signature: 's2' }
+    ];
+    const result = analyze(records);
+
+    assert.equal(result.tradeCount, 2);
+    assert.equal(result.dataQuality.duplicates.rows, 1);
+    assert.equal(result.wallets.activity.w1.buys.count, 1);
+});
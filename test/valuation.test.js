@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createValuation, loadSolPriceTable } = require('../src/valuation');
+const { analyze } = require('../src/analyze');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 每小时一条的 SOL/USD 价格
+const solPrices = [
+    { timestamp: T0, price: 100 },
+    { timestamp: T0 + 3600, price: 200 }
+];
+
+// 报价为 SOL 的买入记录
+const row = (offset, price, amount) => ({
+    trade_timestamp: T0 + offset,
+    type: 'TOKEN_BUY',
+    buy_price: price,
+    buy_amount: amount,
+    price,
+    transaction_value: price * amount,
+    net_sol_balance_change: -price * amount
+});
+
+test('报价为 USD 时金额和价格保持不变', () => {
+    const valuation = createValuation({ quoteCurrency: 'USD' }, null);
+    const trade = row(0, 2, 10);
+    valuation.convert(trade);
+
+    assert.equal(valuation.currency, 'USD');
+    assert.equal(trade.transaction_value, 20);
+    assert.equal(trade.price, 2);
+    assert.equal(trade.value_sol, null);
+});
+
+test('报价为 SOL 且没有价格表时以 SOL 作为报告货币', () => {
+    const valuation = createValuation({ quoteCurrency: 'SOL' }, null);
+    const trade = row(0, 2, 10);
+    valuation.convert(trade);
+
+    assert.equal(valuation.currency, 'SOL');
+    assert.equal(trade.transaction_value, 20);
+    assert.equal(trade.price, 2);
+    assert.equal(trade.value_usd, null);
+});
+
+test('有价格表时金额和价格按同一汇率换算为 USD', () => {
+    const valuation = createValuation({ quoteCurrency: 'SOL' }, solPrices);
+    const trade = row(3600 + 60, 2, 10);
+    valuation.convert(trade);
+
+    assert.equal(valuation.currency, 'USD');
+    assert.equal(trade.value_sol, 20);
+    assert.equal(trade.transaction_value, 4000);
+    assert.equal(trade.price, 400);
+    assert.equal(trade.buy_price, 400);
+    assert.equal(trade.transaction_value, trade.price * trade.buy_amount);
+    assert.equal(trade.net_usd_change, -4000);
+});
+
+test('完整分析中价格统计和 K 线与交易额单位一致', () => {
+    const result = analyze([
+        { timestamp: T0, side: 'buy', amount: 10, price: 2, wallet: 'w1' },
+        { timestamp: T0 + 3600, side: 'buy', amount: 1, price: 3, wallet: 'w2' }
+    ], { config: { valuation: { quoteCurrency: 'SOL' } }, solPrices });
+    const [first] = result.series.candles.candles;
+
+    // 2 SOL × 100、3 SOL × 200
+    assert.equal(result.prices.stats.min.price, 200);
+    assert.equal(result.prices.stats.max.price, 600);
+    assert.equal(first.open, 200);
+    assert.equal(first.vwap, first.open);
+    assert.equal(result.wallets.pnl.finalPrice, 600);
+});
+
+test('读取价格表时忽略无效行并按时间排序', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'valuation-test-'));
+    const file = path.join(directory, 'sol.csv');
+    fs.writeFileSync(file, [
+        'Time,Close',
+        '2025-03-27T01:00:00Z,200',
+        'not a date,150',
+        '2025-03-27T00:00:00Z,100',
+        '2025-03-27T02:00:00Z,0'
+    ].join('\n'));
+
+    try {
+        assert.deepEqual(loadSolPriceTable(file), solPrices);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('价格表缺少价格列时报告输入错误', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'valuation-test-'));
+    const file = path.join(directory, 'sol.csv');
+    fs.writeFileSync(file, 'timestamp,volume\n2025-03-27T00:00:00Z,1\n');
+
+    try {
+        assert.throws(() => loadSolPriceTable(file), { code: 'INVALID_INPUT' });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { analyze } = require('../src/analyze');
+const { createWalletTableData, renderWalletTableScript } = require('../src/render/wallets');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 60 个钱包各买入一次，交易额依次增加；巨鲸买入额超过巨鲸阈值，评分最高
+const WALLET_COUNT = 60;
+const address = i => `w${String(i).padStart(2, '0')}`;
+const result = analyze([
+    ...Array.from({ length: WALLET_COUNT }, (_, i) => ({ timestamp: T0 + i * 60, wallet: address(i), side: 'buy', amount: 100 + i, price: 1 })),
+    { timestamp: T0 + 3600, wallet: 'whale', side: 'buy', amount: 50000, price: 1 }
+], { config: { walletScoring: { tableMinScore: -1 } } });
+
+// 只提供脚本用到的 DOM 接口的页面：元素上的事件同步派发，分页链接从 innerHTML 中解析
+function createPage() {
+    const elements = new Map();
+    const element = (props = {}) => {
+        const listeners = {};
+        const self = {
+            textContent: '', innerHTML: '', value: '', dataset: {},
+            addEventListener(type, listener) { listeners[type] = listener; },
+            dispatch(type) { listeners[type]({ preventDefault() {} }); },
+            querySelector: () => element(),
+            // 分页导航中的页码链接，记下最近一次取得的链接以便点击
+            querySelectorAll() {
+                self.links = Array.from(self.innerHTML.matchAll(/data-page="(\d+)"/g), ([, page]) => element({ dataset: { page } }));
+                return self.links;
+            },
+            ...props
+        };
+        return self;
+    };
+    // 表头及其排序标记
+    const headers = createWalletTableData(result).columns.map((label, column) => {
+        const indicator = element();
+        return element({ dataset: { column: String(column) }, indicator, querySelector: () => indicator });
+    });
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, element());
+            return elements.get(id);
+        },
+        querySelectorAll: selector => (selector === '#walletTable th[data-column]' ? headers : []),
+        addEventListener() {}
+    };
+    const context = vm.createContext({ document, reportExport: { register() {} } });
+    context.window = context;
+
+    document.getElementById('walletPageSize').value = '20';
+    vm.runInContext(renderWalletTableScript(createWalletTableData(result)), context);
+
+    const get = id => document.getElementById(id);
+    const page = {
+        // 当前页各行的钱包地址
+        rows: () => Array.from(get('walletTableBody').innerHTML.matchAll(/<tr><td><a href="#" data-wallet="([^"]+)"/g), ([, wallet]) => wallet),
+        summary: () => get('walletTableSummary').textContent,
+        // 钱包活动列表当前页的钱包地址
+        activity: () => Array.from(get('walletActivityList').innerHTML.matchAll(/<li title="([^"]+)">/g), ([, wallet]) => wallet),
+        pages: id => Array.from(get(id).innerHTML.matchAll(/data-page="(\d+)">([^<]+)</g), ([, , label]) => label),
+        // 点击分页导航中标签为 label 的链接
+        goTo(id, label) {
+            const pager = get(id);
+            const index = page.pages(id).indexOf(label);
+            pager.links[index].dispatch('click');
+        },
+        input(id, value) {
+            get(id).value = value;
+            get(id).dispatch('input');
+        },
+        reset: () => get('walletFilterReset').dispatch('click'),
+        sortBy(column) {
+            headers[column].dispatch('click');
+            return headers[column].indicator.textContent;
+        }
+    };
+    return page;
+}
+
+test('钱包表默认按评分降序分页，切换页码与每页行数', () => {
+    const page = createPage();
+
+    assert.equal(page.rows().length, 20);
+    assert.equal(page.rows()[0], 'whale');
+    assert.equal(page.summary(), `评分超过 -1 分的钱包共 ${WALLET_COUNT + 1} 个，当前显示第 1 ~ 20 个`);
+    assert.deepEqual(page.pages('walletTablePager'), ['1', '2', '3', '4', '下一页']);
+
+    page.goTo('walletTablePager', '2');
+    assert.equal(page.rows().length, 20);
+    assert.ok(!page.rows().includes('whale'));
+    assert.match(page.summary(), /当前显示第 21 ~ 40 个$/);
+
+    // 改变每页行数后回到第一页
+    page.input('walletPageSize', '50');
+    assert.equal(page.rows().length, 50);
+    assert.match(page.summary(), /当前显示第 1 ~ 50 个$/);
+});
+
+test('点击表头按列排序，再次点击切换升降序', () => {
+    const page = createPage();
+
+    // 总交易额默认降序
+    assert.equal(page.sortBy(4), ' ▼');
+    assert.deepEqual(page.rows().slice(0, 3), ['whale', address(WALLET_COUNT - 1), address(WALLET_COUNT - 2)]);
+    assert.equal(page.sortBy(4), ' ▲');
+    assert.deepEqual(page.rows().slice(0, 3), [address(0), address(1), address(2)]);
+
+    // 地址默认升序
+    assert.equal(page.sortBy(0), ' ▲');
+    assert.equal(page.rows()[0], address(0));
+    assert.equal(page.rows()[19], address(19));
+});
+
+test('按地址、评分和交易额筛选，清除筛选后恢复全部钱包', () => {
+    const page = createPage();
+
+    page.input('walletSearch', 'W1');
+    assert.deepEqual(page.rows().sort(), Array.from({ length: 10 }, (_, i) => address(10 + i)));
+    assert.match(page.summary(), /，符合筛选条件 10 个，/);
+
+    page.input('walletSearch', '');
+    page.input('walletScoreMin', '5');
+    assert.deepEqual(page.rows(), ['whale']);
+    page.input('walletScoreMin', '');
+    page.input('walletScoreMax', '5');
+    assert.ok(!page.rows().includes('whale'));
+
+    page.input('walletScoreMax', '');
+    page.input('walletValueMin', '150');
+    page.input('walletValueMax', '155');
+    assert.deepEqual(page.rows().sort(), [50, 51, 52, 53, 54, 55].map(address));
+
+    page.input('walletValueMin', '1000000');
+    assert.deepEqual(page.rows(), []);
+    assert.equal(page.summary(), `评分超过 -1 分的钱包共 ${WALLET_COUNT + 1} 个，符合筛选条件 0 个`);
+    assert.deepEqual(page.pages('walletTablePager'), []);
+
+    page.reset();
+    assert.equal(page.rows().length, 20);
+    assert.equal(page.summary(), `评分超过 -1 分的钱包共 ${WALLET_COUNT + 1} 个，当前显示第 1 ~ 20 个`);
+});
+
+test('钱包活动列表每页 50 个钱包', () => {
+    const page = createPage();
+
+    assert.equal(page.activity().length, 50);
+    assert.equal(page.activity()[0], 'whale');
+    assert.deepEqual(page.pages('walletActivityPager'), ['1', '2', '下一页']);
+
+    page.goTo('walletActivityPager', '2');
+    assert.equal(page.activity().length, WALLET_COUNT + 1 - 50);
+    assert.deepEqual(page.pages('walletActivityPager'), ['上一页', '1', '2']);
+});
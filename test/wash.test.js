@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../src/analyze');
+
+// 2025-03-27 00:00:00 UTC
+const T0 = 1743033600;
+
+// 单价固定为 1 的原始交易记录，往返交易只按数量和时间配对
+const trade = (offset, wallet, side, amount, signature) => ({ timestamp: T0 + offset, wallet, side, amount, price: 1, signature });
+
+// 关闭三明治攻击检测，避免短时间内的买卖被当作攻击排除
+const config = { sandwich: { enabled: false } };
+
+test('窗口内数量相近的买入与卖出配对为往返交易', () => {
+    const { washTrading } = analyze([
+        trade(0, 'w1', 'buy', 1000),
+        trade(60, 'w1', 'sell', 990),
+        trade(120, 'w2', 'buy', 5000)
+    ], { config }).patterns;
+
+    assert.equal(washTrading.roundTrips, 1);
+    const [roundTrip] = washTrading.examples;
+    assert.deepEqual(roundTrip.wallets, ['w1']);
+    assert.equal(roundTrip.buyTimestamp, T0);
+    assert.equal(roundTrip.sellTimestamp, T0 + 60);
+    assert.deepEqual(washTrading.wallets.map(wallet => wallet.address), ['w1']);
+    assert.equal(washTrading.wallets[0].fraction, 1);
+});
+
+test('数量相差过大或超出时间窗口的交易不配对', () => {
+    const { washTrading } = analyze([
+        trade(0, 'w1', 'buy', 1000),
+        trade(60, 'w1', 'sell', 500),
+        trade(100, 'w2', 'buy', 1000),
+        trade(800, 'w2', 'sell', 1000)
+    ], { config }).patterns;
+
+    assert.equal(washTrading.roundTrips, 0);
+    assert.deepEqual(washTrading.examples, []);
+    assert.equal(washTrading.washValue, 0);
+});
+
+test('同一钱包群的不同钱包之间也配对', () => {
+    const records = [
+        // a、b 共用交易签名而关联
+        trade(0, 'a', 'buy', 11, 's1'),
+        trade(0, 'b', 'sell', 12, 's1'),
+        trade(100, 'a', 'buy', 1000),
+        trade(200, 'b', 'sell', 1000)
+    ];
+
+    const crossWallet = analyze(records, { config }).patterns.washTrading;
+    assert.ok(crossWallet.pairs.some(pair => pair.wallets.length === 2));
+
+    const walletOnly = analyze(records, { config: { ...config, washTrading: { matchClusters: false } } }).patterns.washTrading;
+    assert.equal(walletOnly.roundTrips, 0);
+});
+
+test('按钱包对计数，只保留少量往返交易示例', () => {
+    // w1 十次买入后卖出相同数量
+    const records = Array.from({ length: 10 }, (_, i) => [
+        trade(i * 1000, 'w1', 'buy', 100 + i),
+        trade(i * 1000 + 60, 'w1', 'sell', 100 + i)
+    ]).flat();
+    const { washTrading } = analyze(records, { config }).patterns;
+
+    assert.equal(washTrading.roundTrips, 10);
+    assert.equal(washTrading.examples.length, 5);
+    assert.equal(washTrading.examples[0].buyTimestamp, T0);
+    assert.deepEqual(washTrading.pairs, [{ wallets: ['w1'], clusterId: null, roundTrips: 10, washValue: washTrading.washValue }]);
+    assert.equal(washTrading.wallets[0].roundTrips, 10);
+});